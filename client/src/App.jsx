@@ -19,6 +19,7 @@ import DashboardPage from './pages/DashboardPage';
 import ReportPage from './pages/ReportPage';
 import ReportDetailPage from './pages/ReportDetailPage';
 import MyReportsPage from './pages/MyReportsPage';
+import MyQueuePage from './pages/MyQueuePage';
 import AlertPage from './pages/AlertPage';
 import AlertDetailPage from './pages/AlertDetailPage';
 import AlertCreatePage from './pages/AlertCreatePage';
@@ -201,6 +202,16 @@ function App() {
                     </ProtectedRoute>
                   } 
                 />
+
+                {/* Work Queue - Responders and Admins */}
+                <Route 
+                  path="/queue" 
+                  element={
+                    <ProtectedRoute requiredRoles={['responder', 'admin', 'super_admin']}>
+                      <MyQueuePage />
+                    </ProtectedRoute>
+                  } 
+                />
                 
                 {/* 404 Catch-all */}
                 <Route path="*" element={<NotFoundPage />} />
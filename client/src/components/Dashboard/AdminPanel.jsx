@@ -1,22 +1,42 @@
 import { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { reportsApi, alertsApi, analyticsApi, usersApi } from '../../services/api';
+import { reportsApi, alertsApi, analyticsApi, slaPoliciesApi, verificationsApi } from '../../services/api';
+import { useCategories } from '../../hooks';
+import CategoryManager from './CategoryManager';
+import VerificationPolicyManager from './VerificationPolicyManager';
+import UserManager from './UserManager';
+import AuditLogViewer from './AuditLogViewer';
+import VoteReviewQueue from './VoteReviewQueue';
+import ResponderApplicationQueue from './ResponderApplicationQueue';
 import AlertForm from '../Forms/AlertForm';
 
 const AdminPanel = () => {
-  const { user, isAdmin, isSuperAdmin } = useAuth();
+  const { user, isAdmin } = useAuth();
   
   const [activeTab, setActiveTab] = useState('overview');
   const [stats, setStats] = useState(null);
   const [pendingReports, setPendingReports] = useState([]);
   const [allReports, setAllReports] = useState([]);
   const [recentAlerts, setRecentAlerts] = useState([]);
-  const [users, setUsers] = useState([]);
+  const [pendingAlerts, setPendingAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAlertForm, setShowAlertForm] = useState(false);
   const [moderatingReport, setModeratingReport] = useState(null);
   const [moderationReason, setModerationReason] = useState('');
+  const [mergingReport, setMergingReport] = useState(null);
+  const [duplicateCandidates, setDuplicateCandidates] = useState([]);
+  const [selectedDuplicates, setSelectedDuplicates] = useState([]);
+  const { categories } = useCategories();
+  const [quarantinedVoteCount, setQuarantinedVoteCount] = useState(0);
+  const [responderApplicationCount, setResponderApplicationCount] = useState(0);
+  const [slaPolicies, setSlaPolicies] = useState([]);
+  const [newSlaPolicy, setNewSlaPolicy] = useState({
+    name: '',
+    category: '',
+    severity: '',
+    acknowledgeWithinMinutes: 15,
+  });
   
   // Report filters
   const [reportFilters, setReportFilters] = useState({
@@ -25,10 +45,6 @@ const AdminPanel = () => {
     startDate: '',
     endDate: '',
   });
-  
-  // User management
-  const [selectedUser, setSelectedUser] = useState(null);
-  const [userAction, setUserAction] = useState(null);
 
   useEffect(() => {
     fetchAdminData();
@@ -41,6 +57,15 @@ const AdminPanel = () => {
     }
   }, [reportFilters, activeTab]);
 
+  // Fetch SLA policies when the tab opens
+  useEffect(() => {
+    if (activeTab === 'sla') {
+      slaPoliciesApi.getAll()
+        .then((res) => setSlaPolicies(res.data.data || []))
+        .catch((error) => console.error('Failed to fetch SLA policies:', error));
+    }
+  }, [activeTab]);
+
   const fetchAdminData = async () => {
     setLoading(true);
     try {
@@ -65,15 +90,17 @@ const AdminPanel = () => {
       const alertsRes = await alertsApi.getAll({ limit: 5, sort: '-createdAt', includeAll: true });
       setRecentAlerts(alertsRes.data.data || []);
 
-      // Fetch users if super admin
-      if (isSuperAdmin) {
-        try {
-          const usersRes = await usersApi.getAll({ limit: 50 });
-          setUsers(usersRes.data.data || []);
-        } catch (err) {
-          console.log('Users API not available');
-        }
-      }
+      // Fetch alerts awaiting a second admin's approval
+      const approvalRes = await alertsApi.getPendingApproval().catch(() => ({ data: { data: [] } }));
+      setPendingAlerts(approvalRes.data.data || []);
+
+      // Count verification votes waiting for review
+      const quarantinedRes = await reportsApi.getQuarantinedVotes({ limit: 1 }).catch(() => null);
+      setQuarantinedVoteCount(quarantinedRes?.data.pagination?.total || 0);
+
+      // Count responder applications waiting for review - admins only, so a 403 just leaves it at 0
+      const applicationsRes = await verificationsApi.getResponderApplications({ limit: 1 }).catch(() => null);
+      setResponderApplicationCount(applicationsRes?.data.pagination?.total || 0);
     } catch (error) {
       console.error('Failed to fetch admin data:', error);
     } finally {
@@ -122,30 +149,99 @@ const AdminPanel = () => {
     }
   };
 
-  const handleUserAction = async (userId, action) => {
+  const openMergeDialog = async (report) => {
+    setMergingReport(report);
+    setDuplicateCandidates([]);
+    setSelectedDuplicates([]);
     try {
-      switch (action) {
-        case 'promote':
-          await usersApi.updateRole(userId, 'alert');
-          break;
-        case 'demote':
-          await usersApi.updateRole(userId, 'user');
-          break;
-        case 'ban':
-          await usersApi.ban(userId);
-          break;
-        case 'unban':
-          await usersApi.unban(userId);
-          break;
-      }
-      // Refresh users
-      const usersRes = await usersApi.getAll({ limit: 50 });
-      setUsers(usersRes.data.data || []);
-      setSelectedUser(null);
-      setUserAction(null);
+      const res = await reportsApi.getDuplicates(report._id);
+      const candidates = res.data.data || [];
+      setDuplicateCandidates(candidates);
+      // Preselect the strong matches
+      setSelectedDuplicates(candidates.filter((c) => c.score >= 0.65).map((c) => c.report._id));
     } catch (error) {
-      console.error('User action failed:', error);
-      alert('Failed to perform action');
+      console.error('Failed to fetch duplicates:', error);
+    }
+  };
+
+  const toggleDuplicate = (reportId) => {
+    setSelectedDuplicates((prev) =>
+      prev.includes(reportId) ? prev.filter((id) => id !== reportId) : [...prev, reportId]
+    );
+  };
+
+  const handleMergeReports = async () => {
+    try {
+      await reportsApi.merge(mergingReport._id, selectedDuplicates);
+      setAllReports((prev) => prev.map((r) => {
+        if (selectedDuplicates.includes(r._id)) return { ...r, status: 'duplicate' };
+        if (r._id === mergingReport._id) return { ...r, duplicateMatches: [] };
+        return r;
+      }));
+      setPendingReports((prev) => prev.filter((r) => !selectedDuplicates.includes(r._id)));
+      setMergingReport(null);
+    } catch (error) {
+      console.error('Merge failed:', error);
+      alert(error.response?.data?.message || 'Failed to merge reports');
+    }
+  };
+
+  const handleApproveAlert = async (alertId) => {
+    try {
+      await alertsApi.approve(alertId);
+      setPendingAlerts((prev) => prev.filter((a) => a._id !== alertId));
+      fetchAdminData();
+    } catch (error) {
+      console.error('Approval failed:', error);
+      alert(error.response?.data?.message || 'Failed to approve alert');
+    }
+  };
+
+  const handleRejectAlert = async (alertId) => {
+    const reason = prompt('Reason for rejection:');
+    if (!reason) return;
+    try {
+      await alertsApi.reject(alertId, reason);
+      setPendingAlerts((prev) => prev.filter((a) => a._id !== alertId));
+    } catch (error) {
+      console.error('Rejection failed:', error);
+      alert(error.response?.data?.message || 'Failed to reject alert');
+    }
+  };
+
+  const handleCreateSlaPolicy = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await slaPoliciesApi.create({
+        ...newSlaPolicy,
+        acknowledgeWithinMinutes: parseInt(newSlaPolicy.acknowledgeWithinMinutes, 10),
+      });
+      setSlaPolicies((prev) => [...prev, res.data.data]);
+      setNewSlaPolicy({ name: '', category: '', severity: '', acknowledgeWithinMinutes: 15 });
+    } catch (error) {
+      console.error('Failed to create SLA policy:', error);
+      alert(error.response?.data?.message || 'Failed to create SLA policy');
+    }
+  };
+
+  const handleToggleSlaPolicy = async (policy) => {
+    try {
+      const res = await slaPoliciesApi.update(policy._id, { isActive: !policy.isActive });
+      setSlaPolicies((prev) => prev.map((p) => (p._id === policy._id ? res.data.data : p)));
+    } catch (error) {
+      console.error('Failed to update SLA policy:', error);
+      alert(error.response?.data?.message || 'Failed to update SLA policy');
+    }
+  };
+
+  const handleDeleteSlaPolicy = async (policyId) => {
+    if (!confirm('Delete this SLA policy?')) return;
+    try {
+      await slaPoliciesApi.delete(policyId);
+      setSlaPolicies((prev) => prev.filter((p) => p._id !== policyId));
+    } catch (error) {
+      console.error('Failed to delete SLA policy:', error);
+      alert(error.response?.data?.message || 'Failed to delete SLA policy');
     }
   };
 
@@ -172,6 +268,8 @@ const AdminPanel = () => {
       rejected: 'bg-red-100 text-red-800',
       dismissed: 'bg-gray-100 text-gray-600',
       flagged: 'bg-orange-100 text-orange-800',
+      duplicate: 'bg-purple-100 text-purple-800',
+      escalated: 'bg-red-200 text-red-900',
     };
     return colors[status] || 'bg-gray-100 text-gray-600';
   };
@@ -189,8 +287,15 @@ const AdminPanel = () => {
     { id: 'reports', label: 'All Reports', icon: '📝' },
     { id: 'pending', label: 'Pending', icon: '⏳', count: pendingReports.length },
     { id: 'alerts', label: 'Alerts', icon: '🚨' },
-    { id: 'users', label: 'Users', icon: '👥', show: isSuperAdmin },
+    { id: 'approvals', label: 'Approvals', icon: '🛂', count: pendingAlerts.length },
+    { id: 'votes', label: 'Vote Review', icon: '🚩', count: quarantinedVoteCount },
+    { id: 'users', label: 'Users', icon: '👥', show: isAdmin },
+    { id: 'applications', label: 'Responders', icon: '🪪', count: responderApplicationCount, show: isAdmin },
     { id: 'analytics', label: 'Analytics', icon: '📈' },
+    { id: 'sla', label: 'SLA', icon: '⏱️', show: isAdmin },
+    { id: 'categories', label: 'Categories', icon: '🗂️', show: isAdmin },
+    { id: 'verification', label: 'Verification', icon: '✅', show: isAdmin },
+    { id: 'audit', label: 'Audit Log', icon: '📜', show: isAdmin },
   ].filter((tab) => tab.show !== false);
 
   // Calculate analytics cards data
@@ -200,6 +305,7 @@ const AdminPanel = () => {
     : 0;
   const activeUsersCount = stats?.population?.activeUsers || stats?.population?.population || 0;
   const avgResponseTime = stats?.reports?.resolution?.avgResolutionTimeHours?.toFixed(1) || 'N/A';
+  const firstAction = stats?.reports?.sla?.timeToFirstActionMinutes;
 
   return (
     <div className="space-y-6">
@@ -403,6 +509,7 @@ const AdminPanel = () => {
                       <option value="verified">Verified</option>
                       <option value="rejected">Rejected</option>
                       <option value="flagged">Flagged</option>
+                      <option value="duplicate">Duplicate</option>
                     </select>
                   </div>
                   
@@ -414,14 +521,9 @@ const AdminPanel = () => {
                       className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-red-500"
                     >
                       <option value="all">All Categories</option>
-                      <option value="accident">Accident</option>
-                      <option value="fire">Fire</option>
-                      <option value="crime">Crime</option>
-                      <option value="medical">Medical</option>
-                      <option value="natural_disaster">Natural Disaster</option>
-                      <option value="infrastructure">Infrastructure</option>
-                      <option value="traffic">Traffic</option>
-                      <option value="other">Other</option>
+                      {categories.map((category) => (
+                        <option key={category.key} value={category.key}>{category.name}</option>
+                      ))}
                     </select>
                   </div>
 
@@ -488,6 +590,11 @@ const AdminPanel = () => {
                                 🛡️ Admin
                               </span>
                             )}
+                            {report.status !== 'duplicate' && report.duplicateMatches?.length > 0 && (
+                              <span className="text-xs px-2 py-1 rounded bg-purple-100 text-purple-800">
+                                🔁 {report.duplicateMatches.length} possible duplicate{report.duplicateMatches.length > 1 ? 's' : ''}
+                              </span>
+                            )}
                           </div>
                         </td>
                         <td className="px-4 py-3 text-xs text-gray-500">
@@ -518,6 +625,15 @@ const AdminPanel = () => {
                             >
                               🚩
                             </button>
+                            {report.status !== 'duplicate' && (
+                              <button
+                                onClick={() => openMergeDialog(report)}
+                                className="p-1 text-purple-600 hover:bg-purple-50 rounded"
+                                title="Merge duplicates into this report"
+                              >
+                                🔁
+                              </button>
+                            )}
                           </div>
                         </td>
                       </tr>
@@ -627,7 +743,9 @@ const AdminPanel = () => {
                       <div className="flex gap-2">
                         <button
                           onClick={async () => {
-                            await alertsApi.resolve(alert._id);
+                            const summary = prompt('Resolution summary (optional):');
+                            if (summary === null) return;
+                            await alertsApi.resolve(alert._id, summary);
                             fetchAdminData();
                           }}
                           className="px-3 py-2 bg-green-100 text-green-700 rounded text-sm hover:bg-green-200 min-h-[44px]"
@@ -654,100 +772,222 @@ const AdminPanel = () => {
             </div>
           )}
 
-          {/* Users Tab (Super Admin Only) */}
-          {activeTab === 'users' && isSuperAdmin && (
+          {/* Alert Approval Queue Tab */}
+          {activeTab === 'approvals' && (
             <div className="space-y-4">
-              <h3 className="text-lg font-semibold">User Management</h3>
-              
+              <h3 className="text-lg font-semibold">Alerts Awaiting Approval</h3>
+              {pendingAlerts.length > 0 ? (
+                pendingAlerts.map((pending) => {
+                  const isOwnAlert = String(pending.createdBy?._id || pending.createdBy) === String(user?._id || user?.id);
+                  return (
+                    <div key={pending._id} className="border rounded-xl p-4">
+                      <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+                        <div className="flex-1">
+                          <div className="flex flex-wrap items-center gap-2">
+                            <span className={`px-2 py-0.5 rounded text-xs font-medium text-white ${
+                              pending.severity === 'extreme' ? 'bg-purple-700' : 'bg-red-600'
+                            }`}>
+                              {pending.severity}
+                            </span>
+                            <span className="px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800">
+                              pending approval
+                            </span>
+                          </div>
+                          <h4 className="font-semibold mt-2">{pending.title}</h4>
+                          <p className="text-gray-600 mt-1 text-sm line-clamp-2">{pending.description}</p>
+                          <div className="flex flex-wrap items-center gap-3 mt-2 text-xs text-gray-500">
+                            <span>
+                              👤 {pending.createdBy?.firstName} {pending.createdBy?.lastName}
+                            </span>
+                            <span>🕐 {formatDate(pending.approval?.requestedAt || pending.createdAt)}</span>
+                          </div>
+                          {isOwnAlert && (
+                            <p className="text-xs text-orange-600 mt-2">
+                              You created this alert. Another admin must approve it.
+                            </p>
+                          )}
+                        </div>
+
+                        <div className="flex md:flex-col gap-2">
+                          <button
+                            onClick={() => handleApproveAlert(pending._id)}
+                            disabled={isOwnAlert}
+                            className="flex-1 md:flex-none px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm font-medium min-h-[44px] disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            ✓ Approve & Broadcast
+                          </button>
+                          <button
+                            onClick={() => handleRejectAlert(pending._id)}
+                            disabled={isOwnAlert}
+                            className="flex-1 md:flex-none px-4 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 text-sm font-medium min-h-[44px] disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            ✕ Reject
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })
+              ) : (
+                <div className="text-center py-12">
+                  <span className="text-5xl">✅</span>
+                  <h3 className="text-xl font-semibold mt-4">All caught up!</h3>
+                  <p className="text-gray-500">No alerts awaiting approval</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Users Tab (Admin Only) */}
+          {activeTab === 'users' && isAdmin && <UserManager />}
+
+          {/* Responder Applications Tab (Admin Only) */}
+          {activeTab === 'applications' && isAdmin && (
+            <ResponderApplicationQueue onCountChange={setResponderApplicationCount} />
+          )}
+
+          {/* SLA Tab (Admin Only) */}
+          {activeTab === 'sla' && isAdmin && (
+            <div className="space-y-6">
+              {/* SLA performance */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div className="border rounded-xl p-4">
+                  <p className="text-xs text-gray-500">SLA Breaches</p>
+                  <p className="text-2xl font-bold text-red-600">{stats?.reports?.sla?.breaches ?? 0}</p>
+                </div>
+                {['p50', 'p90', 'p95'].map((key) => (
+                  <div key={key} className="border rounded-xl p-4">
+                    <p className="text-xs text-gray-500">First action {key}</p>
+                    <p className="text-2xl font-bold">
+                      {firstAction?.[key] != null ? `${firstAction[key]} min` : 'N/A'}
+                    </p>
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <h3 className="text-lg font-semibold">SLA Policies</h3>
+                <p className="text-sm text-gray-500">
+                  Reports with no staff action within the window are escalated and admins are notified.
+                  The most specific matching policy applies.
+                </p>
+              </div>
+
+              <form onSubmit={handleCreateSlaPolicy} className="flex flex-wrap gap-3 items-end bg-gray-50 p-4 rounded-lg">
+                <div className="flex-1 min-w-[150px]">
+                  <label className="block text-xs font-medium text-gray-600 mb-1">Name</label>
+                  <input
+                    type="text"
+                    required
+                    value={newSlaPolicy.name}
+                    onChange={(e) => setNewSlaPolicy((p) => ({ ...p, name: e.target.value }))}
+                    placeholder="Critical fire"
+                    className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-red-500"
+                  />
+                </div>
+                <div className="min-w-[140px]">
+                  <label className="block text-xs font-medium text-gray-600 mb-1">Category</label>
+                  <select
+                    value={newSlaPolicy.category}
+                    onChange={(e) => setNewSlaPolicy((p) => ({ ...p, category: e.target.value }))}
+                    className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-red-500"
+                  >
+                    <option value="">Any category</option>
+                    {categories.map((category) => (
+                      <option key={category.key} value={category.key}>{category.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="min-w-[120px]">
+                  <label className="block text-xs font-medium text-gray-600 mb-1">Severity</label>
+                  <select
+                    value={newSlaPolicy.severity}
+                    onChange={(e) => setNewSlaPolicy((p) => ({ ...p, severity: e.target.value }))}
+                    className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-red-500"
+                  >
+                    <option value="">Any severity</option>
+                    <option value="critical">Critical</option>
+                    <option value="high">High</option>
+                    <option value="medium">Medium</option>
+                    <option value="low">Low</option>
+                  </select>
+                </div>
+                <div className="w-32">
+                  <label className="block text-xs font-medium text-gray-600 mb-1">Minutes</label>
+                  <input
+                    type="number"
+                    min="1"
+                    required
+                    value={newSlaPolicy.acknowledgeWithinMinutes}
+                    onChange={(e) => setNewSlaPolicy((p) => ({ ...p, acknowledgeWithinMinutes: e.target.value }))}
+                    className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-red-500"
+                  />
+                </div>
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm font-medium"
+                >
+                  + Add Policy
+                </button>
+              </form>
+
               <div className="overflow-x-auto">
                 <table className="w-full min-w-[500px]">
                   <thead className="bg-gray-50">
                     <tr>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Joined</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Policy</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Applies To</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Acknowledge Within</th>
                       <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
                     </tr>
                   </thead>
                   <tbody className="divide-y">
-                    {users.map((u) => (
-                      <tr key={u._id} className="hover:bg-gray-50">
-                        <td className="px-4 py-3">
-                          <p className="font-medium text-sm">{u.name}</p>
-                          <p className="text-xs text-gray-500">{u.email}</p>
-                        </td>
-                        <td className="px-4 py-3">
-                          <span className={`text-xs px-2 py-1 rounded ${
-                            u.role === 'super_admin' ? 'bg-purple-100 text-purple-800' :
-                            u.role === 'admin' ? 'bg-red-100 text-red-800' :
-                            u.role === 'alert' || u.role === 'responder' ? 'bg-blue-100 text-blue-800' :
-                            'bg-gray-100 text-gray-800'
-                          }`}>
-                            {u.role}
-                          </span>
-                        </td>
-                        <td className="px-4 py-3">
-                          <span className={`text-xs px-2 py-1 rounded ${
-                            u.isBanned ? 'bg-red-100 text-red-800' :
-                            u.isActive ? 'bg-green-100 text-green-800' :
-                            'bg-gray-100 text-gray-800'
-                          }`}>
-                            {u.isBanned ? 'Banned' : u.isActive ? 'Active' : 'Inactive'}
-                          </span>
-                        </td>
-                        <td className="px-4 py-3 text-xs text-gray-500">
-                          {formatDate(u.createdAt)}
+                    {slaPolicies.map((policy) => (
+                      <tr key={policy._id} className={policy.isActive ? 'hover:bg-gray-50' : 'bg-gray-50 text-gray-400'}>
+                        <td className="px-4 py-3 text-sm font-medium">{policy.name}</td>
+                        <td className="px-4 py-3 text-sm capitalize">
+                          {policy.severity || 'any'} · {(policy.category || 'any category').replace('_', ' ')}
                         </td>
+                        <td className="px-4 py-3 text-sm">{policy.acknowledgeWithinMinutes} min</td>
                         <td className="px-4 py-3">
                           <div className="flex gap-1">
-                            {u.role === 'user' && (
-                              <button
-                                onClick={() => handleUserAction(u._id, 'promote')}
-                                className="px-2 py-1 text-xs bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
-                                title="Promote to Alert role"
-                              >
-                                ↑ Promote
-                              </button>
-                            )}
-                            {(u.role === 'alert' || u.role === 'responder') && (
-                              <button
-                                onClick={() => handleUserAction(u._id, 'demote')}
-                                className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
-                                title="Demote to User"
-                              >
-                                ↓ Demote
-                              </button>
-                            )}
-                            {!u.isBanned && u.role !== 'super_admin' && (
-                              <button
-                                onClick={() => handleUserAction(u._id, 'ban')}
-                                className="px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200"
-                              >
-                                Ban
-                              </button>
-                            )}
-                            {u.isBanned && (
-                              <button
-                                onClick={() => handleUserAction(u._id, 'unban')}
-                                className="px-2 py-1 text-xs bg-green-100 text-green-700 rounded hover:bg-green-200"
-                              >
-                                Unban
-                              </button>
-                            )}
+                            <button
+                              onClick={() => handleToggleSlaPolicy(policy)}
+                              className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                            >
+                              {policy.isActive ? 'Pause' : 'Enable'}
+                            </button>
+                            <button
+                              onClick={() => handleDeleteSlaPolicy(policy._id)}
+                              className="px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200"
+                            >
+                              Delete
+                            </button>
                           </div>
                         </td>
                       </tr>
                     ))}
                   </tbody>
                 </table>
-                {users.length === 0 && (
-                  <p className="text-center py-8 text-gray-500">No users found</p>
+                {slaPolicies.length === 0 && (
+                  <p className="text-center py-8 text-gray-500">No SLA policies yet - reports are never escalated automatically</p>
                 )}
               </div>
             </div>
           )}
 
+          {/* Vote Review Tab */}
+          {activeTab === 'votes' && <VoteReviewQueue onCountChange={setQuarantinedVoteCount} />}
+
+          {/* Categories Tab (Admin Only) */}
+          {activeTab === 'categories' && isAdmin && <CategoryManager />}
+
+          {/* Verification Tab (Admin Only) */}
+          {activeTab === 'verification' && isAdmin && <VerificationPolicyManager />}
+
+          {/* Audit Log Tab (Admin Only) */}
+          {activeTab === 'audit' && isAdmin && <AuditLogViewer />}
+
           {/* Analytics Tab */}
           {activeTab === 'analytics' && (
             <div className="space-y-6">
@@ -880,6 +1120,56 @@ const AdminPanel = () => {
           </div>
         </div>
       )}
+
+      {/* Merge duplicates modal */}
+      {mergingReport && (
+        <div className="fixed inset-0 z-50 bg-black bg-opacity-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-xl p-6 max-w-lg w-full">
+            <h3 className="text-lg font-semibold">Merge Duplicates</h3>
+            <p className="text-gray-500 text-sm mt-1">
+              Media, votes and updates from the selected reports move into "{mergingReport.title}".
+              The selected reports are marked as duplicates.
+            </p>
+            <div className="mt-4 max-h-72 overflow-y-auto divide-y border rounded-lg">
+              {duplicateCandidates.map(({ report, score, distanceMeters }) => (
+                <label key={report._id} className="flex items-start gap-3 p-3 hover:bg-gray-50 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={selectedDuplicates.includes(report._id)}
+                    onChange={() => toggleDuplicate(report._id)}
+                    className="mt-1"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-sm truncate">{report.title}</p>
+                    <p className="text-xs text-gray-500">
+                      {Math.round(score * 100)}% match · {distanceMeters}m away · {formatDate(report.createdAt)}
+                      {report.media?.length > 0 && ` · ${report.media.length} media`}
+                    </p>
+                  </div>
+                </label>
+              ))}
+              {duplicateCandidates.length === 0 && (
+                <p className="text-center py-6 text-sm text-gray-500">No likely duplicates found nearby</p>
+              )}
+            </div>
+            <div className="flex justify-end gap-2 mt-4">
+              <button
+                onClick={() => setMergingReport(null)}
+                className="px-4 py-2 text-gray-600 hover:text-gray-800 min-h-[44px]"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleMergeReports}
+                disabled={selectedDuplicates.length === 0}
+                className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 min-h-[44px]"
+              >
+                Merge {selectedDuplicates.length || ''} Report{selectedDuplicates.length === 1 ? '' : 's'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -53,11 +53,20 @@ const AlertDashboard = () => {
       );
     });
 
+    const unsubscribeExpired = socketService.onAlertExpired(({ alertId }) => {
+      setAlerts((prev) =>
+        prev.map((a) =>
+          a._id === alertId ? { ...a, status: 'expired' } : a
+        )
+      );
+    });
+
     return () => {
       unsubscribeNew();
       unsubscribeUpdate();
       unsubscribeCancelled();
       unsubscribeResolved();
+      unsubscribeExpired();
     };
   }, []);
 
@@ -0,0 +1,195 @@
+import { useState, useEffect, useCallback } from 'react';
+import { MapContainer, TileLayer, CircleMarker, Popup } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { alertsApi } from '../../services/api';
+import socketService from '../../services/socket';
+
+const statusConfig = {
+  safe: { label: 'Safe', icon: '✅', color: 'bg-green-100 text-green-800' },
+  need_help: { label: 'Need Help', icon: '🆘', color: 'bg-red-100 text-red-800' },
+  not_affected: { label: 'Not Affected', icon: '👍', color: 'bg-blue-100 text-blue-800' },
+  acknowledged: { label: 'Acknowledged', icon: '👁️', color: 'bg-gray-100 text-gray-800' },
+  noResponse: { label: 'No Response', icon: '⏳', color: 'bg-yellow-100 text-yellow-800' },
+};
+
+const formatName = (user) =>
+  user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() || 'Unknown' : 'Unknown';
+
+/**
+ * Live roll-call for responders: who has checked in, who needs help, and who hasn't responded
+ */
+const AlertRollCall = ({ alert }) => {
+  const alertId = alert._id;
+  const [rollCall, setRollCall] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchRollCall = useCallback(async () => {
+    try {
+      const response = await alertsApi.getRollCall(alertId);
+      setRollCall(response.data.data);
+    } catch (err) {
+      console.error('Failed to fetch roll-call:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [alertId]);
+
+  useEffect(() => {
+    fetchRollCall();
+
+    const token = localStorage.getItem('token');
+    socketService.connect(token);
+    socketService.joinRollCall(alertId);
+
+    // Apply live updates without refetching the whole roll-call
+    const applyUpdate = (userId, counts, checkIn) => {
+      setRollCall((prev) => {
+        if (!prev) return prev;
+
+        const wasPending = prev.pending.users.some((u) => u._id === userId);
+        const checkIns = checkIn
+          ? [checkIn, ...prev.checkIns.filter((c) => (c.user?._id || c.user) !== userId)]
+          : prev.checkIns;
+
+        return {
+          ...prev,
+          counts: {
+            ...prev.counts,
+            ...counts,
+            noResponse: wasPending ? Math.max(0, prev.counts.noResponse - 1) : prev.counts.noResponse,
+          },
+          checkIns,
+          needHelp: checkIns.filter((c) => c.status === 'need_help'),
+          pending: {
+            total: wasPending ? Math.max(0, prev.pending.total - 1) : prev.pending.total,
+            users: prev.pending.users.filter((u) => u._id !== userId),
+          },
+        };
+      });
+    };
+
+    const unsubscribeAck = socketService.onAlertAcknowledged((data) => {
+      if (data.alertId !== alertId) return;
+      applyUpdate(data.user?._id, data.counts);
+    });
+
+    const unsubscribeCheckIn = socketService.onAlertCheckIn((data) => {
+      if (data.alertId !== alertId) return;
+      applyUpdate(data.checkIn?.user?._id, data.counts, data.checkIn);
+    });
+
+    return () => {
+      socketService.leaveRollCall(alertId);
+      unsubscribeAck();
+      unsubscribeCheckIn();
+    };
+  }, [alertId, fetchRollCall]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-4 border-red-600 border-r-transparent"></div>
+      </div>
+    );
+  }
+
+  if (!rollCall) return null;
+
+  const center = alert.targetArea?.coordinates?.length === 2
+    ? [alert.targetArea.coordinates[1], alert.targetArea.coordinates[0]]
+    : null;
+  const helpWithLocation = rollCall.needHelp.filter((c) => c.location?.coordinates?.length === 2);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Roll Call</h2>
+        <span className="text-xs text-gray-500">{rollCall.targeted} targeted</span>
+      </div>
+
+      {/* Counts by status */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+        {Object.entries(statusConfig).map(([key, config]) => (
+          <div key={key} className={`rounded-lg p-3 text-center ${config.color}`}>
+            <p className="text-2xl font-bold">{rollCall.counts[key] || 0}</p>
+            <p className="text-xs font-medium">{config.icon} {config.label}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Need help map */}
+      {center && helpWithLocation.length > 0 && (
+        <div className="h-64 rounded-lg overflow-hidden border">
+          <MapContainer center={center} zoom={13} className="h-full w-full">
+            <TileLayer
+              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            />
+            {helpWithLocation.map((checkIn) => (
+              <CircleMarker
+                key={checkIn._id}
+                center={[checkIn.location.coordinates[1], checkIn.location.coordinates[0]]}
+                radius={8}
+                pathOptions={{ color: '#dc2626', fillColor: '#dc2626', fillOpacity: 0.7 }}
+              >
+                <Popup>
+                  <p className="font-semibold">{formatName(checkIn.user)}</p>
+                  {checkIn.user?.phone && <p>{checkIn.user.phone}</p>}
+                  {checkIn.message && <p className="mt-1">{checkIn.message}</p>}
+                </Popup>
+              </CircleMarker>
+            ))}
+          </MapContainer>
+        </div>
+      )}
+
+      {/* Need help list */}
+      {rollCall.needHelp.length > 0 && (
+        <div>
+          <h3 className="font-medium text-red-800 mb-2">🆘 Need Help ({rollCall.needHelp.length})</h3>
+          <ul className="space-y-2">
+            {rollCall.needHelp.map((checkIn) => (
+              <li key={checkIn._id} className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm">
+                <div className="flex justify-between gap-2">
+                  <span className="font-medium">{formatName(checkIn.user)}</span>
+                  <span className="text-xs text-gray-500">
+                    {new Date(checkIn.checkedInAt).toLocaleTimeString()}
+                  </span>
+                </div>
+                {checkIn.user?.phone && <p className="text-gray-600">{checkIn.user.phone}</p>}
+                {checkIn.message && <p className="text-gray-700 mt-1">{checkIn.message}</p>}
+                {!checkIn.location && <p className="text-xs text-gray-400 mt-1">No location shared</p>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Targeted users who haven't responded */}
+      <div>
+        <h3 className="font-medium text-gray-900 mb-2">
+          ⏳ No Response ({rollCall.pending.total})
+        </h3>
+        {rollCall.pending.users.length > 0 ? (
+          <ul className="divide-y border rounded-lg max-h-64 overflow-y-auto text-sm">
+            {rollCall.pending.users.map((user) => (
+              <li key={user._id} className="px-3 py-2 flex justify-between">
+                <span>{formatName(user)}</span>
+                {user.phone && <span className="text-gray-500">{user.phone}</span>}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">Everyone targeted has responded.</p>
+        )}
+        {rollCall.pending.total > rollCall.pending.users.length && (
+          <p className="text-xs text-gray-400 mt-1">
+            Showing {rollCall.pending.users.length} of {rollCall.pending.total}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AlertRollCall;
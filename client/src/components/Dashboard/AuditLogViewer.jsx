@@ -0,0 +1,232 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { auditApi } from '../../services/api';
+
+const TARGET_TYPES = ['Report', 'Alert', 'User', 'ReportVerification', 'Session', 'Verification'];
+
+const PAGE_SIZE = 50;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Date inputs give a day; "to" should include the whole of it
+const toParams = (filters) => {
+  const params = {};
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params[key] = value;
+  });
+  if (params.to) params.to = `${params.to}T23:59:59.999`;
+  return params;
+};
+
+/**
+ * Admin audit log - search who did what and when, and export the results as CSV
+ */
+const AuditLogViewer = () => {
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState({ search: '', action: '', targetType: '', from: '', to: '' });
+  const [expandedId, setExpandedId] = useState(null);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      const res = await auditApi.getAll({ ...toParams(filters), page, limit: PAGE_SIZE });
+      setEntries(res.data.data || []);
+      setPagination(res.data.pagination || null);
+    } catch (error) {
+      console.error('Failed to fetch audit log:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, filters]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  useEffect(() => {
+    auditApi.getActions()
+      .then((res) => setActions(res.data.data || []))
+      .catch((error) => console.error('Failed to fetch audit actions:', error));
+  }, []);
+
+  const setFilter = (field) => (e) => {
+    setPage(1);
+    setFilters((prev) => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const res = await auditApi.export(toParams(filters));
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export audit log:', error);
+      alert('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Group actions by their prefix so a whole area can be picked at once
+  const actionGroups = [...new Set(actions.map((action) => action.split('.')[0]))];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-3">
+        <h3 className="text-lg font-semibold flex-1">Audit Log</h3>
+        <input
+          type="search"
+          value={filters.search}
+          onChange={setFilter('search')}
+          placeholder="Search actor, action, target or IP"
+          className="px-3 py-2 border rounded-lg text-sm min-w-[220px] focus:ring-2 focus:ring-red-500"
+        />
+        <select value={filters.action} onChange={setFilter('action')} className="px-3 py-2 border rounded-lg text-sm">
+          <option value="">All actions</option>
+          {actionGroups.map((group) => (
+            <optgroup key={group} label={group}>
+              <option value={`${group}.`}>All {group} actions</option>
+              {actions.filter((action) => action.startsWith(`${group}.`)).map((action) => (
+                <option key={action} value={action}>{action}</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        <select value={filters.targetType} onChange={setFilter('targetType')} className="px-3 py-2 border rounded-lg text-sm">
+          <option value="">All targets</option>
+          {TARGET_TYPES.map((type) => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <input type="date" value={filters.from} onChange={setFilter('from')} className="px-3 py-2 border rounded-lg text-sm" />
+        <input type="date" value={filters.to} onChange={setFilter('to')} className="px-3 py-2 border rounded-lg text-sm" />
+        <button
+          onClick={handleExport}
+          disabled={exporting}
+          className="px-4 py-2 bg-gray-800 text-white text-sm rounded-lg hover:bg-gray-900 disabled:opacity-50"
+        >
+          {exporting ? 'Exporting...' : 'Export CSV'}
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"></div>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full min-w-[700px]">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actor</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Target</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Changes</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {entries.map((entry) => (
+                <Fragment key={entry._id}>
+                  <tr
+                    className="hover:bg-gray-50 cursor-pointer"
+                    onClick={() => setExpandedId(expandedId === entry._id ? null : entry._id)}
+                  >
+                    <td className="px-4 py-3 text-xs text-gray-500 whitespace-nowrap">
+                      {new Date(entry.createdAt).toLocaleString()}
+                    </td>
+                    <td className="px-4 py-3">
+                      <p className="text-sm">
+                        {entry.actor ? `${entry.actor.firstName} ${entry.actor.lastName}` : entry.actorLabel || 'Anonymous'}
+                      </p>
+                      {entry.actorRole && <p className="text-xs text-gray-500">{entry.actorRole.replace('_', ' ')}</p>}
+                    </td>
+                    <td className="px-4 py-3 text-sm font-mono">{entry.action}</td>
+                    <td className="px-4 py-3">
+                      {entry.target?.type && (
+                        <>
+                          <p className="text-sm">{entry.target.label || entry.target.id}</p>
+                          <p className="text-xs text-gray-500">{entry.target.type}</p>
+                        </>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-xs text-gray-600">
+                      {entry.changes?.length > 0
+                        ? entry.changes.map((change) => change.field).join(', ')
+                        : '—'}
+                    </td>
+                  </tr>
+                  {expandedId === entry._id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={5} className="px-4 py-3 text-xs text-gray-600 space-y-2">
+                        {entry.changes?.length > 0 && (
+                          <ul className="space-y-1">
+                            {entry.changes.map((change) => (
+                              <li key={change.field}>
+                                <span className="font-medium">{change.field}</span>
+                                {': '}
+                                {formatValue(change.from)} → {formatValue(change.to)}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                        {entry.metadata && Object.keys(entry.metadata).length > 0 && (
+                          <pre className="whitespace-pre-wrap break-all">{JSON.stringify(entry.metadata, null, 2)}</pre>
+                        )}
+                        <p className="text-gray-400">
+                          {entry.ipAddress || 'Unknown IP'}
+                          {entry.userAgent && ` · ${entry.userAgent}`}
+                        </p>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+          {entries.length === 0 && (
+            <p className="text-center py-8 text-gray-500">No audit entries found</p>
+          )}
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-between text-sm text-gray-600">
+          <span>
+            Page {pagination.page} of {pagination.pages} · {pagination.total} entries
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage((p) => p - 1)}
+              disabled={page <= 1}
+              className="px-3 py-1 border rounded-lg disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage((p) => p + 1)}
+              disabled={!pagination.hasMore}
+              className="px-3 py-1 border rounded-lg disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogViewer;
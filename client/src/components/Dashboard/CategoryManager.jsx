@@ -0,0 +1,410 @@
+import { useState, useEffect, useCallback } from 'react';
+import { categoriesApi } from '../../services/api';
+import { useCategories } from '../../hooks';
+
+const ALERT_TYPES = [
+  'emergency', 'weather', 'traffic', 'crime', 'health', 'infrastructure',
+  'community', 'government', 'evacuation', 'shelter_in_place', 'other',
+];
+const ALERT_SEVERITIES = ['info', 'advisory', 'warning', 'critical', 'extreme'];
+const REPORT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const emptyForm = {
+  key: '',
+  name: '',
+  description: '',
+  icon: '📋',
+  color: '#6B7280',
+  subcategories: '',
+  defaultSeverity: 'medium',
+  alertType: 'community',
+  alertSeverity: 'advisory',
+  autoAlertEnabled: true,
+  radiusKm: 5,
+  durationHours: 24,
+  sortOrder: 100,
+};
+
+const toKey = (text) =>
+  text.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// Subcategories are edited as a comma-separated list of names
+const parseSubcategories = (text) =>
+  text
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name) => ({ key: toKey(name), name }));
+
+const toForm = (category) => ({
+  key: category.key,
+  name: category.name,
+  description: category.description || '',
+  icon: category.icon,
+  color: category.color,
+  subcategories: (category.subcategories || []).map((sub) => sub.name).join(', '),
+  defaultSeverity: category.defaultSeverity,
+  alertType: category.alertType,
+  alertSeverity: category.alertSeverity,
+  autoAlertEnabled: category.autoAlert?.enabled ?? true,
+  radiusKm: category.autoAlert?.radiusKm ?? 5,
+  durationHours: category.autoAlert?.durationHours ?? 24,
+  sortOrder: category.sortOrder ?? 100,
+});
+
+/**
+ * Admin management of report categories - what reporters can pick, how they
+ * show on the map, and the alert raised when a report is verified
+ */
+const CategoryManager = () => {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchCategories = useCallback(async () => {
+    try {
+      const res = await categoriesApi.getAll();
+      setCategories(res.data.data || []);
+    } catch (error) {
+      console.error('Failed to fetch categories:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  const setField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEdit = (category) => {
+    setEditingId(category._id);
+    setForm(toForm(category));
+    setShowForm(true);
+  };
+
+  // Reporters and map markers read the public list, so drop its cache after any change
+  const afterChange = () => {
+    useCategories.invalidate();
+    fetchCategories();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      name: form.name,
+      description: form.description,
+      icon: form.icon,
+      color: form.color,
+      subcategories: parseSubcategories(form.subcategories),
+      defaultSeverity: form.defaultSeverity,
+      alertType: form.alertType,
+      alertSeverity: form.alertSeverity,
+      autoAlert: {
+        enabled: form.autoAlertEnabled,
+        radiusKm: parseFloat(form.radiusKm),
+        durationHours: parseInt(form.durationHours, 10),
+      },
+      sortOrder: parseInt(form.sortOrder, 10),
+    };
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await categoriesApi.update(editingId, payload);
+      } else {
+        await categoriesApi.create({ ...payload, key: form.key || toKey(form.name) });
+      }
+      setShowForm(false);
+      afterChange();
+    } catch (error) {
+      console.error('Failed to save category:', error);
+      alert(error.response?.data?.message || 'Failed to save category');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (category) => {
+    try {
+      await categoriesApi.update(category._id, { isActive: !category.isActive });
+      afterChange();
+    } catch (error) {
+      console.error('Failed to update category:', error);
+      alert(error.response?.data?.message || 'Failed to update category');
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!confirm(`Delete the "${category.name}" category?`)) return;
+    try {
+      await categoriesApi.delete(category._id);
+      afterChange();
+    } catch (error) {
+      console.error('Failed to delete category:', error);
+      alert(error.response?.data?.message || 'Failed to delete category');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Report Categories</h3>
+          <p className="text-sm text-gray-500">
+            What reporters can choose, and the alert raised when a report is verified.
+          </p>
+        </div>
+        {!showForm && (
+          <button
+            onClick={openCreate}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm font-medium"
+          >
+            + New Category
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-3 bg-gray-50 p-4 rounded-lg">
+          <div className="md:col-span-2">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Name</label>
+            <input
+              type="text"
+              required
+              value={form.name}
+              onChange={setField('name')}
+              className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-red-500"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Key</label>
+            <input
+              type="text"
+              value={editingId ? form.key : form.key || toKey(form.name)}
+              onChange={setField('key')}
+              disabled={!!editingId}
+              className="w-full px-3 py-2 border rounded-lg text-sm font-mono disabled:bg-gray-100"
+            />
+          </div>
+          <div className="flex gap-2">
+            <div className="w-16">
+              <label className="block text-xs font-medium text-gray-600 mb-1">Icon</label>
+              <input
+                type="text"
+                value={form.icon}
+                onChange={setField('icon')}
+                className="w-full px-2 py-2 border rounded-lg text-sm text-center"
+              />
+            </div>
+            <div className="flex-1">
+              <label className="block text-xs font-medium text-gray-600 mb-1">Color</label>
+              <input
+                type="color"
+                value={form.color}
+                onChange={setField('color')}
+                className="w-full h-[38px] border rounded-lg"
+              />
+            </div>
+          </div>
+          <div className="md:col-span-4">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Description</label>
+            <input
+              type="text"
+              value={form.description}
+              onChange={setField('description')}
+              className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-red-500"
+            />
+          </div>
+          <div className="md:col-span-4">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Subcategories (comma separated)</label>
+            <input
+              type="text"
+              value={form.subcategories}
+              onChange={setField('subcategories')}
+              placeholder="House fire, Wildfire, Vehicle fire"
+              className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-red-500"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Default severity</label>
+            <select
+              value={form.defaultSeverity}
+              onChange={setField('defaultSeverity')}
+              className="w-full px-3 py-2 border rounded-lg text-sm capitalize"
+            >
+              {REPORT_SEVERITIES.map((s) => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Alert type</label>
+            <select
+              value={form.alertType}
+              onChange={setField('alertType')}
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            >
+              {ALERT_TYPES.map((t) => <option key={t} value={t}>{t.replace(/_/g, ' ')}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Alert severity</label>
+            <select
+              value={form.alertSeverity}
+              onChange={setField('alertSeverity')}
+              className="w-full px-3 py-2 border rounded-lg text-sm capitalize"
+            >
+              {ALERT_SEVERITIES.map((s) => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Sort order</label>
+            <input
+              type="number"
+              value={form.sortOrder}
+              onChange={setField('sortOrder')}
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700 md:col-span-2">
+            <input
+              type="checkbox"
+              checked={form.autoAlertEnabled}
+              onChange={setField('autoAlertEnabled')}
+              className="rounded text-red-600"
+            />
+            Raise an alert automatically when the community verifies a report
+          </label>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Alert radius (km)</label>
+            <input
+              type="number"
+              min="0.1"
+              step="0.1"
+              value={form.radiusKm}
+              onChange={setField('radiusKm')}
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Alert duration (hours)</label>
+            <input
+              type="number"
+              min="1"
+              value={form.durationHours}
+              onChange={setField('durationHours')}
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            />
+          </div>
+          <div className="md:col-span-4 flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 bg-white border rounded-lg text-sm hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm font-medium disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : editingId ? 'Save Category' : 'Create Category'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full min-w-[700px]">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Default Severity</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Alert</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reports</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {categories.map((category) => (
+              <tr key={category._id} className={category.isActive ? 'hover:bg-gray-50' : 'bg-gray-50 text-gray-400'}>
+                <td className="px-4 py-3">
+                  <div className="flex items-center gap-2">
+                    <span
+                      className="w-8 h-8 rounded-full flex items-center justify-center"
+                      style={{ backgroundColor: category.color }}
+                    >
+                      {category.icon}
+                    </span>
+                    <div>
+                      <p className="text-sm font-medium">{category.name}</p>
+                      <p className="text-xs text-gray-400 font-mono">{category.key}</p>
+                    </div>
+                  </div>
+                </td>
+                <td className="px-4 py-3 text-sm capitalize">{category.defaultSeverity}</td>
+                <td className="px-4 py-3 text-sm">
+                  <span className="capitalize">{category.alertType.replace(/_/g, ' ')}</span>
+                  <span className="text-gray-400"> · {category.alertSeverity}</span>
+                  <p className="text-xs text-gray-500">
+                    {category.autoAlert?.enabled
+                      ? `Auto · ${category.autoAlert.radiusKm} km · ${category.autoAlert.durationHours}h`
+                      : 'No auto alert'}
+                  </p>
+                </td>
+                <td className="px-4 py-3 text-sm">{category.reportCount}</td>
+                <td className="px-4 py-3">
+                  <div className="flex gap-1">
+                    <button
+                      onClick={() => openEdit(category)}
+                      className="px-2 py-1 text-xs bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleToggleActive(category)}
+                      className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                    >
+                      {category.isActive ? 'Deactivate' : 'Activate'}
+                    </button>
+                    {category.reportCount === 0 && (
+                      <button
+                        onClick={() => handleDelete(category)}
+                        className="px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CategoryManager;
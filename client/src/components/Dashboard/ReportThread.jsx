@@ -0,0 +1,218 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { reportsApi } from '../../services/api';
+import socketService from '../../services/socket';
+import { useAuth } from '../../context/AuthContext';
+import { notify } from '../Shared/Notification';
+
+const MAX_LENGTH = 1000;
+
+const formatName = (author) =>
+  author ? `${author.firstName || ''} ${author.lastName || ''}`.trim() || 'Unknown' : 'Anonymous';
+
+const formatTime = (date) =>
+  new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+/**
+ * Live comment thread for a report. Anyone signed in can comment or reply;
+ * responders and admins can also post official updates, which are highlighted.
+ */
+const ReportThread = ({ reportId }) => {
+  const { user, isAuthenticated, isAdmin, isResponder } = useAuth();
+  const [updates, setUpdates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [content, setContent] = useState('');
+  const [isOfficial, setIsOfficial] = useState(false);
+  const [replyTo, setReplyTo] = useState(null);
+  const [posting, setPosting] = useState(false);
+
+  const userId = user?._id || user?.id;
+
+  const fetchUpdates = useCallback(async () => {
+    try {
+      const response = await reportsApi.getUpdates(reportId);
+      setUpdates(response.data.data || []);
+    } catch (err) {
+      console.error('Failed to fetch report updates:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [reportId]);
+
+  useEffect(() => {
+    fetchUpdates();
+
+    const token = localStorage.getItem('token');
+    socketService.connect(token);
+    socketService.joinReport(reportId);
+
+    const unsubscribePosted = socketService.onReportUpdatePosted((data) => {
+      if (data.reportId !== reportId) return;
+      setUpdates((prev) =>
+        prev.some((u) => u._id === data.update._id) ? prev : [...prev, data.update]);
+    });
+
+    const unsubscribeDeleted = socketService.onReportUpdateDeleted((data) => {
+      if (data.reportId !== reportId) return;
+      setUpdates((prev) => prev.filter((u) => !data.updateIds.includes(u._id)));
+    });
+
+    return () => {
+      unsubscribePosted();
+      unsubscribeDeleted();
+      socketService.leaveReport(reportId);
+    };
+  }, [reportId, fetchUpdates]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+
+    try {
+      setPosting(true);
+      const response = await reportsApi.postUpdate(reportId, {
+        content: content.trim(),
+        isOfficial: isOfficial && !replyTo,
+        parent: replyTo?._id,
+      });
+      const posted = response.data.data;
+      setUpdates((prev) => (prev.some((u) => u._id === posted._id) ? prev : [...prev, posted]));
+      setContent('');
+      setIsOfficial(false);
+      setReplyTo(null);
+    } catch (err) {
+      notify.error(err.response?.data?.message || 'Failed to post comment');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const handleDelete = async (updateId) => {
+    if (!confirm('Delete this comment and its replies?')) return;
+    try {
+      const response = await reportsApi.deleteUpdate(reportId, updateId);
+      const removed = response.data.data.updateIds;
+      setUpdates((prev) => prev.filter((u) => !removed.includes(u._id)));
+    } catch (err) {
+      notify.error(err.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
+  const topLevel = updates.filter((u) => !u.parent);
+  const repliesFor = (parentId) => updates.filter((u) => u.parent === parentId);
+
+  const renderUpdate = (update, isReply = false) => {
+    const authorId = update.author?._id || update.author;
+    const canDelete = isAdmin || (authorId && authorId === userId);
+
+    return (
+      <div
+        key={update._id}
+        className={`p-3 rounded-lg ${
+          update.isOfficial ? 'bg-blue-50 border border-blue-200' : 'bg-gray-50'
+        } ${isReply ? 'ml-8 mt-2' : ''}`}
+      >
+        <div className="flex items-center gap-2 text-sm">
+          <span className="font-medium text-gray-900">{formatName(update.author)}</span>
+          {update.isOfficial && (
+            <span className="px-2 py-0.5 text-xs rounded-full bg-blue-600 text-white">Official update</span>
+          )}
+          <span className="text-gray-400">{formatTime(update.createdAt)}</span>
+        </div>
+        <p className="text-gray-700 mt-1 whitespace-pre-wrap">{update.content}</p>
+        <div className="flex gap-3 mt-1 text-xs">
+          {!isReply && isAuthenticated && (
+            <button onClick={() => setReplyTo(update)} className="text-gray-500 hover:text-gray-800">
+              Reply
+            </button>
+          )}
+          {canDelete && (
+            <button onClick={() => handleDelete(update._id)} className="text-red-500 hover:text-red-700">
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="border-t pt-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">
+        Updates &amp; Comments {updates.length > 0 && <span className="text-gray-400">({updates.length})</span>}
+      </h3>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-4 border-red-600 border-r-transparent"></div>
+        </div>
+      ) : topLevel.length === 0 ? (
+        <p className="text-sm text-gray-500">No updates yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {topLevel.map((update) => (
+            <div key={update._id}>
+              {renderUpdate(update)}
+              {repliesFor(update._id).map((reply) => renderUpdate(reply, true))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {isAuthenticated ? (
+        <form onSubmit={handleSubmit} className="mt-4 space-y-2">
+          {replyTo && (
+            <div className="flex items-center justify-between text-sm text-gray-600 bg-gray-50 px-3 py-2 rounded">
+              <span>Replying to {formatName(replyTo.author)}</span>
+              <button type="button" onClick={() => setReplyTo(null)} className="text-gray-500 hover:text-gray-800">
+                Cancel
+              </button>
+            </div>
+          )}
+          <textarea
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            maxLength={MAX_LENGTH}
+            rows={3}
+            placeholder={replyTo ? 'Write a reply...' : 'Share what you know about this report...'}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+          />
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-4 text-sm text-gray-500">
+              <span>{content.length}/{MAX_LENGTH}</span>
+              {(isAdmin || isResponder) && !replyTo && (
+                <label className="flex items-center gap-2 cursor-pointer text-blue-700">
+                  <input
+                    type="checkbox"
+                    checked={isOfficial}
+                    onChange={() => setIsOfficial((prev) => !prev)}
+                    className="rounded text-blue-600"
+                  />
+                  Post as official update
+                </label>
+              )}
+            </div>
+            <button
+              type="submit"
+              disabled={posting || content.trim().length < 2}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              {posting ? 'Posting...' : replyTo ? 'Reply' : 'Post'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <p className="mt-4 text-sm text-gray-500 text-center">
+          <Link to="/login" className="text-red-600 hover:underline">Login</Link> to join the discussion
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ReportThread;
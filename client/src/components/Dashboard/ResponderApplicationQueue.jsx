@@ -0,0 +1,209 @@
+import { useState, useEffect, useCallback } from 'react';
+import { verificationsApi } from '../../services/api';
+
+const AGENCY_TYPE_LABELS = {
+  fire_department: 'Fire department',
+  law_enforcement: 'Law enforcement',
+  medical: 'Medical / EMS',
+  government: 'Government agency',
+  ngo: 'NGO / relief organization',
+  other: 'Other',
+};
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  expired: 'bg-gray-100 text-gray-800',
+};
+
+/**
+ * Admin queue of responder applications - check the applicant's agency details
+ * and documents, then approve (making them a responder) or reject with notes
+ */
+const ResponderApplicationQueue = ({ onCountChange }) => {
+  const [applications, setApplications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('pending');
+  const [notes, setNotes] = useState({});
+  const [reviewing, setReviewing] = useState(null);
+
+  const fetchApplications = useCallback(async () => {
+    try {
+      const res = await verificationsApi.getResponderApplications({ status, limit: 50 });
+      setApplications(res.data.data || []);
+      if (status === 'pending') onCountChange?.(res.data.pagination?.total || 0);
+    } catch (error) {
+      console.error('Failed to fetch responder applications:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, onCountChange]);
+
+  useEffect(() => {
+    fetchApplications();
+  }, [fetchApplications]);
+
+  const handleReview = async (application, action) => {
+    let rejectionReason;
+    if (action === 'reject') {
+      rejectionReason = prompt('Reason for rejecting (shared with the applicant):');
+      if (rejectionReason === null) return;
+    } else if (!confirm(`Make ${application.user?.firstName} ${application.user?.lastName} a responder?`)) {
+      return;
+    }
+
+    try {
+      setReviewing(application._id);
+      await verificationsApi.reviewResponderApplication(application._id, {
+        action,
+        notes: notes[application._id] || undefined,
+        rejectionReason: rejectionReason || undefined,
+      });
+      fetchApplications();
+    } catch (error) {
+      console.error('Failed to review responder application:', error);
+      alert(error.response?.data?.message || 'Failed to review application');
+    } finally {
+      setReviewing(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold">Responder Applications</h3>
+        <select
+          value={status}
+          onChange={(e) => {
+            setLoading(true);
+            setStatus(e.target.value);
+          }}
+          className="px-3 py-2 border rounded-lg text-sm"
+        >
+          <option value="pending">Pending</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+          <option value="all">All</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"></div>
+        </div>
+      ) : applications.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <p className="text-4xl mb-2">🪪</p>
+          <p>No {status === 'all' ? '' : `${status} `}applications</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {applications.map((application) => (
+            <div key={application._id} className="p-4 border rounded-lg space-y-3">
+              <div className="flex flex-wrap items-start justify-between gap-2">
+                <div>
+                  <p className="font-medium">
+                    {application.user ? `${application.user.firstName} ${application.user.lastName}` : 'Deleted user'}
+                  </p>
+                  {application.user && (
+                    <p className="text-xs text-gray-500">
+                      {application.user.email}
+                      {application.user.phone && ` · ${application.user.phone}`}
+                      {' · joined '}{new Date(application.user.createdAt).toLocaleDateString()}
+                      {!application.user.isVerified && ' · email unverified'}
+                    </p>
+                  )}
+                </div>
+                <div className="text-right">
+                  <span className={`text-xs px-2 py-1 rounded ${STATUS_STYLES[application.status]}`}>
+                    {application.status}
+                  </span>
+                  <p className="text-xs text-gray-400 mt-1">
+                    Applied {new Date(application.createdAt).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+
+              <dl className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                <div>
+                  <dt className="text-xs text-gray-500">Agency</dt>
+                  <dd>{application.data?.organization}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-gray-500">Type</dt>
+                  <dd>{AGENCY_TYPE_LABELS[application.data?.organizationType] || '—'}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-gray-500">Department</dt>
+                  <dd>{application.data?.department || '—'}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-gray-500">Badge / Employee ID</dt>
+                  <dd>{[application.data?.badge, application.data?.employeeId].filter(Boolean).join(' / ') || '—'}</dd>
+                </div>
+                {application.data?.supervisorName && (
+                  <div className="col-span-2 md:col-span-4">
+                    <dt className="text-xs text-gray-500">Supervisor</dt>
+                    <dd>
+                      {application.data.supervisorName}
+                      {application.data.supervisorEmail && ` · ${application.data.supervisorEmail}`}
+                      {application.data.supervisorPhone && ` · ${application.data.supervisorPhone}`}
+                    </dd>
+                  </div>
+                )}
+              </dl>
+
+              <div className="flex flex-wrap gap-2">
+                {application.data?.documents?.map((doc, index) => (
+                  <a key={doc.url} href={doc.url} target="_blank" rel="noopener noreferrer" title={doc.name}>
+                    <img
+                      src={doc.url}
+                      alt={doc.name || `Document ${index + 1}`}
+                      className="h-24 w-32 object-cover rounded border hover:opacity-80"
+                    />
+                  </a>
+                ))}
+              </div>
+
+              {application.status === 'pending' ? (
+                <div className="flex flex-wrap items-end gap-2">
+                  <textarea
+                    value={notes[application._id] || ''}
+                    onChange={(e) => setNotes((prev) => ({ ...prev, [application._id]: e.target.value }))}
+                    placeholder="Review notes (internal)"
+                    rows={2}
+                    className="flex-1 min-w-[200px] px-3 py-2 border rounded-lg text-sm"
+                  />
+                  <button
+                    onClick={() => handleReview(application, 'approve')}
+                    disabled={reviewing === application._id}
+                    className="px-3 py-2 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                  >
+                    Approve
+                  </button>
+                  <button
+                    onClick={() => handleReview(application, 'reject')}
+                    disabled={reviewing === application._id}
+                    className="px-3 py-2 text-sm bg-red-100 text-red-700 rounded-lg hover:bg-red-200 disabled:opacity-50"
+                  >
+                    Reject
+                  </button>
+                </div>
+              ) : (
+                <p className="text-xs text-gray-500">
+                  {application.reviewedBy && `Reviewed by ${application.reviewedBy.firstName} ${application.reviewedBy.lastName}`}
+                  {application.reviewedAt && ` on ${new Date(application.reviewedAt).toLocaleString()}`}
+                  {application.rejectionReason && ` · Reason: ${application.rejectionReason}`}
+                  {application.reviewNotes && ` · Notes: ${application.reviewNotes}`}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResponderApplicationQueue;
@@ -0,0 +1,301 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { usersApi } from '../../services/api';
+
+// Lowest to highest - mirrors ROLE_HIERARCHY on the server
+const ROLE_HIERARCHY = ['user', 'responder', 'admin', 'super_admin'];
+
+const ROLE_STYLES = {
+  super_admin: 'bg-purple-100 text-purple-800',
+  admin: 'bg-red-100 text-red-800',
+  responder: 'bg-blue-100 text-blue-800',
+  user: 'bg-gray-100 text-gray-800',
+};
+
+const ACTION_LABELS = {
+  role_change: 'Role changed',
+  ban: 'Banned',
+  unban: 'Unbanned',
+  delete: 'Deleted',
+};
+
+const PAGE_SIZE = 20;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '—');
+
+/**
+ * Admin user management - search and filter accounts, change roles up to
+ * your own, and ban, unban or delete users below you
+ */
+const UserManager = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState({ search: '', role: '', isVerified: '', status: '' });
+  const [expandedId, setExpandedId] = useState(null);
+  const [details, setDetails] = useState(null);
+
+  const currentUserId = currentUser?._id || currentUser?.id;
+  const myLevel = ROLE_HIERARCHY.indexOf(currentUser?.role);
+  const canManage = (u) => u._id !== currentUserId && ROLE_HIERARCHY.indexOf(u.role) < myLevel;
+  const assignableRoles = ROLE_HIERARCHY.slice(0, myLevel + 1);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const params = { page, limit: PAGE_SIZE };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const res = await usersApi.getAll(params);
+      setUsers(res.data.data || []);
+      setPagination(res.data.pagination || null);
+    } catch (error) {
+      console.error('Failed to fetch users:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, filters]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const setFilter = (field) => (e) => {
+    setPage(1);
+    setFilters((prev) => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const toggleDetails = async (u) => {
+    if (expandedId === u._id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(u._id);
+    setDetails(null);
+    try {
+      const res = await usersApi.getById(u._id);
+      setDetails(res.data.data);
+    } catch (error) {
+      console.error('Failed to fetch user:', error);
+    }
+  };
+
+  const runAction = async (request, failureMessage) => {
+    try {
+      await request();
+      setExpandedId(null);
+      fetchUsers();
+    } catch (error) {
+      console.error('User action failed:', error);
+      alert(error.response?.data?.message || failureMessage);
+    }
+  };
+
+  const handleRoleChange = (u, role) => {
+    if (role === u.role) return;
+    if (!confirm(`Change ${u.fullName} from ${u.role} to ${role}?`)) return;
+    runAction(() => usersApi.updateRole(u._id, role), 'Failed to change role');
+  };
+
+  const handleBan = (u) => {
+    const reason = prompt(`Why is ${u.fullName} being banned?`);
+    if (reason === null) return;
+    runAction(() => usersApi.ban(u._id, reason), 'Failed to ban user');
+  };
+
+  const handleUnban = (u) => {
+    runAction(() => usersApi.unban(u._id), 'Failed to unban user');
+  };
+
+  const handleDelete = (u) => {
+    if (!confirm(`Delete ${u.fullName}'s account? They will be signed out everywhere.`)) return;
+    runAction(() => usersApi.delete(u._id), 'Failed to delete user');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-3">
+        <h3 className="text-lg font-semibold flex-1">User Management</h3>
+        <input
+          type="search"
+          value={filters.search}
+          onChange={setFilter('search')}
+          placeholder="Search name, email or phone"
+          className="px-3 py-2 border rounded-lg text-sm min-w-[220px] focus:ring-2 focus:ring-red-500"
+        />
+        <select value={filters.role} onChange={setFilter('role')} className="px-3 py-2 border rounded-lg text-sm">
+          <option value="">All roles</option>
+          {ROLE_HIERARCHY.map((role) => (
+            <option key={role} value={role}>{role.replace('_', ' ')}</option>
+          ))}
+        </select>
+        <select value={filters.isVerified} onChange={setFilter('isVerified')} className="px-3 py-2 border rounded-lg text-sm">
+          <option value="">Any verification</option>
+          <option value="true">Verified</option>
+          <option value="false">Unverified</option>
+        </select>
+        <select value={filters.status} onChange={setFilter('status')} className="px-3 py-2 border rounded-lg text-sm">
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="inactive">Inactive</option>
+          <option value="banned">Banned</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"></div>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full min-w-[700px]">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Joined</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Login</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {users.map((u) => (
+                <Fragment key={u._id}>
+                  <tr className="hover:bg-gray-50">
+                    <td className="px-4 py-3">
+                      <button onClick={() => toggleDetails(u)} className="text-left">
+                        <p className="font-medium text-sm hover:underline">{u.fullName}</p>
+                        <p className="text-xs text-gray-500">{u.email}</p>
+                      </button>
+                    </td>
+                    <td className="px-4 py-3">
+                      {canManage(u) ? (
+                        <select
+                          value={u.role}
+                          onChange={(e) => handleRoleChange(u, e.target.value)}
+                          className={`text-xs px-2 py-1 rounded border-0 ${ROLE_STYLES[u.role]}`}
+                        >
+                          {assignableRoles.map((role) => (
+                            <option key={role} value={role}>{role.replace('_', ' ')}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className={`text-xs px-2 py-1 rounded ${ROLE_STYLES[u.role]}`}>
+                          {u.role.replace('_', ' ')}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className={`text-xs px-2 py-1 rounded ${
+                        u.isBanned ? 'bg-red-100 text-red-800' :
+                        u.isActive ? 'bg-green-100 text-green-800' :
+                        'bg-gray-100 text-gray-800'
+                      }`}>
+                        {u.isBanned ? 'Banned' : u.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                      {!u.isVerified && <span className="ml-1 text-xs text-gray-400">unverified</span>}
+                    </td>
+                    <td className="px-4 py-3 text-xs text-gray-500">{formatDate(u.createdAt)}</td>
+                    <td className="px-4 py-3 text-xs text-gray-500">{formatDate(u.lastLogin)}</td>
+                    <td className="px-4 py-3">
+                      {canManage(u) && (
+                        <div className="flex gap-1">
+                          {u.isBanned ? (
+                            <button
+                              onClick={() => handleUnban(u)}
+                              className="px-2 py-1 text-xs bg-green-100 text-green-700 rounded hover:bg-green-200"
+                            >
+                              Unban
+                            </button>
+                          ) : (
+                            <button
+                              onClick={() => handleBan(u)}
+                              className="px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200"
+                            >
+                              Ban
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleDelete(u)}
+                            className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                  {expandedId === u._id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={6} className="px-4 py-3 text-sm">
+                        {!details ? (
+                          <p className="text-gray-500">Loading...</p>
+                        ) : (
+                          <div className="space-y-2">
+                            <p className="text-gray-600">
+                              {details.activeSessions} active session{details.activeSessions === 1 ? '' : 's'}
+                              {details.isBanned && details.banReason && ` · Banned: ${details.banReason}`}
+                            </p>
+                            {details.adminActions?.length > 0 ? (
+                              <ul className="space-y-1">
+                                {details.adminActions.slice().reverse().map((action) => (
+                                  <li key={action._id} className="text-xs text-gray-600">
+                                    <span className="font-medium">{ACTION_LABELS[action.action]}</span>
+                                    {action.action === 'role_change' && ` ${action.fromRole} → ${action.toRole}`}
+                                    {' by '}
+                                    {action.performedBy ? `${action.performedBy.firstName} ${action.performedBy.lastName}` : 'unknown'}
+                                    {' on '}
+                                    {new Date(action.performedAt).toLocaleString()}
+                                    {action.reason && ` - ${action.reason}`}
+                                  </li>
+                                ))}
+                              </ul>
+                            ) : (
+                              <p className="text-xs text-gray-400">No admin actions recorded</p>
+                            )}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+          {users.length === 0 && (
+            <p className="text-center py-8 text-gray-500">No users found</p>
+          )}
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-between text-sm text-gray-600">
+          <span>
+            Page {pagination.page} of {pagination.pages} · {pagination.total} users
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage((p) => p - 1)}
+              disabled={page <= 1}
+              className="px-3 py-1 border rounded-lg disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage((p) => p + 1)}
+              disabled={!pagination.hasMore}
+              className="px-3 py-1 border rounded-lg disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UserManager;
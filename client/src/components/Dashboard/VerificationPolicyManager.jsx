@@ -0,0 +1,342 @@
+import { useState, useEffect, useCallback } from 'react';
+import { verificationPoliciesApi } from '../../services/api';
+import { useCategories } from '../../hooks';
+
+const ALERT_SEVERITIES = ['info', 'advisory', 'warning', 'critical', 'extreme'];
+const REPORT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const emptyForm = {
+  name: '',
+  category: '',
+  severity: '',
+  confirmThreshold: 4,
+  verificationRadiusKm: 5,
+  voteWindowHours: '',
+  alertSeverity: '',
+  alertDurationHours: '',
+};
+
+const toForm = (policy) => ({
+  name: policy.name,
+  category: policy.category || '',
+  severity: policy.severity || '',
+  confirmThreshold: policy.confirmThreshold,
+  verificationRadiusKm: policy.verificationRadiusKm,
+  voteWindowHours: policy.voteWindowHours ?? '',
+  alertSeverity: policy.alertSeverity || '',
+  alertDurationHours: policy.alertDurationHours ?? '',
+});
+
+// Blank number fields mean "no limit" or "use the category's setting"
+const toNumber = (value, parse = parseFloat) => (value === '' ? null : parse(value));
+
+/**
+ * Admin management of verification policies - how many community
+ * confirmations verify a report, from how far away, for how long, and the
+ * alert raised when they do
+ */
+const VerificationPolicyManager = () => {
+  const { categories } = useCategories();
+  const [policies, setPolicies] = useState([]);
+  const [defaults, setDefaults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchPolicies = useCallback(async () => {
+    try {
+      const res = await verificationPoliciesApi.getAll();
+      setPolicies(res.data.data || []);
+      setDefaults(res.data.defaults || null);
+    } catch (error) {
+      console.error('Failed to fetch verification policies:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPolicies();
+  }, [fetchPolicies]);
+
+  const setField = (field) => (e) => {
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEdit = (policy) => {
+    setEditingId(policy._id);
+    setForm(toForm(policy));
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      name: form.name,
+      category: form.category,
+      severity: form.severity,
+      confirmThreshold: parseInt(form.confirmThreshold, 10),
+      verificationRadiusKm: parseFloat(form.verificationRadiusKm),
+      voteWindowHours: toNumber(form.voteWindowHours),
+      alertSeverity: form.alertSeverity,
+      alertDurationHours: toNumber(form.alertDurationHours),
+    };
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await verificationPoliciesApi.update(editingId, payload);
+      } else {
+        await verificationPoliciesApi.create(payload);
+      }
+      setShowForm(false);
+      fetchPolicies();
+    } catch (error) {
+      console.error('Failed to save verification policy:', error);
+      alert(error.response?.data?.message || 'Failed to save policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (policy) => {
+    try {
+      await verificationPoliciesApi.update(policy._id, { isActive: !policy.isActive });
+      fetchPolicies();
+    } catch (error) {
+      console.error('Failed to update verification policy:', error);
+      alert(error.response?.data?.message || 'Failed to update policy');
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    if (!confirm(`Delete the "${policy.name}" policy?`)) return;
+    try {
+      await verificationPoliciesApi.delete(policy._id);
+      fetchPolicies();
+    } catch (error) {
+      console.error('Failed to delete verification policy:', error);
+      alert(error.response?.data?.message || 'Failed to delete policy');
+    }
+  };
+
+  const categoryName = (key) => categories.find((c) => c.key === key)?.name || key;
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Verification Policies</h3>
+          <p className="text-sm text-gray-500">
+            When community votes verify a report. The most specific matching policy applies; trusted
+            reporters need fewer confirmations and untrusted ones more.
+            {defaults && ` Without a policy: ${defaults.confirmThreshold} confirmations within ${defaults.verificationRadiusKm} km.`}
+          </p>
+        </div>
+        {!showForm && (
+          <button
+            onClick={openCreate}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm font-medium"
+          >
+            + New Policy
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-3 bg-gray-50 p-4 rounded-lg">
+          <div className="md:col-span-2">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Name</label>
+            <input
+              type="text"
+              required
+              value={form.name}
+              onChange={setField('name')}
+              placeholder="Critical fires"
+              className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-red-500"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Category</label>
+            <select
+              value={form.category}
+              onChange={setField('category')}
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            >
+              <option value="">Any category</option>
+              {categories.map((category) => (
+                <option key={category.key} value={category.key}>{category.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Severity</label>
+            <select
+              value={form.severity}
+              onChange={setField('severity')}
+              className="w-full px-3 py-2 border rounded-lg text-sm capitalize"
+            >
+              <option value="">Any severity</option>
+              {REPORT_SEVERITIES.map((s) => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Confirmations needed</label>
+            <input
+              type="number"
+              min="1"
+              max="50"
+              required
+              value={form.confirmThreshold}
+              onChange={setField('confirmThreshold')}
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Voter radius (km)</label>
+            <input
+              type="number"
+              min="0.1"
+              max="50"
+              step="0.1"
+              required
+              value={form.verificationRadiusKm}
+              onChange={setField('verificationRadiusKm')}
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Voting open for (hours)</label>
+            <input
+              type="number"
+              min="1"
+              value={form.voteWindowHours}
+              onChange={setField('voteWindowHours')}
+              placeholder="No limit"
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            />
+          </div>
+          <div />
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Alert severity</label>
+            <select
+              value={form.alertSeverity}
+              onChange={setField('alertSeverity')}
+              className="w-full px-3 py-2 border rounded-lg text-sm capitalize"
+            >
+              <option value="">Category default</option>
+              {ALERT_SEVERITIES.map((s) => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Alert duration (hours)</label>
+            <input
+              type="number"
+              min="1"
+              max="168"
+              value={form.alertDurationHours}
+              onChange={setField('alertDurationHours')}
+              placeholder="Category default"
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            />
+          </div>
+          <div className="md:col-span-2 flex justify-end items-end gap-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 bg-white border rounded-lg text-sm hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm font-medium disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : editingId ? 'Save Policy' : 'Create Policy'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full min-w-[700px]">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Policy</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Applies To</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Voting</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Alert</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {policies.map((policy) => (
+              <tr key={policy._id} className={policy.isActive ? 'hover:bg-gray-50' : 'bg-gray-50 text-gray-400'}>
+                <td className="px-4 py-3 text-sm font-medium">{policy.name}</td>
+                <td className="px-4 py-3 text-sm capitalize">
+                  {policy.severity || 'any'} · {policy.category ? categoryName(policy.category) : 'any category'}
+                </td>
+                <td className="px-4 py-3 text-sm">
+                  {policy.confirmThreshold} confirmations · {policy.verificationRadiusKm} km
+                  <p className="text-xs text-gray-500">
+                    {policy.voteWindowHours ? `Open for ${policy.voteWindowHours}h` : 'No time limit'}
+                  </p>
+                </td>
+                <td className="px-4 py-3 text-sm">
+                  <span className="capitalize">{policy.alertSeverity || 'Category severity'}</span>
+                  <p className="text-xs text-gray-500">
+                    {policy.alertDurationHours ? `${policy.alertDurationHours}h` : 'Category duration'}
+                  </p>
+                </td>
+                <td className="px-4 py-3">
+                  <div className="flex gap-1">
+                    <button
+                      onClick={() => openEdit(policy)}
+                      className="px-2 py-1 text-xs bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleToggleActive(policy)}
+                      className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                    >
+                      {policy.isActive ? 'Pause' : 'Enable'}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(policy)}
+                      className="px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {policies.length === 0 && (
+          <p className="text-center py-8 text-gray-500">No verification policies yet - every report uses the defaults</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerificationPolicyManager;
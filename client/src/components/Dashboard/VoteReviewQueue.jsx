@@ -0,0 +1,161 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { reportsApi } from '../../services/api';
+import ReputationBadge from '../Shared/ReputationBadge';
+
+const FLAG_LABELS = {
+  self_vote: 'Own report',
+  impossible_travel: 'Impossible travel',
+  new_account_burst: 'New-account burst',
+  shared_ip: 'Shared IP',
+};
+
+const describeFlag = (flag, details) => {
+  if (flag === 'impossible_travel' && details?.impossibleTravel) {
+    const { distanceKm, speedKmh } = details.impossibleTravel;
+    return `${FLAG_LABELS[flag]} (${distanceKm} km at ${speedKmh} km/h)`;
+  }
+  if (flag === 'new_account_burst' && details?.newAccountVotes) {
+    return `${FLAG_LABELS[flag]} (${details.newAccountVotes} votes)`;
+  }
+  if (flag === 'shared_ip' && details?.sharedIpVoters) {
+    return `${FLAG_LABELS[flag]} (${details.sharedIpVoters} other voters)`;
+  }
+  return FLAG_LABELS[flag] || flag;
+};
+
+/**
+ * Moderator queue of verification votes flagged as suspicious - they don't
+ * count towards verification until approved here
+ */
+const VoteReviewQueue = ({ onCountChange }) => {
+  const [votes, setVotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reviewing, setReviewing] = useState(null);
+
+  const fetchVotes = useCallback(async () => {
+    try {
+      const res = await reportsApi.getQuarantinedVotes({ limit: 50 });
+      setVotes(res.data.data || []);
+      onCountChange?.(res.data.pagination?.total || 0);
+    } catch (error) {
+      console.error('Failed to fetch quarantined votes:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [onCountChange]);
+
+  useEffect(() => {
+    fetchVotes();
+  }, [fetchVotes]);
+
+  const handleReview = async (vote, action) => {
+    try {
+      setReviewing(vote._id);
+      await reportsApi.reviewVote(vote.reportId?._id || vote.reportId, vote._id, action);
+      fetchVotes();
+    } catch (error) {
+      console.error('Failed to review vote:', error);
+      alert(error.response?.data?.message || 'Failed to review vote');
+    } finally {
+      setReviewing(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"></div>
+      </div>
+    );
+  }
+
+  if (votes.length === 0) {
+    return (
+      <div className="text-center py-12 text-gray-500">
+        <p className="text-4xl mb-2">✅</p>
+        <p>No votes waiting for review</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full min-w-[800px]">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Voter</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Report</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Vote</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Flags</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cast</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {votes.map((vote) => (
+            <tr key={vote._id} className="hover:bg-gray-50">
+              <td className="px-4 py-3">
+                <p className="text-sm font-medium">
+                  {vote.userId ? `${vote.userId.firstName} ${vote.userId.lastName}` : 'Deleted user'}
+                </p>
+                {vote.userId && (
+                  <div className="flex items-center gap-2 mt-0.5">
+                    <ReputationBadge reputation={vote.userId.reputation} />
+                    <span className="text-xs text-gray-400">
+                      joined {new Date(vote.userId.createdAt).toLocaleDateString()}
+                    </span>
+                  </div>
+                )}
+              </td>
+              <td className="px-4 py-3 text-sm">
+                {vote.reportId ? (
+                  <Link to={`/reports/${vote.reportId._id}`} className="text-blue-600 hover:underline">
+                    {vote.reportId.title}
+                  </Link>
+                ) : (
+                  <span className="text-gray-400">Deleted report</span>
+                )}
+              </td>
+              <td className="px-4 py-3 text-sm">
+                {vote.vote === 'confirm' ? '👍 Confirm' : '👎 Deny'}
+              </td>
+              <td className="px-4 py-3">
+                <div className="flex flex-wrap gap-1">
+                  {vote.flags.map((flag) => (
+                    <span key={flag} className="px-2 py-0.5 text-xs rounded-full bg-orange-100 text-orange-800">
+                      {describeFlag(flag, vote.flagDetails)}
+                    </span>
+                  ))}
+                </div>
+              </td>
+              <td className="px-4 py-3 text-sm text-gray-500">
+                {new Date(vote.verifiedAt).toLocaleString()}
+              </td>
+              <td className="px-4 py-3">
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => handleReview(vote, 'approve')}
+                    disabled={reviewing === vote._id}
+                    className="px-2 py-1 text-xs bg-green-100 text-green-700 rounded hover:bg-green-200 disabled:opacity-50"
+                  >
+                    Count it
+                  </button>
+                  <button
+                    onClick={() => handleReview(vote, 'reject')}
+                    disabled={reviewing === vote._id}
+                    className="px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200 disabled:opacity-50"
+                  >
+                    Reject
+                  </button>
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default VoteReviewQueue;
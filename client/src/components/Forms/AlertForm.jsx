@@ -2,11 +2,13 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useLocation as useGeoLocation } from '../../context/LocationContext';
 import { useAuth } from '../../context/AuthContext';
-import { alertsApi } from '../../services/api';
+import { alertsApi, alertTemplatesApi } from '../../services/api';
 import MapView from '../Map/MapView';
 import GeoFenceTool from '../Map/GeoFenceTool';
 import FileUpload from '../Shared/FileUpload';
 import { notify } from '../Shared/Notification';
+import { geoFenceToGeoJSON } from '../../utils/geoLocation';
+import { languages, getLanguageLabel } from '../../utils/languages';
 
 const categories = [
   { value: 'accident', label: 'Accident', emoji: '🚗' },
@@ -27,6 +29,74 @@ const severityLevels = [
   { value: 'critical', label: 'Critical', color: 'bg-red-600', description: 'Severe impact, immediate action required' },
 ];
 
+const defaultAffectedArea = { type: 'circle', radius: 5000 };
+
+const defaultChannels = { push: true, email: false, sms: false, inApp: true };
+
+const channelOptions = [
+  { value: 'push', label: 'Push' },
+  { value: 'email', label: 'Email' },
+  { value: 'sms', label: 'SMS' },
+  { value: 'inApp', label: 'In-App' },
+];
+
+// Matches {{name}} placeholders in template text
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+// Replace the placeholders we have values for, leaving the rest visible
+const fillPlaceholders = (text, values) =>
+  (text || '').replace(PLACEHOLDER_PATTERN, (match, name) =>
+    values[name] ? values[name] : match
+  );
+
+// Unique placeholder names still present in the given texts
+const findPlaceholders = (texts) => {
+  const names = new Set();
+  texts.forEach((text) => {
+    for (const match of (text || '').matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1]);
+    }
+  });
+  return [...names];
+};
+
+// Instruction priorities are numbers on the server, higher first
+const INSTRUCTION_PRIORITIES = { low: 0, medium: 1, high: 2 };
+
+// The form's instruction list in the server's shape
+const toServerInstructions = (instructions) =>
+  instructions.map((inst) => ({
+    text: inst.text,
+    priority: INSTRUCTION_PRIORITIES[inst.priority] ?? INSTRUCTION_PRIORITIES.medium,
+  }));
+
+// Server instructions in the form's shape - anything above high counts as high
+const fromServerInstructions = (instructions) =>
+  (instructions || []).map((inst) => {
+    const priority = Number(inst.priority) || 0;
+    let label = 'low';
+    if (priority >= INSTRUCTION_PRIORITIES.high) label = 'high';
+    else if (priority >= INSTRUCTION_PRIORITIES.medium) label = 'medium';
+    return { text: inst.text, priority: label };
+  });
+
+// Format a date for a datetime-local input in the user's timezone
+const toDateTimeLocal = (date) =>
+  new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+// Short label for the drawn affected area
+const describeAffectedArea = (area) => {
+  if (area?.type === 'polygon') return `Polygon (${area.coordinates.length} points)`;
+  if (area?.type === 'multipolygon') return `MultiPolygon (${area.polygons.length} shapes)`;
+  return `Radius: ${((area?.radius || defaultAffectedArea.radius) / 1000).toFixed(1)}km`;
+};
+
+// Average of the drawn points, used as the alert's display location
+const getAreaCenter = (points) => ({
+  lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+  lng: points.reduce((sum, p) => sum + p.lng, 0) / points.length,
+});
+
 const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
   const { location: userLocation } = useGeoLocation();
   const { isAuthenticated, user, isResponder, isAdmin } = useAuth();
@@ -41,9 +111,13 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
     category: '',
     severity: 'medium',
     location: null,
-    affectedArea: { type: 'circle', radius: 5000 },
+    affectedArea: defaultAffectedArea,
     instructions: [],
+    startsAt: '',
     expiresAt: '',
+    channels: defaultChannels,
+    language: 'en',
+    translations: [],
   });
   
   const [newInstruction, setNewInstruction] = useState({ text: '', priority: 'medium' });
@@ -51,6 +125,10 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showMap, setShowMap] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [placeholderValues, setPlaceholderValues] = useState({});
+  const [activeLocale, setActiveLocale] = useState('en');
 
   // Redirect if user doesn't have proper role
   useEffect(() => {
@@ -76,15 +154,33 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
         category: editingAlert.category,
         severity: editingAlert.severity,
         location: { lat, lng },
-        affectedArea: editingAlert.affectedArea || { type: 'circle', radius: 5000 },
-        instructions: editingAlert.instructions || [],
+        affectedArea: editingAlert.affectedArea || defaultAffectedArea,
+        instructions: fromServerInstructions(editingAlert.instructions),
+        startsAt: '',
         expiresAt: editingAlert.expiresAt 
           ? new Date(editingAlert.expiresAt).toISOString().slice(0, 16) 
           : '',
+        channels: editingAlert.channels || defaultChannels,
+        language: editingAlert.language || 'en',
+        translations: (editingAlert.translations || []).map((t) => ({
+          locale: t.locale,
+          title: t.title,
+          description: t.description,
+        })),
       });
+      setActiveLocale(editingAlert.language || 'en');
     }
   }, [editingAlert]);
 
+  // Load the template library for new alerts
+  useEffect(() => {
+    if (editingAlert || !hasAlertRole) return;
+
+    alertTemplatesApi.getAll()
+      .then((response) => setTemplates(response.data.data || []))
+      .catch((err) => console.error('Failed to load alert templates:', err));
+  }, [editingAlert, hasAlertRole]);
+
   // Use user's location as default
   useEffect(() => {
     if (!editingAlert && userLocation && !formData.location) {
@@ -104,6 +200,42 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
     setError(null);
   };
 
+  // Title/description edits go to whichever language tab is open
+  const handleTextChange = (e) => {
+    if (activeLocale === formData.language) {
+      handleChange(e);
+      return;
+    }
+
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      translations: prev.translations.map((t) =>
+        t.locale === activeLocale ? { ...t, [name]: value } : t
+      ),
+    }));
+    setError(null);
+  };
+
+  const handleAddTranslation = (e) => {
+    const locale = e.target.value;
+    if (!locale) return;
+
+    setFormData((prev) => ({
+      ...prev,
+      translations: [...prev.translations, { locale, title: '', description: '' }],
+    }));
+    setActiveLocale(locale);
+  };
+
+  const handleRemoveTranslation = (locale) => {
+    setFormData((prev) => ({
+      ...prev,
+      translations: prev.translations.filter((t) => t.locale !== locale),
+    }));
+    setActiveLocale(formData.language);
+  };
+
   const handleMediaUpload = (files) => {
     setUploadedMedia(prev => [...prev, ...files]);
   };
@@ -131,9 +263,96 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
           radius: geoFence.radius,
         },
       }));
+    } else if (geoFence.type === 'polygon' || geoFence.type === 'multipolygon') {
+      const points = geoFence.type === 'polygon' ? geoFence.coordinates : geoFence.polygons.flat();
+      setFormData((prev) => ({
+        ...prev,
+        location: getAreaCenter(points),
+        affectedArea: geoFence,
+      }));
+    }
+  };
+
+  const handleTemplateSelect = (e) => {
+    const templateId = e.target.value;
+    setSelectedTemplateId(templateId);
+    setPlaceholderValues({});
+    if (!templateId) return;
+
+    const template = templates.find((t) => t._id === templateId);
+    if (!template) return;
+
+    // Fill the placeholders we can work out ourselves; anything else is left for the user
+    const values = {
+      location: formData.location
+        ? `${formData.location.lat.toFixed(4)}, ${formData.location.lng.toFixed(4)}`
+        : '',
+      time: new Date().toLocaleString(),
+    };
+
+    setFormData((prev) => ({
+      ...prev,
+      title: fillPlaceholders(template.title, values),
+      description: fillPlaceholders(template.description, values),
+      // Only adopt type and severity the form knows how to show
+      category: categories.some((c) => c.value === template.type) ? template.type : prev.category,
+      severity: severityLevels.some((l) => l.value === template.severity) ? template.severity : prev.severity,
+      affectedArea: template.radius
+        ? { type: 'circle', radius: template.radius * 1000 } // Template radius is in km
+        : prev.affectedArea,
+      instructions: fromServerInstructions(template.instructions).map((inst) => ({
+        ...inst,
+        text: fillPlaceholders(inst.text, values),
+      })),
+      expiresAt: template.durationHours
+        ? toDateTimeLocal(new Date(Date.now() + template.durationHours * 60 * 60 * 1000))
+        : prev.expiresAt,
+      channels: { ...defaultChannels, ...template.channels },
+    }));
+    setError(null);
+  };
+
+  const handleSaveAsTemplate = async () => {
+    const name = window.prompt('Template name:');
+    if (!name?.trim()) return;
+
+    try {
+      const response = await alertTemplatesApi.create({
+        name: name.trim(),
+        title: formData.title.trim(),
+        description: formData.description.trim(),
+        type: formData.category,
+        severity: formData.severity,
+        instructions: toServerInstructions(formData.instructions),
+        channels: formData.channels,
+        radius: formData.affectedArea?.type === 'circle' && formData.affectedArea.radius
+          ? formData.affectedArea.radius / 1000
+          : undefined,
+      });
+      setTemplates((prev) => [...prev, response.data.data].sort((a, b) => a.name.localeCompare(b.name)));
+      notify.success('Template saved');
+    } catch (err) {
+      notify.error(err.response?.data?.message || 'Failed to save template');
     }
   };
 
+  const handleApplyPlaceholders = () => {
+    setFormData((prev) => ({
+      ...prev,
+      title: fillPlaceholders(prev.title, placeholderValues),
+      description: fillPlaceholders(prev.description, placeholderValues),
+      instructions: prev.instructions.map((inst) => ({
+        ...inst,
+        text: fillPlaceholders(inst.text, placeholderValues),
+      })),
+    }));
+    setPlaceholderValues({});
+  };
+
+  const handleGeoFenceDelete = () => {
+    setFormData((prev) => ({ ...prev, affectedArea: defaultAffectedArea }));
+  };
+
   const handleAddInstruction = () => {
     if (!newInstruction.text.trim()) return;
     
@@ -164,6 +383,16 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
       setError('Please select a location');
       return false;
     }
+    const incomplete = formData.translations.find((t) => !t.title.trim() || !t.description.trim());
+    if (incomplete) {
+      setError(`Please complete the ${getLanguageLabel(incomplete.locale)} translation or remove it`);
+      setActiveLocale(incomplete.locale);
+      return false;
+    }
+    if (unfilledPlaceholders.length > 0) {
+      setError(`Please fill in the template placeholders: ${unfilledPlaceholders.join(', ')}`);
+      return false;
+    }
     return true;
   };
 
@@ -187,12 +416,25 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
         description: formData.description.trim(),
         type: formData.category,
         severity: formData.severity,
-        targetArea: {
-          coordinates: [formData.location.lng, formData.location.lat],
-          radius: formData.affectedArea?.radius ? formData.affectedArea.radius / 1000 : 10, // Convert to km
-        },
-        instructions: formData.instructions.length > 0 ? formData.instructions : undefined,
+        targetArea: formData.affectedArea?.type === 'circle'
+          ? {
+              coordinates: [formData.location.lng, formData.location.lat],
+              radius: formData.affectedArea?.radius ? formData.affectedArea.radius / 1000 : 10, // Convert to km
+            }
+          : {
+              // Server derives the center from the exact shape
+              geometry: geoFenceToGeoJSON(formData.affectedArea),
+            },
+        instructions: formData.instructions.length > 0 ? toServerInstructions(formData.instructions) : undefined,
+        effectiveFrom: formData.startsAt ? new Date(formData.startsAt).toISOString() : undefined,
         effectiveUntil: formData.expiresAt || undefined,
+        channels: formData.channels,
+        language: formData.language,
+        translations: formData.translations.map((t) => ({
+          locale: t.locale,
+          title: t.title.trim(),
+          description: t.description.trim(),
+        })),
         // Include uploaded media from UploadThing
         media: uploadedMedia.map(m => ({
           url: m.url,
@@ -207,7 +449,13 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
         notify.success('Alert updated successfully');
       } else {
         response = await alertsApi.create(alertData);
-        notify.success('Alert published! Users in the affected area will be notified.');
+        if (response.data?.data?.status === 'pending_approval') {
+          notify.success('Alert submitted for approval. It will be broadcast once an admin approves it.');
+        } else if (response.data?.data?.status === 'scheduled') {
+          notify.success('Alert scheduled. It will be broadcast automatically at the start time.');
+        } else {
+          notify.success('Alert published! Users in the affected area will be notified.');
+        }
       }
 
       if (onSuccess) {
@@ -223,6 +471,18 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
     }
   };
 
+  const activeTranslation = formData.translations.find((t) => t.locale === activeLocale);
+  const textFields = activeTranslation || formData;
+  const unusedLanguages = languages.filter((lang) =>
+    lang.value !== formData.language && !formData.translations.some((t) => t.locale === lang.value)
+  );
+
+  const unfilledPlaceholders = findPlaceholders([
+    formData.title,
+    formData.description,
+    ...formData.instructions.map((inst) => inst.text),
+  ]);
+
   // Don't render if user doesn't have permission
   if (!hasAlertRole) {
     return (
@@ -260,16 +520,105 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
       )}
 
       <form onSubmit={handleSubmit} className="p-6 space-y-6">
+        {/* Template picker */}
+        {!editingAlert && templates.length > 0 && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Start from Template
+            </label>
+            <select
+              value={selectedTemplateId}
+              onChange={handleTemplateSelect}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+            >
+              <option value="">Blank alert</option>
+              {templates.map((template) => (
+                <option key={template._id} value={template._id}>
+                  {template.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* Placeholders left to fill in */}
+        {unfilledPlaceholders.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 space-y-2">
+            <p className="text-sm text-yellow-800">
+              Fill in the remaining placeholders before publishing:
+            </p>
+            {unfilledPlaceholders.map((name) => (
+              <div key={name} className="flex items-center gap-2">
+                <span className="text-sm font-mono text-yellow-900 w-32 truncate">{`{{${name}}}`}</span>
+                <input
+                  type="text"
+                  value={placeholderValues[name] || ''}
+                  onChange={(e) => setPlaceholderValues((prev) => ({ ...prev, [name]: e.target.value }))}
+                  className="flex-1 px-3 py-1 border border-gray-300 rounded-lg text-sm"
+                />
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={handleApplyPlaceholders}
+              className="px-3 py-1 bg-yellow-600 text-white rounded-lg text-sm hover:bg-yellow-700"
+            >
+              Apply
+            </button>
+          </div>
+        )}
+
+        {/* Language tabs */}
+        <div className="flex flex-wrap items-center gap-2 border-b">
+          {[formData.language, ...formData.translations.map((t) => t.locale)].map((locale) => (
+            <div
+              key={locale}
+              className={`flex items-center gap-1 px-3 py-2 text-sm font-medium border-b-2 -mb-px ${
+                activeLocale === locale
+                  ? 'border-red-600 text-red-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              <button type="button" onClick={() => setActiveLocale(locale)}>
+                {getLanguageLabel(locale)}
+                {locale === formData.language && ' (primary)'}
+              </button>
+              {locale !== formData.language && (
+                <button
+                  type="button"
+                  onClick={() => handleRemoveTranslation(locale)}
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove translation"
+                >
+                  ×
+                </button>
+              )}
+            </div>
+          ))}
+          {unusedLanguages.length > 0 && (
+            <select
+              value=""
+              onChange={handleAddTranslation}
+              className="ml-auto px-2 py-1 border border-gray-300 rounded-lg text-sm"
+            >
+              <option value="">+ Add translation</option>
+              {unusedLanguages.map((lang) => (
+                <option key={lang.value} value={lang.value}>{lang.label}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
         {/* Title */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">
-            Alert Title *
+            Alert Title *{activeTranslation && ` (${getLanguageLabel(activeLocale)})`}
           </label>
           <input
             type="text"
             name="title"
-            value={formData.title}
-            onChange={handleChange}
+            value={textFields.title}
+            onChange={handleTextChange}
             placeholder="Brief, clear title for the alert"
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
             maxLength={100}
@@ -326,12 +675,12 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
         {/* Description */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">
-            Description
+            Description{activeTranslation && ` (${getLanguageLabel(activeLocale)})`}
           </label>
           <textarea
             name="description"
-            value={formData.description}
-            onChange={handleChange}
+            value={textFields.description}
+            onChange={handleTextChange}
             placeholder="Detailed description of the emergency situation..."
             rows={4}
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent resize-none"
@@ -352,7 +701,7 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
             {formData.location ? (
               <span>
                 📍 Location set ({formData.location.lat.toFixed(4)}, {formData.location.lng.toFixed(4)}) - 
-                Radius: {(formData.affectedArea.radius / 1000).toFixed(1)}km
+                {describeAffectedArea(formData.affectedArea)}
               </span>
             ) : (
               <span>🗺️ Click to select location and draw affected area</span>
@@ -464,6 +813,26 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
           />
         </div>
 
+        {/* Scheduled start */}
+        {!editingAlert && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Start Time (optional)
+            </label>
+            <input
+              type="datetime-local"
+              name="startsAt"
+              value={formData.startsAt}
+              onChange={handleChange}
+              min={new Date().toISOString().slice(0, 16)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Leave empty to broadcast immediately
+            </p>
+          </div>
+        )}
+
         {/* Expiration */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -482,8 +851,40 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
           </p>
         </div>
 
+        {/* Delivery channels */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Delivery Channels
+          </label>
+          <div className="flex flex-wrap gap-4">
+            {channelOptions.map((channel) => (
+              <label key={channel.value} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={!!formData.channels[channel.value]}
+                  onChange={(e) => setFormData((prev) => ({
+                    ...prev,
+                    channels: { ...prev.channels, [channel.value]: e.target.checked },
+                  }))}
+                  className="rounded text-red-600 focus:ring-red-500"
+                />
+                {channel.label}
+              </label>
+            ))}
+          </div>
+        </div>
+
         {/* Actions */}
         <div className="flex justify-end gap-3 pt-4 border-t">
+          {!editingAlert && (
+            <button
+              type="button"
+              onClick={handleSaveAsTemplate}
+              className="mr-auto px-4 py-2 text-gray-600 hover:text-gray-800 font-medium"
+            >
+              💾 Save as Template
+            </button>
+          )}
           {onCancel && (
             <button
               type="button"
@@ -511,7 +912,7 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
               <div>
                 <h3 className="font-medium">Select Location & Affected Area</h3>
                 <p className="text-sm text-gray-500">
-                  Draw a circle to define the affected area
+                  Draw a circle, or one or more polygons, to define the affected area
                 </p>
               </div>
               <button
@@ -528,10 +929,15 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
               >
                 <GeoFenceTool
                   onGeoFenceCreate={handleGeoFenceCreate}
+                  onGeoFenceEdit={handleGeoFenceCreate}
+                  onGeoFenceDelete={handleGeoFenceDelete}
                   enableCircle={true}
-                  enablePolygon={false}
+                  enablePolygon={true}
+                  allowMultiple={true}
                   initialGeoFence={
-                    formData.location
+                    formData.affectedArea.type !== 'circle'
+                      ? formData.affectedArea
+                      : formData.location
                       ? {
                           type: 'circle',
                           center: formData.location,
@@ -549,10 +955,10 @@ const AlertForm = ({ onSuccess, onCancel, editingAlert = null }) => {
                   {formData.location ? (
                     <span>
                       📍 {formData.location.lat.toFixed(4)}, {formData.location.lng.toFixed(4)} | 
-                      Radius: {(formData.affectedArea.radius / 1000).toFixed(1)}km
+                      {describeAffectedArea(formData.affectedArea)}
                     </span>
                   ) : (
-                    <span>Use the circle tool in the top-right to draw the affected area</span>
+                    <span>Use the circle or polygon tool in the top-right to draw the affected area</span>
                   )}
                 </div>
                 <button
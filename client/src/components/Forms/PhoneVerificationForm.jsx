@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { authApi } from '../../services/api';
+
+const inputClass = 'px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent';
+
+/**
+ * Verify a phone number with an SMS code, then turn SMS alerts on or off.
+ * SMS alerts stay locked until the number is verified.
+ */
+const PhoneVerificationForm = () => {
+  const { user, updateProfile, refreshUser } = useAuth();
+  const [phone, setPhone] = useState(user?.phone || '');
+  const [code, setCode] = useState('');
+  const [codeSentTo, setCodeSentTo] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const handleSendCode = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setMessage('');
+    try {
+      const res = await authApi.startPhoneVerification(phone);
+      setCodeSentTo(res.data.data.phone);
+      setCode('');
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to send code');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setMessage('');
+    try {
+      await authApi.verifyPhone(code);
+      setCodeSentTo(null);
+      await refreshUser();
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Verification failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleToggleSms = async () => {
+    try {
+      await updateProfile({ alertPreferences: { smsEnabled: !user.alertPreferences?.smsEnabled } });
+    } catch (error) {
+      alert(error.message || 'Failed to update SMS alerts');
+    }
+  };
+
+  return (
+    <div className="p-4 border rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="font-medium">SMS Alerts</p>
+          <p className="text-sm text-gray-500">
+            {!user?.phoneVerified
+              ? 'Verify your phone number to receive alerts by text message'
+              : user.alertPreferences?.smsOptedOutAt && !user.alertPreferences?.smsEnabled
+                ? `Turned off when ${user.phone} replied STOP - turn back on to resume`
+                : `Text alerts go to ${user.phone}`}
+          </p>
+        </div>
+        <button
+          onClick={handleToggleSms}
+          disabled={!user?.phoneVerified}
+          className={`px-4 py-2 rounded-lg text-sm font-medium disabled:opacity-50 ${
+            user?.alertPreferences?.smsEnabled
+              ? 'bg-green-100 text-green-700'
+              : 'bg-gray-100 text-gray-700'
+          }`}
+        >
+          {user?.alertPreferences?.smsEnabled ? 'On' : 'Off'}
+        </button>
+      </div>
+
+      {!user?.phoneVerified && !codeSentTo && (
+        <form onSubmit={handleSendCode} className="flex flex-wrap gap-2">
+          <input
+            type="tel"
+            value={phone}
+            onChange={(e) => setPhone(e.target.value)}
+            placeholder="+1 555 123 4567"
+            required
+            className={`${inputClass} flex-1 min-w-[180px]`}
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm font-medium disabled:opacity-50"
+          >
+            {busy ? 'Sending...' : 'Send Code'}
+          </button>
+        </form>
+      )}
+
+      {codeSentTo && (
+        <form onSubmit={handleVerify} className="space-y-2">
+          <p className="text-sm text-gray-600">Enter the 6-digit code sent to {codeSentTo}</p>
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+              required
+              className={`${inputClass} w-32 tracking-widest text-center`}
+            />
+            <button
+              type="submit"
+              disabled={busy || code.length !== 6}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm font-medium disabled:opacity-50"
+            >
+              {busy ? 'Verifying...' : 'Verify'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setCodeSentTo(null)}
+              className="px-4 py-2 text-sm text-gray-600 hover:underline"
+            >
+              Use a different number
+            </button>
+          </div>
+        </form>
+      )}
+
+      {message && <p className="text-sm text-red-600">{message}</p>}
+    </div>
+  );
+};
+
+export default PhoneVerificationForm;
@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import { reportsApi } from '../../services/api';
+import { notify } from '../Shared/Notification';
+import { getHighAccuracyPosition } from '../../utils/geoLocation';
+import FileUpload from '../Shared/FileUpload';
+
+const MAX_MEDIA = 5;
+
+/**
+ * Lets a reporter correct their own pending report. Saving clears any community
+ * votes, since they were cast on the previous version.
+ */
+const ReportEditForm = ({ report, onSaved, onCancel }) => {
+  const [description, setDescription] = useState(report.description || '');
+  const [severity, setSeverity] = useState(report.severity || 'medium');
+  const [address, setAddress] = useState(report.location?.address || '');
+  const [coordinates, setCoordinates] = useState(report.location?.coordinates || []);
+  const [media, setMedia] = useState(
+    (report.media || []).map((item) => ({ url: item.url, key: item.publicId, type: item.type }))
+  );
+  const [locating, setLocating] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const hasVotes = (report.votes?.up || 0) + (report.votes?.down || 0) > 0;
+
+  const handleUseCurrentLocation = async () => {
+    try {
+      setLocating(true);
+      const position = await getHighAccuracyPosition();
+      setCoordinates([position.coords.longitude, position.coords.latitude]);
+      notify.success('Location updated');
+    } catch (err) {
+      console.error('Failed to get location:', err);
+      notify.error('Unable to get your location. Please enable location services.');
+    } finally {
+      setLocating(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await reportsApi.update(report._id, {
+        description,
+        severity,
+        location: { ...report.location, coordinates, address },
+        media,
+      });
+      notify.success(response.data.message || 'Report updated');
+      onSaved(response.data.data);
+    } catch (err) {
+      notify.error(err.response?.data?.message || 'Failed to update report');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 p-4 border border-gray-200 rounded-lg">
+      <h3 className="text-lg font-semibold text-gray-900">Edit Report</h3>
+
+      {hasVotes && (
+        <p className="text-sm text-yellow-800 bg-yellow-50 p-3 rounded-lg">
+          ⚠️ Saving changes will reset the community votes on this report.
+        </p>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+        <textarea
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          rows={5}
+          maxLength={5000}
+          required
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Severity</label>
+        <select
+          value={severity}
+          onChange={(e) => setSeverity(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500"
+        >
+          <option value="low">Low</option>
+          <option value="medium">Medium</option>
+          <option value="high">High</option>
+          <option value="critical">Critical</option>
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+        <input
+          type="text"
+          value={address}
+          onChange={(e) => setAddress(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500"
+        />
+        <div className="flex items-center justify-between mt-2 text-sm text-gray-500">
+          <span>
+            📍 {coordinates[1]?.toFixed(6)}, {coordinates[0]?.toFixed(6)}
+          </span>
+          <button
+            type="button"
+            onClick={handleUseCurrentLocation}
+            disabled={locating}
+            className="text-red-600 hover:text-red-700 font-medium disabled:opacity-50"
+          >
+            {locating ? 'Locating...' : 'Use my current location'}
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Attachments</label>
+        {media.length > 0 && (
+          <div className="grid grid-cols-3 gap-2 mb-2">
+            {media.map((item) => (
+              <div key={item.url} className="relative aspect-square rounded-lg overflow-hidden bg-gray-100">
+                {item.type === 'image' ? (
+                  <img src={item.url} alt="" className="w-full h-full object-cover" />
+                ) : (
+                  <div className="w-full h-full flex items-center justify-center text-3xl">📎</div>
+                )}
+                <button
+                  type="button"
+                  onClick={() => setMedia((prev) => prev.filter((m) => m.url !== item.url))}
+                  className="absolute top-1 right-1 w-6 h-6 bg-black/60 text-white rounded-full text-xs"
+                  title="Remove"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+        {media.length < MAX_MEDIA && (
+          <FileUpload
+            maxFiles={MAX_MEDIA - media.length}
+            onUploadComplete={(files) =>
+              setMedia((prev) => [...prev, ...files.map(({ url, key, type }) => ({ url, key, type }))])}
+            onUploadError={() => notify.error('Upload failed')}
+          />
+        )}
+      </div>
+
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Changes'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ReportEditForm;
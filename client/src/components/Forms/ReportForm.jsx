@@ -4,8 +4,10 @@ import { useAuth } from '../../context/AuthContext';
 import { reportsApi } from '../../services/api';
 import MapView from '../Map/MapView';
 import FileUpload from '../Shared/FileUpload';
+import { useCategories } from '../../hooks';
 
-const categories = [
+// Shown if the category list can't be loaded
+const fallbackCategories = [
   { value: 'accident', label: 'Accident', emoji: '🚗' },
   { value: 'fire', label: 'Fire', emoji: '🔥' },
   { value: 'crime', label: 'Crime', emoji: '🚨' },
@@ -20,11 +22,18 @@ const categories = [
 const ReportForm = ({ onSuccess, onCancel, initialLocation = null }) => {
   const { isAuthenticated } = useAuth();
   const { location: userLocation, getLocation } = useGeoLocation();
+  const { categories: managedCategories, categoryMap, loading: categoriesLoading } = useCategories();
+
+  const categories = managedCategories.length > 0
+    ? managedCategories.map((cat) => ({ value: cat.key, label: cat.name, emoji: cat.icon }))
+    : fallbackCategories;
   
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     category: '',
+    subcategory: '',
+    severity: '',
     location: initialLocation || null,
     anonymous: false,
   });
@@ -57,7 +66,12 @@ const ReportForm = ({ onSuccess, onCancel, initialLocation = null }) => {
   };
 
   const handleCategorySelect = (category) => {
-    setFormData((prev) => ({ ...prev, category }));
+    setFormData((prev) => ({
+      ...prev,
+      category,
+      subcategory: '',
+      severity: categoryMap[category]?.defaultSeverity || '',
+    }));
     setError(null);
   };
 
@@ -121,6 +135,8 @@ const ReportForm = ({ onSuccess, onCancel, initialLocation = null }) => {
         title: formData.title.trim(),
         description: formData.description.trim(),
         category: formData.category,
+        subcategory: formData.subcategory || undefined,
+        severity: formData.severity || undefined,
         location: {
           type: 'Point',
           coordinates: [formData.location.lng, formData.location.lat],
@@ -224,6 +240,9 @@ const ReportForm = ({ onSuccess, onCancel, initialLocation = null }) => {
         {step === 1 && (
           <div className="space-y-4">
             <h3 className="font-medium text-gray-900">What type of incident?</h3>
+            {categoriesLoading && (
+              <p className="text-xs text-gray-400">Loading categories...</p>
+            )}
             <div className="grid grid-cols-3 gap-3">
               {categories.map((cat) => (
                 <button
@@ -262,6 +281,43 @@ const ReportForm = ({ onSuccess, onCancel, initialLocation = null }) => {
               />
             </div>
 
+            {categoryMap[formData.category]?.subcategories?.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Type (optional)
+                </label>
+                <select
+                  name="subcategory"
+                  value={formData.subcategory}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                >
+                  <option value="">Not sure</option>
+                  {categoryMap[formData.category].subcategories.map((sub) => (
+                    <option key={sub.key} value={sub.key}>{sub.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Severity
+              </label>
+              <select
+                name="severity"
+                value={formData.severity}
+                onChange={handleChange}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+              >
+                <option value="">Use the usual severity for this type</option>
+                <option value="low">Low</option>
+                <option value="medium">Medium</option>
+                <option value="high">High</option>
+                <option value="critical">Critical - danger to life</option>
+              </select>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Description (optional)
@@ -0,0 +1,259 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { verificationsApi } from '../../services/api';
+import socketService from '../../services/socket';
+import { ACCEPTED_IMAGE_TYPES } from '../../services/uploadthing';
+import FileUpload from '../Shared/FileUpload';
+
+const AGENCY_TYPES = [
+  { value: 'fire_department', label: 'Fire department' },
+  { value: 'law_enforcement', label: 'Law enforcement' },
+  { value: 'medical', label: 'Medical / EMS' },
+  { value: 'government', label: 'Government agency' },
+  { value: 'ngo', label: 'NGO / relief organization' },
+  { value: 'other', label: 'Other' },
+];
+
+const MAX_DOCUMENTS = 5;
+
+const emptyForm = {
+  organization: '',
+  organizationType: '',
+  department: '',
+  badge: '',
+  employeeId: '',
+  supervisorName: '',
+  supervisorEmail: '',
+  supervisorPhone: '',
+};
+
+const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent';
+
+/**
+ * Apply for responder access with agency details and credential documents,
+ * and follow the application through review
+ */
+const ResponderApplicationForm = () => {
+  const { user, refreshUser } = useAuth();
+  const [application, setApplication] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [reapplying, setReapplying] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [documents, setDocuments] = useState([]);
+
+  const fetchApplication = useCallback(async () => {
+    try {
+      const res = await verificationsApi.getMyResponderApplication();
+      setApplication(res.data.data);
+    } catch (error) {
+      console.error('Failed to fetch responder application:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchApplication();
+  }, [fetchApplication]);
+
+  // An admin may review it while this page is open
+  useEffect(() => {
+    return socketService.onResponderApplicationReviewed((data) => {
+      fetchApplication();
+      if (data.status === 'approved') refreshUser();
+    });
+  }, [fetchApplication, refreshUser]);
+
+  const setField = (field) => (e) => setFormData((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleUpload = (files) => {
+    setDocuments((prev) => [...prev, ...files].slice(0, MAX_DOCUMENTS));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (documents.length === 0) {
+      alert('Upload at least one credential document, such as your ID or badge');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const res = await verificationsApi.applyResponder({
+        ...formData,
+        documents: documents.map(({ url, key, name }) => ({ url, key, name })),
+      });
+      setApplication(res.data.data);
+      setReapplying(false);
+      setFormData(emptyForm);
+      setDocuments([]);
+    } catch (error) {
+      console.error('Failed to submit responder application:', error);
+      alert(error.response?.data?.message || 'Failed to submit application');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-red-600 border-r-transparent mx-auto"></div>
+      </div>
+    );
+  }
+
+  if (user?.role !== 'user') {
+    return (
+      <p className="text-gray-500 py-4">
+        Your account has {user?.role?.replace('_', ' ')} access
+        {user?.responderInfo?.organization && ` with ${user.responderInfo.organization}`}.
+      </p>
+    );
+  }
+
+  const showForm = !application || reapplying
+    || ['rejected', 'expired'].includes(application.status);
+
+  return (
+    <div className="space-y-4">
+      {application && !reapplying && (
+        <div className={`p-4 border rounded-lg ${
+          application.status === 'pending' ? 'bg-yellow-50 border-yellow-200' :
+          application.status === 'approved' ? 'bg-green-50 border-green-200' :
+          'bg-gray-50 border-gray-200'
+        }`}>
+          <p className="font-medium">
+            {application.status === 'pending' && '⏳ Your application is waiting for review'}
+            {application.status === 'approved' && '✅ Your application was approved'}
+            {application.status === 'rejected' && 'Your application was not approved'}
+            {application.status === 'expired' && 'Your application expired before it was reviewed'}
+          </p>
+          <p className="text-sm text-gray-600">
+            {application.data?.organization} · submitted {new Date(application.createdAt).toLocaleDateString()}
+          </p>
+          {application.rejectionReason && (
+            <p className="text-sm text-gray-600 mt-1">Reason: {application.rejectionReason}</p>
+          )}
+          {application.status === 'pending' && (
+            <button
+              onClick={() => setReapplying(true)}
+              className="mt-2 text-sm text-red-600 hover:underline"
+            >
+              Update application
+            </button>
+          )}
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-sm text-gray-500">
+            Emergency responders can verify reports, post official updates and issue alerts.
+            An administrator checks your credentials before access is granted.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Agency *</label>
+              <input
+                type="text"
+                value={formData.organization}
+                onChange={setField('organization')}
+                required
+                placeholder="e.g. Springfield Fire Department"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Agency Type *</label>
+              <select value={formData.organizationType} onChange={setField('organizationType')} required className={inputClass}>
+                <option value="">Select...</option>
+                {AGENCY_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Department / Unit</label>
+              <input type="text" value={formData.department} onChange={setField('department')} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Badge Number</label>
+              <input type="text" value={formData.badge} onChange={setField('badge')} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Employee ID</label>
+              <input type="text" value={formData.employeeId} onChange={setField('employeeId')} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Supervisor Name</label>
+              <input type="text" value={formData.supervisorName} onChange={setField('supervisorName')} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Supervisor Email</label>
+              <input type="email" value={formData.supervisorEmail} onChange={setField('supervisorEmail')} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Supervisor Phone</label>
+              <input type="tel" value={formData.supervisorPhone} onChange={setField('supervisorPhone')} className={inputClass} />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Credential Documents * <span className="text-gray-400 font-normal">(ID card, badge, letter of employment)</span>
+            </label>
+            {documents.length > 0 && (
+              <ul className="mb-2 space-y-1">
+                {documents.map((doc, index) => (
+                  <li key={doc.key || doc.url} className="flex items-center justify-between text-sm p-2 bg-gray-50 rounded">
+                    <a href={doc.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline truncate">
+                      {doc.name || `Document ${index + 1}`}
+                    </a>
+                    <button
+                      type="button"
+                      onClick={() => setDocuments((prev) => prev.filter((_, i) => i !== index))}
+                      className="text-red-600 text-xs ml-2"
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <FileUpload
+              onUploadComplete={handleUpload}
+              maxFiles={MAX_DOCUMENTS - documents.length}
+              acceptedTypes={ACCEPTED_IMAGE_TYPES}
+              disabled={documents.length >= MAX_DOCUMENTS}
+            />
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-6 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 font-medium disabled:opacity-50"
+            >
+              {submitting ? 'Submitting...' : 'Submit Application'}
+            </button>
+            {reapplying && (
+              <button
+                type="button"
+                onClick={() => setReapplying(false)}
+                className="px-6 py-2 border rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ResponderApplicationForm;
@@ -12,12 +12,62 @@ const defaultDrawOptions = {
   marker: false,
 };
 
+// Read a drawn layer back into a geo-fence description
+const layerToGeoFence = (layer, maxRadius) => {
+  if (layer instanceof L.Circle) {
+    const center = layer.getLatLng();
+    let radius = layer.getRadius();
+
+    // Enforce max radius
+    if (radius > maxRadius) {
+      radius = maxRadius;
+      layer.setRadius(maxRadius);
+    }
+
+    return {
+      type: 'circle',
+      center: { lat: center.lat, lng: center.lng },
+      radius: Math.round(radius),
+    };
+  }
+
+  if (layer instanceof L.Polygon) {
+    const latlngs = layer.getLatLngs()[0];
+    return {
+      type: 'polygon',
+      coordinates: latlngs.map((ll) => ({ lat: ll.lat, lng: ll.lng })),
+    };
+  }
+
+  return null;
+};
+
+// Combine every drawn shape into one geo-fence (several polygons become a multipolygon)
+const collectGeoFence = (featureGroup, maxRadius) => {
+  const fences = [];
+  featureGroup.eachLayer((layer) => {
+    const fence = layerToGeoFence(layer, maxRadius);
+    if (fence) fences.push(fence);
+  });
+
+  const polygons = fences.filter((fence) => fence.type === 'polygon');
+  if (polygons.length > 1) {
+    return {
+      type: 'multipolygon',
+      polygons: polygons.map((fence) => fence.coordinates),
+    };
+  }
+
+  return fences[fences.length - 1] || null;
+};
+
 const GeoFenceTool = ({
   onGeoFenceCreate,
   onGeoFenceEdit,
   onGeoFenceDelete,
   enableCircle = true,
   enablePolygon = true,
+  allowMultiple = false, // Keep several polygons as one multipolygon geo-fence
   initialGeoFence = null,
   maxRadius = 50000, // 50km max radius
   color = '#EF4444',
@@ -53,6 +103,17 @@ const GeoFenceTool = ({
         });
         fg.addLayer(polygon);
         setGeoFence(initialGeoFence);
+      } else if (initialGeoFence.type === 'multipolygon') {
+        initialGeoFence.polygons.forEach((coordinates) => {
+          fg.addLayer(
+            L.polygon(coordinates, {
+              color: color,
+              fillColor: color,
+              fillOpacity: 0.2,
+            })
+          );
+        });
+        setGeoFence(initialGeoFence);
       }
     }
   }, [initialGeoFence, color]);
@@ -60,32 +121,23 @@ const GeoFenceTool = ({
   // Handle shape created
   const handleCreated = useCallback(
     (e) => {
-      const { layerType, layer } = e;
-      let newGeoFence = null;
-
-      if (layerType === 'circle') {
-        const center = layer.getLatLng();
-        let radius = layer.getRadius();
-
-        // Enforce max radius
-        if (radius > maxRadius) {
-          radius = maxRadius;
-          layer.setRadius(maxRadius);
-        }
+      const { layer } = e;
+      const fg = featureGroupRef.current;
 
-        newGeoFence = {
-          type: 'circle',
-          center: { lat: center.lat, lng: center.lng },
-          radius: Math.round(radius),
-        };
-      } else if (layerType === 'polygon') {
-        const latlngs = layer.getLatLngs()[0];
-        newGeoFence = {
-          type: 'polygon',
-          coordinates: latlngs.map((ll) => ({ lat: ll.lat, lng: ll.lng })),
-        };
+      // Keep only the new shape, unless polygons may be combined
+      if (fg) {
+        fg.eachLayer((existing) => {
+          const keep =
+            existing === layer ||
+            (allowMultiple && existing instanceof L.Polygon && layer instanceof L.Polygon);
+          if (!keep) {
+            fg.removeLayer(existing);
+          }
+        });
       }
 
+      const newGeoFence = fg ? collectGeoFence(fg, maxRadius) : layerToGeoFence(layer, maxRadius);
+
       if (newGeoFence) {
         setGeoFence(newGeoFence);
         if (onGeoFenceCreate) {
@@ -95,58 +147,43 @@ const GeoFenceTool = ({
 
       setDrawMode(null);
     },
-    [maxRadius, onGeoFenceCreate]
+    [allowMultiple, maxRadius, onGeoFenceCreate]
   );
 
   // Handle shape edited
   const handleEdited = useCallback(
-    (e) => {
-      const layers = e.layers;
-      layers.eachLayer((layer) => {
-        let updatedGeoFence = null;
+    () => {
+      const updatedGeoFence = featureGroupRef.current
+        ? collectGeoFence(featureGroupRef.current, maxRadius)
+        : null;
 
-        if (layer instanceof L.Circle) {
-          const center = layer.getLatLng();
-          let radius = layer.getRadius();
-
-          if (radius > maxRadius) {
-            radius = maxRadius;
-            layer.setRadius(maxRadius);
-          }
-
-          updatedGeoFence = {
-            type: 'circle',
-            center: { lat: center.lat, lng: center.lng },
-            radius: Math.round(radius),
-          };
-        } else if (layer instanceof L.Polygon) {
-          const latlngs = layer.getLatLngs()[0];
-          updatedGeoFence = {
-            type: 'polygon',
-            coordinates: latlngs.map((ll) => ({ lat: ll.lat, lng: ll.lng })),
-          };
-        }
-
-        if (updatedGeoFence) {
-          setGeoFence(updatedGeoFence);
-          if (onGeoFenceEdit) {
-            onGeoFenceEdit(updatedGeoFence);
-          }
+      if (updatedGeoFence) {
+        setGeoFence(updatedGeoFence);
+        if (onGeoFenceEdit) {
+          onGeoFenceEdit(updatedGeoFence);
         }
-      });
+      }
     },
     [maxRadius, onGeoFenceEdit]
   );
 
   // Handle shape deleted
   const handleDeleted = useCallback(
-    (e) => {
-      setGeoFence(null);
-      if (onGeoFenceDelete) {
+    () => {
+      const remainingGeoFence = featureGroupRef.current
+        ? collectGeoFence(featureGroupRef.current, maxRadius)
+        : null;
+
+      setGeoFence(remainingGeoFence);
+      if (remainingGeoFence) {
+        if (onGeoFenceEdit) {
+          onGeoFenceEdit(remainingGeoFence);
+        }
+      } else if (onGeoFenceDelete) {
         onGeoFenceDelete();
       }
     },
-    [onGeoFenceDelete]
+    [maxRadius, onGeoFenceEdit, onGeoFenceDelete]
   );
 
   // Draw options
@@ -210,6 +247,8 @@ const GeoFenceTool = ({
               <span>
                 📍 Circle: {(geoFence.radius / 1000).toFixed(1)}km radius
               </span>
+            ) : geoFence.type === 'multipolygon' ? (
+              <span>📐 MultiPolygon: {geoFence.polygons.length} shapes</span>
             ) : (
               <span>📐 Polygon: {geoFence.coordinates.length} points</span>
             )}
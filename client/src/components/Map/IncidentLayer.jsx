@@ -0,0 +1,87 @@
+import { Circle, Popup } from 'react-leaflet';
+
+// Circle colors by worst report severity
+const severityConfig = {
+  critical: { color: '#DC2626', label: 'Critical' },
+  high: { color: '#EF4444', label: 'High' },
+  medium: { color: '#F59E0B', label: 'Medium' },
+  low: { color: '#10B981', label: 'Low' },
+};
+
+const statusLabels = {
+  active: 'Active',
+  contained: 'Contained',
+  resolved: 'Resolved',
+};
+
+// Keep single-point incidents visible on the map
+const MIN_CIRCLE_RADIUS = 150;
+
+/**
+ * Incident layer - one circle per grouped incident, sized to cover its reports
+ * Responders and admins can update the incident status from the popup
+ */
+const IncidentLayer = ({ incidents = [], canManage = false, onStatusChange }) => {
+  return incidents
+    .filter((incident) => incident.location?.coordinates)
+    .map((incident) => {
+      const [lng, lat] = incident.location.coordinates;
+      const severity = severityConfig[incident.severity] || severityConfig.medium;
+
+      return (
+        <Circle
+          key={incident._id}
+          center={[lat, lng]}
+          radius={Math.max(incident.radius || 0, MIN_CIRCLE_RADIUS)}
+          pathOptions={{
+            color: severity.color,
+            fillColor: severity.color,
+            fillOpacity: incident.status === 'contained' ? 0.08 : 0.18,
+            dashArray: incident.status === 'contained' ? '6 6' : undefined,
+            weight: 2,
+          }}
+        >
+          <Popup>
+            <div className="min-w-[200px]">
+              <p className="text-xs font-semibold text-gray-500 uppercase">Incident</p>
+              <h3 className="font-semibold text-gray-900">{incident.title}</h3>
+              <div className="flex gap-2 mt-1 text-xs">
+                <span className="px-2 py-0.5 rounded text-white" style={{ backgroundColor: severity.color }}>
+                  {severity.label}
+                </span>
+                <span className="px-2 py-0.5 rounded bg-gray-100 text-gray-700">
+                  {statusLabels[incident.status] || incident.status}
+                </span>
+              </div>
+              <p className="text-sm text-gray-600 mt-2">
+                {incident.reportCount ?? incident.reports?.length ?? 0} reports
+                {incident.lastReportedAt && (
+                  <> · last {new Date(incident.lastReportedAt).toLocaleTimeString()}</>
+                )}
+              </p>
+              {canManage && onStatusChange && (
+                <div className="flex gap-2 mt-3">
+                  {incident.status !== 'contained' && (
+                    <button
+                      onClick={() => onStatusChange(incident._id, 'contained')}
+                      className="px-2 py-1 text-xs bg-yellow-100 text-yellow-800 rounded hover:bg-yellow-200"
+                    >
+                      Mark contained
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onStatusChange(incident._id, 'resolved')}
+                    className="px-2 py-1 text-xs bg-green-100 text-green-800 rounded hover:bg-green-200"
+                  >
+                    Resolve
+                  </button>
+                </div>
+              )}
+            </div>
+          </Popup>
+        </Circle>
+      );
+    });
+};
+
+export default IncidentLayer;
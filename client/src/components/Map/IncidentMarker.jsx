@@ -4,8 +4,9 @@ import { useNavigate } from 'react-router-dom';
 import L from 'leaflet';
 import { useAuth } from '../../context/AuthContext';
 import { calculateDistance, formatDistance } from '../../utils/geoLocation';
+import { useCategories } from '../../hooks';
 
-// Category icons and colors
+// Category icons and colors - used until the category list loads, and for unknown keys
 const categoryConfig = {
   accident: { emoji: '🚗', color: '#EF4444', label: 'Accident' },
   fire: { emoji: '🔥', color: '#F97316', label: 'Fire' },
@@ -59,8 +60,17 @@ const getMarkerColor = (type, incident) => {
   return '#EF4444'; // Red for unverified
 };
 
+// Icon, color and label for a report category, preferring the admin-managed list
+const getCategoryDisplay = (categoryMap, key) => {
+  const managed = categoryMap[key];
+  if (managed) {
+    return { emoji: managed.icon, color: managed.color, label: managed.name };
+  }
+  return categoryConfig[key] || categoryConfig.other;
+};
+
 // Create custom div icon
-const createCustomIcon = (type, incident) => {
+const createCustomIcon = (type, incident, category) => {
   const markerColor = getMarkerColor(type, incident);
   
   if (type === 'alert') {
@@ -83,7 +93,6 @@ const createCustomIcon = (type, incident) => {
   }
 
   // Report marker with color coding
-  const category = categoryConfig[incident.category] || categoryConfig.other;
   const confirmCount = incident.votes?.up || 0;
   const isVerified = incident.status === 'verified' || confirmCount >= VERIFICATION_THRESHOLD;
   
@@ -128,6 +137,7 @@ const timeAgo = (date) => {
 
 const IncidentMarker = ({ incident, type = 'report', onClick, onVerify, userLocation }) => {
   const { isAuthenticated, user } = useAuth();
+  const { categoryMap } = useCategories();
   const navigate = useNavigate();
   const [verifying, setVerifying] = useState(false);
   const [userVote, setUserVote] = useState(null);
@@ -161,7 +171,8 @@ const IncidentMarker = ({ incident, type = 'report', onClick, onVerify, userLoca
 
   const [lng, lat] = incident.location.coordinates;
   const position = [lat, lng];
-  const icon = createCustomIcon(type, incident);
+  const category = getCategoryDisplay(categoryMap, incident.category);
+  const icon = createCustomIcon(type, incident, category);
 
   // Navigate to detail page
   const handleViewDetails = (e) => {
@@ -170,7 +181,6 @@ const IncidentMarker = ({ incident, type = 'report', onClick, onVerify, userLoca
     navigate(path);
   };
 
-  const category = categoryConfig[incident.category] || categoryConfig.other;
   const status = statusBadge[incident.status] || statusBadge.pending;
   const severity = type === 'alert' ? severityConfig[incident.severity] : null;
   const confirmCount = incident.votes?.up || 0;
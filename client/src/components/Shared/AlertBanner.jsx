@@ -118,10 +118,27 @@ const AlertBanner = () => {
       setActiveAlerts((prev) => prev.filter((a) => a._id !== alertId));
     });
 
+    // Handle alerts passing their effectiveUntil
+    const unsubscribeExpired = socketService.onAlertExpired(({ alertId }) => {
+      setActiveAlerts((prev) => prev.filter((a) => a._id !== alertId));
+    });
+
+    // Handle alerts replaced by a follow-up or closed with an all-clear
+    const unsubscribeSuperseded = socketService.onAlertSuperseded(({ alertId }) => {
+      setActiveAlerts((prev) => prev.filter((a) => a._id !== alertId));
+    });
+
+    const unsubscribeAllClear = socketService.onAlertAllClear(({ alertId }) => {
+      setActiveAlerts((prev) => prev.filter((a) => a._id !== alertId));
+    });
+
     return () => {
       unsubscribeNew();
       unsubscribeCancelled();
       unsubscribeResolved();
+      unsubscribeExpired();
+      unsubscribeSuperseded();
+      unsubscribeAllClear();
     };
   }, [userLocation]);
 
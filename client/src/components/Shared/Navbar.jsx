@@ -22,6 +22,7 @@ const Navbar = () => {
     { path: '/map', label: 'Map', show: true },
     { path: '/alerts', label: 'Alerts', show: true },
     { path: '/dashboard', label: 'Dashboard', show: isAuthenticated },
+    { path: '/queue', label: 'My Queue', show: isAdmin || isResponder },
     { path: '/admin', label: 'Admin', show: isAdmin || isResponder },
   ];
 
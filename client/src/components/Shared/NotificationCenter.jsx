@@ -38,6 +38,10 @@ const NotificationCenter = () => {
         return '✅';
       case 'alert_cancelled':
         return '❌';
+      case 'report_escalated':
+        return '⏱️';
+      case 'report_held':
+        return '⏸️';
       case 'info':
         return 'ℹ️';
       default:
@@ -156,7 +160,7 @@ const NotificationCenter = () => {
                     if (notification.type === 'report') {
                       return `/reports/${notification.data?._id || notification.data?.reportId}`;
                     }
-                    if (notification.type === 'verification') {
+                    if (['verification', 'report_escalated', 'report_held'].includes(notification.type)) {
                       return `/reports/${notification.data?.reportId}`;
                     }
                     // For info and other types, link to map
@@ -193,9 +197,16 @@ const NotificationCenter = () => {
 
                       {/* Content */}
                       <div className="flex-1 min-w-0">
-                        <p className="font-medium text-sm text-gray-900 line-clamp-1">
+                        <p className={`font-medium text-sm line-clamp-1 ${
+                          notification.retracted ? 'text-gray-400 line-through' : 'text-gray-900'
+                        }`}>
                           {notification.title}
                         </p>
+                        {notification.retracted && (
+                          <span className="inline-block mt-0.5 px-1.5 py-0.5 rounded bg-gray-100 text-gray-600 text-xs">
+                            {notification.retracted === 'cancelled' ? 'Cancelled' : 'Resolved'}
+                          </span>
+                        )}
                         {notification.message && (
                           <p className="text-xs text-gray-500 mt-0.5 line-clamp-2">
                             {notification.message}
@@ -0,0 +1,30 @@
+const TIER_STYLES = {
+  highly_trusted: { label: 'Highly Trusted', icon: '🏅', className: 'bg-green-100 text-green-800' },
+  trusted: { label: 'Trusted', icon: '✔️', className: 'bg-blue-100 text-blue-800' },
+  neutral: { label: 'New Reporter', icon: '🆕', className: 'bg-gray-100 text-gray-700' },
+  low: { label: 'Low Trust', icon: '⚠️', className: 'bg-yellow-100 text-yellow-800' },
+  untrusted: { label: 'Untrusted', icon: '⛔', className: 'bg-red-100 text-red-800' },
+};
+
+/**
+ * Badge for a user's reputation tier, built from how their past reports and
+ * verification votes turned out
+ */
+const ReputationBadge = ({ reputation, showScore = false }) => {
+  if (!reputation?.tier) return null;
+
+  const style = TIER_STYLES[reputation.tier] || TIER_STYLES.neutral;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${style.className}`}
+      title={`Reputation score ${Math.round(reputation.score ?? 50)}/100`}
+    >
+      <span>{style.icon}</span>
+      {style.label}
+      {showScore && <span className="opacity-75">· {Math.round(reputation.score ?? 50)}</span>}
+    </span>
+  );
+};
+
+export default ReputationBadge;
@@ -185,6 +185,16 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Reload the current user, e.g. after an admin changed their role
+  const refreshUser = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/me');
+      setUser(response.data.data);
+    } catch (err) {
+      console.error('Failed to refresh user:', err);
+    }
+  }, []);
+
   const getSessions = async () => {
     try {
       const response = await api.get('/auth/me/sessions');
@@ -227,6 +237,7 @@ export const AuthProvider = ({ children }) => {
     updateLocation,
     forgotPassword,
     resetPassword,
+    refreshUser,
     getSessions,
     revokeSession,
     clearError: () => setError(null),
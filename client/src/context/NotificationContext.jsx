@@ -136,6 +136,13 @@ export const NotificationProvider = ({ children }) => {
     });
   }, []);
 
+  // Flag an alert's notification once the alert is cancelled or resolved
+  const retractAlertNotification = useCallback((alertId, status) => {
+    setNotifications((prev) =>
+      prev.map((n) => (n.id === `alert-${alertId}` ? { ...n, retracted: status } : n))
+    );
+  }, []);
+
   // Mark notification as read
   const markAsRead = useCallback((notificationId) => {
     setNotifications((prev) =>
@@ -273,6 +280,7 @@ export const NotificationProvider = ({ children }) => {
     // Subscribe to alert cancellations
     const unsubscribeCancelled = socketService.onAlertCancelled((data) => {
       console.log('[Notifications] Alert cancelled:', data);
+      retractAlertNotification(data.alertId, 'cancelled');
       
       addNotification({
         id: `cancelled-${data.alertId}`,
@@ -285,6 +293,67 @@ export const NotificationProvider = ({ children }) => {
       });
     });
 
+    // Subscribe to alert resolutions
+    const unsubscribeResolved = socketService.onAlertResolved((data) => {
+      retractAlertNotification(data.alertId, 'resolved');
+    });
+
+    // Subscribe to all-clear messages
+    const unsubscribeAllClear = socketService.onAlertAllClear((data) => {
+      addNotification({
+        id: `all-clear-${data.alertId}`,
+        type: 'alert_all_clear',
+        title: data.alert?.title || 'All Clear',
+        message: data.message || 'The situation has been resolved',
+        data,
+        timestamp: new Date().toISOString(),
+        read: false,
+      });
+    });
+
+    // Subscribe to SLA escalations - only admins are sent these
+    const unsubscribeEscalated = socketService.onReportEscalated((data) => {
+      addNotification({
+        id: `escalated-${data.reportId}`,
+        type: 'report_escalated',
+        title: '⏱️ Report Escalated',
+        message: `[${data.severity?.toUpperCase()}] ${data.title} - no action within ${data.policy?.acknowledgeWithinMinutes} min`,
+        severity: data.severity,
+        data,
+        timestamp: new Date().toISOString(),
+        read: false,
+      });
+    });
+
+    // Subscribe to reports held back for review - only admins are sent these
+    const unsubscribeHeld = socketService.onReportHeldForReview((data) => {
+      addNotification({
+        id: `held-${data.reportId}`,
+        type: 'report_held',
+        title: '⏸️ Report Held for Review',
+        message: `${data.title} - submitted by a low-trust reporter`,
+        data,
+        timestamp: new Date().toISOString(),
+        read: false,
+      });
+    });
+
+    // Subscribe to the outcome of the user's own responder application
+    const unsubscribeApplication = socketService.onResponderApplicationReviewed((data) => {
+      const approved = data.status === 'approved';
+      addNotification({
+        id: `responder-application-${data.verificationId}`,
+        type: 'responder_application',
+        title: approved ? '✅ Responder Application Approved' : 'Responder Application Not Approved',
+        message: approved
+          ? 'Your account now has responder access'
+          : data.rejectionReason || 'Check your profile for details',
+        data,
+        timestamp: new Date().toISOString(),
+        read: false,
+      });
+    });
+
     return () => {
       socket.off('connect', handleConnect);
       socket.off('disconnect', handleDisconnect);
@@ -292,8 +361,13 @@ export const NotificationProvider = ({ children }) => {
       unsubscribeReport();
       unsubscribeVerified();
       unsubscribeCancelled();
+      unsubscribeResolved();
+      unsubscribeAllClear();
+      unsubscribeEscalated();
+      unsubscribeHeld();
+      unsubscribeApplication();
     };
-  }, [permission, requestPermission, showBrowserAlert, addNotification, handleReportClick]);
+  }, [permission, requestPermission, showBrowserAlert, addNotification, retractAlertNotification, handleReportClick]);
 
   const value = {
     notifications,
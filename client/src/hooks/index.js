@@ -1 +1,2 @@
 export { default as useNotifications } from './useNotifications';
+export { default as useCategories } from './useCategories';
@@ -0,0 +1,59 @@
+import { useState, useEffect, useMemo } from 'react';
+import { reportsApi } from '../services/api';
+
+// Shared by every component on the page, so the list is only fetched once
+let categoriesPromise = null;
+
+const loadCategories = () => {
+  if (!categoriesPromise) {
+    categoriesPromise = reportsApi.getCategories()
+      .then((response) => response.data.data || [])
+      .catch((err) => {
+        // Let the next caller try again
+        categoriesPromise = null;
+        throw err;
+      });
+  }
+  return categoriesPromise;
+};
+
+/**
+ * useCategories hook
+ * Report categories managed by admins - key, name, icon, color, subcategories
+ * and default severity - plus a lookup by key
+ */
+const useCategories = () => {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadCategories()
+      .then((list) => {
+        if (!cancelled) setCategories(list);
+      })
+      .catch((err) => console.error('Failed to load categories:', err))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const categoryMap = useMemo(
+    () => Object.fromEntries(categories.map((category) => [category.key, category])),
+    [categories]
+  );
+
+  return { categories, categoryMap, loading };
+};
+
+// Drop the cached list after an admin changes categories
+useCategories.invalidate = () => {
+  categoriesPromise = null;
+};
+
+export default useCategories;
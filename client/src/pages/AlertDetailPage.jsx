@@ -1,18 +1,99 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { alertsApi } from '../services/api';
+import socketService from '../services/socket';
+import { useAuth } from '../context/AuthContext';
+import { useLocation as useGeoLocation } from '../context/LocationContext';
+import AlertRollCall from '../components/Dashboard/AlertRollCall';
+import { notify } from '../components/Shared/Notification';
+
+// Flatten an alert chain and its updates into timeline entries, oldest first
+const buildTimeline = (thread) => {
+  const entries = [];
+
+  thread.forEach((item, index) => {
+    let kind = 'followup';
+    if (index === 0) kind = 'issued';
+    if (item.type === 'all_clear') kind = 'all_clear';
+
+    entries.push({
+      key: `alert-${item._id}`,
+      kind,
+      at: item.createdAt,
+      alert: item,
+    });
+
+    (item.updates || []).forEach((update) => {
+      entries.push({
+        key: `update-${update._id}`,
+        kind: 'update',
+        at: update.updatedAt,
+        alert: item,
+        update,
+      });
+    });
+  });
+
+  return entries.sort((a, b) => new Date(a.at) - new Date(b.at));
+};
+
+const timelineConfig = {
+  issued: { icon: '📢', label: 'Alert issued', dot: 'bg-red-600' },
+  followup: { icon: '🔁', label: 'Follow-up alert', dot: 'bg-orange-500' },
+  update: { icon: '📝', label: 'Update', dot: 'bg-blue-500' },
+  all_clear: { icon: '✅', label: 'All clear', dot: 'bg-green-600' },
+};
 
 const AlertDetailPage = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { user, isAuthenticated, isResponder } = useAuth();
+  const { location: userLocation } = useGeoLocation();
   const [alert, setAlert] = useState(null);
+  const [thread, setThread] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [updateText, setUpdateText] = useState('');
+  const [showFollowUp, setShowFollowUp] = useState(false);
+  const [followUp, setFollowUp] = useState({ title: '', description: '', severity: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [checkInMessage, setCheckInMessage] = useState('');
+  const [shareLocation, setShareLocation] = useState(true);
+  const [myResponse, setMyResponse] = useState(null);
 
   useEffect(() => {
     fetchAlert();
   }, [id]);
 
+  const fetchThread = useCallback(async () => {
+    try {
+      const response = await alertsApi.getThread(id);
+      setThread(response.data.data || []);
+    } catch (err) {
+      console.error('Failed to fetch alert thread:', err);
+    }
+  }, [id]);
+
+  // Load the thread and keep it live while the page is open
+  useEffect(() => {
+    fetchThread();
+
+    const token = localStorage.getItem('token');
+    socketService.connect(token);
+    socketService.joinAlert(id);
+
+    const unsubscribeUpdate = socketService.onAlertUpdatePosted(fetchThread);
+    const unsubscribeSuperseded = socketService.onAlertSuperseded(fetchThread);
+    const unsubscribeAllClear = socketService.onAlertAllClear(fetchThread);
+
+    return () => {
+      socketService.leaveAlert(id);
+      unsubscribeUpdate();
+      unsubscribeSuperseded();
+      unsubscribeAllClear();
+    };
+  }, [id, fetchThread]);
+
   const fetchAlert = async () => {
     try {
       setLoading(true);
@@ -26,6 +107,110 @@ const AlertDetailPage = () => {
     }
   };
 
+  // Work out whether the signed-in user already acknowledged or checked in
+  useEffect(() => {
+    if (!alert || !user) return;
+    const userId = String(user._id || user.id);
+    const checkIn = alert.interactions?.safeCheckIns?.find(
+      (c) => String(c.user?._id || c.user) === userId
+    );
+    const acknowledged = alert.interactions?.acknowledgedBy?.some(
+      (a) => String(a.user?._id || a.user) === userId
+    );
+    setMyResponse(checkIn ? checkIn.status : acknowledged ? 'acknowledged' : null);
+  }, [alert, user]);
+
+  const handleAcknowledge = async () => {
+    try {
+      await alertsApi.acknowledge(id);
+      setMyResponse((prev) => prev || 'acknowledged');
+    } catch (err) {
+      notify.error(err.response?.data?.message || 'Failed to acknowledge alert');
+    }
+  };
+
+  const handleCheckIn = async (status) => {
+    setSubmitting(true);
+    try {
+      await alertsApi.checkIn(id, {
+        status,
+        message: checkInMessage.trim() || undefined,
+        location: shareLocation && userLocation
+          ? { lat: userLocation.latitude, lng: userLocation.longitude }
+          : undefined,
+      });
+      setMyResponse(status);
+      setCheckInMessage('');
+      notify.success(status === 'need_help' ? 'Responders have been notified' : 'Check-in recorded');
+    } catch (err) {
+      notify.error(err.response?.data?.message || 'Failed to check in');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handlePostUpdate = async (e) => {
+    e.preventDefault();
+    if (!updateText.trim()) return;
+
+    setSubmitting(true);
+    try {
+      await alertsApi.postUpdate(id, updateText.trim());
+      setUpdateText('');
+      notify.success('Update posted');
+      fetchThread();
+    } catch (err) {
+      notify.error(err.response?.data?.message || 'Failed to post update');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSupersede = async (e) => {
+    e.preventDefault();
+
+    setSubmitting(true);
+    try {
+      const response = await alertsApi.supersede(id, {
+        title: followUp.title,
+        description: followUp.description,
+        severity: followUp.severity || undefined,
+      });
+      const newAlert = response.data.data;
+      setShowFollowUp(false);
+      setFollowUp({ title: '', description: '', severity: '' });
+
+      if (newAlert.status === 'pending_approval') {
+        notify.success('Follow-up submitted for approval');
+        fetchThread();
+      } else {
+        notify.success('Follow-up alert issued');
+        navigate(`/alerts/${newAlert._id}`);
+      }
+    } catch (err) {
+      notify.error(err.response?.data?.message || 'Failed to issue follow-up');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAllClear = async () => {
+    const message = prompt('All-clear message (optional):');
+    if (message === null) return;
+
+    setSubmitting(true);
+    try {
+      await alertsApi.allClear(id, message || undefined);
+      notify.success('All-clear issued');
+      fetchAlert();
+      fetchThread();
+    } catch (err) {
+      notify.error(err.response?.data?.message || 'Failed to issue all-clear');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   const getSeverityConfig = (severity) => {
     const config = {
       extreme: { bg: 'bg-purple-100', text: 'text-purple-800', border: 'border-purple-500', badge: 'bg-purple-600', icon: '🚨' },
@@ -43,6 +228,7 @@ const AlertDetailPage = () => {
       expired: 'bg-gray-100 text-gray-800',
       cancelled: 'bg-red-100 text-red-800',
       resolved: 'bg-blue-100 text-blue-800',
+      updated: 'bg-yellow-100 text-yellow-800',
     };
     return badges[status] || badges.active;
   };
@@ -83,6 +269,8 @@ const AlertDetailPage = () => {
   }
 
   const severityConfig = getSeverityConfig(alert.severity);
+  const timeline = buildTimeline(thread);
+  const latestAlert = thread.filter((a) => a.type !== 'all_clear').slice(-1)[0];
 
   return (
     <div className="max-w-4xl mx-auto px-4 py-8">
@@ -93,6 +281,21 @@ const AlertDetailPage = () => {
         <span className="text-gray-900">{alert.title?.substring(0, 30)}...</span>
       </div>
 
+      {/* Superseded notice */}
+      {alert.status === 'updated' && latestAlert && latestAlert._id !== alert._id && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4 mb-4 flex items-center justify-between gap-4">
+          <p className="text-yellow-800 text-sm">
+            This alert has been replaced by a newer follow-up.
+          </p>
+          <Link
+            to={`/alerts/${latestAlert._id}`}
+            className="text-yellow-900 font-medium text-sm hover:underline flex-shrink-0"
+          >
+            View latest →
+          </Link>
+        </div>
+      )}
+
       {/* Alert Card */}
       <div className={`bg-white rounded-xl shadow-lg overflow-hidden border-l-4 ${severityConfig.border}`}>
         {/* Header */}
@@ -263,6 +466,206 @@ const AlertDetailPage = () => {
             </div>
           )}
 
+          {/* Thread Timeline */}
+          {timeline.length > 1 && (
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 mb-3">Timeline</h2>
+              <ol className="relative border-l-2 border-gray-200 ml-3 space-y-4">
+                {timeline.map((entry) => {
+                  const config = timelineConfig[entry.kind];
+                  const isCurrent = entry.kind !== 'update' && entry.alert._id === alert._id;
+                  return (
+                    <li key={entry.key} className="ml-6">
+                      <span className={`absolute -left-[9px] w-4 h-4 rounded-full ${config.dot}`}></span>
+                      <div className={`rounded-lg p-3 ${isCurrent ? 'bg-gray-100' : 'bg-gray-50'}`}>
+                        <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                          <span>{config.icon} {config.label}</span>
+                          <span>•</span>
+                          <span>{formatDate(entry.at)}</span>
+                          {entry.update?.updatedBy?.firstName && (
+                            <span>
+                              • {entry.update.updatedBy.firstName} {entry.update.updatedBy.lastName}
+                            </span>
+                          )}
+                        </div>
+                        {entry.kind === 'update' ? (
+                          <p className="text-gray-700 mt-1 whitespace-pre-wrap">{entry.update.content}</p>
+                        ) : (
+                          <>
+                            {isCurrent ? (
+                              <p className="font-medium text-gray-900 mt-1">{entry.alert.title}</p>
+                            ) : (
+                              <Link
+                                to={`/alerts/${entry.alert._id}`}
+                                className="font-medium text-gray-900 mt-1 block hover:underline"
+                              >
+                                {entry.alert.title}
+                              </Link>
+                            )}
+                            {entry.kind !== 'issued' && (
+                              <p className="text-sm text-gray-600 mt-1 line-clamp-3">{entry.alert.description}</p>
+                            )}
+                          </>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+          )}
+
+          {/* Acknowledge and Check-in */}
+          {isAuthenticated && ['active', 'updated'].includes(alert.status) && (
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 space-y-3">
+              <div className="flex items-center justify-between gap-2">
+                <h3 className="font-semibold text-blue-900">Are you safe?</h3>
+                {myResponse && (
+                  <span className="text-xs text-blue-700">
+                    Your response: {myResponse.replace('_', ' ')}
+                  </span>
+                )}
+              </div>
+              <input
+                type="text"
+                value={checkInMessage}
+                onChange={(e) => setCheckInMessage(e.target.value)}
+                maxLength={500}
+                placeholder="Optional message for responders"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              {userLocation && (
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={shareLocation}
+                    onChange={(e) => setShareLocation(e.target.checked)}
+                  />
+                  Share my current location
+                </label>
+              )}
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() => handleCheckIn('safe')}
+                  disabled={submitting}
+                  className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm font-medium disabled:opacity-50"
+                >
+                  ✅ I&apos;m Safe
+                </button>
+                <button
+                  onClick={() => handleCheckIn('need_help')}
+                  disabled={submitting}
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm font-medium disabled:opacity-50"
+                >
+                  🆘 I Need Help
+                </button>
+                <button
+                  onClick={() => handleCheckIn('not_affected')}
+                  disabled={submitting}
+                  className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm font-medium disabled:opacity-50"
+                >
+                  👍 Not Affected
+                </button>
+                {!myResponse && (
+                  <button
+                    onClick={handleAcknowledge}
+                    className="px-4 py-2 bg-white border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-100 text-sm font-medium"
+                  >
+                    👁️ Acknowledge
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Roll Call (responders) */}
+          {isResponder && ['active', 'updated'].includes(alert.status) && (
+            <div className="border rounded-lg p-4">
+              <AlertRollCall alert={alert} />
+            </div>
+          )}
+
+          {/* Responder Controls */}
+          {isResponder && alert.status === 'active' && (
+            <div className="bg-gray-50 border rounded-lg p-4 space-y-3">
+              <h3 className="font-semibold text-gray-900">Manage Alert</h3>
+              <form onSubmit={handlePostUpdate} className="space-y-2">
+                <textarea
+                  value={updateText}
+                  onChange={(e) => setUpdateText(e.target.value)}
+                  maxLength={1000}
+                  rows={2}
+                  placeholder="Post an update to everyone who received this alert..."
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent text-sm"
+                />
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    type="submit"
+                    disabled={submitting || !updateText.trim()}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium disabled:opacity-50"
+                  >
+                    📝 Post Update
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowFollowUp((prev) => !prev)}
+                    className="px-4 py-2 bg-orange-100 text-orange-700 rounded-lg hover:bg-orange-200 text-sm font-medium"
+                  >
+                    🔁 Issue Follow-up
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleAllClear}
+                    disabled={submitting}
+                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm font-medium disabled:opacity-50"
+                  >
+                    ✅ All Clear
+                  </button>
+                </div>
+              </form>
+
+              {showFollowUp && (
+                <form onSubmit={handleSupersede} className="space-y-2 pt-3 border-t">
+                  <input
+                    type="text"
+                    value={followUp.title}
+                    onChange={(e) => setFollowUp((prev) => ({ ...prev, title: e.target.value }))}
+                    placeholder="Follow-up title"
+                    required
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                  <textarea
+                    value={followUp.description}
+                    onChange={(e) => setFollowUp((prev) => ({ ...prev, description: e.target.value }))}
+                    placeholder="What has changed?"
+                    rows={3}
+                    required
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                  <select
+                    value={followUp.severity}
+                    onChange={(e) => setFollowUp((prev) => ({ ...prev, severity: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  >
+                    <option value="">Keep current severity ({alert.severity})</option>
+                    <option value="info">Info</option>
+                    <option value="advisory">Advisory</option>
+                    <option value="warning">Warning</option>
+                    <option value="critical">Critical</option>
+                    <option value="extreme">Extreme</option>
+                  </select>
+                  <button
+                    type="submit"
+                    disabled={submitting}
+                    className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 text-sm font-medium disabled:opacity-50"
+                  >
+                    Issue Follow-up Alert
+                  </button>
+                </form>
+              )}
+            </div>
+          )}
+
           {/* Actions */}
           <div className="flex flex-wrap gap-3 pt-4 border-t">
             <Link
@@ -2,7 +2,8 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 import { useSearchParams, useLocation } from 'react-router-dom';
 import MapView from '../components/Map/MapView';
 import PopulationEstimator from '../components/Map/PopulationEstimator';
-import { reportsApi, alertsApi } from '../services/api';
+import IncidentLayer from '../components/Map/IncidentLayer';
+import { reportsApi, alertsApi, incidentsApi } from '../services/api';
 import { useLocation as useGeoLocation } from '../context/LocationContext';
 import { useAuth } from '../context/AuthContext';
 import socketService from '../services/socket';
@@ -23,6 +24,7 @@ const MapPage = () => {
   
   const [reports, setReports] = useState([]);
   const [alerts, setAlerts] = useState([]);
+  const [incidents, setIncidents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedItem, setSelectedItem] = useState(null);
   const [showFilters, setShowFilters] = useState(false);
@@ -34,6 +36,7 @@ const MapPage = () => {
   const [filters, setFilters] = useState({
     showReports: true,
     showAlerts: true,
+    showIncidents: true,
     categories: [],
     severity: [],
     radius: 10000,
@@ -56,13 +59,15 @@ const MapPage = () => {
     
     setLoading(true);
     try {
-      const [reportsRes, alertsRes] = await Promise.all([
+      const [reportsRes, alertsRes, incidentsRes] = await Promise.all([
         reportsApi.getNearby(userLocation.latitude, userLocation.longitude, filters.radius),
         alertsApi.getNearby(userLocation.latitude, userLocation.longitude, filters.radius),
+        incidentsApi.getNearby(userLocation.latitude, userLocation.longitude, filters.radius),
       ]);
 
       let filteredReports = reportsRes.data.data || [];
       let filteredAlerts = alertsRes.data.data || [];
+      let filteredIncidents = incidentsRes.data.data || [];
       
       // Debug logging
       console.log('[MapPage] Reports loaded:', filteredReports.length);
@@ -75,6 +80,7 @@ const MapPage = () => {
       if (filters.categories.length > 0) {
         filteredReports = filteredReports.filter((r) => filters.categories.includes(r.category));
         filteredAlerts = filteredAlerts.filter((a) => filters.categories.includes(a.category));
+        filteredIncidents = filteredIncidents.filter((i) => filters.categories.includes(i.category));
       }
 
       // Apply severity filter
@@ -84,6 +90,7 @@ const MapPage = () => {
 
       setReports(filters.showReports ? filteredReports : []);
       setAlerts(filters.showAlerts ? filteredAlerts : []);
+      setIncidents(filters.showIncidents ? filteredIncidents : []);
     } catch (error) {
       console.error('Failed to load map data:', error);
     } finally {
@@ -161,6 +168,11 @@ const MapPage = () => {
     // Subscribe to report moderation updates - remove resolved/rejected reports from map
     const unsubscribeModerated = socketService.on('reportModerated', ({ reportId, action, newStatus }) => {
       console.log('[MapPage] Report moderated:', reportId, action, newStatus);
+      // Merged duplicates just fold into their primary report's pin
+      if (newStatus === 'duplicate') {
+        setReports((prev) => prev.filter((r) => r._id !== reportId));
+        return;
+      }
       // Remove resolved, rejected reports from map view
       if (['resolved', 'rejected'].includes(newStatus) || ['resolve', 'reject'].includes(action)) {
         setReports((prev) => prev.filter((r) => r._id !== reportId));
@@ -181,17 +193,62 @@ const MapPage = () => {
       notify.info('An alert has been cancelled and removed from the map');
     });
 
+    const unsubscribeAlertExpired = socketService.onAlertExpired(({ alertId }) => {
+      setAlerts((prev) => prev.filter((a) => a._id !== alertId));
+    });
+
+    // Subscribe to incident changes - reports grouped, incidents edited or resolved
+    const unsubscribeIncident = socketService.onIncidentUpdated((update) => {
+      if (update.status === 'resolved') {
+        setIncidents((prev) => prev.filter((i) => i._id !== update.incidentId));
+        return;
+      }
+      const changes = {
+        title: update.title,
+        category: update.category,
+        severity: update.severity,
+        status: update.status,
+        radius: update.radius,
+        reportCount: update.reportCount,
+        lastReportedAt: update.lastReportedAt,
+        location: { type: 'Point', coordinates: [update.location.lng, update.location.lat] },
+      };
+      setIncidents((prev) => {
+        if (prev.some((i) => i._id === update.incidentId)) {
+          return prev.map((i) => (i._id === update.incidentId ? { ...i, ...changes } : i));
+        }
+        return [{ _id: update.incidentId, ...changes }, ...prev];
+      });
+    });
+
     return () => {
       unsubscribeReport();
+      unsubscribeIncident();
       unsubscribeAlert();
       unsubscribeVerified();
       unsubscribeModerated();
       unsubscribeAlertResolved();
       unsubscribeAlertCancelled();
+      unsubscribeAlertExpired();
       socketService.leaveLocation();
     };
   }, [userLocation, notificationPermission]);
 
+  // Handle incident status change from the map popup (responders/admins)
+  const handleIncidentStatusChange = useCallback(async (incidentId, status) => {
+    try {
+      await incidentsApi.update(incidentId, { status });
+      if (status === 'resolved') {
+        setIncidents((prev) => prev.filter((i) => i._id !== incidentId));
+      } else {
+        setIncidents((prev) => prev.map((i) => (i._id === incidentId ? { ...i, status } : i)));
+      }
+      notify.success(`Incident marked ${status}`);
+    } catch (error) {
+      notify.error(error.response?.data?.message || 'Failed to update incident');
+    }
+  }, []);
+
   // Handle report verification
   const handleVerifyReport = useCallback(async (reportId, vote) => {
     if (!isAuthenticated) {
@@ -205,6 +262,12 @@ const MapPage = () => {
         userLat: userLocation?.latitude,
         userLng: userLocation?.longitude
       });
+
+      // Flagged votes wait for a moderator and leave the counts as they were
+      if (response.data.data?.quarantined) {
+        notify.info(response.data.message);
+        return;
+      }
       
       // Update local state with new verification count and add user's vote to voters array
       setReports((prev) =>
@@ -374,6 +437,15 @@ const MapPage = () => {
                 />
                 <span className="text-sm">Alerts</span>
               </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={filters.showIncidents}
+                  onChange={() => setFilters((prev) => ({ ...prev, showIncidents: !prev.showIncidents }))}
+                  className="rounded text-red-600"
+                />
+                <span className="text-sm">Incidents</span>
+              </label>
             </div>
 
             {/* Radius */}
@@ -451,6 +523,15 @@ const MapPage = () => {
           enableClustering={true}
           className="h-full"
         >
+          {/* Grouped incidents */}
+          {filters.showIncidents && (
+            <IncidentLayer
+              incidents={incidents}
+              canManage={isAdmin || isResponder}
+              onStatusChange={handleIncidentStatusChange}
+            />
+          )}
+
           {/* Population Estimator Tool - Admin/Alert only */}
           {showPopulationTool && (isAdmin || isResponder) && (
             <PopulationEstimator
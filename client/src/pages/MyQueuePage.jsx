@@ -0,0 +1,164 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { reportsApi } from '../services/api';
+import socketService from '../services/socket';
+import { notify } from '../components/Shared/Notification';
+
+// Report priority runs 1 (lowest) to 5 (highest)
+const priorityBadge = {
+  5: { label: 'P5', className: 'bg-red-600 text-white' },
+  4: { label: 'P4', className: 'bg-orange-500 text-white' },
+  3: { label: 'P3', className: 'bg-yellow-400 text-gray-900' },
+  2: { label: 'P2', className: 'bg-green-100 text-green-800' },
+  1: { label: 'P1', className: 'bg-gray-100 text-gray-700' },
+};
+
+const statusBadge = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  verified: 'bg-green-100 text-green-800',
+  in_progress: 'bg-purple-100 text-purple-800',
+  escalated: 'bg-red-100 text-red-800',
+  resolved: 'bg-blue-100 text-blue-800',
+};
+
+const formatAge = (dateString) => {
+  const diffMins = Math.floor((Date.now() - new Date(dateString)) / 60000);
+  if (diffMins < 60) return `${Math.max(diffMins, 0)}m`;
+  const diffHours = Math.floor(diffMins / 60);
+  if (diffHours < 24) return `${diffHours}h`;
+  return `${Math.floor(diffHours / 24)}d`;
+};
+
+/**
+ * My Queue - reports assigned to the signed-in responder,
+ * highest priority first and oldest first within a priority
+ */
+const MyQueuePage = () => {
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [includeClosed, setIncludeClosed] = useState(false);
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await reportsApi.getQueue({ limit: 100, includeClosed });
+      setReports(response.data.data || []);
+    } catch (err) {
+      console.error('Failed to fetch queue:', err);
+      notify.error('Failed to load your queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [includeClosed]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  // Live updates when reports are assigned to or taken off this user
+  useEffect(() => {
+    const unsubscribeAssigned = socketService.onReportAssigned(({ title }) => {
+      notify.info(title, 'Report assigned to you');
+      fetchQueue();
+    });
+    const unsubscribeUnassigned = socketService.onReportUnassigned(({ reportId }) => {
+      setReports((prev) => prev.filter((r) => r._id !== reportId));
+    });
+
+    return () => {
+      unsubscribeAssigned();
+      unsubscribeUnassigned();
+    };
+  }, [fetchQueue]);
+
+  const handleRelease = async (e, reportId) => {
+    e.preventDefault();
+    try {
+      await reportsApi.unassign(reportId);
+      setReports((prev) => prev.filter((r) => r._id !== reportId));
+      notify.success('Report handed back');
+    } catch (err) {
+      notify.error(err.response?.data?.message || 'Failed to hand back report');
+    }
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">My Queue</h1>
+          <p className="text-gray-600 mt-1">Reports assigned to you, most urgent first</p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={includeClosed}
+            onChange={() => setIncludeClosed((prev) => !prev)}
+            className="rounded text-red-600"
+          />
+          Show finished reports
+        </label>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center min-h-[300px]">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-600"></div>
+        </div>
+      ) : reports.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-sm p-12 text-center">
+          <span className="text-6xl mb-4 block">📭</span>
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">Your queue is empty</h3>
+          <p className="text-gray-600">
+            Claim a report from its detail page, or wait for an admin to assign one to you.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {reports.map((report) => {
+            const priority = priorityBadge[report.priority] || priorityBadge[3];
+            return (
+              <Link
+                key={report._id}
+                to={`/reports/${report._id}`}
+                className="flex items-center gap-4 bg-white rounded-xl shadow-sm p-4 border border-gray-100 hover:shadow-md transition-shadow"
+              >
+                <span className={`px-2.5 py-1 rounded font-bold text-sm ${priority.className}`}>
+                  {priority.label}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <h3 className="font-semibold text-gray-900 truncate">
+                    {report.title || `${report.category} Incident`}
+                  </h3>
+                  <div className="flex items-center gap-2 mt-1 text-xs">
+                    <span className={`px-2 py-0.5 rounded-full ${statusBadge[report.status] || 'bg-gray-100 text-gray-800'}`}>
+                      {report.status}
+                    </span>
+                    <span className="text-gray-500">{report.category}</span>
+                    <span className="text-gray-500">· {report.severity}</span>
+                    {report.location?.address && (
+                      <span className="text-gray-500 truncate">· {report.location.address}</span>
+                    )}
+                  </div>
+                </div>
+                <span className="text-sm text-gray-500" title={new Date(report.createdAt).toLocaleString()}>
+                  {formatAge(report.createdAt)}
+                </span>
+                {!['resolved', 'rejected', 'duplicate'].includes(report.status) && (
+                  <button
+                    onClick={(e) => handleRelease(e, report._id)}
+                    className="px-3 py-1 text-sm text-gray-600 border border-gray-200 rounded-lg hover:bg-gray-50"
+                  >
+                    Hand back
+                  </button>
+                )}
+              </Link>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MyQueuePage;
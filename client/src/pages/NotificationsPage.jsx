@@ -21,6 +21,10 @@ const NotificationsPage = () => {
         return '✅';
       case 'alert_cancelled':
         return '❌';
+      case 'report_escalated':
+        return '⏱️';
+      case 'report_held':
+        return '⏸️';
       case 'info':
         return 'ℹ️';
       default:
@@ -50,7 +54,7 @@ const NotificationsPage = () => {
     if (notification.type === 'report') {
       return `/reports/${notification.data?._id || notification.data?.reportId}`;
     }
-    if (notification.type === 'verification') {
+    if (['verification', 'report_escalated', 'report_held'].includes(notification.type)) {
       return `/reports/${notification.data?.reportId}`;
     }
     return null;
@@ -1,6 +1,11 @@
 import { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useLocation as useGeoLocation } from '../context/LocationContext';
+import socketService from '../services/socket';
+import { languages } from '../utils/languages';
+import ReputationBadge from '../components/Shared/ReputationBadge';
+import ResponderApplicationForm from '../components/Forms/ResponderApplicationForm';
+import PhoneVerificationForm from '../components/Forms/PhoneVerificationForm';
 
 const ProfilePage = () => {
   const { user, updateProfile, updatePassword, getSessions, revokeSession, error, clearError } = useAuth();
@@ -15,6 +20,7 @@ const ProfilePage = () => {
     firstName: user?.firstName || '',
     lastName: user?.lastName || '',
     phone: user?.phone || '',
+    preferredLanguage: user?.preferredLanguage || 'en',
   });
   
   const [passwordData, setPasswordData] = useState({
@@ -31,6 +37,7 @@ const ProfilePage = () => {
 
     try {
       await updateProfile(profileData);
+      socketService.setLanguage(profileData.preferredLanguage);
       setSuccess('Profile updated successfully!');
     } catch (err) {
       // Error is handled by context
@@ -95,7 +102,8 @@ const ProfilePage = () => {
     { id: 'security', label: 'Security', icon: '🔒' },
     { id: 'sessions', label: 'Sessions', icon: '📱' },
     { id: 'notifications', label: 'Notifications', icon: '🔔' },
-  ];
+    { id: 'responder', label: 'Responder', icon: '🚒', show: user?.role === 'user' },
+  ].filter((tab) => tab.show !== false);
 
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -189,6 +197,27 @@ const ProfilePage = () => {
                   onChange={(e) => setProfileData((prev) => ({ ...prev, phone: e.target.value }))}
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
                 />
+                <p className="text-xs text-gray-500 mt-1">
+                  {user?.phoneVerified
+                    ? '✓ Verified for SMS alerts'
+                    : 'Not verified - verify it under Notifications to get SMS alerts'}
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Alert Language
+                </label>
+                <select
+                  value={profileData.preferredLanguage}
+                  onChange={(e) => setProfileData((prev) => ({ ...prev, preferredLanguage: e.target.value }))}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                >
+                  {languages.map((lang) => (
+                    <option key={lang.value} value={lang.value}>{lang.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">Alerts are shown in this language when a translation is available</p>
               </div>
 
               <div>
@@ -203,6 +232,19 @@ const ProfilePage = () => {
                 />
               </div>
 
+              {user?.reputation && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Reporter Reputation
+                  </label>
+                  <ReputationBadge reputation={user.reputation} showScore />
+                  <p className="text-xs text-gray-500 mt-1">
+                    {user.reputation.reportsConfirmed} confirmed and {user.reputation.reportsFalse} false reports,
+                    {' '}{user.reputation.votesAccurate} accurate verification votes
+                  </p>
+                </div>
+              )}
+
               <button
                 type="submit"
                 disabled={loading}
@@ -345,9 +387,19 @@ const ProfilePage = () => {
                     </p>
                   </div>
                 )}
+
+                <PhoneVerificationForm />
               </div>
             </div>
           )}
+
+          {/* Responder Application Tab */}
+          {activeTab === 'responder' && (
+            <div className="space-y-4">
+              <h3 className="font-semibold text-gray-900">Responder Access</h3>
+              <ResponderApplicationForm />
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -5,11 +5,28 @@ import { useAuth } from '../context/AuthContext';
 import { useLocation as useGeoLocation } from '../context/LocationContext';
 import { notify } from '../components/Shared/Notification';
 import { getHighAccuracyPosition } from '../utils/geoLocation';
+import socketService from '../services/socket';
+import ReportThread from '../components/Dashboard/ReportThread';
+import ReportEditForm from '../components/Forms/ReportEditForm';
+import ReputationBadge from '../components/Shared/ReputationBadge';
+
+// Readable value for one side of a revision diff
+const formatRevisionValue = (field, value) => {
+  if (value == null || value === '') return '—';
+  if (field === 'location') {
+    const [lng, lat] = value.coordinates || [];
+    return `${value.address || 'No address'} (${lat?.toFixed(5)}, ${lng?.toFixed(5)})`;
+  }
+  if (field === 'media') {
+    return value.length === 0 ? 'No attachments' : value.map((m) => m.url.split('/').pop()).join(', ');
+  }
+  return String(value);
+};
 
 const ReportDetailPage = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { user, isAuthenticated } = useAuth();
+  const { user, isAuthenticated, isAdmin, isResponder } = useAuth();
   const { location: userLocation } = useGeoLocation();
   
   const [report, setReport] = useState(null);
@@ -17,9 +34,21 @@ const ReportDetailPage = () => {
   const [verifying, setVerifying] = useState(false);
   const [error, setError] = useState(null);
   const [userVote, setUserVote] = useState(null);
+  const [assigning, setAssigning] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [revisions, setRevisions] = useState(null);
 
   useEffect(() => {
     fetchReport();
+    setRevisions(null);
+
+    // Reload when the reporter edits the report (the thread below joins the report room)
+    const unsubscribe = socketService.onReportEdited((data) => {
+      if (data.reportId !== id) return;
+      fetchReport();
+      setRevisions(null);
+    });
+    return unsubscribe;
   }, [id]);
 
   // Check if user has already voted when report or user changes
@@ -80,13 +109,17 @@ const ReportDetailPage = () => {
         }
       }
       
-      await reportsApi.verify(id, {
+      const response = await reportsApi.verify(id, {
         vote,
         userLat: currentLat,
         userLng: currentLng,
       });
       setUserVote(vote); // Update local state to hide buttons
-      notify.success(`Report ${vote === 'confirm' ? 'confirmed' : 'denied'} successfully`);
+      if (response.data.data?.quarantined) {
+        notify.info(response.data.message);
+      } else {
+        notify.success(`Report ${vote === 'confirm' ? 'confirmed' : 'denied'} successfully`);
+      }
       fetchReport(); // Refresh report data
     } catch (err) {
       notify.error(err.response?.data?.message || 'Failed to verify report');
@@ -95,6 +128,52 @@ const ReportDetailPage = () => {
     }
   };
 
+  const handleClaim = async () => {
+    try {
+      setAssigning(true);
+      await reportsApi.claim(id);
+      notify.success('Report added to your queue');
+      fetchReport();
+    } catch (err) {
+      notify.error(err.response?.data?.message || 'Failed to claim report');
+    } finally {
+      setAssigning(false);
+    }
+  };
+
+  const handleUnassign = async () => {
+    try {
+      setAssigning(true);
+      await reportsApi.unassign(id);
+      notify.success('Report unassigned');
+      fetchReport();
+    } catch (err) {
+      notify.error(err.response?.data?.message || 'Failed to unassign report');
+    } finally {
+      setAssigning(false);
+    }
+  };
+
+  const handleToggleRevisions = async () => {
+    if (revisions) {
+      setRevisions(null);
+      return;
+    }
+    try {
+      const response = await reportsApi.getRevisions(id);
+      setRevisions(response.data.data || []);
+    } catch (err) {
+      notify.error(err.response?.data?.message || 'Failed to load edit history');
+    }
+  };
+
+  const handleEditSaved = (updated) => {
+    setEditing(false);
+    setRevisions(null);
+    setUserVote(null);
+    setReport((prev) => ({ ...prev, ...updated, reporter: prev.reporter, assignedTo: prev.assignedTo }));
+  };
+
   const getSeverityColor = (severity) => {
     const colors = {
       critical: 'bg-red-100 text-red-800 border-red-200',
@@ -154,6 +233,9 @@ const ReportDetailPage = () => {
 
   if (!report) return null;
 
+  const isOwnReport = !!user && (report.reporter?._id || report.reporter) === (user._id || user.id);
+  const canEdit = isOwnReport && report.status === 'pending' && !report.adminVerified;
+
   return (
     <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       {/* Back button */}
@@ -188,12 +270,78 @@ const ReportDetailPage = () => {
                 👥 Community Verified {report.communityVerificationCount ? `(${report.communityVerificationCount} votes)` : ''}
               </span>
             )}
+            {report.heldForReview && (
+              <span className="px-3 py-1 rounded-full text-sm font-medium bg-yellow-200 text-yellow-800">
+                ⏸️ Held for review
+              </span>
+            )}
           </div>
           <h1 className="text-2xl font-bold text-white mt-3">{report.title}</h1>
+          {report.lastEditedAt && (
+            <p className="text-sm text-red-100 mt-1">Edited {formatDate(report.lastEditedAt)}</p>
+          )}
         </div>
 
         {/* Content */}
         <div className="p-6 space-y-6">
+          {/* Reporter edit / moderator history */}
+          {(canEdit || (report.lastEditedAt && (isOwnReport || isAdmin || isResponder))) && !editing && (
+            <div className="flex justify-end gap-3">
+              {report.lastEditedAt && (isOwnReport || isAdmin || isResponder) && (
+                <button
+                  onClick={handleToggleRevisions}
+                  className="px-3 py-1.5 text-sm bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                >
+                  {revisions ? 'Hide edit history' : 'Edit history'}
+                </button>
+              )}
+              {canEdit && (
+                <button
+                  onClick={() => setEditing(true)}
+                  className="px-3 py-1.5 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700"
+                >
+                  ✏️ Edit report
+                </button>
+              )}
+            </div>
+          )}
+
+          {editing && (
+            <ReportEditForm report={report} onSaved={handleEditSaved} onCancel={() => setEditing(false)} />
+          )}
+
+          {revisions && (
+            <div className="border border-gray-200 rounded-lg divide-y">
+              {revisions.length === 0 && <p className="p-4 text-sm text-gray-500">No edits recorded.</p>}
+              {revisions.map((revision) => (
+                <div key={revision._id} className="p-4 space-y-2">
+                  <div className="flex items-center gap-2 text-sm text-gray-500">
+                    <span>{formatDate(revision.editedAt)}</span>
+                    {revision.editedBy && (
+                      <span>by {revision.editedBy.firstName} {revision.editedBy.lastName}</span>
+                    )}
+                    {revision.verificationReset && (
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">
+                        Votes reset
+                      </span>
+                    )}
+                  </div>
+                  {revision.changes.map((change) => (
+                    <div key={change.field} className="text-sm">
+                      <p className="font-medium text-gray-700 capitalize">{change.field}</p>
+                      <p className="text-red-700 bg-red-50 px-2 py-1 rounded line-through whitespace-pre-wrap">
+                        {formatRevisionValue(change.field, change.from)}
+                      </p>
+                      <p className="text-green-700 bg-green-50 px-2 py-1 rounded mt-1 whitespace-pre-wrap">
+                        {formatRevisionValue(change.field, change.to)}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Meta info */}
           <div className="flex flex-wrap gap-4 text-sm text-gray-600">
             <div className="flex items-center gap-1">
@@ -307,7 +455,10 @@ const ReportDetailPage = () => {
                 <p className="font-medium text-gray-900">
                   {report.reporter.firstName} {report.reporter.lastName}
                 </p>
-                <p className="text-sm text-gray-500">Reporter</p>
+                <div className="flex items-center gap-2">
+                  <p className="text-sm text-gray-500">Reporter</p>
+                  <ReputationBadge reputation={report.reporter.reputation} />
+                </div>
               </div>
             </div>
           )}
@@ -324,6 +475,38 @@ const ReportDetailPage = () => {
             </div>
           )}
 
+          {/* Assignment - responders and admins */}
+          {(isAdmin || isResponder) && (
+            <div className="flex items-center justify-between gap-3 p-4 bg-blue-50 rounded-lg">
+              <div>
+                <p className="text-sm text-gray-500">Assigned to</p>
+                <p className="font-medium text-gray-900">
+                  {report.assignedTo
+                    ? `${report.assignedTo.firstName} ${report.assignedTo.lastName}`
+                    : 'Unassigned'}
+                </p>
+              </div>
+              {!report.assignedTo && !['resolved', 'rejected', 'duplicate'].includes(report.status) && (
+                <button
+                  onClick={handleClaim}
+                  disabled={assigning}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Claim
+                </button>
+              )}
+              {report.assignedTo && (isAdmin || report.assignedTo._id === (user?._id || user?.id)) && (
+                <button
+                  onClick={handleUnassign}
+                  disabled={assigning}
+                  className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  {isAdmin && report.assignedTo._id !== (user?._id || user?.id) ? 'Unassign' : 'Hand back'}
+                </button>
+              )}
+            </div>
+          )}
+
           {/* Verification stats */}
           <div className="border-t pt-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Community Verification</h3>
@@ -398,6 +581,9 @@ const ReportDetailPage = () => {
               </p>
             )}
           </div>
+
+          {/* Comments and official updates */}
+          <ReportThread reportId={report._id} />
         </div>
       </div>
     </div>
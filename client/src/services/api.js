@@ -159,6 +159,9 @@ export const reportsApi = {
   getNearby: (lat, lng, radius = 5000) =>
     api.get('/reports/nearby', { params: { lat, lng, radius } }),
   verify: (id, data) => api.post(`/reports/${id}/verify`, data),
+  getQuarantinedVotes: (params) => api.get('/reports/verifications/quarantined', { params }),
+  reviewVote: (id, verificationId, action) =>
+    api.patch(`/reports/${id}/verifications/${verificationId}`, { action }),
   moderate: (id, status, reason) => {
     // Map status to action for backend compatibility
     const actionMap = {
@@ -179,6 +182,16 @@ export const reportsApi = {
     return api.patch(`/reports/${id}/moderate`, { action, reason });
   },
   getCategories: () => api.get('/reports/categories/list'),
+  getDuplicates: (id, params) => api.get(`/reports/${id}/duplicates`, { params }),
+  getQueue: (params) => api.get('/reports/queue', { params }),
+  assign: (id, assigneeId) => api.put(`/reports/${id}/assign`, { assigneeId }),
+  unassign: (id) => api.delete(`/reports/${id}/assign`),
+  claim: (id) => api.post(`/reports/${id}/claim`),
+  merge: (id, duplicateIds) => api.post(`/reports/${id}/merge`, { duplicateIds }),
+  getRevisions: (id) => api.get(`/reports/${id}/revisions`),
+  getUpdates: (id, params) => api.get(`/reports/${id}/updates`, { params }),
+  postUpdate: (id, data) => api.post(`/reports/${id}/updates`, data),
+  deleteUpdate: (id, updateId) => api.delete(`/reports/${id}/updates/${updateId}`),
 };
 
 // Alerts API
@@ -191,7 +204,61 @@ export const alertsApi = {
   getNearby: (lat, lng, radius = 10000) =>
     api.get('/alerts/nearby', { params: { lat, lng, radius } }),
   cancel: (id, reason) => api.put(`/alerts/${id}/cancel`, { reason }),
-  resolve: (id) => api.put(`/alerts/${id}/resolve`),
+  resolve: (id, summary) => api.put(`/alerts/${id}/resolve`, { summary }),
+  getPendingApproval: () => api.get('/alerts/pending-approval'),
+  approve: (id) => api.put(`/alerts/${id}/approve`),
+  reject: (id, reason) => api.put(`/alerts/${id}/reject`, { reason }),
+  getThread: (id) => api.get(`/alerts/${id}/thread`),
+  postUpdate: (id, content) => api.post(`/alerts/${id}/updates`, { content }),
+  supersede: (id, data) => api.post(`/alerts/${id}/supersede`, data),
+  allClear: (id, message) => api.post(`/alerts/${id}/all-clear`, { message }),
+  acknowledge: (id) => api.post(`/alerts/${id}/acknowledge`),
+  checkIn: (id, data) => api.post(`/alerts/${id}/check-in`, data),
+  getRollCall: (id) => api.get(`/alerts/${id}/roll-call`),
+};
+
+// Alert Templates API
+export const alertTemplatesApi = {
+  getAll: (params) => api.get('/alert-templates', { params }),
+  getById: (id) => api.get(`/alert-templates/${id}`),
+  create: (data) => api.post('/alert-templates', data),
+  update: (id, data) => api.put(`/alert-templates/${id}`, data),
+  delete: (id) => api.delete(`/alert-templates/${id}`),
+};
+
+// Report Categories API (Admin only - reporters use reportsApi.getCategories)
+export const categoriesApi = {
+  getAll: () => api.get('/categories'),
+  create: (data) => api.post('/categories', data),
+  update: (id, data) => api.put(`/categories/${id}`, data),
+  delete: (id) => api.delete(`/categories/${id}`),
+};
+
+// SLA Policies API
+export const slaPoliciesApi = {
+  getAll: () => api.get('/sla-policies'),
+  create: (data) => api.post('/sla-policies', data),
+  update: (id, data) => api.put(`/sla-policies/${id}`, data),
+  delete: (id) => api.delete(`/sla-policies/${id}`),
+};
+
+// Verification Policies API
+export const verificationPoliciesApi = {
+  getAll: () => api.get('/verification-policies'),
+  create: (data) => api.post('/verification-policies', data),
+  update: (id, data) => api.put(`/verification-policies/${id}`, data),
+  delete: (id) => api.delete(`/verification-policies/${id}`),
+};
+
+// Incidents API
+export const incidentsApi = {
+  getNearby: (lat, lng, radius = 10000, params = {}) =>
+    api.get('/incidents', { params: { lat, lng, radius, ...params } }),
+  getById: (id) => api.get(`/incidents/${id}`),
+  create: (data) => api.post('/incidents', data),
+  update: (id, data) => api.put(`/incidents/${id}`, data),
+  addReports: (id, reportIds) => api.post(`/incidents/${id}/reports`, { reportIds }),
+  removeReport: (id, reportId) => api.delete(`/incidents/${id}/reports/${reportId}`),
 };
 
 // Analytics API
@@ -208,10 +275,25 @@ export const analyticsApi = {
 export const usersApi = {
   getAll: (params) => api.get('/users', { params }),
   getById: (id) => api.get(`/users/${id}`),
-  updateRole: (id, role) => api.put(`/users/${id}/role`, { role }),
-  ban: (id) => api.put(`/users/${id}/ban`),
-  unban: (id) => api.put(`/users/${id}/unban`),
-  delete: (id) => api.delete(`/users/${id}`),
+  updateRole: (id, role, reason) => api.put(`/users/${id}/role`, { role, reason }),
+  ban: (id, reason) => api.put(`/users/${id}/ban`, { reason }),
+  unban: (id, reason) => api.put(`/users/${id}/unban`, { reason }),
+  delete: (id, reason) => api.delete(`/users/${id}`, { data: { reason } }),
+};
+
+// Verifications API
+export const verificationsApi = {
+  applyResponder: (data) => api.post('/verifications/responder', data),
+  getMyResponderApplication: () => api.get('/verifications/responder/me'),
+  getResponderApplications: (params) => api.get('/verifications/responder', { params }),
+  reviewResponderApplication: (id, data) => api.patch(`/verifications/responder/${id}`, data),
+};
+
+// Audit Log API (Admin only)
+export const auditApi = {
+  getAll: (params) => api.get('/audit', { params }),
+  getActions: () => api.get('/audit/actions'),
+  export: (params) => api.get('/audit/export', { params, responseType: 'blob' }),
 };
 
 // Auth API (for direct usage without context)
@@ -231,6 +313,8 @@ export const authApi = {
     api.post('/auth/reset-password', { email, code, newPassword }),
   getSessions: () => api.get('/auth/me/sessions'),
   revokeSession: (id) => api.delete(`/auth/me/sessions/${id}`),
+  startPhoneVerification: (phone) => api.post('/auth/phone/start', { phone }),
+  verifyPhone: (code) => api.post('/auth/phone/verify', { code }),
 };
 
 // File upload helper
@@ -123,6 +123,51 @@ class SocketService {
     }
   }
 
+  // Join an alert room for thread updates (buffered until connected)
+  joinAlert(alertId) {
+    this.socket?.emit('joinAlert', { alertId });
+  }
+
+  // Leave an alert room
+  leaveAlert(alertId) {
+    this.socket?.emit('leaveAlert', { alertId });
+  }
+
+  // Join a report room for its comment thread
+  joinReport(reportId) {
+    this.socket?.emit('joinReport', { reportId });
+  }
+
+  // Leave a report room
+  leaveReport(reportId) {
+    this.socket?.emit('leaveReport', { reportId });
+  }
+
+  // Join an incident room for updates
+  joinIncident(incidentId) {
+    this.socket?.emit('joinIncident', { incidentId });
+  }
+
+  // Leave an incident room
+  leaveIncident(incidentId) {
+    this.socket?.emit('leaveIncident', { incidentId });
+  }
+
+  // Join an alert's roll-call room (responders only, enforced by the server)
+  joinRollCall(alertId) {
+    this.socket?.emit('joinRollCall', { alertId });
+  }
+
+  // Leave an alert's roll-call room
+  leaveRollCall(alertId) {
+    this.socket?.emit('leaveRollCall', { alertId });
+  }
+
+  // Change the language official alerts are delivered in
+  setLanguage(locale) {
+    this.socket?.emit('setLanguage', { locale });
+  }
+
   // Subscribe to new reports
   onNewReport(callback) {
     return this.on('newReport', callback);
@@ -163,6 +208,81 @@ class SocketService {
     return this.on('alertResolved', callback);
   }
 
+  // Subscribe to updates posted on an alert thread
+  onAlertUpdatePosted(callback) {
+    return this.on('alertUpdatePosted', callback);
+  }
+
+  // Subscribe to alerts replaced by a follow-up
+  onAlertSuperseded(callback) {
+    return this.on('alertSuperseded', callback);
+  }
+
+  // Subscribe to all-clear messages
+  onAlertAllClear(callback) {
+    return this.on('alertAllClear', callback);
+  }
+
+  // Subscribe to roll-call acknowledgments
+  onAlertAcknowledged(callback) {
+    return this.on('alertAcknowledged', callback);
+  }
+
+  // Subscribe to roll-call check-ins
+  onAlertCheckIn(callback) {
+    return this.on('alertCheckIn', callback);
+  }
+
+  // Subscribe to alert expiry
+  onAlertExpired(callback) {
+    return this.on('alertExpired', callback);
+  }
+
+  // Subscribe to SLA escalations (admins only, enforced by the server)
+  onReportEscalated(callback) {
+    return this.on('reportEscalated', callback);
+  }
+
+  // Subscribe to reports held back from low-trust reporters (admins only)
+  onReportHeldForReview(callback) {
+    return this.on('reportHeldForReview', callback);
+  }
+
+  // Subscribe to the outcome of the user's responder application
+  onResponderApplicationReviewed(callback) {
+    return this.on('responderApplicationReviewed', callback);
+  }
+
+  // Subscribe to comments and official updates posted on a joined report
+  onReportUpdatePosted(callback) {
+    return this.on('reportUpdatePosted', callback);
+  }
+
+  // Subscribe to a joined report being edited by its reporter
+  onReportEdited(callback) {
+    return this.on('reportEdited', callback);
+  }
+
+  // Subscribe to comments removed from a joined report
+  onReportUpdateDeleted(callback) {
+    return this.on('reportUpdateDeleted', callback);
+  }
+
+  // Subscribe to reports being assigned to the current user
+  onReportAssigned(callback) {
+    return this.on('reportAssigned', callback);
+  }
+
+  // Subscribe to reports being taken off the current user
+  onReportUnassigned(callback) {
+    return this.on('reportUnassigned', callback);
+  }
+
+  // Subscribe to incident changes (created, reports added/removed, edited)
+  onIncidentUpdated(callback) {
+    return this.on('incidentUpdated', callback);
+  }
+
   // Subscribe to population updates
   onPopulationUpdate(callback) {
     return this.on('populationUpdate', callback);
@@ -158,6 +158,30 @@ export const getBoundingBox = (lat, lng, radiusMeters) => {
   };
 };
 
+// Convert a drawn polygon/multipolygon geo-fence ({lat, lng} points) to GeoJSON
+export const geoFenceToGeoJSON = (geoFence) => {
+  const toRing = (points) => {
+    const ring = points.map(({ lat, lng }) => [lng, lat]);
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+      ring.push([...first]); // GeoJSON rings must be closed
+    }
+    return ring;
+  };
+
+  if (geoFence?.type === 'polygon') {
+    return { type: 'Polygon', coordinates: [toRing(geoFence.coordinates)] };
+  }
+  if (geoFence?.type === 'multipolygon') {
+    return {
+      type: 'MultiPolygon',
+      coordinates: geoFence.polygons.map((points) => [toRing(points)]),
+    };
+  }
+  return null;
+};
+
 // Get a human-readable location description (requires reverse geocoding API)
 export const getLocationDescription = async (lat, lng) => {
   try {
@@ -194,5 +218,6 @@ export default {
   getCardinalDirection,
   isPointInBounds,
   getBoundingBox,
+  geoFenceToGeoJSON,
   getLocationDescription,
 };
@@ -0,0 +1,13 @@
+// Languages alerts can be translated into and users can choose to receive
+
+export const languages = [
+  { value: 'en', label: 'English' },
+  { value: 'es', label: 'Español' },
+  { value: 'fr', label: 'Français' },
+  { value: 'zh', label: '中文' },
+  { value: 'vi', label: 'Tiếng Việt' },
+];
+
+// Display name for a locale, falling back to the tag itself
+export const getLanguageLabel = (locale) =>
+  languages.find((lang) => lang.value === locale)?.label || locale;
@@ -35,6 +35,14 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Check if user is banned
+      if (req.user.isBanned) {
+        return res.status(403).json({
+          success: false,
+          message: 'Account is banned',
+        });
+      }
+
       next();
     } catch (error) {
       console.error('Auth middleware error:', error);
@@ -150,6 +150,13 @@ const userBasedLimiter = (options) => {
   });
 };
 
+// Comments on reports, counted per user
+const reportUpdateLimiter = userBasedLimiter({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: isDevelopment ? 100000 : 30, // 30 comments per 10 minutes in production
+  message: 'Too many comments, please slow down.',
+});
+
 module.exports = {
   generalLimiter,
   authLimiter,
@@ -160,4 +167,5 @@ module.exports = {
   alertBroadcastLimiter,
   createCustomLimiter,
   userBasedLimiter,
+  reportUpdateLimiter,
 };
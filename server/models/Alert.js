@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { generateCirclePoints } = require('../utils/geoUtils');
+const { DEFAULT_LOCALE, isValidLocale } = require('../utils/alertLocalization');
 
 const alertSchema = new mongoose.Schema(
   {
@@ -20,6 +22,60 @@ const alertSchema = new mongoose.Schema(
       trim: true,
       maxlength: [280, 'Short description cannot exceed 280 characters'],
     },
+    // Locale of the title/description above
+    language: {
+      type: String,
+      default: DEFAULT_LOCALE,
+      validate: {
+        validator: isValidLocale,
+        message: 'Language must be a locale such as "en" or "es-MX"',
+      },
+    },
+    // Translated versions of the alert text, one per locale
+    translations: {
+      type: [{
+        _id: false,
+        locale: {
+          type: String,
+          required: [true, 'Translation locale is required'],
+          validate: {
+            validator: isValidLocale,
+            message: 'Translation locale must be a locale such as "en" or "es-MX"',
+          },
+        },
+        title: {
+          type: String,
+          required: [true, 'Translation title is required'],
+          trim: true,
+          maxlength: [200, 'Title cannot exceed 200 characters'],
+        },
+        description: {
+          type: String,
+          required: [true, 'Translation description is required'],
+          trim: true,
+          maxlength: [2000, 'Description cannot exceed 2000 characters'],
+        },
+        instructions: [{
+          _id: false,
+          text: {
+            type: String,
+            required: true,
+          },
+          priority: {
+            type: Number,
+            default: 0,
+          },
+        }],
+      }],
+      validate: {
+        validator: function (translations) {
+          const locales = translations.map((t) => t.locale);
+          return new Set(locales).size === locales.length
+            && !locales.includes(this.language || DEFAULT_LOCALE);
+        },
+        message: 'Each translation needs its own locale, different from the alert language',
+      },
+    },
     // Alert type and category
     type: {
       type: String,
@@ -72,16 +128,22 @@ const alertSchema = new mongoose.Schema(
     targetArea: {
       type: {
         type: String,
-        enum: ['Point', 'Polygon', 'Circle'],
+        enum: ['Point', 'Polygon', 'MultiPolygon', 'Circle'],
         default: 'Circle',
       },
-      // For Point or center of Circle
+      // For Point, center of Circle, or centroid of Polygon/MultiPolygon
       coordinates: {
         type: [Number], // [longitude, latitude]
       },
-      // For Polygon
-      polygon: {
-        type: [[Number]], // Array of [longitude, latitude] pairs
+      // For Polygon/MultiPolygon - exact GeoJSON shape
+      geometry: {
+        type: {
+          type: String,
+          enum: ['Polygon', 'MultiPolygon'],
+        },
+        coordinates: {
+          type: mongoose.Schema.Types.Mixed,
+        },
       },
       // For Circle
       radius: {
@@ -117,7 +179,7 @@ const alertSchema = new mongoose.Schema(
     // Status
     status: {
       type: String,
-      enum: ['draft', 'pending_approval', 'active', 'resolved', 'expired', 'cancelled', 'updated'],
+      enum: ['draft', 'pending_approval', 'scheduled', 'active', 'resolved', 'expired', 'cancelled', 'updated'],
       default: 'draft',
     },
     // Channels for distribution
@@ -193,7 +255,8 @@ const alertSchema = new mongoose.Schema(
         default: Date.now,
       },
     }],
-    // Delivery tracking
+    // Delivery tracking - the top-level counters are the in-app push; email results are
+    // in delivery.email and text messages in delivery.sms, never added to sent/delivered/failed
     delivery: {
       totalTargeted: {
         type: Number,
@@ -215,6 +278,70 @@ const alertSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Set once the alert has gone out, so it is never broadcast twice
+      broadcastAt: Date,
+      // Email fan-out
+      email: {
+        // Set when the fan-out starts, so nobody is emailed twice
+        dispatchedAt: Date,
+        sent: {
+          type: Number,
+          default: 0,
+        },
+        delivered: {
+          type: Number,
+          default: 0,
+        },
+        failed: {
+          type: Number,
+          default: 0,
+        },
+      },
+      // Text message fan-out - counters are public, recipients are not
+      sms: {
+        // Set when the fan-out starts, so numbers are never texted twice
+        dispatchedAt: Date,
+        queued: {
+          type: Number,
+          default: 0,
+        },
+        // Accepted by the gateway; receipts then move them to delivered or failed
+        sent: {
+          type: Number,
+          default: 0,
+        },
+        delivered: {
+          type: Number,
+          default: 0,
+        },
+        failed: {
+          type: Number,
+          default: 0,
+        },
+        optedOut: {
+          type: Number,
+          default: 0,
+        },
+        recipients: {
+          type: [
+            {
+              _id: false,
+              user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+              phone: String,
+              status: {
+                type: String,
+                enum: ['queued', 'sent', 'delivered', 'failed', 'opted_out'],
+                default: 'queued',
+              },
+              messageId: String,
+              error: String,
+              attempts: { type: Number, default: 0 },
+              updatedAt: Date,
+            },
+          ],
+          select: false,
+        },
+      },
     },
     // User interactions
     interactions: {
@@ -272,6 +399,25 @@ const alertSchema = new mongoose.Schema(
       max: 10,
       default: 5,
     },
+    // Two-person approval for high-severity alerts
+    approval: {
+      required: {
+        type: Boolean,
+        default: false,
+      },
+      requestedAt: Date,
+      approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      approvedAt: Date,
+      rejectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      rejectedAt: Date,
+      rejectionReason: String,
+    },
     // Cancellation info
     cancelledAt: Date,
     cancelledBy: {
@@ -279,6 +425,13 @@ const alertSchema = new mongoose.Schema(
       ref: 'User',
     },
     cancellationReason: String,
+    // Resolution info
+    resolvedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    resolutionSummary: String,
     // Additional metadata for community verified alerts
     metadata: {
       isAutomated: {
@@ -300,6 +453,15 @@ const alertSchema = new mongoose.Schema(
         default: false,
       },
       verifiedBy: String,
+      // Verification policy whose threshold raised a community alert (no id for the built-in default)
+      verificationPolicy: {
+        id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'VerificationPolicy',
+        },
+        name: String,
+        confirmThreshold: Number,
+      },
     },
   },
   {
@@ -311,6 +473,7 @@ const alertSchema = new mongoose.Schema(
 
 // Indexes
 alertSchema.index({ 'targetArea.coordinates': '2dsphere' });
+alertSchema.index({ 'targetArea.geometry': '2dsphere' });
 alertSchema.index({ type: 1 });
 alertSchema.index({ severity: 1 });
 alertSchema.index({ status: 1 });
@@ -319,6 +482,8 @@ alertSchema.index({ effectiveFrom: 1 });
 alertSchema.index({ effectiveUntil: 1 });
 alertSchema.index({ createdAt: -1 });
 alertSchema.index({ tags: 1 });
+// Gateway delivery receipts look up the recipient by message id
+alertSchema.index({ 'delivery.sms.recipients.messageId': 1 }, { sparse: true });
 alertSchema.index({
   title: 'text',
   description: 'text',
@@ -348,6 +513,8 @@ alertSchema.virtual('isEffective').get(function () {
 
 // Virtual for acknowledgment rate
 alertSchema.virtual('acknowledgmentRate').get(function () {
+  // Public reads leave acknowledgements out of the projection
+  if (!this.interactions.acknowledgedBy) return undefined;
   if (this.delivery.delivered === 0) return 0;
   return (this.interactions.acknowledgedBy.length / this.delivery.delivered) * 100;
 });
@@ -380,20 +547,43 @@ alertSchema.pre('save', function (next) {
   next();
 });
 
+// Static method to build a geo filter for alerts reaching a search circle
+// Circle alerts match on their center, polygon alerts match on their exact shape
+alertSchema.statics.buildAreaFilter = function (coordinates, radiusKm) {
+  return {
+    $or: [
+      {
+        'targetArea.geometry.type': { $exists: false },
+        'targetArea.coordinates': {
+          $geoWithin: {
+            $centerSphere: [coordinates, radiusKm / 6371], // radius in radians
+          },
+        },
+      },
+      {
+        'targetArea.geometry': {
+          $geoIntersects: {
+            $geometry: {
+              type: 'Polygon',
+              coordinates: [generateCirclePoints(coordinates, radiusKm, 32)],
+            },
+          },
+        },
+      },
+    ],
+  };
+};
+
 // Static method to find active alerts in an area
 alertSchema.statics.findActiveInArea = function (coordinates, radius = 10000) {
   return this.find({
     isActive: true,
     status: 'active',
-    'targetArea.coordinates': {
-      $geoWithin: {
-        $centerSphere: [coordinates, radius / 6371000], // radius in radians
-      },
-    },
     $or: [
       { effectiveUntil: { $exists: false } },
       { effectiveUntil: { $gt: new Date() } },
     ],
+    $and: [this.buildAreaFilter(coordinates, radius / 1000)],
   }).sort({ priority: -1, createdAt: -1 });
 };
 
@@ -410,20 +600,69 @@ alertSchema.statics.findForUser = async function (user) {
   };
 
   // Add location filter if user has location
+  // Circle alerts within the user's alert radius, polygon alerts whose shape contains the user
   if (user.location?.coordinates && user.location.coordinates[0] !== 0) {
-    query['targetArea.coordinates'] = {
-      $geoWithin: {
-        $centerSphere: [
-          user.location.coordinates,
-          (user.alertPreferences?.alertRadius || 10) / 6371, // radius in radians (km / Earth radius in km)
-        ],
-      },
-    };
+    query.$and = [{
+      $or: [
+        {
+          'targetArea.geometry.type': { $exists: false },
+          'targetArea.coordinates': {
+            $geoWithin: {
+              $centerSphere: [
+                user.location.coordinates,
+                (user.alertPreferences?.alertRadius || 10) / 6371, // radius in radians (km / Earth radius in km)
+              ],
+            },
+          },
+        },
+        {
+          'targetArea.geometry': {
+            $geoIntersects: {
+              $geometry: { type: 'Point', coordinates: user.location.coordinates },
+            },
+          },
+        },
+      ],
+    }];
   }
 
   return this.find(query).sort({ priority: -1, createdAt: -1 });
 };
 
+// Static method to load the whole update chain an alert belongs to, oldest first
+alertSchema.statics.getThread = async function (alertId) {
+  const MAX_DEPTH = 50;
+
+  // Walk up to the first alert in the chain
+  let root = await this.findById(alertId).select('parentAlert');
+  if (!root) return [];
+  for (let depth = 0; root.parentAlert && depth < MAX_DEPTH; depth++) {
+    const parent = await this.findById(root.parentAlert).select('parentAlert');
+    if (!parent) break;
+    root = parent;
+  }
+
+  // Then collect every descendant level by level
+  const thread = [];
+  const seen = new Set();
+  let level = [root._id];
+  for (let depth = 0; level.length > 0 && depth < MAX_DEPTH; depth++) {
+    const alerts = await this.find({ _id: { $in: level } })
+      .select('-interactions.acknowledgedBy -interactions.safeCheckIns')
+      .populate('createdBy', 'firstName lastName')
+      .populate('updates.updatedBy', 'firstName lastName');
+    level = [];
+    alerts.forEach((alert) => {
+      if (seen.has(alert._id.toString())) return;
+      seen.add(alert._id.toString());
+      thread.push(alert);
+      level.push(...alert.childAlerts);
+    });
+  }
+
+  return thread.sort((a, b) => a.createdAt - b.createdAt);
+};
+
 // Instance method to acknowledge alert
 alertSchema.methods.acknowledge = async function (userId) {
   const alreadyAcknowledged = this.interactions.acknowledgedBy.some(
@@ -441,15 +680,11 @@ alertSchema.methods.acknowledge = async function (userId) {
   return this;
 };
 
-// Instance method for safe check-in
+// Instance method for safe check-in. Replaces any earlier check-in from this user
+// with a single atomic update so simultaneous check-ins can't overwrite each other
 alertSchema.methods.safeCheckIn = async function (userId, status, message, location) {
-  // Remove existing check-in from this user
-  this.interactions.safeCheckIns = this.interactions.safeCheckIns.filter(
-    (c) => c.user.toString() !== userId.toString()
-  );
-
-  // Add new check-in
-  this.interactions.safeCheckIns.push({
+  const checkIn = {
+    _id: new mongoose.Types.ObjectId(),
     user: userId,
     status,
     message,
@@ -460,10 +695,56 @@ alertSchema.methods.safeCheckIn = async function (userId, status, message, locat
         }
       : undefined,
     checkedInAt: new Date(),
+  };
+
+  const replace = () =>
+    this.constructor.findOneAndUpdate(
+      { _id: this._id, 'interactions.safeCheckIns.user': userId },
+      { $set: { 'interactions.safeCheckIns.$': checkIn } },
+      { new: true }
+    );
+
+  let updated = await replace();
+  if (!updated) {
+    updated = await this.constructor.findOneAndUpdate(
+      { _id: this._id, 'interactions.safeCheckIns.user': { $ne: userId } },
+      { $push: { 'interactions.safeCheckIns': checkIn } },
+      { new: true }
+    );
+  }
+  // Another request from the same user pushed first - replace that entry instead
+  if (!updated) updated = await replace();
+  if (!updated) return null;
+
+  this.set('interactions.safeCheckIns', updated.interactions.safeCheckIns);
+  this.set('interactions.acknowledgedBy', updated.interactions.acknowledgedBy);
+  return this.interactions.safeCheckIns.find((c) => c._id.equals(checkIn._id)) || null;
+};
+
+// Instance method to tally acknowledgments and check-ins for a roll-call
+alertSchema.methods.getRollCallCounts = function () {
+  const counts = {
+    safe: 0,
+    need_help: 0,
+    not_affected: 0,
+    acknowledged: 0,
+  };
+  const responded = new Set();
+
+  this.interactions.safeCheckIns.forEach((checkIn) => {
+    counts[checkIn.status] = (counts[checkIn.status] || 0) + 1;
+    responded.add(checkIn.user.toString());
   });
 
-  await this.save();
-  return this;
+  // Acknowledged only - checked-in users are already counted above
+  this.interactions.acknowledgedBy.forEach((ack) => {
+    if (!responded.has(ack.user.toString())) {
+      counts.acknowledged++;
+      responded.add(ack.user.toString());
+    }
+  });
+
+  return { counts, respondedUserIds: [...responded] };
 };
 
 const Alert = mongoose.model('Alert', alertSchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const Alert = require('./Alert');
+
+// Matches {{placeholder}} tokens in template text
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+/**
+ * AlertTemplate Schema - Reusable starting points for common alerts
+ * Title, description and instructions may contain {{placeholders}} (e.g. {{location}}, {{time}})
+ * that are filled in when an alert is created from the template
+ */
+const alertTemplateSchema = new mongoose.Schema(
+  {
+    // Name shown in the template picker
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+      unique: true,
+      maxlength: [100, 'Template name cannot exceed 100 characters'],
+    },
+    // Alert content with placeholders
+    title: {
+      type: String,
+      required: [true, 'Template title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+    description: {
+      type: String,
+      required: [true, 'Template description is required'],
+      trim: true,
+      maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    },
+    // Defaults applied to the alert
+    type: {
+      type: String,
+      required: [true, 'Alert type is required'],
+      enum: Alert.schema.path('type').enumValues,
+    },
+    severity: {
+      type: String,
+      enum: Alert.schema.path('severity').enumValues,
+      default: 'advisory',
+    },
+    instructions: [{
+      text: {
+        type: String,
+        required: true,
+      },
+      priority: {
+        type: Number,
+        default: 0,
+      },
+    }],
+    channels: {
+      push: {
+        type: Boolean,
+        default: true,
+      },
+      email: {
+        type: Boolean,
+        default: false,
+      },
+      sms: {
+        type: Boolean,
+        default: false,
+      },
+      inApp: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    // Target radius in km
+    radius: {
+      type: Number,
+      default: 10,
+      min: [0.1, 'Radius must be at least 0.1 km'],
+      max: [500, 'Radius cannot exceed 500 km'],
+    },
+    // How long alerts from this template stay effective (no expiry if unset)
+    durationHours: {
+      type: Number,
+      min: [0.25, 'Duration must be at least 15 minutes'],
+      max: [720, 'Duration cannot exceed 30 days'],
+    },
+    // Creator
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+alertTemplateSchema.index({ type: 1 });
+alertTemplateSchema.index({ name: 'text', title: 'text', description: 'text' });
+
+// Virtual listing the placeholders used anywhere in the template
+alertTemplateSchema.virtual('placeholders').get(function () {
+  const texts = [
+    this.title,
+    this.description,
+    ...(this.instructions || []).map((i) => i.text),
+  ];
+  const found = new Set();
+
+  texts.forEach((text) => {
+    for (const match of (text || '').matchAll(PLACEHOLDER_PATTERN)) {
+      found.add(match[1]);
+    }
+  });
+
+  return [...found];
+});
+
+const AlertTemplate = mongoose.model('AlertTemplate', alertTemplateSchema);
+
+module.exports = AlertTemplate;
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit Log Schema - Append-only record of privileged actions: moderation,
+ * verification, alert changes, account and role changes. Entries are written
+ * through utils/auditLog and can't be edited or deleted once saved.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Who did it - null for anonymous actions such as failed logins
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Role at the time, since it may change later
+    actorRole: String,
+    // Email or name at the time, for readable exports
+    actorLabel: String,
+    // Dotted action name, e.g. report.moderate, alert.create, user.role_change
+    action: {
+      type: String,
+      required: [true, 'Action is required'],
+    },
+    target: {
+      type: {
+        type: String,
+        enum: ['Report', 'Alert', 'User', 'ReportVerification', 'Session', 'Verification'],
+      },
+      id: mongoose.Schema.Types.ObjectId,
+      label: String,
+    },
+    // Fields that changed, before and after
+    changes: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+    }],
+    // Anything else worth keeping, such as a moderation reason
+    metadata: mongoose.Schema.Types.Mixed,
+    ipAddress: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+const immutableError = () => new Error('Audit log entries cannot be modified or deleted');
+
+// Entries can be created but never saved again
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(immutableError());
+  }
+  next();
+});
+
+// Block every update and delete path through the model
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+].forEach((operation) => {
+  auditLogSchema.pre(operation, { document: false, query: true }, function (next) {
+    next(immutableError());
+  });
+});
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, function (next) {
+  next(immutableError());
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Alert = require('./Alert');
+
+/**
+ * Built-in categories - seeded into an empty collection, and the fallback for
+ * any key an admin hasn't overridden. These are the categories reports used
+ * before the taxonomy moved into the database, so existing reports stay valid.
+ */
+const DEFAULT_CATEGORIES = [
+  { key: 'emergency', name: 'Emergency', icon: '🚨', color: '#DC2626', defaultSeverity: 'high', alertType: 'emergency', alertSeverity: 'critical' },
+  { key: 'crime', name: 'Crime', icon: '🚔', color: '#B91C1C', defaultSeverity: 'medium', alertType: 'crime', alertSeverity: 'warning' },
+  { key: 'accident', name: 'Accident', icon: '🚗', color: '#EF4444', defaultSeverity: 'medium', alertType: 'traffic', alertSeverity: 'warning' },
+  { key: 'fire', name: 'Fire', icon: '🔥', color: '#F97316', defaultSeverity: 'high', alertType: 'emergency', alertSeverity: 'critical' },
+  { key: 'medical', name: 'Medical', icon: '🏥', color: '#EC4899', defaultSeverity: 'medium', alertType: 'health', alertSeverity: 'advisory' },
+  { key: 'natural_disaster', name: 'Natural Disaster', icon: '🌊', color: '#8B5CF6', defaultSeverity: 'high', alertType: 'weather', alertSeverity: 'critical' },
+  { key: 'infrastructure', name: 'Infrastructure', icon: '🏗️', color: '#6B7280', defaultSeverity: 'low', alertType: 'infrastructure', alertSeverity: 'advisory' },
+  { key: 'suspicious_activity', name: 'Suspicious Activity', icon: '👀', color: '#A855F7', defaultSeverity: 'low', alertType: 'crime', alertSeverity: 'warning' },
+  { key: 'traffic', name: 'Traffic', icon: '🚦', color: '#F59E0B', defaultSeverity: 'low', alertType: 'traffic', alertSeverity: 'advisory' },
+  { key: 'weather', name: 'Weather', icon: '🌧️', color: '#3B82F6', defaultSeverity: 'medium', alertType: 'weather', alertSeverity: 'advisory' },
+  { key: 'public_safety', name: 'Public Safety', icon: '🛡️', color: '#0EA5E9', defaultSeverity: 'medium', alertType: 'community', alertSeverity: 'advisory' },
+  { key: 'other', name: 'Other', icon: '📋', color: '#6B7280', defaultSeverity: 'medium', alertType: 'community', alertSeverity: 'info' },
+].map((category, index) => ({ ...category, sortOrder: index }));
+
+const DEFAULT_KEYS = new Set(DEFAULT_CATEGORIES.map((category) => category.key));
+
+/**
+ * Category Schema - Report taxonomy managed by admins
+ * Drives the report form, map icons and the alert raised when a report is verified
+ */
+const categorySchema = new mongoose.Schema(
+  {
+    // Stored on reports, so it can't change once created
+    key: {
+      type: String,
+      required: [true, 'Category key is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      immutable: true,
+      match: [/^[a-z][a-z0-9_]{1,39}$/, 'Key must be lowercase letters, numbers and underscores'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Category name is required'],
+      trim: true,
+      maxlength: [60, 'Name cannot exceed 60 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Description cannot exceed 300 characters'],
+    },
+    icon: {
+      type: String,
+      default: '📋',
+      maxlength: [8, 'Icon must be a single emoji'],
+    },
+    color: {
+      type: String,
+      default: '#6B7280',
+      match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #FF0000'],
+    },
+    subcategories: [{
+      _id: false,
+      key: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+      },
+      name: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+    }],
+    // Used when the reporter doesn't pick a severity
+    defaultSeverity: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical'],
+      default: 'medium',
+    },
+    // Alert raised when a report in this category is verified
+    alertType: {
+      type: String,
+      enum: Alert.schema.path('type').enumValues,
+      default: 'community',
+    },
+    alertSeverity: {
+      type: String,
+      enum: Alert.schema.path('severity').enumValues,
+      default: 'advisory',
+    },
+    autoAlert: {
+      // Raise an alert automatically when the community verifies a report
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      radiusKm: {
+        type: Number,
+        default: 5,
+        min: [0.1, 'Alert radius must be at least 0.1 km'],
+        max: [100, 'Alert radius cannot exceed 100 km'],
+      },
+      durationHours: {
+        type: Number,
+        default: 24,
+        min: [1, 'Alert duration must be at least 1 hour'],
+        max: [168, 'Alert duration cannot exceed 7 days'],
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    sortOrder: {
+      type: Number,
+      default: 100,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+categorySchema.index({ isActive: 1, sortOrder: 1 });
+
+// Subcategory keys must be unique within a category
+categorySchema.pre('validate', function (next) {
+  const keys = this.subcategories.map((sub) => sub.key);
+  if (new Set(keys).size !== keys.length) {
+    this.invalidate('subcategories', 'Subcategory keys must be unique');
+  }
+  next();
+});
+
+// Static method to seed the built-in categories into an empty collection
+categorySchema.statics.ensureDefaults = async function () {
+  if (await this.estimatedDocumentCount() > 0) return 0;
+
+  try {
+    const created = await this.insertMany(DEFAULT_CATEGORIES, { ordered: false });
+    return created.length;
+  } catch (error) {
+    // Another instance seeded at the same time
+    if (error.code === 11000) return 0;
+    throw error;
+  }
+};
+
+// Static method to list categories reporters can choose, in display order
+categorySchema.statics.getActive = async function () {
+  await this.ensureDefaults();
+  return this.find({ isActive: true }).sort({ sortOrder: 1, name: 1 });
+};
+
+// Static method to look up a category by key, falling back to the built-in definition
+categorySchema.statics.findByKey = async function (key) {
+  const category = await this.findOne({ key });
+  if (category) return category;
+
+  const builtIn = DEFAULT_CATEGORIES.find((c) => c.key === key);
+  return builtIn ? new this(builtIn) : null;
+};
+
+// Static method to check a key names a known category (active or not)
+// Built-in keys skip the query, so validating existing reports stays cheap
+categorySchema.statics.keyExists = async function (key) {
+  if (DEFAULT_KEYS.has(key)) return true;
+  return !!(await this.exists({ key }));
+};
+
+categorySchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const Report = require('./Report');
+const Category = require('./Category');
+const { calculateCentroid, distanceBetweenCoords } = require('../utils/geoUtils');
+
+// Report severities from least to most severe
+const SEVERITY_ORDER = Report.schema.path('severity').enumValues;
+
+// Reports that no longer count towards an incident's location and severity
+const EXCLUDED_REPORT_STATUSES = ['rejected', 'duplicate'];
+
+/**
+ * Incident Schema - Groups reports that describe the same evolving event
+ * Location, severity and time span are rolled up from the member reports
+ */
+const incidentSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Incident title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    },
+    // Key of a Category
+    category: {
+      type: String,
+      validate: {
+        validator: (key) => key == null || Category.keyExists(key),
+        message: (props) => `\`${props.value}\` is not a valid category`,
+      },
+    },
+    // Worst severity among the member reports
+    severity: {
+      type: String,
+      enum: SEVERITY_ORDER,
+      default: 'medium',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'contained', 'resolved'],
+      default: 'active',
+    },
+    // Running centroid of the member reports
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point',
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: [true, 'Location coordinates are required'],
+      },
+    },
+    // Distance from the centroid to the furthest report, in meters
+    radius: {
+      type: Number,
+      default: 0,
+    },
+    reports: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report',
+    }],
+    // Reports a responder took out - automatic clustering won't add them back
+    excludedReports: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report',
+    }],
+    firstReportedAt: Date,
+    lastReportedAt: Date,
+    // Incident-level history; report activity is merged in by getTimeline()
+    events: [{
+      type: {
+        type: String,
+        enum: ['created', 'report_added', 'report_removed', 'status_changed', 'edited'],
+        required: true,
+      },
+      message: String,
+      report: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Report',
+      },
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    // Created by the clustering job rather than by a responder
+    autoCreated: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    resolvedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+incidentSchema.index({ location: '2dsphere' });
+incidentSchema.index({ status: 1, lastReportedAt: -1 });
+incidentSchema.index({ reports: 1 });
+
+incidentSchema.virtual('reportCount').get(function () {
+  return this.reports ? this.reports.length : 0;
+});
+
+/**
+ * Compare two report severities
+ * @returns {string} The more severe of the two
+ */
+const worstSeverity = (a, b) =>
+  (SEVERITY_ORDER.indexOf(a) >= SEVERITY_ORDER.indexOf(b) ? a : b);
+
+// Instance method to roll location, severity and time span up from the member reports
+// Does not save
+incidentSchema.methods.recalculate = async function () {
+  const reports = await Report.find({
+    _id: { $in: this.reports },
+    status: { $nin: EXCLUDED_REPORT_STATUSES },
+  }).select('location severity category createdAt');
+
+  if (reports.length === 0) return this;
+
+  const points = reports.map((r) => [...r.location.coordinates]);
+  this.location = { type: 'Point', coordinates: calculateCentroid(points) };
+  this.radius = Math.round(Math.max(
+    ...points.map((point) => distanceBetweenCoords(this.location.coordinates, point) * 1000)
+  ));
+  this.severity = reports.map((r) => r.severity).reduce(worstSeverity);
+
+  const times = reports.map((r) => r.createdAt.getTime());
+  this.firstReportedAt = new Date(Math.min(...times));
+  this.lastReportedAt = new Date(Math.max(...times));
+
+  if (!this.category) {
+    this.category = reports[0].category;
+  }
+
+  return this;
+};
+
+// Instance method to add an entry to the incident's own history
+incidentSchema.methods.addEvent = function (type, message, { report, author } = {}) {
+  this.events.push({ type, message, report, author, createdAt: new Date() });
+  return this;
+};
+
+// Instance method to build the combined timeline: incident events, each report
+// coming in, and every update posted on a member report - oldest first
+// Pass { publicOnly: true } to leave out reports still held for review
+incidentSchema.methods.getTimeline = async function ({ publicOnly = false } = {}) {
+  // All member ids, even when a filtered populate has dropped some from this.reports
+  const reportIds = this.populated('reports') || this.reports;
+  let reports = await Report.find({ _id: { $in: reportIds } })
+    .select('title category severity status createdAt isAnonymous reporter updates heldForReview')
+    .populate('reporter', 'firstName lastName')
+    .populate('updates.author', 'firstName lastName role');
+
+  // Reports held for review, and the events naming them, stay out of the public timeline
+  const held = new Set(reports.filter((report) => report.heldForReview).map((report) => report._id.toString()));
+  const events = publicOnly
+    ? this.events.filter((event) => !event.report || !held.has(event.report.toString()))
+    : this.events;
+  if (publicOnly) {
+    reports = reports.filter((report) => !held.has(report._id.toString()));
+  }
+
+  const entries = events.map((event) => ({
+    kind: 'incident',
+    type: event.type,
+    message: event.message,
+    report: event.report,
+    author: event.author,
+    createdAt: event.createdAt,
+  }));
+
+  reports.forEach((report) => {
+    entries.push({
+      kind: 'report',
+      type: 'reported',
+      message: report.title,
+      report: report._id,
+      severity: report.severity,
+      author: report.isAnonymous ? null : report.reporter,
+      createdAt: report.createdAt,
+    });
+
+    report.updates.forEach((update) => {
+      entries.push({
+        kind: 'report_update',
+        type: update.isOfficial ? 'official_update' : 'update',
+        message: update.content,
+        report: report._id,
+        author: update.author,
+        createdAt: update.createdAt,
+      });
+    });
+  });
+
+  return entries.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+const Incident = mongoose.model('Incident', incidentSchema);
+
+module.exports = Incident;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Category = require('./Category');
 
 const reportSchema = new mongoose.Schema(
   {
@@ -30,23 +31,14 @@ const reportSchema = new mongoose.Schema(
       type: String, // AES-256 encrypted
     },
     // Category and type
+    // Key of a Category - admins manage the list
     category: {
       type: String,
       required: [true, 'Category is required'],
-      enum: [
-        'emergency',
-        'crime',
-        'accident',
-        'fire',
-        'medical',
-        'natural_disaster',
-        'infrastructure',
-        'suspicious_activity',
-        'traffic',
-        'weather',
-        'public_safety',
-        'other',
-      ],
+      validate: {
+        validator: (key) => Category.keyExists(key),
+        message: (props) => `\`${props.value}\` is not a valid category`,
+      },
     },
     subcategory: {
       type: String,
@@ -121,6 +113,22 @@ const reportSchema = new mongoose.Schema(
       ref: 'User',
     },
     assignedAt: Date,
+    // First staff action (moderation, assignment or claim) - stops the SLA clock
+    firstActionAt: Date,
+    firstActionBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // SLA breach recorded by the escalation checker
+    sla: {
+      policy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SlaPolicy',
+      },
+      dueAt: Date,
+      breachedAt: Date,
+      escalatedAt: Date,
+    },
     // Verification
     verificationStatus: {
       type: String,
@@ -142,6 +150,11 @@ const reportSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Low-trust reporter - kept out of public feeds and broadcasts until verified
+    heldForReview: {
+      type: Boolean,
+      default: false,
+    },
     // Community verification flag (when 4+ community members verify)
     communityVerified: {
       type: Boolean,
@@ -176,6 +189,11 @@ const reportSchema = new mongoose.Schema(
           type: String,
           enum: ['up', 'down'],
         },
+        // From the voter's reputation when they voted
+        weight: {
+          type: Number,
+          default: 1,
+        },
         votedAt: {
           type: Date,
           default: Date.now,
@@ -198,6 +216,11 @@ const reportSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // Set on replies - threads are one level deep
+      parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
       createdAt: {
         type: Date,
         default: Date.now,
@@ -208,6 +231,61 @@ const reportSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Report',
     }],
+    // Likely duplicates found when the report came in, best match first
+    duplicateMatches: [{
+      _id: false,
+      report: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Report',
+      },
+      score: Number,
+      detectedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    // Primary report this one was merged into (status 'duplicate')
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report',
+    },
+    mergedAt: Date,
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Reporter edits, oldest first - hidden unless asked for, since edits
+    // are often made to take something back out of the public report
+    revisions: {
+      type: [{
+        editedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        editedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        changes: [{
+          _id: false,
+          field: String,
+          from: mongoose.Schema.Types.Mixed,
+          to: mongoose.Schema.Types.Mixed,
+        }],
+        // Community votes were cleared because the report changed under them
+        verificationReset: {
+          type: Boolean,
+          default: false,
+        },
+      }],
+      select: false,
+    },
+    lastEditedAt: Date,
+    // Incident this report has been grouped into
+    incident: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Incident',
+    },
     // Alert generated from this report
     generatedAlert: {
       type: mongoose.Schema.Types.ObjectId,
@@ -256,6 +334,7 @@ reportSchema.index({ status: 1 });
 reportSchema.index({ severity: 1 });
 reportSchema.index({ createdAt: -1 });
 reportSchema.index({ reporter: 1 });
+reportSchema.index({ status: 1, firstActionAt: 1, createdAt: 1 });
 reportSchema.index({ tags: 1 });
 reportSchema.index({
   title: 'text',
@@ -326,6 +405,7 @@ reportSchema.statics.findNearby = function (coordinates, maxDistance = 10000, fi
       },
     },
     isExpired: { $ne: true },
+    heldForReview: { $ne: true },
     ...filters,
   });
 };
@@ -364,6 +444,118 @@ reportSchema.methods.addVote = async function (userId, voteType) {
   return this.save();
 };
 
+// Instance method to total votes by voter weight
+// Voters recorded before reputation weighting count once
+reportSchema.methods.getWeightedVotes = function () {
+  return this.votes.voters.reduce(
+    (totals, voter) => {
+      totals[voter.vote] += voter.weight ?? 1;
+      return totals;
+    },
+    { up: 0, down: 0 }
+  );
+};
+
+// Instance method to apply a reporter's edit and record it as a revision
+// `fields` holds new values for description, severity, location and media.
+// Returns the changes made (empty if nothing differed). The report is not saved.
+reportSchema.methods.applyRevision = function (fields, editedBy) {
+  const changes = [];
+
+  // Plain copy of a field for the diff - media is compared by file alone
+  const snapshot = (field) => {
+    const value = this.get(field);
+    if (field === 'media') {
+      return value.map((item) => ({ url: item.url, type: item.type }));
+    }
+    return value && value.toObject ? value.toObject() : value;
+  };
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value === undefined) return;
+
+    const from = snapshot(field);
+    this.set(field, value);
+    const to = snapshot(field);
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  });
+
+  if (changes.length === 0) return changes;
+
+  // Votes were cast on the old version, so they no longer count
+  const hadVotes = this.votes.up + this.votes.down > 0
+    || this.verificationStatus !== 'unverified';
+  if (hadVotes) {
+    this.votes.up = 0;
+    this.votes.down = 0;
+    this.votes.voters = [];
+    this.verificationStatus = 'unverified';
+    this.communityVerified = false;
+    this.communityVerifiedAt = undefined;
+    this.communityVerificationCount = 0;
+  }
+
+  const editedAt = new Date();
+  this.revisions.push({ editedBy, editedAt, changes, verificationReset: hadVotes });
+  this.lastEditedAt = editedAt;
+
+  return changes;
+};
+
+// Instance method to fold a duplicate into this report
+// Media, votes and updates move across; the duplicate is marked and pointed here.
+// Neither report is saved.
+reportSchema.methods.absorbDuplicate = function (duplicate, mergedBy) {
+  // Media - skip files already attached
+  const mediaUrls = new Set(this.media.map((m) => m.url));
+  duplicate.media.forEach((item) => {
+    if (!mediaUrls.has(item.url)) {
+      this.media.push(item.toObject ? item.toObject() : item);
+      mediaUrls.add(item.url);
+    }
+  });
+
+  // Votes - someone who voted on both keeps their vote on this report
+  const voterIds = new Set(this.votes.voters.map((v) => v.user.toString()));
+  duplicate.votes.voters.forEach((voter) => {
+    if (!voterIds.has(voter.user.toString())) {
+      this.votes.voters.push({ user: voter.user, vote: voter.vote, weight: voter.weight, votedAt: voter.votedAt });
+      this.votes[voter.vote]++;
+      voterIds.add(voter.user.toString());
+    }
+  });
+
+  // Updates - keep the combined thread in time order
+  duplicate.updates.forEach((update) => {
+    this.updates.push(update.toObject ? update.toObject() : update);
+  });
+  this.updates.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  if (!this.relatedReports.some((id) => id.toString() === duplicate._id.toString())) {
+    this.relatedReports.push(duplicate._id);
+  }
+
+  duplicate.status = 'duplicate';
+  duplicate.duplicateOf = this._id;
+  duplicate.mergedAt = new Date();
+  duplicate.mergedBy = mergedBy;
+
+  return this;
+};
+
+// Instance method to record the first staff action on the report
+// Later actions don't move it. Does not save.
+reportSchema.methods.recordFirstAction = function (userId, at = new Date()) {
+  if (!this.firstActionAt) {
+    this.firstActionAt = at;
+    this.firstActionBy = userId;
+  }
+  return this;
+};
+
 const Report = mongoose.model('Report', reportSchema);
 
 module.exports = Report;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const VerificationPolicy = require('./VerificationPolicy');
 
 /**
  * ReportVerification Schema - Track verification votes per report
@@ -36,6 +37,30 @@ const reportVerificationSchema = new mongoose.Schema(
         required: [true, 'User location coordinates are required'],
       },
     },
+    // Reputation weight of the vote when it was cast
+    weight: {
+      type: Number,
+      default: 1,
+    },
+    // Quarantined votes were flagged as suspicious and wait for a moderator
+    // Only counted votes are part of the report's own vote totals
+    status: {
+      type: String,
+      enum: ['counted', 'quarantined', 'rejected'],
+      default: 'counted',
+    },
+    // Why the vote was quarantined (see utils/verificationGuard)
+    flags: [{
+      type: String,
+      enum: ['self_vote', 'impossible_travel', 'new_account_burst', 'shared_ip'],
+    }],
+    // What tripped the flags, e.g. the implied travel speed
+    flagDetails: mongoose.Schema.Types.Mixed,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
     // Distance from report when verified (in km)
     distanceFromReport: {
       type: Number,
@@ -66,6 +91,7 @@ reportVerificationSchema.index({ userId: 1 });
 reportVerificationSchema.index({ vote: 1 });
 reportVerificationSchema.index({ verifiedAt: -1 });
 reportVerificationSchema.index({ 'userLocation.coordinates': '2dsphere' });
+reportVerificationSchema.index({ status: 1, verifiedAt: -1 });
 
 // Static: Add or update verification vote
 reportVerificationSchema.statics.addVote = async function (reportId, userId, vote, userCoords, distanceKm, metadata = {}) {
@@ -125,6 +151,32 @@ reportVerificationSchema.statics.addVote = async function (reportId, userId, vot
   return { vote: newVote, isNew: true, changed: true };
 };
 
+// Static: Record a vote cast through the report's own vote list (null vote removes it)
+// Kept alongside report.votes so a voter's accuracy can be measured once reports settle
+reportVerificationSchema.statics.recordVote = async function (reportId, userId, vote, { coordinates, distanceKm, weight = 1, metadata = {}, status = 'counted', flags = [], flagDetails = null } = {}) {
+  if (!vote) {
+    return this.findOneAndDelete({ reportId, userId });
+  }
+
+  return this.findOneAndUpdate(
+    { reportId, userId },
+    {
+      $set: {
+        vote,
+        weight,
+        status,
+        flags,
+        flagDetails,
+        userLocation: { type: 'Point', coordinates },
+        distanceFromReport: distanceKm,
+        verifiedAt: new Date(),
+        metadata,
+      },
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
 // Static: Get votes for a report
 reportVerificationSchema.statics.getVotesForReport = async function (reportId) {
   const votes = await this.find({ reportId })
@@ -155,11 +207,27 @@ reportVerificationSchema.statics.getUserVerifications = async function (userId,
     .limit(limit);
 };
 
-// Static: Auto-verify report if threshold reached
-reportVerificationSchema.statics.checkAutoVerify = async function (reportId, threshold = 3) {
+// Static: Auto-verify report if reputation-weighted confirms reach the threshold
+// Without a threshold, the report's verification policy and reporter's reputation decide
+reportVerificationSchema.statics.checkAutoVerify = async function (reportId, threshold = null) {
   const Report = mongoose.model('Report');
-  
-  const confirms = await this.countDocuments({ reportId, vote: 'confirm' });
+  // Required here - utils/reputation loads this model
+  const { getReputation, getConfirmThreshold } = require('../utils/reputation');
+
+  const [totals] = await this.aggregate([
+    { $match: { reportId: new mongoose.Types.ObjectId(reportId), vote: 'confirm', status: { $nin: ['quarantined', 'rejected'] } } },
+    { $group: { _id: null, weight: { $sum: { $ifNull: ['$weight', 1] } } } },
+  ]);
+  const confirms = totals?.weight || 0;
+
+  if (threshold === null) {
+    const report = await Report.findById(reportId).select('reporter category severity');
+    if (!report) return false;
+
+    const { confirmThreshold } = await VerificationPolicy.resolveForReport(report);
+    const reputation = report.reporter ? await getReputation(report.reporter) : null;
+    threshold = getConfirmThreshold(reputation, confirmThreshold);
+  }
   
   if (confirms >= threshold) {
     await Report.findByIdAndUpdate(reportId, {
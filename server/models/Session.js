@@ -172,6 +172,19 @@ sessionSchema.statics.endSession = async function (tokenOrSocketId) {
   );
 };
 
+// Static: End every active session for a user
+sessionSchema.statics.endUserSessions = async function (userId) {
+  return this.updateMany(
+    { userId, isActive: true },
+    {
+      $set: {
+        isActive: false,
+        disconnectedAt: new Date(),
+      },
+    }
+  );
+};
+
 // Static: Cleanup inactive sessions (call periodically)
 sessionSchema.statics.cleanupInactive = async function (inactiveMinutes = 30) {
   const cutoff = new Date(Date.now() - inactiveMinutes * 60 * 1000);
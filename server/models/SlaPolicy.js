@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const Report = require('./Report');
+const Category = require('./Category');
+
+/**
+ * SLA Policy Schema - How quickly reports must get a first action from staff
+ * A policy can target a category, a severity, both, or neither (the catch-all)
+ */
+const slaPolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Policy name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    // null matches any category
+    category: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (key) => key === null || Category.keyExists(key),
+        message: (props) => `\`${props.value}\` is not a valid category`,
+      },
+    },
+    // null matches any severity
+    severity: {
+      type: String,
+      enum: [...Report.schema.path('severity').enumValues, null],
+      default: null,
+    },
+    // Time allowed between the report coming in and a first staff action
+    acknowledgeWithinMinutes: {
+      type: Number,
+      required: [true, 'Acknowledgement window is required'],
+      min: [1, 'Acknowledgement window must be at least 1 minute'],
+      max: [7 * 24 * 60, 'Acknowledgement window cannot exceed 7 days'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One policy per category/severity combination
+slaPolicySchema.index({ category: 1, severity: 1 }, { unique: true });
+
+// Virtual for how specific the policy is - category and severity beats either alone
+slaPolicySchema.virtual('specificity').get(function () {
+  return (this.category ? 2 : 0) + (this.severity ? 1 : 0);
+});
+
+// Instance method to check whether the policy covers a report
+slaPolicySchema.methods.appliesTo = function (report) {
+  return (!this.category || this.category === report.category)
+    && (!this.severity || this.severity === report.severity);
+};
+
+// Static method to pick the most specific active policy for a report
+// Pass preloaded policies to avoid a query per report
+slaPolicySchema.statics.findForReport = async function (report, policies) {
+  const candidates = policies || await this.find({ isActive: true });
+  return candidates
+    .filter((policy) => policy.isActive && policy.appliesTo(report))
+    .sort((a, b) => b.specificity - a.specificity)[0] || null;
+};
+
+const SlaPolicy = mongoose.model('SlaPolicy', slaPolicySchema);
+
+module.exports = SlaPolicy;
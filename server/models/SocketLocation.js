@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * SocketLocation Schema - Last location each live socket reported
+ * Kept apart from login sessions: these are the trail report verification checks
+ * claimed vote locations against, not sessions a user can see or revoke.
+ */
+
+// How long a socket's last location is kept after its last update
+const SOCKET_LOCATION_TTL_HOURS = 24;
+
+const socketLocationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    socketId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point',
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true,
+      },
+    },
+    // Client IP, resolved through the app's trust proxy setting
+    ipAddress: String,
+    userAgent: String,
+    lastPing: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+socketLocationSchema.index({ userId: 1, lastPing: -1 });
+socketLocationSchema.index({ lastPing: 1 }, { expireAfterSeconds: SOCKET_LOCATION_TTL_HOURS * 60 * 60 });
+
+module.exports = mongoose.model('SocketLocation', socketLocationSchema);
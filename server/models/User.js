@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { DEFAULT_LOCALE, isValidLocale } = require('../utils/alertLocalization');
 
 const userSchema = new mongoose.Schema(
   {
@@ -42,6 +43,12 @@ const userSchema = new mongoose.Schema(
       trim: true,
       match: [/^\+?[\d\s-]{10,}$/, 'Please provide a valid phone number'],
     },
+    // Set once the number has been confirmed with an SMS code - required for SMS alerts
+    phoneVerified: {
+      type: Boolean,
+      default: false,
+    },
+    phoneVerifiedAt: Date,
     avatar: {
       url: String,
       publicId: String,
@@ -79,6 +86,15 @@ const userSchema = new mongoose.Schema(
       country: String,
       zipCode: String,
     },
+    // Language alerts are delivered in, when a translation exists
+    preferredLanguage: {
+      type: String,
+      default: DEFAULT_LOCALE,
+      validate: {
+        validator: isValidLocale,
+        message: 'Preferred language must be a locale such as "en" or "es-MX"',
+      },
+    },
     // Alert preferences
     alertPreferences: {
       pushEnabled: {
@@ -93,6 +109,8 @@ const userSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // Set when the number replies STOP; cleared when SMS alerts are turned back on
+      smsOptedOutAt: Date,
       alertRadius: {
         type: Number,
         default: 10, // km
@@ -141,6 +159,72 @@ const userSchema = new mongoose.Schema(
       default: 0,
     },
     lockUntil: Date,
+    // Bans - a banned user can't sign in, call the API or hold a socket
+    isBanned: {
+      type: Boolean,
+      default: false,
+    },
+    banReason: String,
+    bannedAt: Date,
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Set when an admin deletes the account - kept so its history survives
+    deletedAt: Date,
+    // Admin actions taken on the account, oldest first
+    adminActions: {
+      type: [{
+        action: {
+          type: String,
+          enum: ['role_change', 'ban', 'unban', 'delete'],
+          required: true,
+        },
+        performedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        performedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        fromRole: String,
+        toRole: String,
+        reason: String,
+      }],
+      select: false,
+    },
+    // Reporter reputation - cached here, recomputed by utils/reputation
+    reputation: {
+      score: {
+        type: Number,
+        default: 50,
+        min: 0,
+        max: 100,
+      },
+      tier: {
+        type: String,
+        enum: ['untrusted', 'low', 'neutral', 'trusted', 'highly_trusted'],
+        default: 'neutral',
+      },
+      reportsConfirmed: {
+        type: Number,
+        default: 0,
+      },
+      reportsFalse: {
+        type: Number,
+        default: 0,
+      },
+      votesAccurate: {
+        type: Number,
+        default: 0,
+      },
+      votesInaccurate: {
+        type: Number,
+        default: 0,
+      },
+      calculatedAt: Date,
+    },
     // Responder-specific fields
     responderInfo: {
       organization: String,
@@ -162,6 +246,8 @@ const userSchema = new mongoose.Schema(
 
 // Index for geospatial queries
 userSchema.index({ 'location.coordinates': '2dsphere' });
+// A phone number can be verified on one account only
+userSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { phoneVerified: true } });
 // Note: email index not needed here - created automatically by unique: true in schema
 
 // Virtual for full name
@@ -244,6 +330,12 @@ userSchema.methods.generateEmailVerificationToken = function () {
   return verificationToken;
 };
 
+// Record an admin action against the account (not saved)
+// The user must have been loaded with +adminActions, or saving would replace the history
+userSchema.methods.recordAdminAction = function (action, performedBy, details = {}) {
+  this.adminActions.push({ action, performedBy, ...details });
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
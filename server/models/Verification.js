@@ -63,6 +63,16 @@ const verificationSchema = new mongoose.Schema(
       supervisorEmail: String,
       supervisorPhone: String,
       employeeId: String,
+      // Credentials uploaded through /api/upload (ID card, letter of employment...)
+      documents: [{
+        _id: false,
+        url: {
+          type: String,
+          required: true,
+        },
+        key: String,
+        name: String,
+      }],
       // For organization verification
       organizationType: {
         type: String,
@@ -126,6 +136,7 @@ verificationSchema.index({ code: 1 });
 verificationSchema.index({ status: 1 });
 verificationSchema.index({ expiresAt: 1 });
 verificationSchema.index({ createdAt: -1 });
+verificationSchema.index({ type: 1, status: 1, createdAt: 1 });
 
 // Virtual to check if verification is expired
 verificationSchema.virtual('isExpired').get(function () {
@@ -217,7 +228,7 @@ verificationSchema.statics.createPhoneVerification = async function (userId, pho
 };
 
 // Static method to create responder verification
-verificationSchema.statics.createResponderVerification = async function (userId, data) {
+verificationSchema.statics.createResponderVerification = async function (userId, data, ip) {
   const token = this.generateToken();
   const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
 
@@ -234,28 +245,33 @@ verificationSchema.statics.createResponderVerification = async function (userId,
     data,
     expiresAt,
     maxAttempts: 1, // One attempt for document verification
+    requestIp: ip,
   });
 };
 
 // Instance method to verify with code
 verificationSchema.methods.verifyCode = async function (inputCode, ip) {
-  this.attempts++;
-  this.lastAttemptAt = new Date();
-  this.verificationIp = ip;
-
   if (this.isExpired) {
     this.status = 'expired';
     await this.save();
     return { success: false, message: 'Verification code has expired' };
   }
 
+  // Checked before counting this attempt, so every one of maxAttempts gets a try
   if (this.maxAttemptsReached) {
     this.status = 'expired';
     await this.save();
     return { success: false, message: 'Maximum attempts reached' };
   }
 
+  this.attempts++;
+  this.lastAttemptAt = new Date();
+  this.verificationIp = ip;
+
   if (this.code !== inputCode) {
+    if (this.maxAttemptsReached) {
+      this.status = 'expired';
+    }
     await this.save();
     return {
       success: false,
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Report = require('./Report');
+const Alert = require('./Alert');
+const Category = require('./Category');
+
+// Settings used for reports no active policy covers
+const DEFAULT_SETTINGS = {
+  confirmThreshold: 4,
+  verificationRadiusKm: 5,
+  voteWindowHours: null,
+  alertSeverity: null,
+  alertDurationHours: null,
+};
+
+/**
+ * Verification Policy Schema - When community votes verify a report, and the
+ * alert raised when they do. A policy can target a category, a severity,
+ * both, or neither (the catch-all)
+ */
+const verificationPolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Policy name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    // null matches any category
+    category: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (key) => key === null || Category.keyExists(key),
+        message: (props) => `\`${props.value}\` is not a valid category`,
+      },
+    },
+    // null matches any severity
+    severity: {
+      type: String,
+      enum: [...Report.schema.path('severity').enumValues, null],
+      default: null,
+    },
+    // Reputation-weighted confirmations needed from a neutral reporter's report
+    confirmThreshold: {
+      type: Number,
+      default: DEFAULT_SETTINGS.confirmThreshold,
+      min: [1, 'Threshold must be at least 1 confirmation'],
+      max: [50, 'Threshold cannot exceed 50 confirmations'],
+    },
+    // How close a voter must be to the report
+    verificationRadiusKm: {
+      type: Number,
+      default: DEFAULT_SETTINGS.verificationRadiusKm,
+      min: [0.1, 'Radius must be at least 0.1 km'],
+      max: [50, 'Radius cannot exceed 50 km'],
+    },
+    // Hours after the report comes in that voting stays open - null for no limit
+    voteWindowHours: {
+      type: Number,
+      default: null,
+      min: [1, 'Vote window must be at least 1 hour'],
+      max: [24 * 30, 'Vote window cannot exceed 30 days'],
+    },
+    // Alert overrides - null falls back to the category's settings
+    alertSeverity: {
+      type: String,
+      enum: [...Alert.schema.path('severity').enumValues, null],
+      default: null,
+    },
+    alertDurationHours: {
+      type: Number,
+      default: null,
+      min: [1, 'Alert duration must be at least 1 hour'],
+      max: [168, 'Alert duration cannot exceed 7 days'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One policy per category/severity combination
+verificationPolicySchema.index({ category: 1, severity: 1 }, { unique: true });
+
+// Virtual for how specific the policy is - category and severity beats either alone
+verificationPolicySchema.virtual('specificity').get(function () {
+  return (this.category ? 2 : 0) + (this.severity ? 1 : 0);
+});
+
+// Instance method to check whether the policy covers a report
+verificationPolicySchema.methods.appliesTo = function (report) {
+  return (!this.category || this.category === report.category)
+    && (!this.severity || this.severity === report.severity);
+};
+
+// Static method to pick the most specific active policy for a report
+verificationPolicySchema.statics.findForReport = async function (report) {
+  const candidates = await this.find({ isActive: true });
+  return candidates
+    .filter((policy) => policy.appliesTo(report))
+    .sort((a, b) => b.specificity - a.specificity)[0] || null;
+};
+
+// Static method to get the settings that apply to a report, and the policy they came from
+verificationPolicySchema.statics.resolveForReport = async function (report) {
+  const policy = await this.findForReport(report);
+  if (!policy) {
+    return { policy: null, ...DEFAULT_SETTINGS };
+  }
+
+  return {
+    policy,
+    confirmThreshold: policy.confirmThreshold,
+    verificationRadiusKm: policy.verificationRadiusKm,
+    voteWindowHours: policy.voteWindowHours,
+    alertSeverity: policy.alertSeverity,
+    alertDurationHours: policy.alertDurationHours,
+  };
+};
+
+verificationPolicySchema.statics.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+const VerificationPolicy = mongoose.model('VerificationPolicy', verificationPolicySchema);
+
+module.exports = VerificationPolicy;
@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const AlertTemplate = require('../models/AlertTemplate');
+const { protect } = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/roleCheck');
+const { pickFields, createErrorHandler } = require('../utils/routeHelpers');
+
+/**
+ * ============================================
+ * ALERT TEMPLATE ROUTES (/api/alert-templates)
+ * ============================================
+ */
+
+// Fields a client may set on a template
+const EDITABLE_FIELDS = [
+  'name',
+  'title',
+  'description',
+  'type',
+  'severity',
+  'instructions',
+  'channels',
+  'radius',
+  'durationHours',
+];
+
+const pickTemplateFields = (body) => pickFields(body, EDITABLE_FIELDS);
+
+/**
+ * Only admins or the template's creator may change it
+ */
+const canManageTemplate = (template, user) =>
+  [ROLES.ADMIN, ROLES.SUPER_ADMIN].includes(user.role)
+  || template.createdBy.toString() === user._id.toString();
+
+const handleTemplateError = createErrorHandler({
+  notFound: 'Template not found',
+  duplicate: 'A template with this name already exists',
+});
+
+// Every template route is for alert staff only
+router.use(protect, authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER));
+
+/**
+ * @route   GET /api/alert-templates
+ * @desc    List templates (?type=weather&search=flood)
+ * @access  Private (alert role required)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { type, search } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (search) query.$text = { $search: search };
+
+    const templates = await AlertTemplate.find(query)
+      .sort({ name: 1 })
+      .populate('createdBy', 'firstName lastName');
+
+    res.json({
+      success: true,
+      data: templates,
+    });
+  } catch (error) {
+    handleTemplateError(error, res, 'Get templates');
+  }
+});
+
+/**
+ * @route   GET /api/alert-templates/:id
+ * @desc    Get a single template
+ * @access  Private (alert role required)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await AlertTemplate.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    handleTemplateError(error, res, 'Get template');
+  }
+});
+
+/**
+ * @route   POST /api/alert-templates
+ * @desc    Create a template
+ * @access  Private (alert role required)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const template = await AlertTemplate.create({
+      ...pickTemplateFields(req.body),
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: template,
+    });
+  } catch (error) {
+    handleTemplateError(error, res, 'Create template');
+  }
+});
+
+/**
+ * @route   PUT /api/alert-templates/:id
+ * @desc    Update a template
+ * @access  Private (creator or admin)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const template = await AlertTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    if (!canManageTemplate(template, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this template',
+      });
+    }
+
+    template.set(pickTemplateFields(req.body));
+    template.updatedBy = req.user._id;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      data: template,
+    });
+  } catch (error) {
+    handleTemplateError(error, res, 'Update template');
+  }
+});
+
+/**
+ * @route   DELETE /api/alert-templates/:id
+ * @desc    Delete a template
+ * @access  Private (creator or admin)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await AlertTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    if (!canManageTemplate(template, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this template',
+      });
+    }
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully',
+    });
+  } catch (error) {
+    handleTemplateError(error, res, 'Delete template');
+  }
+});
+
+module.exports = router;
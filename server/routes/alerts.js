@@ -1,13 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const Alert = require('../models/Alert');
+const Report = require('../models/Report');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const { protect, optionalAuth } = require('../middleware/auth');
 const { authorize, ROLES } = require('../middleware/roleCheck');
 const { alertBroadcastLimiter, searchLimiter } = require('../middleware/rateLimiter');
 const { deleteFromUploadThing } = require('../config/uploadthing');
-const { distanceBetweenCoords } = require('../utils/geoUtils');
+const {
+  distanceBetweenCoords,
+  normalizePolygonGeometry,
+  calculateGeometryCentroid,
+} = require('../utils/geoUtils');
+const { alertToCap, alertsToAtomFeed, parseCap } = require('../utils/capUtils');
 const { logger } = require('../utils/logger');
+const { broadcastAlert, buildTargetUsersQuery } = require('../utils/alertBroadcast');
+const { localizeAlert, parseAcceptLanguage } = require('../utils/alertLocalization');
+const { snapshot, recordAudit } = require('../utils/auditLog');
 
 /**
  * ============================================
@@ -15,40 +24,125 @@ const { logger } = require('../utils/logger');
  * ============================================
  */
 
+// Severities that need a second admin's approval when raised by a responder
+const APPROVAL_REQUIRED_SEVERITIES = ['critical', 'extreme'];
+
+// Longest update that can be posted to an alert thread
+const MAX_UPDATE_LENGTH = 1000;
+
+// Alert fields kept in the audit log when they change
+const ALERT_AUDIT_FIELDS = [
+  'title',
+  'description',
+  'type',
+  'severity',
+  'status',
+  'isActive',
+  'effectiveFrom',
+  'effectiveUntil',
+  'targetArea.radius',
+];
+
+const alertTarget = (alert) => ({ type: 'Alert', id: alert._id, label: alert.title });
+
+// Safe check-in options and limits
+const CHECK_IN_STATUSES = ['safe', 'need_help', 'not_affected'];
+const MAX_CHECK_IN_MESSAGE_LENGTH = 500;
+const ROLL_CALL_PENDING_LIMIT = 200;
+
+// Alerts users can still respond to
+const RESPONDABLE_STATUSES = ['active', 'updated'];
+
+// Alerts that are not out yet - only staff and their creator can read them
+const UNPUBLISHED_STATUSES = ['pending_approval', 'scheduled'];
+
 /**
- * Broadcast alert to users in target area using Socket.IO geo-filtered emit
+ * Close the report an alert was raised from when the alert is closed,
+ * and let maps drop it
  */
-async function broadcastAlert(alert, io) {
-  if (!io || !io.emitOfficialAlert) return;
+async function syncSourceReport(alert, status, userId, io) {
+  if (!alert.source?.reportId) return;
+
+  const reportStatus = status === 'cancelled' ? 'rejected' : 'resolved';
 
   try {
-    // Use the geo-filtered emit function from socketHandler
-    io.emitOfficialAlert(alert);
+    await Report.findByIdAndUpdate(alert.source.reportId, { status: reportStatus });
+
+    if (io?.emitReportModerated) {
+      io.emitReportModerated(
+        { _id: alert.source.reportId, status: reportStatus },
+        status === 'cancelled' ? 'reject' : 'resolve',
+        userId
+      );
+    }
+  } catch (err) {
+    console.log('Could not update related report:', err.message);
+  }
+}
 
-    // Find users in the target area for delivery stats
-    let usersQuery = {
-      isActive: true,
-      'alertPreferences.pushEnabled': true,
-    };
+/**
+ * Responders' high-severity alerts wait for a second admin before going out
+ */
+const requiresApprovalFor = (user, severity) =>
+  user.role === ROLES.RESPONDER && APPROVAL_REQUIRED_SEVERITIES.includes(severity);
 
-    // Add geospatial filter if coordinates are provided
-    if (alert.targetArea?.coordinates && alert.targetArea.coordinates.length === 2) {
-      const radiusKm = alert.targetArea.radius || 10;
-      usersQuery['location.coordinates'] = {
-        $geoWithin: {
-          $centerSphere: [alert.targetArea.coordinates, radiusKm / 6371],
-        },
-      };
-    }
+/**
+ * Let admins know there is something in the approval queue
+ */
+const notifyPendingApproval = (io, alert, requestedBy) => {
+  if (!io?.notifyRole) return;
+
+  const payload = {
+    alertId: alert._id,
+    title: alert.title,
+    severity: alert.severity,
+    requestedBy,
+  };
+  io.notifyRole(ROLES.ADMIN, 'alertPendingApproval', payload);
+  io.notifyRole(ROLES.SUPER_ADMIN, 'alertPendingApproval', payload);
+};
 
-    const users = await User.find(usersQuery).select('_id');
+/**
+ * Unpublished alerts are visible to staff and their creator only
+ */
+const canViewAlert = (alert, user) => {
+  if (!UNPUBLISHED_STATUSES.includes(alert.status)) return true;
+  if (!user) return false;
+  if ([ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER].includes(user.role)) return true;
 
-    // Update delivery stats
-    alert.delivery.totalTargeted = users.length;
-    alert.delivery.sent = users.length;
-    await alert.save();
-  } catch (error) {
-    console.error('Broadcast alert error:', error);
+  const creatorId = alert.createdBy?._id || alert.createdBy;
+  return creatorId?.toString() === user._id.toString();
+};
+
+/**
+ * Only admins or the alert's creator may close it
+ */
+const canManageAlert = (alert, user) =>
+  [ROLES.ADMIN, ROLES.SUPER_ADMIN].includes(user.role)
+  || alert.createdBy.toString() === user._id.toString();
+
+/**
+ * Retire the parent of a follow-up alert once the follow-up goes live,
+ * and tell everyone who received the parent
+ */
+async function supersedeParent(child, io) {
+  const parent = await Alert.findById(child.parentAlert);
+  if (!parent) return;
+
+  if (!parent.childAlerts.some((id) => id.toString() === child._id.toString())) {
+    parent.childAlerts.push(child._id);
+  }
+  if (parent.status === 'active') {
+    parent.status = 'updated';
+    parent.isActive = false;
+  }
+  await parent.save();
+
+  if (io?.emitAlertThreadEvent) {
+    io.emitAlertThreadEvent(parent, 'alertSuperseded', {
+      newAlertId: child._id,
+      alert: child,
+    });
   }
 }
 
@@ -69,10 +163,13 @@ router.post(
         description,
         type,
         severity,
-        targetArea, // { coordinates: [lng, lat], radius: 10 } or polygon
+        targetArea, // { coordinates: [lng, lat], radius: 10 } or { geometry: GeoJSON Polygon/MultiPolygon }
         effectiveFrom,
         effectiveUntil,
         instructions,
+        channels,
+        language,
+        translations, // Array of { locale, title, description, instructions }
         media, // Array of { url, key, type } from UploadThing
       } = req.body;
 
@@ -87,9 +184,30 @@ router.post(
       // Parse JSON fields
       const parsedTargetArea = typeof targetArea === 'string' ? JSON.parse(targetArea) : targetArea;
       const parsedInstructions = typeof instructions === 'string' ? JSON.parse(instructions) : instructions;
+      const parsedTranslations = typeof translations === 'string' ? JSON.parse(translations) : translations;
+
+      // Polygon geo-fence - accepts GeoJSON geometry or a legacy ring of [lng, lat] pairs
+      const polygonInput = parsedTargetArea.geometry || parsedTargetArea.polygon;
+      let geometry = null;
+
+      if (polygonInput) {
+        geometry = normalizePolygonGeometry(polygonInput);
+
+        if (!geometry) {
+          return res.status(400).json({
+            success: false,
+            message: 'Target area geometry must be a valid GeoJSON Polygon or MultiPolygon',
+          });
+        }
+      }
+
+      // Polygons are centered on their centroid unless coordinates are given
+      const centerCoordinates = geometry && !parsedTargetArea.coordinates
+        ? calculateGeometryCentroid(geometry)
+        : parsedTargetArea.coordinates;
 
       // Validate targetArea has coordinates
-      if (!parsedTargetArea.coordinates || parsedTargetArea.coordinates.length !== 2) {
+      if (!Array.isArray(centerCoordinates) || centerCoordinates.length !== 2) {
         return res.status(400).json({
           success: false,
           message: 'Target area must include coordinates [longitude, latitude]',
@@ -104,6 +222,13 @@ router.post(
         type: item.type || 'image',
       }));
 
+      // Alerts starting in the future are activated later by the scheduler
+      const startsAt = effectiveFrom ? new Date(effectiveFrom) : new Date();
+      const isScheduled = startsAt > new Date();
+
+      // Responders' high-severity alerts wait for an admin before going out
+      const requiresApproval = requiresApprovalFor(req.user, severity);
+
       const alert = await Alert.create({
         title,
         description,
@@ -115,23 +240,60 @@ router.post(
         },
         createdBy: req.user._id,
         targetArea: {
-          type: 'Circle',
-          coordinates: parsedTargetArea.coordinates,
+          type: geometry ? geometry.type : 'Circle',
+          coordinates: centerCoordinates,
+          geometry: geometry || undefined,
           radius: parsedTargetArea.radius || 10, // Default 10km
           city: parsedTargetArea.city,
           state: parsedTargetArea.state,
           country: parsedTargetArea.country,
         },
-        effectiveFrom: effectiveFrom || new Date(),
+        effectiveFrom: startsAt,
         effectiveUntil,
         instructions: parsedInstructions || [],
+        language,
+        translations: parsedTranslations || [],
+        channels,
         media: processedMedia,
-        status: 'active',
-        isActive: true,
+        status: requiresApproval ? 'pending_approval' : (isScheduled ? 'scheduled' : 'active'),
+        isActive: !requiresApproval && !isScheduled,
+        approval: requiresApproval
+          ? { required: true, requestedAt: new Date() }
+          : undefined,
+      });
+
+      await recordAudit(req, {
+        action: 'alert.create',
+        target: alertTarget(alert),
+        after: snapshot(alert, ALERT_AUDIT_FIELDS),
       });
 
+      const io = req.app.get('io');
+
+      if (requiresApproval) {
+        notifyPendingApproval(io, alert, req.user._id);
+
+        logger.info(`Alert ${alert._id} awaiting approval (requested by ${req.user._id})`);
+
+        return res.status(201).json({
+          success: true,
+          message: 'Alert submitted for approval',
+          data: alert,
+        });
+      }
+
+      if (isScheduled) {
+        logger.info(`Alert ${alert._id} scheduled for ${startsAt.toISOString()}`);
+
+        return res.status(201).json({
+          success: true,
+          message: 'Alert scheduled successfully',
+          data: alert,
+        });
+      }
+
       // Broadcast alert to users in the area
-      await broadcastAlert(alert, req.app.get('io'));
+      await broadcastAlert(alert, io);
 
       res.status(201).json({
         success: true,
@@ -141,6 +303,14 @@ router.post(
     } catch (error) {
       console.error('Create alert error:', error);
 
+      // MongoDB rejects self-intersecting or otherwise malformed shapes when indexing
+      if (error.code === 16755) {
+        return res.status(400).json({
+          success: false,
+          message: 'Target area geometry is not a valid polygon',
+        });
+      }
+
       if (error.name === 'ValidationError') {
         const messages = Object.values(error.errors).map((err) => err.message);
         return res.status(400).json({
@@ -200,14 +370,9 @@ router.get('/', searchLimiter, async (req, res) => {
 
     // Geospatial query - if lat and lng provided
     if (lat && lng) {
-      query['targetArea.coordinates'] = {
-        $geoWithin: {
-          $centerSphere: [
-            [parseFloat(lng), parseFloat(lat)],
-            parseFloat(radius) / 6371, // Convert km to radians
-          ],
-        },
-      };
+      query.$and = [
+        Alert.buildAreaFilter([parseFloat(lng), parseFloat(lat)], parseFloat(radius)),
+      ];
     }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -300,16 +465,11 @@ router.get('/nearby', searchLimiter, async (req, res) => {
       query.severity = severity;
     }
 
-    // Geospatial query - radius in meters, convert to km for centerSphere
+    // Geospatial query - radius in meters, polygon alerts match on their exact shape
     const radiusKm = parseFloat(radius) / 1000; // Convert meters to km
-    query['targetArea.coordinates'] = {
-      $geoWithin: {
-        $centerSphere: [
-          [parseFloat(lng), parseFloat(lat)],
-          radiusKm / 6371, // Convert km to radians
-        ],
-      },
-    };
+    query.$and = [
+      Alert.buildAreaFilter([parseFloat(lng), parseFloat(lat)], radiusKm),
+    ];
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -358,62 +518,45 @@ router.get('/nearby', searchLimiter, async (req, res) => {
 });
 
 /**
- * @route   GET /api/alerts/:id
- * @desc    Get single alert details
- * @access  Public
+ * @route   GET /api/alerts/pending-approval
+ * @desc    Alerts waiting for a second admin's approval
+ * @access  Private (admin role required)
  */
-router.get('/:id', async (req, res) => {
-  try {
-    const alert = await Alert.findById(req.params.id)
-      .populate('createdBy', 'firstName lastName')
-      .populate('parentAlert', 'title')
-      .populate('childAlerts', 'title status');
+router.get(
+  '/pending-approval',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      const alerts = await Alert.find({ status: 'pending_approval' })
+        .sort({ 'approval.requestedAt': 1 })
+        .populate('createdBy', 'firstName lastName email role');
 
-    if (!alert) {
-      return res.status(404).json({
-        success: false,
-        message: 'Alert not found',
+      res.json({
+        success: true,
+        data: alerts,
       });
-    }
-
-    // Increment view count
-    alert.interactions.views = (alert.interactions.views || 0) + 1;
-    await alert.save();
-
-    res.json({
-      success: true,
-      data: alert,
-    });
-  } catch (error) {
-    console.error('Get alert error:', error);
-
-    if (error.name === 'CastError') {
-      return res.status(404).json({
+    } catch (error) {
+      console.error('Get pending alerts error:', error);
+      res.status(500).json({
         success: false,
-        message: 'Alert not found',
+        message: 'Server error',
       });
     }
-
-    res.status(500).json({
-      success: false,
-      message: 'Server error',
-    });
   }
-});
+);
 
 /**
- * @route   PUT /api/alerts/:id
- * @desc    Update alert (status, resolve, expire, etc.)
- * @access  Private (admin/responder role required)
+ * @route   PUT /api/alerts/:id/approve
+ * @desc    Approve a pending alert and broadcast it (approver must not be the creator)
+ * @access  Private (admin role required)
  */
 router.put(
-  '/:id',
+  '/:id/approve',
   protect,
-  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN),
   async (req, res) => {
     try {
-      const { status, isActive, title, description, severity, effectiveUntil } = req.body;
-
       const alert = await Alert.findById(req.params.id);
 
       if (!alert) {
@@ -423,81 +566,93 @@ router.put(
         });
       }
 
-      // Update allowed fields
-      if (status) {
-        alert.status = status;
-        
-        // If resolving/expiring/cancelling, set isActive to false
-        if (['resolved', 'expired', 'cancelled'].includes(status)) {
-          alert.isActive = false;
-          alert.resolvedAt = new Date();
-          alert.resolvedBy = req.user._id;
-        }
-        
-        // If reactivating, set isActive to true
-        if (status === 'active') {
-          alert.isActive = true;
-          alert.resolvedAt = undefined;
-          alert.resolvedBy = undefined;
-        }
+      if (alert.status !== 'pending_approval') {
+        return res.status(400).json({
+          success: false,
+          message: 'Alert is not awaiting approval',
+        });
       }
-      
-      if (isActive !== undefined) {
-        alert.isActive = isActive;
+
+      if (alert.createdBy.toString() === req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Alerts must be approved by a different admin',
+        });
       }
-      
-      if (title) alert.title = title;
-      if (description) alert.description = description;
-      if (severity) alert.severity = severity;
-      if (effectiveUntil) alert.effectiveUntil = new Date(effectiveUntil);
 
-      await alert.save();
+      const before = snapshot(alert, ALERT_AUDIT_FIELDS);
+      const approvedAt = new Date();
+
+      // Effective window starts at approval unless it was scheduled later
+      const isScheduled = alert.effectiveFrom && alert.effectiveFrom > approvedAt;
+
+      // Only one reviewer can move it out of pending_approval - a concurrent
+      // approval or rejection finds nothing to update and must not broadcast
+      const approved = await Alert.findOneAndUpdate(
+        { _id: alert._id, status: 'pending_approval' },
+        {
+          $set: {
+            'approval.approvedBy': req.user._id,
+            'approval.approvedAt': approvedAt,
+            // Future alerts are left for the scheduler to activate
+            status: isScheduled ? 'scheduled' : 'active',
+            isActive: !isScheduled,
+            ...(isScheduled ? {} : { effectiveFrom: approvedAt }),
+          },
+        },
+        { new: true }
+      );
 
-      // If alert resolved/cancelled, also update related report if exists
-      if (['resolved', 'expired', 'cancelled'].includes(status) && alert.source?.reportId) {
-        try {
-          const Report = require('../models/Report');
-          await Report.findByIdAndUpdate(alert.source.reportId, {
-            status: status === 'cancelled' ? 'rejected' : 'resolved',
-          });
-          
-          // Also emit reportModerated event so maps update
-          if (io) {
-            io.emitReportModerated && io.emitReportModerated(
-              { _id: alert.source.reportId, status: status === 'cancelled' ? 'rejected' : 'resolved' },
-              status === 'cancelled' ? 'reject' : 'resolve',
-              req.user._id
-            );
-          }
-        } catch (err) {
-          console.log('Could not update related report:', err.message);
-        }
+      if (!approved) {
+        return res.status(409).json({
+          success: false,
+          message: 'Alert has already been reviewed',
+        });
       }
 
-      // Emit socket events
+      await recordAudit(req, {
+        action: 'alert.approve',
+        target: alertTarget(approved),
+        before,
+        after: snapshot(approved, ALERT_AUDIT_FIELDS),
+      });
+
       const io = req.app.get('io');
-      if (io) {
-        io.emit('alertUpdated', alert);
-        
-        // Emit specific events for resolved/cancelled alerts so maps can remove them
-        if (status === 'resolved') {
-          io.emit('alertResolved', { alertId: alert._id, alert });
-          console.log(`[Socket] alertResolved emitted for alert: ${alert._id}`);
-        } else if (status === 'cancelled') {
-          io.emit('alertCancelled', { alertId: alert._id, reason: 'Alert cancelled by admin', alert });
-          console.log(`[Socket] alertCancelled emitted for alert: ${alert._id}`);
+      if (!isScheduled) {
+        if (approved.parentAlert) {
+          await supersedeParent(approved, io);
         }
+        await broadcastAlert(approved, io);
       }
 
-      console.log(`[Admin] Alert ${alert._id} updated to status: ${status} by ${req.user._id}`);
+      if (io?.notifyUser) {
+        io.notifyUser(approved.createdBy.toString(), 'alertApproved', {
+          alertId: approved._id,
+          title: approved.title,
+          approvedBy: req.user._id,
+          approvedAt,
+        });
+      }
+
+      logger.info(`Alert ${alert._id} approved by ${req.user._id}`);
 
       res.json({
         success: true,
-        message: `Alert ${status || 'updated'} successfully`,
-        data: alert,
+        message: isScheduled
+          ? 'Alert approved and scheduled successfully'
+          : 'Alert approved and broadcasted successfully',
+        data: approved,
       });
     } catch (error) {
-      console.error('Update alert error:', error);
+      console.error('Approve alert error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Server error',
@@ -507,14 +662,14 @@ router.put(
 );
 
 /**
- * @route   DELETE /api/alerts/:id
- * @desc    Delete/expire alert
- * @access  Private (alert/admin role required)
+ * @route   PUT /api/alerts/:id/reject
+ * @desc    Reject a pending alert
+ * @access  Private (admin role required)
  */
-router.delete(
-  '/:id',
+router.put(
+  '/:id/reject',
   protect,
-  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN),
   async (req, res) => {
     try {
       const { reason } = req.body;
@@ -528,25 +683,1380 @@ router.delete(
         });
       }
 
-      // Check if user is creator or admin
-      const isCreator = alert.createdBy.toString() === req.user._id.toString();
-      const isAdmin = [ROLES.ADMIN, ROLES.SUPER_ADMIN].includes(req.user.role);
+      if (alert.status !== 'pending_approval') {
+        return res.status(400).json({
+          success: false,
+          message: 'Alert is not awaiting approval',
+        });
+      }
 
-      if (!isCreator && !isAdmin) {
+      if (alert.createdBy.toString() === req.user._id.toString()) {
         return res.status(403).json({
           success: false,
-          message: 'Not authorized to delete this alert',
+          message: 'Alerts must be reviewed by a different admin',
         });
       }
 
-      // Soft delete - mark as cancelled/expired
-      alert.status = 'cancelled';
-      alert.isActive = false;
-      alert.cancelledAt = new Date();
-      alert.cancelledBy = req.user._id;
-      alert.cancellationReason = reason || 'Deleted by administrator';
+      const before = snapshot(alert, ALERT_AUDIT_FIELDS);
+
+      // Same guard as approval - whichever review lands first wins
+      const rejected = await Alert.findOneAndUpdate(
+        { _id: alert._id, status: 'pending_approval' },
+        {
+          $set: {
+            status: 'cancelled',
+            isActive: false,
+            'approval.rejectedBy': req.user._id,
+            'approval.rejectedAt': new Date(),
+            'approval.rejectionReason': reason || 'Rejected during approval',
+          },
+        },
+        { new: true }
+      );
 
-      await alert.save();
+      if (!rejected) {
+        return res.status(409).json({
+          success: false,
+          message: 'Alert has already been reviewed',
+        });
+      }
+
+      await recordAudit(req, {
+        action: 'alert.reject',
+        target: alertTarget(rejected),
+        before,
+        after: snapshot(rejected, ALERT_AUDIT_FIELDS),
+        metadata: { reason: rejected.approval.rejectionReason },
+      });
+
+      const io = req.app.get('io');
+      if (io?.notifyUser) {
+        io.notifyUser(rejected.createdBy.toString(), 'alertRejected', {
+          alertId: rejected._id,
+          title: rejected.title,
+          reason: rejected.approval.rejectionReason,
+          rejectedBy: req.user._id,
+        });
+      }
+
+      logger.info(`Alert ${rejected._id} rejected by ${req.user._id}`);
+
+      res.json({
+        success: true,
+        message: 'Alert rejected',
+        data: rejected,
+      });
+    } catch (error) {
+      console.error('Reject alert error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/alerts/:id/thread
+ * @desc    Full chain of an alert - original, follow-ups, all-clear - with their updates
+ * @access  Public (unpublished follow-ups for staff and their creator only)
+ */
+router.get('/:id/thread', optionalAuth, async (req, res) => {
+  try {
+    const fullThread = await Alert.getThread(req.params.id);
+    const requested = fullThread.find((a) => a._id.toString() === req.params.id);
+
+    if (!requested || !canViewAlert(requested, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: fullThread.filter((a) => canViewAlert(a, req.user)),
+    });
+  } catch (error) {
+    console.error('Get alert thread error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/alerts/:id/updates
+ * @desc    Append a timestamped update to an alert
+ * @access  Private (alert role required)
+ */
+router.post(
+  '/:id/updates',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  async (req, res) => {
+    try {
+      const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+
+      if (!content) {
+        return res.status(400).json({
+          success: false,
+          message: 'Update content is required',
+        });
+      }
+
+      if (content.length > MAX_UPDATE_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Update cannot exceed ${MAX_UPDATE_LENGTH} characters`,
+        });
+      }
+
+      const alert = await Alert.findById(req.params.id);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      if (!canManageAlert(alert, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to post updates to this alert',
+        });
+      }
+
+      if (alert.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Updates can only be posted to active alerts',
+        });
+      }
+
+      alert.updates.push({
+        content,
+        updatedBy: req.user._id,
+        updatedAt: new Date(),
+      });
+      await alert.save();
+
+      const update = alert.updates[alert.updates.length - 1];
+
+      const io = req.app.get('io');
+      if (io?.emitAlertThreadEvent) {
+        io.emitAlertThreadEvent(alert, 'alertUpdatePosted', {
+          title: alert.title,
+          update,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Update posted successfully',
+        data: update,
+      });
+    } catch (error) {
+      console.error('Post alert update error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/alerts/:id/supersede
+ * @desc    Issue a follow-up alert that replaces an active alert (same target area)
+ * @access  Private (alert role required)
+ */
+router.post(
+  '/:id/supersede',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  alertBroadcastLimiter,
+  async (req, res) => {
+    try {
+      const { title, description, severity, instructions, effectiveUntil } = req.body;
+
+      if (!title || !description) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide title and description',
+        });
+      }
+
+      const parent = await Alert.findById(req.params.id);
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      if (!canManageAlert(parent, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to supersede this alert',
+        });
+      }
+
+      if (parent.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only active alerts can be superseded',
+        });
+      }
+
+      const newSeverity = severity || parent.severity;
+      const requiresApproval = requiresApprovalFor(req.user, newSeverity);
+
+      const { targetArea, source } = parent.toObject();
+
+      const alert = await Alert.create({
+        title,
+        description,
+        type: parent.type,
+        severity: newSeverity,
+        source: { type: 'official', officialSource: source?.officialSource },
+        createdBy: req.user._id,
+        targetArea,
+        effectiveFrom: new Date(),
+        effectiveUntil: effectiveUntil || parent.effectiveUntil,
+        instructions: instructions || parent.instructions,
+        parentAlert: parent._id,
+        status: requiresApproval ? 'pending_approval' : 'active',
+        isActive: !requiresApproval,
+        approval: requiresApproval
+          ? { required: true, requestedAt: new Date() }
+          : undefined,
+      });
+
+      await recordAudit(req, {
+        action: 'alert.supersede',
+        target: alertTarget(alert),
+        after: snapshot(alert, ALERT_AUDIT_FIELDS),
+        metadata: { parentAlertId: parent._id.toString() },
+      });
+
+      const io = req.app.get('io');
+
+      // The parent stays live until the follow-up is approved
+      if (requiresApproval) {
+        notifyPendingApproval(io, alert, req.user._id);
+
+        return res.status(201).json({
+          success: true,
+          message: 'Follow-up alert submitted for approval',
+          data: alert,
+        });
+      }
+
+      await supersedeParent(alert, io);
+      await broadcastAlert(alert, io);
+
+      logger.info(`Alert ${parent._id} superseded by ${alert._id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Follow-up alert issued successfully',
+        data: alert,
+      });
+    } catch (error) {
+      console.error('Supersede alert error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map((err) => err.message);
+        return res.status(400).json({
+          success: false,
+          message: messages.join(', '),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/alerts/:id/all-clear
+ * @desc    Issue an all-clear for an active alert and close its whole chain
+ * @access  Private (alert role required)
+ */
+router.post(
+  '/:id/all-clear',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  async (req, res) => {
+    try {
+      const { message } = req.body;
+
+      const alert = await Alert.findById(req.params.id);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      if (!canManageAlert(alert, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to issue an all-clear for this alert',
+        });
+      }
+
+      if (alert.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'All-clear can only be issued for an active alert',
+        });
+      }
+
+      const thread = await Alert.getThread(alert._id);
+      const { targetArea, source } = alert.toObject();
+
+      const allClear = await Alert.create({
+        title: `All clear: ${thread[0]?.title || alert.title}`,
+        description: message || 'The situation has been resolved. Normal activities may resume.',
+        type: 'all_clear',
+        severity: 'info',
+        source: { type: 'official', officialSource: source?.officialSource },
+        createdBy: req.user._id,
+        targetArea,
+        parentAlert: alert._id,
+        status: 'resolved',
+        isActive: false,
+      });
+
+      alert.childAlerts.push(allClear._id);
+      await alert.save();
+
+      await recordAudit(req, {
+        action: 'alert.all_clear',
+        target: alertTarget(alert),
+        metadata: { allClearId: allClear._id.toString(), message: allClear.description },
+      });
+
+      // Close every alert still open in the chain
+      const resolvedAt = new Date();
+      const openAlerts = thread.filter((a) =>
+        ['active', 'updated', 'scheduled', 'pending_approval'].includes(a.status)
+      );
+      await Alert.updateMany(
+        { _id: { $in: openAlerts.map((a) => a._id) } },
+        { $set: { status: 'resolved', isActive: false, resolvedAt, resolvedBy: req.user._id } }
+      );
+
+      const io = req.app.get('io');
+      if (io?.emitAlertThreadEvent) {
+        io.emitAlertThreadEvent(alert, 'alertAllClear', {
+          allClearAlertId: allClear._id,
+          message: allClear.description,
+          alert: allClear,
+        });
+      }
+
+      // Existing banners and maps drop each closed alert, and their reports close with them
+      for (const closed of openAlerts) {
+        closed.status = 'resolved';
+        closed.isActive = false;
+        closed.resolvedAt = resolvedAt;
+        closed.resolutionSummary = allClear.description;
+        await syncSourceReport(closed, 'resolved', req.user._id, io);
+        if (io?.emitAlertRetracted) {
+          io.emitAlertRetracted(closed);
+        }
+      }
+
+      logger.info(`All-clear issued for alert ${alert._id} by ${req.user._id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'All-clear issued successfully',
+        data: allClear,
+      });
+    } catch (error) {
+      console.error('All-clear error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/alerts/:id/cancel
+ * @desc    Cancel an alert and retract it from recipients
+ * @access  Private (admin, or the responder who created it)
+ */
+router.put(
+  '/:id/cancel',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  async (req, res) => {
+    try {
+      const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide a reason for cancellation',
+        });
+      }
+
+      const alert = await Alert.findById(req.params.id);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      if (!canManageAlert(alert, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to cancel this alert',
+        });
+      }
+
+      if (!['active', 'scheduled', 'pending_approval', 'updated'].includes(alert.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot cancel an alert that is ${alert.status}`,
+        });
+      }
+
+      const before = snapshot(alert, ALERT_AUDIT_FIELDS);
+      alert.status = 'cancelled';
+      alert.isActive = false;
+      alert.cancelledAt = new Date();
+      alert.cancelledBy = req.user._id;
+      alert.cancellationReason = reason;
+
+      await alert.save();
+      await recordAudit(req, {
+        action: 'alert.cancel',
+        target: alertTarget(alert),
+        before,
+        after: snapshot(alert, ALERT_AUDIT_FIELDS),
+        metadata: { reason },
+      });
+
+      const io = req.app.get('io');
+      await syncSourceReport(alert, 'cancelled', req.user._id, io);
+      if (io?.emitAlertRetracted) {
+        io.emitAlertRetracted(alert);
+      }
+
+      logger.info(`Alert ${alert._id} cancelled by ${req.user._id}`);
+
+      res.json({
+        success: true,
+        message: 'Alert cancelled successfully',
+        data: alert,
+      });
+    } catch (error) {
+      console.error('Cancel alert error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/alerts/:id/resolve
+ * @desc    Resolve an alert with a summary and retract it from recipients
+ * @access  Private (admin, or the responder who created it)
+ */
+router.put(
+  '/:id/resolve',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  async (req, res) => {
+    try {
+      const summary = typeof req.body.summary === 'string' ? req.body.summary.trim() : '';
+
+      const alert = await Alert.findById(req.params.id);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      if (!canManageAlert(alert, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to resolve this alert',
+        });
+      }
+
+      if (!['active', 'updated'].includes(alert.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot resolve an alert that is ${alert.status}`,
+        });
+      }
+
+      const before = snapshot(alert, ALERT_AUDIT_FIELDS);
+      alert.status = 'resolved';
+      alert.isActive = false;
+      alert.resolvedAt = new Date();
+      alert.resolvedBy = req.user._id;
+      alert.resolutionSummary = summary || 'The situation has been resolved.';
+
+      await alert.save();
+      await recordAudit(req, {
+        action: 'alert.resolve',
+        target: alertTarget(alert),
+        before,
+        after: snapshot(alert, ALERT_AUDIT_FIELDS),
+        metadata: { summary: alert.resolutionSummary },
+      });
+
+      const io = req.app.get('io');
+      await syncSourceReport(alert, 'resolved', req.user._id, io);
+      if (io?.emitAlertRetracted) {
+        io.emitAlertRetracted(alert);
+      }
+
+      logger.info(`Alert ${alert._id} resolved by ${req.user._id}`);
+
+      res.json({
+        success: true,
+        message: 'Alert resolved successfully',
+        data: alert,
+      });
+    } catch (error) {
+      console.error('Resolve alert error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/alerts/:id/acknowledge
+ * @desc    Acknowledge receipt of an alert
+ * @access  Private
+ */
+router.post('/:id/acknowledge', protect, async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found',
+      });
+    }
+
+    if (!RESPONDABLE_STATUSES.includes(alert.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This alert is no longer active',
+      });
+    }
+
+    const countBefore = alert.interactions.acknowledgedBy.length;
+    await alert.acknowledge(req.user._id);
+
+    // Only tell the roll-call about first-time acknowledgments
+    if (alert.interactions.acknowledgedBy.length > countBefore) {
+      const io = req.app.get('io');
+      if (io?.emitRollCallUpdate) {
+        io.emitRollCallUpdate(alert._id, 'alertAcknowledged', {
+          user: {
+            _id: req.user._id,
+            firstName: req.user.firstName,
+            lastName: req.user.lastName,
+          },
+          acknowledgedAt: new Date(),
+          counts: alert.getRollCallCounts().counts,
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert acknowledged',
+      data: {
+        alertId: alert._id,
+        acknowledged: true,
+      },
+    });
+  } catch (error) {
+    console.error('Acknowledge alert error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/alerts/:id/check-in
+ * @desc    Check in as safe, need_help or not_affected (?location: { lat, lng })
+ * @access  Private
+ */
+router.post('/:id/check-in', protect, async (req, res) => {
+  try {
+    const { status, location } = req.body;
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+
+    if (!CHECK_IN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${CHECK_IN_STATUSES.join(', ')}`,
+      });
+    }
+
+    if (message.length > MAX_CHECK_IN_MESSAGE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Message cannot exceed ${MAX_CHECK_IN_MESSAGE_LENGTH} characters`,
+      });
+    }
+
+    let coordinates;
+    if (location) {
+      const lat = parseFloat(location.lat);
+      const lng = parseFloat(location.lng);
+      if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location coordinates',
+        });
+      }
+      coordinates = [lng, lat];
+    }
+
+    const alert = await Alert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found',
+      });
+    }
+
+    if (!RESPONDABLE_STATUSES.includes(alert.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This alert is no longer active',
+      });
+    }
+
+    const checkIn = await alert.safeCheckIn(req.user._id, status, message || undefined, coordinates);
+
+    if (!checkIn) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found',
+      });
+    }
+
+    const io = req.app.get('io');
+    if (io?.emitRollCallUpdate) {
+      io.emitRollCallUpdate(alert._id, 'alertCheckIn', {
+        checkIn: {
+          _id: checkIn._id,
+          user: {
+            _id: req.user._id,
+            firstName: req.user.firstName,
+            lastName: req.user.lastName,
+            phone: req.user.phone,
+          },
+          status: checkIn.status,
+          message: checkIn.message,
+          location: checkIn.location,
+          checkedInAt: checkIn.checkedInAt,
+        },
+        counts: alert.getRollCallCounts().counts,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Check-in recorded',
+      data: checkIn,
+    });
+  } catch (error) {
+    console.error('Alert check-in error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/alerts/:id/roll-call
+ * @desc    Roll-call for an alert: counts by status, need_help check-ins, and targeted users yet to respond
+ * @access  Private (alert role required)
+ */
+router.get(
+  '/:id/roll-call',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  async (req, res) => {
+    try {
+      const alert = await Alert.findById(req.params.id);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      const { counts, respondedUserIds } = alert.getRollCallCounts();
+
+      const pendingQuery = {
+        ...buildTargetUsersQuery(alert),
+        _id: { $nin: respondedUserIds },
+      };
+      const [pendingUsers, pendingTotal] = await Promise.all([
+        User.find(pendingQuery)
+          .select('firstName lastName phone')
+          .limit(ROLL_CALL_PENDING_LIMIT),
+        User.countDocuments(pendingQuery),
+      ]);
+
+      await alert.populate('interactions.safeCheckIns.user', 'firstName lastName phone');
+
+      const checkIns = [...alert.interactions.safeCheckIns]
+        .sort((a, b) => b.checkedInAt - a.checkedInAt);
+
+      res.json({
+        success: true,
+        data: {
+          alertId: alert._id,
+          counts: {
+            ...counts,
+            noResponse: pendingTotal,
+          },
+          targeted: respondedUserIds.length + pendingTotal,
+          needHelp: checkIns.filter((c) => c.status === 'need_help'),
+          checkIns,
+          pending: {
+            total: pendingTotal,
+            users: pendingUsers,
+          },
+        },
+      });
+    } catch (error) {
+      console.error('Get roll-call error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * Base URL of this API for links in CAP/Atom documents
+ */
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+/**
+ * @route   GET /api/alerts/feed/cap
+ * @desc    CAP 1.2 Atom feed of active alerts
+ * @access  Public
+ */
+router.get('/feed/cap', searchLimiter, async (req, res) => {
+  try {
+    const alerts = await Alert.find({
+      isActive: true,
+      status: 'active',
+      $or: [
+        { effectiveUntil: { $exists: false } },
+        { effectiveUntil: { $gt: new Date() } },
+      ],
+    })
+      .sort({ priority: -1, createdAt: -1 })
+      .limit(100);
+
+    res.type('application/atom+xml').send(alertsToAtomFeed(alerts, { baseUrl: getBaseUrl(req) }));
+  } catch (error) {
+    console.error('CAP feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/alerts/:id.cap
+ * @desc    Get single alert as a CAP 1.2 XML document
+ * @access  Public
+ */
+router.get('/:id.cap', async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found',
+      });
+    }
+
+    res.type('application/cap+xml').send(alertToCap(alert, { baseUrl: getBaseUrl(req) }));
+  } catch (error) {
+    console.error('Get CAP alert error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/alerts/import/cap
+ * @desc    Import a CAP 1.2 document (raw XML body or { xml }) - creates or updates an external alert
+ * @access  Private (admin/responder role required)
+ */
+router.post(
+  '/import/cap',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  express.text({ type: ['application/xml', 'text/xml', 'application/cap+xml'], limit: '1mb' }),
+  async (req, res) => {
+    try {
+      const xml = typeof req.body === 'string' ? req.body : req.body?.xml;
+      const { valid, errors, cap, alertData } = parseCap(xml);
+
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid CAP document',
+          errors,
+        });
+      }
+
+      if (cap.status !== 'Actual') {
+        return res.status(400).json({
+          success: false,
+          message: `CAP messages with status ${cap.status} cannot be imported`,
+        });
+      }
+
+      if (['Ack', 'Error'].includes(cap.msgType)) {
+        return res.status(400).json({
+          success: false,
+          message: `CAP ${cap.msgType} messages cannot be imported`,
+        });
+      }
+
+      // Updates and cancellations reference earlier messages by identifier
+      const existing = await Alert.findOne({
+        'source.type': 'external',
+        'source.externalId': { $in: [cap.identifier, ...cap.references] },
+      }).sort({ updatedAt: -1 });
+
+      const io = req.app.get('io');
+
+      if (cap.msgType === 'Cancel') {
+        if (!existing) {
+          return res.status(404).json({
+            success: false,
+            message: 'No imported alert matches this CAP cancellation',
+          });
+        }
+
+        const before = snapshot(existing, ALERT_AUDIT_FIELDS);
+        existing.status = 'cancelled';
+        existing.isActive = false;
+        existing.cancelledAt = new Date();
+        existing.cancelledBy = req.user._id;
+        existing.cancellationReason = cap.note || 'Cancelled by CAP message';
+        await existing.save();
+        await recordAudit(req, {
+          action: 'alert.cap_cancel',
+          target: alertTarget(existing),
+          before,
+          after: snapshot(existing, ALERT_AUDIT_FIELDS),
+          metadata: { capIdentifier: cap.identifier },
+        });
+
+        if (io) {
+          io.emit('alertCancelled', { alertId: existing._id, reason: existing.cancellationReason, alert: existing });
+        }
+
+        logger.info(`[CAP] Alert ${existing._id} cancelled by CAP message ${cap.identifier}`);
+
+        return res.json({
+          success: true,
+          message: 'CAP cancellation applied',
+          data: existing,
+        });
+      }
+
+      if (!alertData.targetArea) {
+        return res.status(400).json({
+          success: false,
+          message: 'CAP <area> must include a <polygon> or <circle>',
+        });
+      }
+
+      // Same rule as alerts written here - a responder can't import past the approval queue
+      const requiresApproval = requiresApprovalFor(req.user, alertData.severity);
+      const approvalFields = requiresApproval
+        ? {
+          status: 'pending_approval',
+          isActive: false,
+          approval: { required: true, requestedAt: new Date() },
+        }
+        : { status: 'active', isActive: true };
+
+      if (existing) {
+        const before = snapshot(existing, ALERT_AUDIT_FIELDS);
+        existing.set({
+          ...alertData,
+          'source.externalId': cap.identifier,
+          'source.officialSource': cap.sender,
+          ...approvalFields,
+        });
+        await existing.save();
+        await recordAudit(req, {
+          action: 'alert.cap_update',
+          target: alertTarget(existing),
+          before,
+          after: snapshot(existing, ALERT_AUDIT_FIELDS),
+          metadata: { capIdentifier: cap.identifier },
+        });
+
+        if (requiresApproval) {
+          notifyPendingApproval(io, existing, req.user._id);
+        } else if (io) {
+          io.emit('alertUpdated', existing);
+        }
+
+        logger.info(`[CAP] Alert ${existing._id} updated from CAP message ${cap.identifier}`);
+
+        return res.json({
+          success: true,
+          message: requiresApproval
+            ? 'Alert update from CAP document submitted for approval'
+            : 'Alert updated from CAP document',
+          data: existing,
+        });
+      }
+
+      const alert = await Alert.create({
+        ...alertData,
+        source: {
+          type: 'external',
+          externalId: cap.identifier,
+          officialSource: cap.sender,
+        },
+        createdBy: req.user._id,
+        ...approvalFields,
+      });
+
+      await recordAudit(req, {
+        action: 'alert.cap_import',
+        target: alertTarget(alert),
+        after: snapshot(alert, ALERT_AUDIT_FIELDS),
+        metadata: { capIdentifier: cap.identifier },
+      });
+
+      if (requiresApproval) {
+        notifyPendingApproval(io, alert, req.user._id);
+      } else if (alert.status === 'active') {
+        // Already-expired messages are stored but not broadcast
+        await broadcastAlert(alert, io);
+      }
+
+      logger.info(`[CAP] Alert ${alert._id} imported from CAP message ${cap.identifier}`);
+
+      res.status(201).json({
+        success: true,
+        message: requiresApproval
+          ? 'Alert imported from CAP document and submitted for approval'
+          : 'Alert imported from CAP document',
+        data: alert,
+      });
+    } catch (error) {
+      console.error('CAP import error:', error);
+
+      if (error.code === 16755) {
+        return res.status(400).json({
+          success: false,
+          message: 'Target area geometry is not a valid polygon',
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map((err) => err.message);
+        return res.status(400).json({
+          success: false,
+          message: messages.join(', '),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/alerts/:id
+ * @desc    Get single alert details in the best-matching language (?lang, profile, Accept-Language)
+ * @access  Public
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    // Per-person acknowledgements and check-ins stay behind the roll-call route
+    const alert = await Alert.findById(req.params.id)
+      .select('-interactions.acknowledgedBy -interactions.safeCheckIns')
+      .populate('createdBy', 'firstName lastName')
+      .populate('parentAlert', 'title')
+      .populate('childAlerts', 'title status createdBy');
+
+    if (!alert || !canViewAlert(alert, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found',
+      });
+    }
+
+    // Increment view count
+    await Alert.updateOne({ _id: alert._id }, { $inc: { 'interactions.views': 1 } });
+    alert.interactions.views = (alert.interactions.views || 0) + 1;
+
+    // ?lang wins, then the reader's profile, then their browser languages
+    const preferred = [
+      req.query.lang,
+      req.user?.preferredLanguage,
+      ...parseAcceptLanguage(req.headers['accept-language']),
+    ];
+
+    const data = localizeAlert(alert, preferred);
+    data.childAlerts = (data.childAlerts || []).filter((child) => canViewAlert(child, req.user));
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error('Get alert error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/alerts/:id
+ * @desc    Update alert (status, resolve, expire, etc.)
+ * @access  Private (admin/responder role required)
+ */
+router.put(
+  '/:id',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  async (req, res) => {
+    try {
+      const { status, isActive, title, description, severity, effectiveUntil, language, translations } = req.body;
+
+      const alert = await Alert.findById(req.params.id);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      // Pending alerts only go live through PUT /:id/approve
+      if (alert.status === 'pending_approval'
+        && (['active', 'scheduled', 'updated'].includes(status) || isActive === true)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Alerts awaiting approval can only be activated by an approving admin',
+        });
+      }
+
+      // A responder raising an alert into an approval-requiring severity sends it back for review
+      const severityRank = Alert.schema.path('severity').enumValues;
+      const needsReapproval = Boolean(severity)
+        && alert.status !== 'pending_approval'
+        && requiresApprovalFor(req.user, severity)
+        && severityRank.indexOf(severity) > severityRank.indexOf(alert.severity);
+
+      const before = snapshot(alert, [...ALERT_AUDIT_FIELDS, 'language']);
+
+      // Update allowed fields
+      if (status) {
+        alert.status = status;
+        
+        // If resolving/expiring/cancelling, set isActive to false
+        if (['resolved', 'expired', 'cancelled'].includes(status)) {
+          alert.isActive = false;
+          alert.resolvedAt = new Date();
+          alert.resolvedBy = req.user._id;
+        }
+        
+        // If reactivating, set isActive to true
+        if (status === 'active') {
+          alert.isActive = true;
+          alert.resolvedAt = undefined;
+          alert.resolvedBy = undefined;
+        }
+      }
+      
+      if (isActive !== undefined) {
+        alert.isActive = isActive;
+      }
+      
+      if (title) alert.title = title;
+      if (description) alert.description = description;
+      if (severity) alert.severity = severity;
+      if (effectiveUntil) alert.effectiveUntil = new Date(effectiveUntil);
+      if (language) alert.language = language;
+      if (Array.isArray(translations)) alert.translations = translations;
+
+      if (needsReapproval) {
+        alert.status = 'pending_approval';
+        alert.isActive = false;
+        alert.approval = { required: true, requestedAt: new Date() };
+      }
+
+      await alert.save();
+      await recordAudit(req, {
+        action: 'alert.update',
+        target: alertTarget(alert),
+        before,
+        after: snapshot(alert, [...ALERT_AUDIT_FIELDS, 'language']),
+        metadata: Array.isArray(translations) ? { translationsReplaced: translations.length } : undefined,
+      });
+
+      const io = req.app.get('io');
+
+      if (needsReapproval) {
+        notifyPendingApproval(io, alert, req.user._id);
+        logger.info(`Alert ${alert._id} raised to ${severity} by ${req.user._id}, awaiting approval`);
+
+        return res.json({
+          success: true,
+          message: 'Alert severity raised and submitted for approval',
+          data: alert,
+        });
+      }
+
+      // If alert resolved/cancelled, also update related report if exists
+      if (['resolved', 'expired', 'cancelled'].includes(status)) {
+        await syncSourceReport(alert, status, req.user._id, io);
+      }
+
+      // Emit socket events
+      if (io) {
+        io.emit('alertUpdated', alert);
+        
+        // Emit specific events for resolved/cancelled alerts so maps can remove them
+        if (status === 'resolved') {
+          io.emit('alertResolved', { alertId: alert._id, alert });
+          console.log(`[Socket] alertResolved emitted for alert: ${alert._id}`);
+        } else if (status === 'cancelled') {
+          io.emit('alertCancelled', { alertId: alert._id, reason: 'Alert cancelled by admin', alert });
+          console.log(`[Socket] alertCancelled emitted for alert: ${alert._id}`);
+        }
+      }
+
+      console.log(`[Admin] Alert ${alert._id} updated to status: ${status} by ${req.user._id}`);
+
+      res.json({
+        success: true,
+        message: `Alert ${status || 'updated'} successfully`,
+        data: alert,
+      });
+    } catch (error) {
+      console.error('Update alert error:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map((e) => e.message).join(', '),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/alerts/:id
+ * @desc    Delete/expire alert
+ * @access  Private (alert/admin role required)
+ */
+router.delete(
+  '/:id',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  async (req, res) => {
+    try {
+      const { reason } = req.body;
+
+      const alert = await Alert.findById(req.params.id);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found',
+        });
+      }
+
+      // Check if user is creator or admin
+      const isCreator = alert.createdBy.toString() === req.user._id.toString();
+      const isAdmin = [ROLES.ADMIN, ROLES.SUPER_ADMIN].includes(req.user.role);
+
+      if (!isCreator && !isAdmin) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to delete this alert',
+        });
+      }
+
+      const before = snapshot(alert, ALERT_AUDIT_FIELDS);
+
+      // Soft delete - mark as cancelled/expired
+      alert.status = 'cancelled';
+      alert.isActive = false;
+      alert.cancelledAt = new Date();
+      alert.cancelledBy = req.user._id;
+      alert.cancellationReason = reason || 'Deleted by administrator';
+
+      await alert.save();
+      await recordAudit(req, {
+        action: 'alert.delete',
+        target: alertTarget(alert),
+        before,
+        after: snapshot(alert, ALERT_AUDIT_FIELDS),
+        metadata: { reason: alert.cancellationReason },
+      });
 
       // Broadcast cancellation
       const io = req.app.get('io');
@@ -14,6 +14,18 @@ const { isPointInPolygon } = require('../utils/geoUtils');
  * ============================================
  */
 
+/**
+ * Value at a percentile of an ascending list (nearest-rank)
+ * @param {number[]} sorted - Values sorted ascending
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null}
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+};
+
 /**
  * @route   GET /api/analytics/population
  * @desc    Count users in polygon (?polygon=[[coords]])
@@ -131,6 +143,8 @@ router.get(
         verificationStats,
         reportsOverTime,
         avgResolutionTime,
+        slaBreaches,
+        firstActionTimes,
       ] = await Promise.all([
         // Total reports
         Report.countDocuments(matchQuery),
@@ -213,6 +227,26 @@ router.get(
             },
           },
         ]),
+
+        // SLA breaches by severity
+        Report.aggregate([
+          { $match: { ...matchQuery, 'sla.breachedAt': { $exists: true } } },
+          { $group: { _id: '$severity', count: { $sum: 1 } } },
+        ]),
+
+        // Minutes from report to first staff action, ascending
+        Report.aggregate([
+          { $match: { ...matchQuery, firstActionAt: { $exists: true } } },
+          {
+            $project: {
+              minutes: {
+                $divide: [{ $subtract: ['$firstActionAt', '$createdAt'] }, 1000 * 60],
+              },
+            },
+          },
+          { $sort: { minutes: 1 } },
+          { $group: { _id: null, minutes: { $push: '$minutes' } } },
+        ]),
       ]);
 
       // Format status stats
@@ -238,6 +272,14 @@ router.get(
       const unverifiedCount = verificationStats.find((v) => v._id === 'unverified')?.count || 0;
       const falseReportCount = verificationStats.find((v) => v._id === 'false_report')?.count || 0;
 
+      // Format SLA stats
+      const breachesBySeverity = {};
+      slaBreaches.forEach((item) => {
+        breachesBySeverity[item._id || 'unknown'] = item.count;
+      });
+      const actionMinutes = firstActionTimes[0]?.minutes || [];
+      const roundMinutes = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
       res.json({
         success: true,
         data: {
@@ -254,6 +296,17 @@ router.get(
             minResolutionTimeHours: 0,
             maxResolutionTimeHours: 0,
           },
+          sla: {
+            breaches: slaBreaches.reduce((sum, item) => sum + item.count, 0),
+            breachesBySeverity,
+            timeToFirstActionMinutes: {
+              count: actionMinutes.length,
+              p50: roundMinutes(percentile(actionMinutes, 50)),
+              p90: roundMinutes(percentile(actionMinutes, 90)),
+              p95: roundMinutes(percentile(actionMinutes, 95)),
+              max: roundMinutes(actionMinutes.length ? actionMinutes[actionMinutes.length - 1] : null),
+            },
+          },
           generatedAt: new Date(),
         },
       });
@@ -0,0 +1,229 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { protect } = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/roleCheck');
+
+/**
+ * ============================================
+ * AUDIT LOG ROUTES (/api/audit)
+ * ============================================
+ * Read-only - entries are written by utils/auditLog and never edited or deleted
+ */
+
+// Most rows a single CSV export returns
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+  'time',
+  'actor',
+  'actorRole',
+  'action',
+  'targetType',
+  'targetId',
+  'targetLabel',
+  'changes',
+  'metadata',
+  'ipAddress',
+  'userAgent',
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const AUDIT_FILTERS = ['actor', 'action', 'targetType', 'targetId', 'from', 'to', 'search'];
+
+/**
+ * Build a query from the search filters shared by the list and the export
+ * ?actor=&action=&targetType=&targetId=&from=&to=&search=
+ * An action ending in a dot (e.g. "alert.") matches every action under it
+ * @returns {{query: Object}|{error: string}} The query, or why the filters are invalid
+ */
+const buildAuditQuery = (filters) => {
+  // A repeated parameter arrives as an array
+  const repeated = AUDIT_FILTERS.find((name) => filters[name] !== undefined && typeof filters[name] !== 'string');
+  if (repeated) {
+    return { error: `${repeated} must be a single value` };
+  }
+
+  const { actor, action, targetType, targetId, search } = filters;
+  const query = {};
+
+  if (actor && mongoose.Types.ObjectId.isValid(actor)) {
+    query.actor = actor;
+  }
+
+  if (action) {
+    query.action = action.endsWith('.')
+      ? new RegExp(`^${escapeRegex(action)}`)
+      : action;
+  }
+
+  if (targetType) {
+    query['target.type'] = targetType;
+  }
+
+  if (targetId && mongoose.Types.ObjectId.isValid(targetId)) {
+    query['target.id'] = targetId;
+  }
+
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    for (const [name, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!filters[name]) continue;
+      const date = new Date(filters[name]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `${name} must be a valid date` };
+      }
+      query.createdAt[operator] = date;
+    }
+  }
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+    query.$or = [
+      { actorLabel: pattern },
+      { action: pattern },
+      { 'target.label': pattern },
+      { ipAddress: pattern },
+    ];
+  }
+
+  return { query };
+};
+
+const toCsvValue = (value) => {
+  if (value == null) return '';
+  let text = typeof value === 'object' && !value._bsontype ? JSON.stringify(value) : String(value);
+  // Keep spreadsheets from running cells as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (entry) => [
+  entry.createdAt.toISOString(),
+  entry.actorLabel || entry.actor,
+  entry.actorRole,
+  entry.action,
+  entry.target?.type,
+  entry.target?.id,
+  entry.target?.label,
+  entry.changes?.length ? entry.changes : null,
+  entry.metadata,
+  entry.ipAddress,
+  entry.userAgent,
+].map(toCsvValue).join(',');
+
+// Every audit route is for admins only
+router.use(protect, authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN));
+
+/**
+ * @route   GET /api/audit
+ * @desc    Search the audit log, newest first (?actor=&action=&targetType=&targetId=&from=&to=&search=&page=&limit=)
+ * @access  Private (admin role required)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const { query, error } = buildAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate('actor', 'firstName lastName email role'),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasMore: skip + entries.length < total,
+      },
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/audit/actions
+ * @desc    Action names recorded so far, for filters
+ * @access  Private (admin role required)
+ */
+router.get('/actions', async (req, res) => {
+  try {
+    const actions = await AuditLog.distinct('action');
+
+    res.json({
+      success: true,
+      data: actions.sort(),
+    });
+  } catch (error) {
+    console.error('Get audit actions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/audit/export
+ * @desc    Download matching entries as CSV, newest first (same filters as GET /api/audit)
+ * @access  Private (admin role required)
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const { query, error } = buildAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    const csv = [CSV_COLUMNS.join(','), ...entries.map(toCsvRow)].join('\r\n');
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+    res.send(csv);
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+module.exports = router;
@@ -2,11 +2,19 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const User = require('../models/User');
+const Alert = require('../models/Alert');
 const Session = require('../models/Session');
 const Verification = require('../models/Verification');
 const { protect, generateToken, generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
 const { authLimiter, passwordResetLimiter } = require('../middleware/rateLimiter');
 const { verifyFirebaseToken } = require('../config/firebase');
+const { normalizeLocale } = require('../utils/alertLocalization');
+const { getReputation } = require('../utils/reputation');
+const { recordAudit } = require('../utils/auditLog');
+const { normalizePhone, sendVerificationSms, isSmsEnabled } = require('../utils/smsService');
+
+// Shortest wait before another phone code can be requested
+const PHONE_CODE_COOLDOWN_MS = 60 * 1000;
 
 /**
  * ============================================
@@ -386,11 +394,25 @@ router.post('/login', authLimiter, async (req, res) => {
       });
     }
 
+    // Check if account is banned
+    if (user.isBanned) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is banned. Please contact support.',
+      });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
       await user.incrementLoginAttempts();
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        actor: user,
+        target: { type: 'User', id: user._id, label: user.email },
+        metadata: { attempts: user.loginAttempts + 1 },
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -408,6 +430,12 @@ router.post('/login', authLimiter, async (req, res) => {
       await user.save();
     }
 
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: user,
+      target: { type: 'User', id: user._id, label: user.email },
+    });
+
     // Generate tokens with full payload {userId, role, email}
     const token = generateToken(user);
     const refreshToken = generateRefreshToken(user._id);
@@ -462,13 +490,16 @@ router.get('/me', protect, async (req, res) => {
         lastName: user.lastName,
         email: user.email,
         phone: user.phone,
+        phoneVerified: user.phoneVerified,
         role: user.role,
         isVerified: user.isVerified,
         isActive: user.isActive,
         location: user.location,
         alertPreferences: user.alertPreferences,
+        preferredLanguage: user.preferredLanguage,
         emergencyContacts: user.emergencyContacts,
         avatar: user.avatar,
+        reputation: await getReputation(user),
         createdAt: user.createdAt,
         lastLogin: user.lastLogin,
       },
@@ -489,7 +520,7 @@ router.get('/me', protect, async (req, res) => {
  */
 router.put('/me', protect, async (req, res) => {
   try {
-    let { firstName, lastName, name, phone, alertPreferences, emergencyContacts } = req.body;
+    let { firstName, lastName, name, phone, alertPreferences, emergencyContacts, preferredLanguage } = req.body;
 
     // If name is provided but not firstName/lastName, split it
     if (name && !firstName && !lastName) {
@@ -530,26 +561,63 @@ router.put('/me', protect, async (req, res) => {
         });
       }
       updateFields.phone = phone ? phone.trim() : '';
+
+      // A different number has to be verified again before it gets SMS alerts
+      if (normalizePhone(updateFields.phone) !== normalizePhone(req.user.phone)) {
+        updateFields.phoneVerified = false;
+        updateFields.phoneVerifiedAt = null;
+        updateFields['alertPreferences.smsEnabled'] = false;
+      } else if (normalizePhone(updateFields.phone)) {
+        // Same number, differently formatted - keep the verified form gateway replies match on
+        updateFields.phone = req.user.phone;
+      }
     }
     
     if (alertPreferences !== undefined) {
-      // Validate alert preferences structure
-      const validPrefs = {};
-      if (typeof alertPreferences.email === 'boolean') validPrefs.email = alertPreferences.email;
-      if (typeof alertPreferences.sms === 'boolean') validPrefs.sms = alertPreferences.sms;
-      if (typeof alertPreferences.push === 'boolean') validPrefs.push = alertPreferences.push;
-      if (Array.isArray(alertPreferences.categories)) {
-        const validCategories = ['weather', 'fire', 'earthquake', 'flood', 'traffic', 'crime', 'health', 'other'];
-        validPrefs.categories = alertPreferences.categories.filter(c => validCategories.includes(c));
+      // Validate alert preferences structure - accepts the stored names or the short
+      // ones (email, sms, push, categories, radius), and only touches the fields sent
+      const pick = (...keys) => keys.map((k) => alertPreferences[k]).find((v) => v !== undefined);
+      const validTypes = Alert.schema.path('type').enumValues;
+
+      const emailEnabled = pick('emailEnabled', 'email');
+      const smsEnabled = pick('smsEnabled', 'sms');
+      const pushEnabled = pick('pushEnabled', 'push');
+      const alertTypes = pick('alertTypes', 'categories');
+      const alertRadius = pick('alertRadius', 'radius');
+
+      if (typeof emailEnabled === 'boolean') updateFields['alertPreferences.emailEnabled'] = emailEnabled;
+      if (typeof smsEnabled === 'boolean') {
+        const phoneVerified = req.user.phoneVerified && updateFields.phoneVerified !== false;
+        if (smsEnabled && !phoneVerified) {
+          return res.status(400).json({
+            success: false,
+            message: 'Verify your phone number before enabling SMS alerts',
+          });
+        }
+        updateFields['alertPreferences.smsEnabled'] = smsEnabled;
+        // Turning SMS back on here overrides an earlier STOP reply
+        if (smsEnabled) updateFields['alertPreferences.smsOptedOutAt'] = null;
       }
-      if (typeof alertPreferences.radius === 'number' && alertPreferences.radius >= 1 && alertPreferences.radius <= 100) {
-        validPrefs.radius = alertPreferences.radius;
+      if (typeof pushEnabled === 'boolean') updateFields['alertPreferences.pushEnabled'] = pushEnabled;
+      if (Array.isArray(alertTypes)) {
+        updateFields['alertPreferences.alertTypes'] = alertTypes.filter((t) => validTypes.includes(t));
       }
-      if (Object.keys(validPrefs).length > 0) {
-        updateFields.alertPreferences = { ...updateFields.alertPreferences, ...validPrefs };
+      if (typeof alertRadius === 'number' && alertRadius >= 1 && alertRadius <= 100) {
+        updateFields['alertPreferences.alertRadius'] = alertRadius;
       }
     }
     
+    if (preferredLanguage !== undefined) {
+      const locale = normalizeLocale(preferredLanguage);
+      if (!locale) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide a valid language such as "en" or "es-MX"',
+        });
+      }
+      updateFields.preferredLanguage = locale;
+    }
+
     if (emergencyContacts !== undefined) {
       if (Array.isArray(emergencyContacts)) {
         // Validate each emergency contact
@@ -591,13 +659,16 @@ router.put('/me', protect, async (req, res) => {
         lastName: user.lastName,
         email: user.email,
         phone: user.phone,
+        phoneVerified: user.phoneVerified,
         role: user.role,
         isVerified: user.isVerified,
         isActive: user.isActive,
         location: user.location,
         alertPreferences: user.alertPreferences,
+        preferredLanguage: user.preferredLanguage,
         emergencyContacts: user.emergencyContacts,
         avatar: user.avatar,
+        reputation: user.reputation,
         createdAt: user.createdAt,
         lastLogin: user.lastLogin,
       },
@@ -611,6 +682,181 @@ router.put('/me', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/phone/start
+ * @desc    Text a verification code to a phone number (defaults to the profile number)
+ * @access  Private (JWT required)
+ */
+router.post('/phone/start', protect, authLimiter, async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone || req.user.phone);
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid phone number',
+      });
+    }
+
+    if (!isSmsEnabled()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Text messages are not available right now',
+      });
+    }
+
+    if (req.user.phoneVerified && normalizePhone(req.user.phone) === phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already verified',
+      });
+    }
+
+    const verifiedElsewhere = await User.exists({
+      _id: { $ne: req.user._id },
+      phone,
+      phoneVerified: true,
+    });
+    if (verifiedElsewhere) {
+      return res.status(409).json({
+        success: false,
+        message: 'This phone number is verified on another account',
+      });
+    }
+
+    const recent = await Verification.findOne({
+      user: req.user._id,
+      type: 'phone',
+      createdAt: { $gt: new Date(Date.now() - PHONE_CODE_COOLDOWN_MS) },
+    });
+    if (recent) {
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait a minute before requesting another code',
+      });
+    }
+
+    const verification = await Verification.createPhoneVerification(req.user._id, phone, req.ip);
+
+    try {
+      await sendVerificationSms(phone, verification.code);
+    } catch (smsError) {
+      verification.status = 'cancelled';
+      await verification.save();
+      return res.status(502).json({
+        success: false,
+        message: 'Could not send a text message to that number',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent by SMS',
+      data: {
+        phone,
+        expiresAt: verification.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error('Start phone verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/phone/verify
+ * @desc    Confirm the code sent by /phone/start and mark the number verified
+ * @access  Private (JWT required)
+ */
+router.post('/phone/verify', protect, authLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the verification code',
+      });
+    }
+
+    const verification = await Verification.findOne({
+      user: req.user._id,
+      type: 'phone',
+      status: 'pending',
+    }).sort({ createdAt: -1 });
+
+    if (!verification) {
+      return res.status(400).json({
+        success: false,
+        message: 'No phone verification in progress. Please request a new code.',
+      });
+    }
+
+    const result = await verification.verifyCode(String(code).trim(), req.ip);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+        attemptsRemaining: result.attemptsRemaining,
+      });
+    }
+
+    // Someone else may have verified the number since the code was sent
+    const verifiedElsewhere = await User.exists({
+      _id: { $ne: req.user._id },
+      phone: verification.data.phone,
+      phoneVerified: true,
+    });
+    if (verifiedElsewhere) {
+      return res.status(409).json({
+        success: false,
+        message: 'This phone number is verified on another account',
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      {
+        $set: {
+          phone: verification.data.phone,
+          phoneVerified: true,
+          phoneVerifiedAt: new Date(),
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Phone number verified',
+      data: {
+        phone: user.phone,
+        phoneVerified: user.phoneVerified,
+        phoneVerifiedAt: user.phoneVerifiedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Verify phone error:', error);
+
+    // Lost a race with another account verifying the same number
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This phone number is verified on another account',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
 /**
  * @route   PATCH /api/auth/update-location
  * @desc    Update user's last known location
@@ -699,7 +945,7 @@ router.post('/refresh', async (req, res) => {
 
     // Check if user still exists
     const user = await User.findById(decoded.id);
-    if (!user || !user.isActive) {
+    if (!user || !user.isActive || user.isBanned) {
       return res.status(401).json({
         success: false,
         message: 'User not found or inactive',
@@ -801,6 +1047,12 @@ router.post('/reset-password/:token', async (req, res) => {
     user.lockUntil = undefined;
     await user.save();
 
+    await recordAudit(req, {
+      action: 'auth.password_reset',
+      actor: user,
+      target: { type: 'User', id: user._id, label: user.email },
+    });
+
     const authToken = generateToken(user);
 
     res.json({
@@ -883,6 +1135,12 @@ router.delete('/me/sessions/:sessionId', protect, async (req, res) => {
     session.disconnectedAt = new Date();
     await session.save();
 
+    await recordAudit(req, {
+      action: 'auth.session_revoke',
+      target: { type: 'Session', id: session._id },
+      metadata: { ipAddress: session.ipAddress },
+    });
+
     res.json({
       success: true,
       message: 'Session revoked successfully',
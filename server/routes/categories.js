@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/Category');
+const Report = require('../models/Report');
+const { protect } = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/roleCheck');
+const { pickFields, createErrorHandler } = require('../utils/routeHelpers');
+
+/**
+ * ============================================
+ * CATEGORY ROUTES (/api/categories)
+ * ============================================
+ * The public list reporters pick from is GET /api/reports/categories/list
+ */
+
+// Fields a client may set on a category - the key is fixed at creation
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'icon',
+  'color',
+  'subcategories',
+  'defaultSeverity',
+  'alertType',
+  'alertSeverity',
+  'autoAlert',
+  'isActive',
+  'sortOrder',
+];
+
+const pickCategoryFields = (body) => pickFields(body, EDITABLE_FIELDS);
+
+const handleCategoryError = createErrorHandler({
+  notFound: 'Category not found',
+  duplicate: 'A category with this key already exists',
+});
+
+// Every category management route is for admins only
+router.use(protect, authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN));
+
+/**
+ * @route   GET /api/categories
+ * @desc    List all categories, including inactive ones, with report counts
+ * @access  Private (admin role required)
+ */
+router.get('/', async (req, res) => {
+  try {
+    await Category.ensureDefaults();
+
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ sortOrder: 1, name: 1 }),
+      Report.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }]),
+    ]);
+
+    const countByKey = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+
+    res.json({
+      success: true,
+      data: categories.map((category) => ({
+        ...category.toObject(),
+        reportCount: countByKey[category.key] || 0,
+      })),
+    });
+  } catch (error) {
+    handleCategoryError(error, res, 'Get categories');
+  }
+});
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create a category
+ * @access  Private (admin role required)
+ */
+router.post('/', async (req, res) => {
+  try {
+    await Category.ensureDefaults();
+
+    const category = await Category.create({
+      ...pickCategoryFields(req.body),
+      key: req.body.key,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category,
+    });
+  } catch (error) {
+    handleCategoryError(error, res, 'Create category');
+  }
+});
+
+/**
+ * @route   PUT /api/categories/:id
+ * @desc    Update a category
+ * @access  Private (admin role required)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    category.set(pickCategoryFields(req.body));
+    await category.save();
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category,
+    });
+  } catch (error) {
+    handleCategoryError(error, res, 'Update category');
+  }
+});
+
+/**
+ * @route   DELETE /api/categories/:id
+ * @desc    Delete a custom category no report uses; others can only be deactivated
+ * @access  Private (admin role required)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    // Built-in keys fall back to their default definition, so deleting one wouldn't stick
+    const isBuiltIn = Category.DEFAULT_CATEGORIES.some((c) => c.key === category.key);
+    if (isBuiltIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in categories can only be deactivated',
+      });
+    }
+
+    const inUse = await Report.exists({ category: category.key });
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reports use this category - deactivate it instead',
+      });
+    }
+
+    await category.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+    });
+  } catch (error) {
+    handleCategoryError(error, res, 'Delete category');
+  }
+});
+
+module.exports = router;
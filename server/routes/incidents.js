@@ -0,0 +1,333 @@
+const express = require('express');
+const router = express.Router();
+const Incident = require('../models/Incident');
+const Report = require('../models/Report');
+const { protect } = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/roleCheck');
+const { searchLimiter } = require('../middleware/rateLimiter');
+const { pickFields, createErrorHandler } = require('../utils/routeHelpers');
+const { addReportsToIncident, removeReportFromIncident } = require('../utils/incidentClustering');
+
+/**
+ * ============================================
+ * INCIDENT ROUTES (/api/incidents)
+ * ============================================
+ */
+
+// Most reports that can be added in one request
+const MAX_REPORTS_PER_REQUEST = 50;
+
+// Fields staff may edit directly; the rest are rolled up from member reports
+const EDITABLE_FIELDS = ['title', 'description', 'category', 'status'];
+
+// Report fields shown on an incident
+const REPORT_SUMMARY_FIELDS = 'title category severity status location createdAt votes.up votes.down';
+
+const staffOnly = [protect, authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER)];
+
+const handleIncidentError = createErrorHandler({ notFound: 'Incident not found' });
+
+/**
+ * Load the reports named in a request body, or explain what's wrong with the list
+ * @returns {Promise<Object>} { reports } or { error }
+ */
+const loadRequestedReports = async (reportIds) => {
+  if (!Array.isArray(reportIds) || reportIds.length === 0) {
+    return { error: 'reportIds must be a non-empty array' };
+  }
+  if (reportIds.length > MAX_REPORTS_PER_REQUEST) {
+    return { error: `Cannot add more than ${MAX_REPORTS_PER_REQUEST} reports at once` };
+  }
+
+  const uniqueIds = [...new Set(reportIds.map(String))];
+  const reports = await Report.find({ _id: { $in: uniqueIds } })
+    .select('title category severity status location createdAt incident');
+
+  if (reports.length !== uniqueIds.length) {
+    return { error: 'One or more reports were not found', status: 404 };
+  }
+  return { reports };
+};
+
+const emitIncident = (req, incident, action) => {
+  const io = req.app.get('io');
+  if (io && io.emitIncidentUpdate) {
+    io.emitIncidentUpdate(incident, action);
+  }
+};
+
+/**
+ * @route   GET /api/incidents
+ * @desc    List incidents (?lat=&lng=&radius=meters&status=&severity=&category=)
+ *          Resolved incidents are left out unless asked for by status
+ * @access  Public
+ */
+router.get('/', searchLimiter, async (req, res) => {
+  try {
+    const {
+      lat,
+      lng,
+      radius = 10000, // Default 10km in meters
+      status,
+      severity,
+      category,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    const query = {
+      status: status || { $ne: 'resolved' },
+    };
+    if (severity) query.severity = severity;
+    if (category) query.category = category;
+
+    if (lat && lng) {
+      query['location.coordinates'] = {
+        $geoWithin: {
+          $centerSphere: [
+            [parseFloat(lng), parseFloat(lat)],
+            parseFloat(radius) / 1000 / 6371,
+          ],
+        },
+      };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [incidents, total] = await Promise.all([
+      Incident.find(query)
+        .select('-events -excludedReports')
+        .sort({ lastReportedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Incident.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: incidents,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+        hasMore: skip + incidents.length < total,
+      },
+    });
+  } catch (error) {
+    handleIncidentError(error, res, 'Get incidents');
+  }
+});
+
+/**
+ * @route   GET /api/incidents/:id
+ * @desc    Get an incident with its reports and combined timeline
+ * @access  Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id)
+      // Reports held for review aren't public yet
+      .populate({ path: 'reports', select: REPORT_SUMMARY_FIELDS, match: { heldForReview: { $ne: true } } })
+      .populate('createdBy', 'firstName lastName')
+      .populate('events.author', 'firstName lastName role');
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found',
+      });
+    }
+
+    const timeline = await incident.getTimeline({ publicOnly: true });
+
+    res.json({
+      success: true,
+      data: {
+        ...incident.toObject(),
+        timeline,
+      },
+    });
+  } catch (error) {
+    handleIncidentError(error, res, 'Get incident');
+  }
+});
+
+/**
+ * @route   POST /api/incidents
+ * @desc    Open an incident by hand from a set of reports
+ * @access  Private (Responder/Admin)
+ */
+router.post('/', ...staffOnly, async (req, res) => {
+  try {
+    const { title, description, category, reportIds } = req.body;
+
+    const { reports, error, status } = await loadRequestedReports(reportIds);
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const incident = new Incident({
+      title,
+      description,
+      category: category || reports[0].category,
+      location: { type: 'Point', coordinates: [...reports[0].location.coordinates] },
+      createdBy: req.user._id,
+    });
+    incident.addEvent('created', `Opened by ${req.user.firstName} ${req.user.lastName}`, {
+      author: req.user._id,
+    });
+
+    // Validate before touching the reports
+    await incident.validate();
+    await addReportsToIncident(incident, reports, { author: req.user._id });
+
+    emitIncident(req, incident, 'created');
+
+    res.status(201).json({
+      success: true,
+      message: 'Incident created',
+      data: incident,
+    });
+  } catch (error) {
+    handleIncidentError(error, res, 'Create incident');
+  }
+});
+
+/**
+ * @route   PUT /api/incidents/:id
+ * @desc    Edit an incident's title, description, category or status
+ * @access  Private (Responder/Admin)
+ */
+router.put('/:id', ...staffOnly, async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found',
+      });
+    }
+
+    const previousStatus = incident.status;
+    const edited = [];
+
+    Object.entries(pickFields(req.body, EDITABLE_FIELDS)).forEach(([field, value]) => {
+      if (value !== incident[field]) {
+        incident[field] = value;
+        if (field !== 'status') edited.push(field);
+      }
+    });
+
+    if (incident.status !== previousStatus) {
+      incident.addEvent('status_changed', `${previousStatus} → ${incident.status}`, {
+        author: req.user._id,
+      });
+      incident.resolvedAt = incident.status === 'resolved' ? new Date() : undefined;
+    }
+    if (edited.length > 0) {
+      incident.addEvent('edited', `Updated ${edited.join(', ')}`, { author: req.user._id });
+    }
+
+    await incident.save();
+
+    emitIncident(req, incident, 'updated');
+
+    res.json({
+      success: true,
+      message: 'Incident updated',
+      data: incident,
+    });
+  } catch (error) {
+    handleIncidentError(error, res, 'Update incident');
+  }
+});
+
+/**
+ * @route   POST /api/incidents/:id/reports
+ * @desc    Add reports to an incident (moves them out of any other incident)
+ * @access  Private (Responder/Admin)
+ */
+router.post('/:id/reports', ...staffOnly, async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found',
+      });
+    }
+
+    const { reports, error, status } = await loadRequestedReports(req.body.reportIds);
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    await addReportsToIncident(incident, reports, { author: req.user._id });
+
+    emitIncident(req, incident, 'report_added');
+
+    res.json({
+      success: true,
+      message: 'Reports added to incident',
+      data: incident,
+    });
+  } catch (error) {
+    handleIncidentError(error, res, 'Add incident reports');
+  }
+});
+
+/**
+ * @route   DELETE /api/incidents/:id/reports/:reportId
+ * @desc    Take a report out of an incident; it won't be grouped back in automatically
+ * @access  Private (Responder/Admin)
+ */
+router.delete('/:id/reports/:reportId', ...staffOnly, async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found',
+      });
+    }
+
+    if (!incident.reports.some((id) => id.toString() === req.params.reportId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report is not part of this incident',
+      });
+    }
+
+    const report = await Report.findById(req.params.reportId).select('title incident');
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    await removeReportFromIncident(incident, report, { author: req.user._id });
+
+    emitIncident(req, incident, 'report_removed');
+
+    res.json({
+      success: true,
+      message: 'Report removed from incident',
+      data: incident,
+    });
+  } catch (error) {
+    handleIncidentError(error, res, 'Remove incident report');
+  }
+});
+
+module.exports = router;
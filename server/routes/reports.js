@@ -2,13 +2,284 @@ const express = require('express');
 const router = express.Router();
 const Report = require('../models/Report');
 const Alert = require('../models/Alert');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const ReportVerification = require('../models/ReportVerification');
+const VerificationPolicy = require('../models/VerificationPolicy');
 const { protect, optionalAuth } = require('../middleware/auth');
 const { authorize, ROLES } = require('../middleware/roleCheck');
-const { reportCreationLimiter, searchLimiter } = require('../middleware/rateLimiter');
+const { reportCreationLimiter, searchLimiter, reportUpdateLimiter } = require('../middleware/rateLimiter');
 const { deleteFromUploadThing } = require('../config/uploadthing');
 const { encrypt, decrypt } = require('../utils/encryption');
-const { distanceBetweenCoords } = require('../utils/geoUtils');
+const { distanceBetweenCoords, validateCoordinates } = require('../utils/geoUtils');
 const { logger } = require('../utils/logger');
+const { findDuplicateCandidates, linkLikelyDuplicates, relinkDuplicates } = require('../utils/duplicateDetection');
+const { assignReportToIncident, reclusterMovedReport } = require('../utils/incidentClustering');
+const { assessVote, getLastKnownLocation } = require('../utils/verificationGuard');
+const { containsProfanity } = require('../utils/contentFilter');
+const { snapshot, recordAudit } = require('../utils/auditLog');
+const {
+  getReputation,
+  getVoteWeight,
+  getConfirmThreshold,
+  isHeldBack,
+  refreshReportReputations,
+} = require('../utils/reputation');
+
+// Most duplicates that can be folded into a report in one merge
+const MAX_MERGE_BATCH = 20;
+
+// Reports in these statuses are finished and drop out of work queues
+const CLOSED_STATUSES = ['resolved', 'rejected', 'duplicate'];
+
+// Roles a report can be assigned to
+const ASSIGNABLE_ROLES = [ROLES.RESPONDER, ROLES.ADMIN, ROLES.SUPER_ADMIN];
+
+// Roles that can post official updates on a report
+const OFFICIAL_UPDATE_ROLES = [ROLES.RESPONDER, ROLES.ADMIN, ROLES.SUPER_ADMIN];
+
+// Media a report can carry, matching the upload form
+const MAX_MEDIA_ITEMS = 5;
+
+// Length limits for comments and updates on a report
+const MIN_UPDATE_LENGTH = 2;
+const MAX_UPDATE_LENGTH = 1000;
+
+// Weighted denies that mark a report false
+const DENY_THRESHOLD = 3;
+
+// Report fields kept in the audit log when staff moderate or verify
+const REPORT_AUDIT_FIELDS = ['status', 'verificationStatus', 'verificationNotes', 'heldForReview', 'adminVerified'];
+
+// Reporter fields shown alongside a report, including their reputation badge
+const REPORTER_PUBLIC_FIELDS = 'firstName lastName avatar reputation.score reputation.tier';
+
+/**
+ * [longitude, latitude] from a submitted report location, as numbers
+ * @returns {number[]|null} null unless there are two coordinates in range
+ */
+const parseLocationCoordinates = (location) => {
+  const coordinates = location?.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+
+  // Number('') and Number(null) are 0, which would pass as a real coordinate
+  const [lng, lat] = coordinates.map((value) => (value === '' || value === null ? NaN : Number(value)));
+  return validateCoordinates(lat, lng) ? [lng, lat] : null;
+};
+
+/**
+ * Alert settings for a report's category - type, severity, area and duration
+ * of the alert raised when the report is verified
+ */
+const getCategoryAlertSettings = async (categoryKey) => {
+  const category = await Category.findByKey(categoryKey);
+  return {
+    type: category?.alertType || 'community',
+    severity: category?.alertSeverity || 'advisory',
+    radiusKm: category?.autoAlert?.radiusKm || 5,
+    durationHours: category?.autoAlert?.durationHours || 24,
+    autoAlert: category ? category.autoAlert.enabled : true,
+  };
+};
+
+/**
+ * Recompute reputations once a report is verified or marked false
+ * Best-effort - the request that settled the report shouldn't fail over it
+ */
+const settleReputations = async (report) => {
+  try {
+    await refreshReportReputations(report);
+  } catch (error) {
+    console.error('Reputation refresh error:', error);
+  }
+};
+
+/**
+ * Group a report into an incident - best-effort, so a failure is only logged
+ * @returns {Promise<Object|null>} { incident, created }, or null if it wasn't grouped
+ */
+const clusterReport = async (report) => {
+  try {
+    return await assignReportToIncident(report);
+  } catch (clusterError) {
+    console.error('Incident clustering error:', clusterError);
+    return null;
+  }
+};
+
+/**
+ * Group a report into an incident once it's released from review and public
+ */
+const clusterReleasedReport = async (req, report) => {
+  const clustered = await clusterReport(report);
+  const io = req.app.get('io');
+  if (clustered && io && io.emitIncidentUpdate) {
+    io.emitIncidentUpdate(clustered.incident, clustered.created ? 'created' : 'report_added');
+  }
+};
+
+/**
+ * Verify or mark false a report whose weighted votes have crossed the
+ * thresholds, raising the community alert on verification, then save it
+ * Quarantined votes aren't in report.votes, so they never count here
+ * @param {Object} [policySettings] - From VerificationPolicy.resolveForReport, if already loaded
+ */
+const applyVoteThresholds = async (req, report, policySettings = null) => {
+  const settings = policySettings || await VerificationPolicy.resolveForReport(report);
+  const wasHeld = report.heldForReview;
+
+  // Auto-verify once weighted confirms reach the policy threshold - trusted reporters need fewer
+  const weightedVotes = report.getWeightedVotes();
+  const reporterReputation = report.reporter ? await getReputation(report.reporter) : null;
+  const confirmThreshold = getConfirmThreshold(reporterReputation, settings.confirmThreshold);
+  const shouldVerify = weightedVotes.up >= confirmThreshold && report.verificationStatus === 'unverified';
+  const shouldAddCommunityVerified = weightedVotes.up >= confirmThreshold && !report.communityVerified;
+  
+  if (shouldVerify) {
+    report.verificationStatus = 'verified';
+    report.status = 'verified';
+    report.verifiedAt = new Date();
+    report.heldForReview = false;
+  }
+  
+  // Set community verified flag when threshold is reached
+  if (shouldAddCommunityVerified) {
+    report.communityVerified = true;
+    report.communityVerifiedAt = new Date();
+    report.communityVerificationCount = report.votes.up;
+
+    // Update existing alert OR create new alert from the verified report
+    try {
+      const alertSettings = await getCategoryAlertSettings(report.category);
+
+      // Check if report already has an alert (e.g., admin-created report)
+      if (report.alertId) {
+        // Update existing alert with community verified status
+        const existingAlert = await Alert.findById(report.alertId);
+        if (existingAlert) {
+          existingAlert.metadata = existingAlert.metadata || {};
+          existingAlert.metadata.communityVerified = true;
+          existingAlert.metadata.communityVerificationCount = report.votes.up;
+          existingAlert.metadata.communityVerifiedAt = new Date();
+          
+          // Update description to mention community verification
+          if (!existingAlert.description.includes('Community Voting')) {
+            existingAlert.description = existingAlert.description + `\n\n👥 **Also Verified by Community**\n${report.votes.up} community members have confirmed this incident.`;
+          }
+          
+          await existingAlert.save();
+          logger.info(`Existing alert ${existingAlert._id} updated with community verification`);
+        }
+      } else if (!alertSettings.autoAlert) {
+        logger.info(`Auto alerts are off for category ${report.category} - no alert for report ${report._id}`);
+      } else {
+        // Create new alert for community-verified report
+        const alert = new Alert({
+          title: `⚠️ ${report.title || `${report.category} Incident`}`,
+          description: `${report.description || 'Community reported incident'}\n\n📢 **Verified by Community Voting**\nThis alert was automatically generated when ${report.votes.up} community members confirmed this incident report.`,
+          shortDescription: `Community verified: ${report.category} incident reported nearby`,
+          type: alertSettings.type,
+          severity: settings.alertSeverity || alertSettings.severity,
+          source: {
+            type: 'report',
+            reportId: report._id,
+            officialSource: 'Community Voting System',
+          },
+          createdBy: report.reporter || req.user._id,
+          targetArea: {
+            type: 'Circle',
+            coordinates: report.location?.coordinates || [0, 0],
+            radius: alertSettings.radiusKm,
+            address: report.locationDescription,
+          },
+          effectiveFrom: new Date(),
+          effectiveUntil: new Date(Date.now() + (settings.alertDurationHours || alertSettings.durationHours) * 60 * 60 * 1000),
+          isActive: true,
+          status: 'active',
+          channels: {
+            push: true,
+            inApp: true,
+            email: false,
+            sms: false,
+          },
+          instructions: [
+            { text: 'Stay alert and aware of your surroundings', priority: 1 },
+            { text: 'Avoid the area if possible', priority: 2 },
+            { text: 'Report any additional information', priority: 3 },
+          ],
+          metadata: {
+            isAutomated: true,
+            source: 'community_verification',
+            reportId: report._id.toString(),
+            verificationCount: report.votes.up,
+            communityVerified: true,
+            verificationPolicy: {
+              id: settings.policy?._id,
+              name: settings.policy?.name || 'Default',
+              confirmThreshold,
+            },
+          },
+        });
+
+        await alert.save();
+        report.alertId = alert._id; // Link the alert to the report
+        
+        logger.info(`Alert created from verified report: ${alert._id}`);
+
+        // Emit the new alert via socket
+        const io = req.app.get('io');
+        if (io && io.emitOfficialAlert) {
+          io.emitOfficialAlert(alert);
+        }
+      }
+    } catch (alertError) {
+      console.error('Error creating/updating alert from verified report:', alertError);
+      // Don't fail the vote if alert creation fails
+    }
+
+    // Emit reportVerified event (geo-filtered)
+    const io = req.app.get('io');
+    if (io && io.emitReportVerified) {
+      io.emitReportVerified(report);
+    }
+  }
+
+  // Auto-flag as false if too many weighted denies
+  const shouldMarkFalse = weightedVotes.down >= DENY_THRESHOLD && report.verificationStatus === 'unverified';
+  if (shouldMarkFalse) {
+    report.verificationStatus = 'false_report';
+  }
+
+  await report.save();
+
+  if (shouldVerify || shouldMarkFalse) {
+    await settleReputations(report);
+  }
+
+  if (wasHeld && !report.heldForReview) {
+    await clusterReleasedReport(req, report);
+  }
+
+  return { weightedVotes, confirmThreshold };
+};
+
+/**
+ * Tell a user a report was assigned to or taken off them
+ */
+const notifyAssignment = (req, userId, event, report) => {
+  const io = req.app.get('io');
+  if (io && io.notifyUser) {
+    io.notifyUser(userId.toString(), event, {
+      reportId: report._id,
+      title: report.title,
+      category: report.category,
+      severity: report.severity,
+      priority: report.priority,
+      assignedBy: req.user._id,
+      assignedAt: report.assignedAt,
+    });
+  }
+};
 
 /**
  * ============================================
@@ -48,10 +319,28 @@ router.post('/', optionalAuth, reportCreationLimiter, async (req, res) => {
     const parsedLocation = typeof location === 'string' ? JSON.parse(location) : location;
 
     // Validate location has coordinates
-    if (!parsedLocation.coordinates || parsedLocation.coordinates.length !== 2) {
+    const coordinates = parseLocationCoordinates(parsedLocation);
+    if (!coordinates) {
+      return res.status(400).json({
+        success: false,
+        message: 'Location must include valid coordinates [longitude, latitude]',
+      });
+    }
+
+    // Category must be one reporters can currently pick
+    const categoryDoc = await Category.findByKey(category);
+    if (!categoryDoc || !categoryDoc.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category',
+      });
+    }
+
+    // Subcategory, if given, must be one of the category's own
+    if (subcategory && !categoryDoc.subcategories.some((sub) => sub.key === subcategory)) {
       return res.status(400).json({
         success: false,
-        message: 'Location must include coordinates [longitude, latitude]',
+        message: 'Invalid subcategory for this category',
       });
     }
 
@@ -79,10 +368,10 @@ router.post('/', optionalAuth, reportCreationLimiter, async (req, res) => {
       sensitiveData: encryptedSensitiveData,
       category,
       subcategory,
-      severity: severity || 'medium',
+      severity: severity || categoryDoc.defaultSeverity,
       location: {
         type: 'Point',
-        coordinates: parsedLocation.coordinates,
+        coordinates,
         address: parsedLocation.address,
         city: parsedLocation.city,
         state: parsedLocation.state,
@@ -105,6 +394,9 @@ router.post('/', optionalAuth, reportCreationLimiter, async (req, res) => {
         reportData.verifiedBy = req.user._id;
         reportData.adminVerified = true;
         reportData.adminVerifiedBy = req.user._id;
+      } else if (isHeldBack(await getReputation(req.user))) {
+        // Very low trust - keep it off public feeds until someone verifies it
+        reportData.heldForReview = true;
       }
     }
 
@@ -113,44 +405,14 @@ router.post('/', optionalAuth, reportCreationLimiter, async (req, res) => {
     // If admin-created report (auto-verified), also create an alert
     if (req.user && (req.user.role === 'admin' || req.user.role === 'super_admin')) {
       try {
-        const categoryToType = {
-          accident: 'traffic',
-          fire: 'emergency',
-          flood: 'weather',
-          crime: 'crime',
-          medical: 'health',
-          infrastructure: 'infrastructure',
-          emergency: 'emergency',
-          natural_disaster: 'weather',
-          suspicious_activity: 'crime',
-          traffic: 'traffic',
-          weather: 'weather',
-          public_safety: 'community',
-          other: 'community',
-        };
-
-        const categoryToSeverity = {
-          accident: 'warning',
-          fire: 'critical',
-          flood: 'warning',
-          crime: 'warning',
-          medical: 'advisory',
-          infrastructure: 'advisory',
-          emergency: 'critical',
-          natural_disaster: 'critical',
-          suspicious_activity: 'warning',
-          traffic: 'advisory',
-          weather: 'advisory',
-          public_safety: 'advisory',
-          other: 'info',
-        };
+        const alertSettings = await getCategoryAlertSettings(report.category);
 
         const alert = new Alert({
           title: `🛡️ ${report.title || `${report.category} Incident`}`,
           description: `${report.description || 'Reported incident'}\n\n✅ **Verified by Admin**\nThis alert was created by an official administrator.`,
           shortDescription: `Admin report: ${report.category} incident nearby`,
-          type: categoryToType[report.category] || 'community',
-          severity: report.severity === 'critical' ? 'critical' : (categoryToSeverity[report.category] || 'advisory'),
+          type: alertSettings.type,
+          severity: report.severity === 'critical' ? 'critical' : alertSettings.severity,
           source: {
             type: 'report',
             reportId: report._id,
@@ -160,11 +422,11 @@ router.post('/', optionalAuth, reportCreationLimiter, async (req, res) => {
           targetArea: {
             type: 'Circle',
             coordinates: report.location?.coordinates || [0, 0],
-            radius: 5,
+            radius: alertSettings.radiusKm,
             address: report.location?.address,
           },
           effectiveFrom: new Date(),
-          effectiveUntil: new Date(Date.now() + 24 * 60 * 60 * 1000),
+          effectiveUntil: new Date(Date.now() + alertSettings.durationHours * 60 * 60 * 1000),
           isActive: true,
           status: 'active',
           channels: {
@@ -205,18 +467,56 @@ router.post('/', optionalAuth, reportCreationLimiter, async (req, res) => {
       }
     }
 
+    // Link likely duplicates - a failed check shouldn't lose the report
+    let duplicates = [];
+    try {
+      duplicates = await linkLikelyDuplicates(report);
+      if (duplicates.length > 0) {
+        logger.info(`Report ${report._id} looks like a duplicate of ${duplicates.length} report(s)`);
+      }
+    } catch (duplicateError) {
+      console.error('Duplicate detection error:', duplicateError);
+    }
+
+    // Group into an incident - same as above, clustering is best-effort
+    // Held reports join an incident once they're released
+    const clustered = report.heldForReview ? null : await clusterReport(report);
+
     // Emit socket event for real-time updates (geo-filtered to 10km)
+    // Held reports only go to moderators until they're verified
     const io = req.app.get('io');
-    if (io && io.emitNewReport) {
-      io.emitNewReport(report);
+    if (report.heldForReview) {
+      if (io && io.notifyRole) {
+        const payload = { reportId: report._id, title: report.title, category: report.category };
+        io.notifyRole(ROLES.ADMIN, 'reportHeldForReview', payload);
+        io.notifyRole(ROLES.SUPER_ADMIN, 'reportHeldForReview', payload);
+      }
+    } else {
+      if (io && io.emitNewReport) {
+        io.emitNewReport(report);
+      }
+      if (clustered && io && io.emitIncidentUpdate) {
+        io.emitIncidentUpdate(clustered.incident, clustered.created ? 'created' : 'report_added');
+      }
+    }
+
+    let message = 'Report submitted successfully';
+    if (req.user?.role === 'admin' || req.user?.role === 'super_admin') {
+      message = 'Report submitted and verified (Admin)';
+    } else if (report.heldForReview) {
+      message = 'Report submitted - it will appear publicly once verified';
     }
 
     res.status(201).json({
       success: true,
-      message: req.user?.role === 'admin' || req.user?.role === 'super_admin' 
-        ? 'Report submitted and verified (Admin)' 
-        : 'Report submitted successfully',
+      message,
       data: report,
+      possibleDuplicates: duplicates.map((match) => ({
+        _id: match.report._id,
+        title: match.report.title,
+        score: match.score,
+        distanceMeters: match.distanceMeters,
+      })),
     });
   } catch (error) {
     console.error('Create report error:', error);
@@ -241,7 +541,7 @@ router.post('/', optionalAuth, reportCreationLimiter, async (req, res) => {
  * @desc    Get reports within radius (?lat=X&lng=Y&radius=5km)
  * @access  Public
  */
-router.get('/', searchLimiter, async (req, res) => {
+router.get('/', optionalAuth, searchLimiter, async (req, res) => {
   try {
     const {
       lat,
@@ -256,6 +556,23 @@ router.get('/', searchLimiter, async (req, res) => {
       includeAll, // Admin flag to include all reports (expired, rejected, etc.)
     } = req.query;
 
+    const isStaff = !!req.user && ASSIGNABLE_ROLES.includes(req.user.role);
+    const ownReports = !!req.user && String(reporter) === req.user._id.toString();
+
+    if (includeAll === 'true' && !isStaff) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only staff can list all reports',
+      });
+    }
+
+    if (reporter && !ownReports && !isStaff) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only list your own reports',
+      });
+    }
+
     // Build query
     const query = {};
     
@@ -270,6 +587,11 @@ router.get('/', searchLimiter, async (req, res) => {
       query.reporter = reporter;
     }
 
+    // Reports held for review only show in their reporter's own list
+    if (!ownReports && includeAll !== 'true') {
+      query.heldForReview = { $ne: true };
+    }
+
     // Category filter
     if (category) {
       query.category = category;
@@ -307,7 +629,7 @@ router.get('/', searchLimiter, async (req, res) => {
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
-        .populate('reporter', 'firstName lastName avatar')
+        .populate('reporter', REPORTER_PUBLIC_FIELDS)
         .select('-sensitiveData -votes.voters'),
       Report.countDocuments(query),
     ]);
@@ -392,9 +714,11 @@ router.get('/nearby', searchLimiter, async (req, res) => {
     }
 
     // Build query - exclude resolved, rejected, and duplicate reports from map
+    // Reports held for review only show to the user who made them
     const query = {
       isExpired: { $ne: true },
       status: { $nin: ['rejected', 'duplicate', 'resolved'] },
+      $or: [{ heldForReview: { $ne: true } }, ...(userId ? [{ reporter: userId }] : [])],
     };
 
     // Category filter
@@ -438,7 +762,7 @@ router.get('/nearby', searchLimiter, async (req, res) => {
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
-        .populate('reporter', 'firstName lastName avatar')
+        .populate('reporter', REPORTER_PUBLIC_FIELDS)
         .select(selectFields),
       Report.countDocuments(query),
     ]);
@@ -493,6 +817,145 @@ router.get('/nearby', searchLimiter, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/reports/queue
+ * @desc    Work queue - reports assigned to the current user, highest priority then oldest first
+ *          (?includeClosed=true to include finished reports; admins may pass ?assignee=<userId>)
+ * @access  Private (admin/responder role required)
+ */
+router.get(
+  '/queue',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, includeClosed, assignee } = req.query;
+
+      const isAdmin = [ROLES.ADMIN, ROLES.SUPER_ADMIN].includes(req.user.role);
+      const query = {
+        assignedTo: isAdmin && assignee ? assignee : req.user._id,
+      };
+      if (includeClosed !== 'true') {
+        query.status = { $nin: CLOSED_STATUSES };
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [reports, total] = await Promise.all([
+        Report.find(query)
+          .select('-sensitiveData -votes.voters')
+          .populate('reporter', 'firstName lastName')
+          .sort({ priority: -1, createdAt: 1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Report.countDocuments(query),
+      ]);
+
+      res.json({
+        success: true,
+        data: reports,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+          hasMore: skip + reports.length < total,
+        },
+      });
+    } catch (error) {
+      console.error('Get report queue error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid assignee',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/reports/verifications/quarantined
+ * @desc    Verification votes flagged as suspicious and waiting for review, oldest first
+ * @access  Private (admin/responder role required)
+ */
+router.get(
+  '/verifications/quarantined',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const query = { status: 'quarantined' };
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [votes, total] = await Promise.all([
+        ReportVerification.find(query)
+          .populate('userId', 'firstName lastName email createdAt reputation.score reputation.tier')
+          .populate('reportId', 'title category status verificationStatus reporter')
+          .sort({ verifiedAt: 1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        ReportVerification.countDocuments(query),
+      ]);
+
+      res.json({
+        success: true,
+        data: votes,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+          hasMore: skip + votes.length < total,
+        },
+      });
+    } catch (error) {
+      console.error('Get quarantined votes error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/reports/categories/list
+ * @desc    Categories reporters can choose, with icons, subcategories and default severity
+ * @access  Public
+ */
+router.get('/categories/list', async (req, res) => {
+  try {
+    const categories = await Category.getActive();
+
+    res.json({
+      success: true,
+      data: categories.map((category) => ({
+        key: category.key,
+        name: category.name,
+        description: category.description,
+        icon: category.icon,
+        color: category.color,
+        subcategories: category.subcategories,
+        defaultSeverity: category.defaultSeverity,
+      })),
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
 /**
  * @route   GET /api/reports/:id
  * @desc    Get single report details
@@ -515,7 +978,7 @@ router.get('/:id', async (req, res) => {
     }
 
     const report = await Report.findById(req.params.id)
-      .populate('reporter', 'firstName lastName avatar')
+      .populate('reporter', REPORTER_PUBLIC_FIELDS)
       .populate('assignedTo', 'firstName lastName')
       .populate('verifiedBy', 'firstName lastName')
       .populate('updates.author', 'firstName lastName avatar');
@@ -602,15 +1065,51 @@ router.post('/:id/verify', protect, async (req, res) => {
       });
     }
 
+    // Check if user is admin/super_admin - they can immediately verify
+    const isAdmin = req.user.role === 'admin' || req.user.role === 'super_admin';
+
+    // Radius, vote window and threshold come from the report's verification policy
+    const policySettings = await VerificationPolicy.resolveForReport(report);
+
+    // Voting closes once the policy's window after the report has passed
+    if (!isAdmin && policySettings.voteWindowHours) {
+      const closesAt = new Date(report.createdAt.getTime() + policySettings.voteWindowHours * 60 * 60 * 1000);
+      if (Date.now() > closesAt.getTime()) {
+        return res.status(400).json({
+          success: false,
+          message: `Voting on this report closed ${policySettings.voteWindowHours} hours after it was submitted`,
+        });
+      }
+    }
+
     // Check if user is within verification radius of report location
-    const VERIFICATION_RADIUS_KM = 5; // Increased to 5km for better usability
+    const VERIFICATION_RADIUS_KM = policySettings.verificationRadiusKm;
     let userLocation = null;
 
-    // Get user location from request body or user profile
-    if (userLat && userLng) {
-      userLocation = [parseFloat(userLng), parseFloat(userLat)];
-    } else if (req.user.location?.coordinates) {
-      userLocation = req.user.location.coordinates;
+    // Get user location from request body, or the last one their sessions reported
+    const sentLocation = [userLat, userLng].some((value) => value !== undefined && value !== null && value !== '');
+    if (sentLocation) {
+      const lat = Number(userLat);
+      const lng = Number(userLng);
+
+      // NaN would slip past the radius check and break the 2dsphere index on save
+      if (!validateCoordinates(lat, lng)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location coordinates',
+        });
+      }
+      userLocation = [lng, lat];
+    } else {
+      userLocation = await getLastKnownLocation(req.user._id);
+    }
+
+    // Community votes need a location to check against the report and the user's history
+    if (!userLocation && !isAdmin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your location is needed to verify a report',
+      });
     }
 
     // Debug logging
@@ -627,13 +1126,9 @@ router.post('/:id/verify', protect, async (req, res) => {
           message: `You must be within ${VERIFICATION_RADIUS_KM}km of the report location to verify. Your distance: ${distance.toFixed(2)}km`,
         });
       }
-    } else if (!userLocation) {
-      // If no location available, allow verification but log it
-      console.log('Verify request - No user location available, allowing verification');
     }
 
-    // Check if user is admin/super_admin - they can immediately verify
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'super_admin';
+    const reportBefore = snapshot(report, REPORT_AUDIT_FIELDS);
 
     if (isAdmin && vote === 'confirm') {
       // Admin confirmation - immediately verify the report
@@ -643,6 +1138,7 @@ router.post('/:id/verify', protect, async (req, res) => {
       report.verifiedBy = req.user._id;
       report.adminVerified = true;
       report.adminVerifiedBy = req.user._id;
+      report.heldForReview = false;
 
       // Also add admin's vote
       const existingVoteIndex = report.votes.voters.findIndex(
@@ -658,35 +1154,28 @@ router.post('/:id/verify', protect, async (req, res) => {
       }
 
       await report.save();
+      await settleReputations(report);
+      if (reportBefore.heldForReview) {
+        await clusterReleasedReport(req, report);
+      }
+      await recordAudit(req, {
+        action: 'report.verify',
+        target: { type: 'Report', id: report._id, label: report.title },
+        before: reportBefore,
+        after: snapshot(report, REPORT_AUDIT_FIELDS),
+        metadata: { vote },
+      });
 
       // Create an alert for admin-verified report
       try {
-        const categoryToType = {
-          accident: 'traffic',
-          fire: 'emergency',
-          flood: 'weather',
-          crime: 'crime',
-          medical: 'health',
-          infrastructure: 'infrastructure',
-          other: 'community',
-        };
-
-        const categoryToSeverity = {
-          accident: 'warning',
-          fire: 'critical',
-          flood: 'warning',
-          crime: 'warning',
-          medical: 'advisory',
-          infrastructure: 'advisory',
-          other: 'info',
-        };
+        const alertSettings = await getCategoryAlertSettings(report.category);
 
         const alert = new Alert({
           title: `🛡️ ${report.title || `${report.category} Incident`}`,
           description: `${report.description || 'Reported incident'}\n\n✅ **Verified by Admin**\nThis alert was verified by an official administrator.`,
           shortDescription: `Admin verified: ${report.category} incident reported nearby`,
-          type: categoryToType[report.category] || 'community',
-          severity: report.severity === 'critical' ? 'critical' : (categoryToSeverity[report.category] || 'advisory'),
+          type: alertSettings.type,
+          severity: report.severity === 'critical' ? 'critical' : alertSettings.severity,
           source: {
             type: 'report',
             reportId: report._id,
@@ -696,11 +1185,11 @@ router.post('/:id/verify', protect, async (req, res) => {
           targetArea: {
             type: 'Circle',
             coordinates: report.location?.coordinates || [0, 0],
-            radius: 5,
+            radius: alertSettings.radiusKm,
             address: report.location?.address,
           },
           effectiveFrom: new Date(),
-          effectiveUntil: new Date(Date.now() + 24 * 60 * 60 * 1000),
+          effectiveUntil: new Date(Date.now() + alertSettings.durationHours * 60 * 60 * 1000),
           isActive: true,
           status: 'active',
           channels: {
@@ -762,6 +1251,17 @@ router.post('/:id/verify', protect, async (req, res) => {
       report.adminVerifiedBy = req.user._id;
 
       await report.save();
+      await settleReputations(report);
+      if (reportBefore.heldForReview) {
+        await clusterReleasedReport(req, report);
+      }
+      await recordAudit(req, {
+        action: 'report.verify',
+        target: { type: 'Report', id: report._id, label: report.title },
+        before: reportBefore,
+        after: snapshot(report, REPORT_AUDIT_FIELDS),
+        metadata: { vote },
+      });
 
       return res.json({
         success: true,
@@ -778,12 +1278,76 @@ router.post('/:id/verify', protect, async (req, res) => {
     }
 
     // Regular user voting logic
+    // Votes count by the voter's reputation
+    const weight = getVoteWeight(req.user, await getReputation(req.user));
+
+    const existingRecord = await ReportVerification.getUserVote(report._id, req.user._id);
+    if (existingRecord?.status === 'rejected') {
+      return res.status(403).json({
+        success: false,
+        message: 'A moderator rejected your vote on this report',
+      });
+    }
+
     // Check if user already voted
     const existingVoteIndex = report.votes.voters.findIndex(
       (v) => v.user.toString() === req.user._id.toString()
     );
 
     const voteType = vote === 'confirm' ? 'up' : 'down';
+    const isRemoval = existingVoteIndex !== -1 && report.votes.voters[existingVoteIndex].vote === voteType;
+    const voteRecord = {
+      coordinates: userLocation,
+      distanceKm: report.location?.coordinates
+        ? distanceBetweenCoords(report.location.coordinates, userLocation)
+        : undefined,
+      weight,
+      metadata: { ipAddress: req.ip, userAgent: req.get('user-agent') },
+    };
+
+    // Suspicious votes wait for a moderator instead of counting - taking a vote back never does
+    // A vote already waiting for review stays there until a moderator decides
+    if (!isRemoval) {
+      const { flags, details } = existingRecord?.status === 'quarantined'
+        ? { flags: existingRecord.flags, details: existingRecord.flagDetails }
+        : await assessVote({
+          report,
+          user: req.user,
+          coordinates: userLocation,
+          ipAddress: req.ip,
+        });
+
+      if (flags.length > 0) {
+        // A counted vote being changed comes off the totals while the new one is reviewed
+        if (existingVoteIndex !== -1) {
+          report.votes[report.votes.voters[existingVoteIndex].vote]--;
+          report.votes.voters.splice(existingVoteIndex, 1);
+          await report.save();
+        }
+
+        await ReportVerification.recordVote(report._id, req.user._id, vote, {
+          ...voteRecord,
+          status: 'quarantined',
+          flags,
+          flagDetails: details,
+        });
+        logger.warn(`Vote by ${req.user._id} on report ${report._id} quarantined: ${flags.join(', ')}`);
+
+        return res.json({
+          success: true,
+          message: 'Your vote will count once a moderator has reviewed it',
+          data: {
+            confirms: report.votes.up,
+            denies: report.votes.down,
+            verificationStatus: report.verificationStatus,
+            userVote: voteType,
+            quarantined: true,
+          },
+        });
+      }
+    }
+
+    let voteRemoved = false;
 
     if (existingVoteIndex !== -1) {
       const existingVote = report.votes.voters[existingVoteIndex];
@@ -792,11 +1356,13 @@ router.post('/:id/verify', protect, async (req, res) => {
       if (existingVote.vote === voteType) {
         report.votes[voteType]--;
         report.votes.voters.splice(existingVoteIndex, 1);
+        voteRemoved = true;
       } else {
         // Different vote - change it
         report.votes[existingVote.vote]--;
         report.votes[voteType]++;
         report.votes.voters[existingVoteIndex].vote = voteType;
+        report.votes.voters[existingVoteIndex].weight = weight;
         report.votes.voters[existingVoteIndex].votedAt = new Date();
       }
     } else {
@@ -805,141 +1371,15 @@ router.post('/:id/verify', protect, async (req, res) => {
       report.votes.voters.push({
         user: req.user._id,
         vote: voteType,
+        weight,
         votedAt: new Date(),
       });
     }
 
-    // Auto-verify if threshold reached (≥4 confirms for community verification)
-    const confirmThreshold = 4;
-    const shouldVerify = report.votes.up >= confirmThreshold && report.verificationStatus === 'unverified';
-    const shouldAddCommunityVerified = report.votes.up >= confirmThreshold && !report.communityVerified;
-    
-    if (shouldVerify) {
-      report.verificationStatus = 'verified';
-      report.status = 'verified';
-      report.verifiedAt = new Date();
-    }
-    
-    // Set community verified flag when threshold is reached
-    if (shouldAddCommunityVerified) {
-      report.communityVerified = true;
-      report.communityVerifiedAt = new Date();
-      report.communityVerificationCount = report.votes.up;
+    // Keep the vote history used to score voter accuracy and spot abuse
+    await ReportVerification.recordVote(report._id, req.user._id, voteRemoved ? null : vote, voteRecord);
 
-      // Update existing alert OR create new alert from the verified report
-      try {
-        // Check if report already has an alert (e.g., admin-created report)
-        if (report.alertId) {
-          // Update existing alert with community verified status
-          const existingAlert = await Alert.findById(report.alertId);
-          if (existingAlert) {
-            existingAlert.metadata = existingAlert.metadata || {};
-            existingAlert.metadata.communityVerified = true;
-            existingAlert.metadata.communityVerificationCount = report.votes.up;
-            existingAlert.metadata.communityVerifiedAt = new Date();
-            
-            // Update description to mention community verification
-            if (!existingAlert.description.includes('Community Voting')) {
-              existingAlert.description = existingAlert.description + `\n\n👥 **Also Verified by Community**\n${report.votes.up} community members have confirmed this incident.`;
-            }
-            
-            await existingAlert.save();
-            logger.info(`Existing alert ${existingAlert._id} updated with community verification`);
-          }
-        } else {
-          // Create new alert for community-verified report
-          const categoryToType = {
-            accident: 'traffic',
-            fire: 'emergency',
-            flood: 'weather',
-            crime: 'crime',
-            medical: 'health',
-            infrastructure: 'infrastructure',
-            other: 'community',
-          };
-
-          const categoryToSeverity = {
-            accident: 'warning',
-            fire: 'critical',
-            flood: 'warning',
-            crime: 'warning',
-            medical: 'advisory',
-            infrastructure: 'advisory',
-            other: 'info',
-          };
-
-          const alert = new Alert({
-            title: `⚠️ ${report.title || `${report.category} Incident`}`,
-            description: `${report.description || 'Community reported incident'}\n\n📢 **Verified by Community Voting**\nThis alert was automatically generated when ${report.votes.up} community members confirmed this incident report.`,
-            shortDescription: `Community verified: ${report.category} incident reported nearby`,
-            type: categoryToType[report.category] || 'community',
-            severity: categoryToSeverity[report.category] || 'advisory',
-            source: {
-              type: 'report',
-              reportId: report._id,
-              officialSource: 'Community Voting System',
-            },
-            createdBy: report.reporter || req.user._id,
-            targetArea: {
-              type: 'Circle',
-              coordinates: report.location?.coordinates || [0, 0],
-              radius: 5, // 5km radius for community alerts
-              address: report.locationDescription,
-            },
-            effectiveFrom: new Date(),
-            effectiveUntil: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-            isActive: true,
-            status: 'active',
-            channels: {
-              push: true,
-              inApp: true,
-              email: false,
-              sms: false,
-            },
-            instructions: [
-              { text: 'Stay alert and aware of your surroundings', priority: 1 },
-              { text: 'Avoid the area if possible', priority: 2 },
-              { text: 'Report any additional information', priority: 3 },
-            ],
-            metadata: {
-              isAutomated: true,
-              source: 'community_verification',
-              reportId: report._id.toString(),
-              verificationCount: report.votes.up,
-              communityVerified: true,
-            },
-          });
-
-          await alert.save();
-          report.alertId = alert._id; // Link the alert to the report
-          
-          logger.info(`Alert created from verified report: ${alert._id}`);
-
-          // Emit the new alert via socket
-          const io = req.app.get('io');
-          if (io && io.emitOfficialAlert) {
-            io.emitOfficialAlert(alert);
-          }
-        }
-      } catch (alertError) {
-        console.error('Error creating/updating alert from verified report:', alertError);
-        // Don't fail the vote if alert creation fails
-      }
-
-      // Emit reportVerified event (geo-filtered)
-      const io = req.app.get('io');
-      if (io && io.emitReportVerified) {
-        io.emitReportVerified(report);
-      }
-    }
-
-    // Auto-flag as false if too many denies (≥3)
-    const denyThreshold = 3;
-    if (report.votes.down >= denyThreshold && report.verificationStatus === 'unverified') {
-      report.verificationStatus = 'false_report';
-    }
-
-    await report.save();
+    const { weightedVotes, confirmThreshold } = await applyVoteThresholds(req, report, policySettings);
 
     res.json({
       success: true,
@@ -947,6 +1387,8 @@ router.post('/:id/verify', protect, async (req, res) => {
       data: {
         confirms: report.votes.up,
         denies: report.votes.down,
+        weightedConfirms: weightedVotes.up,
+        confirmThreshold,
         verificationStatus: report.verificationStatus,
         userVote: voteType,
       },
@@ -960,6 +1402,118 @@ router.post('/:id/verify', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   PATCH /api/reports/:id/verifications/:verificationId
+ * @desc    Review a quarantined vote - approve it to count towards verification, or reject it
+ * @access  Private (admin/responder role required)
+ */
+router.patch(
+  '/:id/verifications/:verificationId',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  async (req, res) => {
+    try {
+      const { action } = req.body;
+
+      if (!['approve', 'reject'].includes(action)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Action must be "approve" or "reject"',
+        });
+      }
+
+      const report = await Report.findById(req.params.id);
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found',
+        });
+      }
+
+      // Claim the vote - only one reviewer can take it out of quarantine
+      const record = await ReportVerification.findOneAndUpdate(
+        { _id: req.params.verificationId, reportId: report._id, status: 'quarantined' },
+        {
+          $set: {
+            status: action === 'approve' ? 'counted' : 'rejected',
+            reviewedBy: req.user._id,
+            reviewedAt: new Date(),
+          },
+        },
+        { new: true }
+      );
+
+      if (!record) {
+        const exists = await ReportVerification.exists({
+          _id: req.params.verificationId,
+          reportId: report._id,
+        });
+        return res.status(exists ? 409 : 404).json({
+          success: false,
+          message: exists ? 'This vote is not waiting for review' : 'Vote not found',
+        });
+      }
+
+      await recordAudit(req, {
+        action: 'report.vote_review',
+        target: { type: 'ReportVerification', id: record._id },
+        before: { status: 'quarantined' },
+        after: { status: record.status },
+        metadata: { reportId: report._id.toString(), vote: record.vote, flags: [...record.flags] },
+      });
+
+      let counted = report;
+      if (action === 'approve') {
+        const voteType = record.vote === 'confirm' ? 'up' : 'down';
+        // Count in one update so approvals of other votes on this report aren't lost
+        counted = await Report.findByIdAndUpdate(
+          report._id,
+          {
+            $inc: { [`votes.${voteType}`]: 1 },
+            $push: {
+              'votes.voters': {
+                user: record.userId,
+                vote: voteType,
+                weight: record.weight,
+                votedAt: record.verifiedAt,
+              },
+            },
+          },
+          { new: true }
+        );
+
+        await applyVoteThresholds(req, counted);
+      }
+
+      res.json({
+        success: true,
+        message: action === 'approve' ? 'Vote approved and counted' : 'Vote rejected',
+        data: {
+          vote: record,
+          confirms: counted.votes.up,
+          denies: counted.votes.down,
+          verificationStatus: counted.verificationStatus,
+        },
+      });
+    } catch (error) {
+      console.error('Review vote error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Vote not found',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
 /**
  * @route   PATCH /api/reports/:id/moderate
  * @desc    Moderate report (approve/reject/flag/resolve/escalate/in_progress)
@@ -990,6 +1544,8 @@ router.patch(
         });
       }
 
+      const before = snapshot(report, REPORT_AUDIT_FIELDS);
+
       // Update based on action
       switch (action) {
         case 'approve':
@@ -999,6 +1555,7 @@ router.patch(
           report.verifiedAt = new Date();
           report.adminVerified = true;
           report.adminVerifiedBy = req.user._id;
+          report.heldForReview = false;
           break;
         case 'reject':
           report.status = 'rejected';
@@ -1029,49 +1586,37 @@ router.patch(
         report.verificationNotes = reason;
       }
 
+      report.recordFirstAction(req.user._id);
+
       await report.save();
 
+      if (action === 'approve' || action === 'reject') {
+        await settleReputations(report);
+      }
+
+      if (before.heldForReview && !report.heldForReview) {
+        await clusterReleasedReport(req, report);
+      }
+
+      await recordAudit(req, {
+        action: 'report.moderate',
+        target: { type: 'Report', id: report._id, label: report.title },
+        before,
+        after: snapshot(report, REPORT_AUDIT_FIELDS),
+        metadata: { moderationAction: action, reason },
+      });
+
       // If admin approved the report, create an alert
       if (action === 'approve' && !report.alertId) {
         try {
-          const categoryToType = {
-            accident: 'traffic',
-            fire: 'emergency',
-            flood: 'weather',
-            crime: 'crime',
-            medical: 'health',
-            infrastructure: 'infrastructure',
-            emergency: 'emergency',
-            natural_disaster: 'weather',
-            suspicious_activity: 'crime',
-            traffic: 'traffic',
-            weather: 'weather',
-            public_safety: 'community',
-            other: 'community',
-          };
-
-          const categoryToSeverity = {
-            accident: 'warning',
-            fire: 'critical',
-            flood: 'warning',
-            crime: 'warning',
-            medical: 'advisory',
-            infrastructure: 'advisory',
-            emergency: 'critical',
-            natural_disaster: 'critical',
-            suspicious_activity: 'warning',
-            traffic: 'advisory',
-            weather: 'advisory',
-            public_safety: 'advisory',
-            other: 'info',
-          };
+          const alertSettings = await getCategoryAlertSettings(report.category);
 
           const alert = new Alert({
             title: `🛡️ ${report.title || `${report.category} Incident`}`,
             description: `${report.description || 'Reported incident'}\n\n✅ **Verified by Admin**\nThis report was approved by an official administrator.`,
             shortDescription: `Admin approved: ${report.category} incident reported nearby`,
-            type: categoryToType[report.category] || 'community',
-            severity: report.severity === 'critical' ? 'critical' : (categoryToSeverity[report.category] || 'advisory'),
+            type: alertSettings.type,
+            severity: report.severity === 'critical' ? 'critical' : alertSettings.severity,
             source: {
               type: 'report',
               reportId: report._id,
@@ -1081,11 +1626,11 @@ router.patch(
             targetArea: {
               type: 'Circle',
               coordinates: report.location?.coordinates || [0, 0],
-              radius: 5,
+              radius: alertSettings.radiusKm,
               address: report.location?.address,
             },
             effectiveFrom: new Date(),
-            effectiveUntil: new Date(Date.now() + 24 * 60 * 60 * 1000),
+            effectiveUntil: new Date(Date.now() + alertSettings.durationHours * 60 * 60 * 1000),
             isActive: true,
             status: 'active',
             channels: {
@@ -1151,6 +1696,887 @@ router.patch(
   }
 );
 
+/**
+ * @route   PUT /api/reports/:id/assign
+ * @desc    Assign a report to a responder (replaces any current assignee)
+ * @access  Private (admin role required)
+ */
+router.put(
+  '/:id/assign',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      const { assigneeId } = req.body;
+
+      if (!assigneeId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide the assigneeId',
+        });
+      }
+
+      const [report, assignee] = await Promise.all([
+        Report.findById(req.params.id),
+        User.findById(assigneeId).select('firstName lastName role isActive'),
+      ]);
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found',
+        });
+      }
+
+      if (!assignee || !assignee.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Assignee not found',
+        });
+      }
+
+      if (!ASSIGNABLE_ROLES.includes(assignee.role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reports can only be assigned to responders or admins',
+        });
+      }
+
+      if (CLOSED_STATUSES.includes(report.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot assign a ${report.status} report`,
+        });
+      }
+
+      const previousAssignee = report.assignedTo;
+      report.assignedTo = assignee._id;
+      report.assignedAt = new Date();
+      report.recordFirstAction(req.user._id);
+      await report.save();
+
+      if (previousAssignee && previousAssignee.toString() !== assignee._id.toString()) {
+        notifyAssignment(req, previousAssignee, 'reportUnassigned', report);
+      }
+      notifyAssignment(req, assignee._id, 'reportAssigned', report);
+
+      logger.info(`Report ${report._id} assigned to ${assignee._id} by ${req.user._id}`);
+
+      res.json({
+        success: true,
+        message: `Report assigned to ${assignee.firstName} ${assignee.lastName}`,
+        data: {
+          reportId: report._id,
+          assignedTo: assignee,
+          assignedAt: report.assignedAt,
+        },
+      });
+    } catch (error) {
+      console.error('Assign report error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Report or assignee not found',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/reports/:id/assign
+ * @desc    Unassign a report - admins, or the assignee handing it back
+ * @access  Private (admin/responder role required)
+ */
+router.delete(
+  '/:id/assign',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  async (req, res) => {
+    try {
+      const report = await Report.findById(req.params.id);
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found',
+        });
+      }
+
+      if (!report.assignedTo) {
+        return res.status(400).json({
+          success: false,
+          message: 'Report is not assigned',
+        });
+      }
+
+      const isAdmin = [ROLES.ADMIN, ROLES.SUPER_ADMIN].includes(req.user.role);
+      const isAssignee = report.assignedTo.toString() === req.user._id.toString();
+      if (!isAdmin && !isAssignee) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only admins or the assignee can unassign this report',
+        });
+      }
+
+      const previousAssignee = report.assignedTo;
+      report.assignedTo = undefined;
+      report.assignedAt = undefined;
+      await report.save();
+
+      if (!isAssignee) {
+        notifyAssignment(req, previousAssignee, 'reportUnassigned', report);
+      }
+
+      res.json({
+        success: true,
+        message: 'Report unassigned',
+        data: { reportId: report._id },
+      });
+    } catch (error) {
+      console.error('Unassign report error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/reports/:id/claim
+ * @desc    Claim an unassigned report for yourself
+ * @access  Private (admin/responder role required)
+ */
+router.post(
+  '/:id/claim',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  async (req, res) => {
+    try {
+      const assignedAt = new Date();
+
+      // Only take the report if nobody else has it - two responders can race for the same one
+      const report = await Report.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          status: { $nin: CLOSED_STATUSES },
+          $or: [{ assignedTo: null }, { assignedTo: req.user._id }],
+        },
+        { $set: { assignedTo: req.user._id, assignedAt } },
+        { new: true }
+      );
+
+      if (!report) {
+        const existing = await Report.findById(req.params.id).select('status assignedTo');
+
+        if (!existing) {
+          return res.status(404).json({
+            success: false,
+            message: 'Report not found',
+          });
+        }
+
+        if (CLOSED_STATUSES.includes(existing.status)) {
+          return res.status(400).json({
+            success: false,
+            message: `Cannot claim a ${existing.status} report`,
+          });
+        }
+
+        return res.status(409).json({
+          success: false,
+          message: 'Report is already assigned to someone else',
+        });
+      }
+
+      // Claiming counts as the first action if nothing came before it
+      if (!report.firstActionAt) {
+        await Report.updateOne(
+          { _id: report._id, firstActionAt: null },
+          { $set: { firstActionAt: assignedAt, firstActionBy: req.user._id } }
+        );
+      }
+
+      notifyAssignment(req, req.user._id, 'reportAssigned', report);
+
+      res.json({
+        success: true,
+        message: 'Report claimed',
+        data: {
+          reportId: report._id,
+          assignedTo: req.user._id,
+          assignedAt: report.assignedAt,
+        },
+      });
+    } catch (error) {
+      console.error('Claim report error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/reports/:id/duplicates
+ * @desc    Likely duplicates of a report, scored by distance, time, category and text
+ * @access  Private (admin/responder role required)
+ */
+router.get(
+  '/:id/duplicates',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  async (req, res) => {
+    try {
+      const report = await Report.findById(req.params.id);
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found',
+        });
+      }
+
+      // Moderators see weaker matches too; ?minScore narrows the list
+      const minScore = parseFloat(req.query.minScore);
+      const matches = await findDuplicateCandidates(report, {
+        threshold: Number.isNaN(minScore) ? 0.4 : minScore,
+      });
+
+      res.json({
+        success: true,
+        data: matches.map((match) => ({
+          report: match.report,
+          score: match.score,
+          distanceMeters: match.distanceMeters,
+          breakdown: match.breakdown,
+        })),
+      });
+    } catch (error) {
+      console.error('Get duplicates error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/reports/:id/merge
+ * @desc    Fold duplicate reports into this one - media, votes and updates move across
+ *          and the duplicates are marked 'duplicate'
+ * @access  Private (admin/responder role required)
+ */
+router.post(
+  '/:id/merge',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN, ROLES.RESPONDER),
+  async (req, res) => {
+    try {
+      if (!Array.isArray(req.body.duplicateIds) || req.body.duplicateIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide the duplicateIds to merge',
+        });
+      }
+
+      // The same report listed twice is still one report
+      const duplicateIds = [...new Set(req.body.duplicateIds.map(String))];
+
+      if (duplicateIds.length > MAX_MERGE_BATCH) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot merge more than ${MAX_MERGE_BATCH} reports at once`,
+        });
+      }
+
+      if (duplicateIds.includes(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A report cannot be merged into itself',
+        });
+      }
+
+      const primary = await Report.findById(req.params.id);
+
+      if (!primary) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found',
+        });
+      }
+
+      if (primary.status === 'duplicate') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot merge into a report that is itself a duplicate',
+        });
+      }
+
+      const duplicates = await Report.find({ _id: { $in: duplicateIds } });
+
+      if (duplicates.length !== duplicateIds.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'One or more duplicate reports were not found',
+        });
+      }
+
+      const alreadyMerged = duplicates.find((d) => d.status === 'duplicate');
+      if (alreadyMerged) {
+        return res.status(400).json({
+          success: false,
+          message: `Report ${alreadyMerged._id} has already been merged`,
+        });
+      }
+
+      duplicates.forEach((duplicate) => primary.absorbDuplicate(duplicate, req.user._id));
+      primary.recordFirstAction(req.user._id);
+      primary.duplicateMatches = primary.duplicateMatches.filter(
+        (match) => !duplicateIds.includes(String(match.report))
+      );
+
+      await primary.save();
+      await Promise.all(duplicates.map((duplicate) => duplicate.save()));
+
+      // Absorbed votes may carry the primary over its verification threshold
+      await applyVoteThresholds(req, primary);
+
+      // Duplicates drop off the map like any other moderated report
+      const io = req.app.get('io');
+      if (io && io.emitReportModerated) {
+        duplicates.forEach((duplicate) => io.emitReportModerated(duplicate, 'merge', req.user._id));
+      }
+
+      logger.info(`Merged ${duplicates.length} report(s) into ${primary._id} by ${req.user._id}`);
+
+      const responseReport = primary.toObject();
+      delete responseReport.sensitiveData;
+
+      res.json({
+        success: true,
+        message: `Merged ${duplicates.length} report(s)`,
+        data: responseReport,
+      });
+    } catch (error) {
+      console.error('Merge reports error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/reports/:id/updates
+ * @desc    Comments and official updates on a report, oldest first
+ * @access  Public
+ */
+router.get('/:id/updates', async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .select('updates reporter isAnonymous')
+      .populate('updates.author', 'firstName lastName avatar role');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    let updates = report.updates.map((update) => update.toObject());
+    if (req.query.officialOnly === 'true') {
+      updates = updates.filter((update) => update.isOfficial);
+    }
+    updates.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    // Don't unmask an anonymous reporter through their own comments
+    if (report.isAnonymous && report.reporter) {
+      const reporterId = report.reporter.toString();
+      updates.forEach((update) => {
+        if (update.author && (update.author._id || update.author).toString() === reporterId) {
+          update.author = null;
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updates,
+    });
+  } catch (error) {
+    console.error('Get report updates error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reports/:id/updates
+ * @desc    Post a comment, a reply, or (staff only) an official update on a report
+ * @access  Private (user role required)
+ */
+router.post('/:id/updates', protect, reportUpdateLimiter, async (req, res) => {
+  try {
+    const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+    const isOfficial = req.body.isOfficial === true;
+    const parentId = req.body.parent || null;
+
+    if (content.length < MIN_UPDATE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Comment must be at least ${MIN_UPDATE_LENGTH} characters`,
+      });
+    }
+
+    if (content.length > MAX_UPDATE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Comment cannot exceed ${MAX_UPDATE_LENGTH} characters`,
+      });
+    }
+
+    if (containsProfanity(content)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment contains language that is not allowed',
+      });
+    }
+
+    if (isOfficial && !OFFICIAL_UPDATE_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only responders and admins can post official updates',
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    if (report.status === 'duplicate') {
+      return res.status(400).json({
+        success: false,
+        message: 'This report was merged - comment on the original report instead',
+      });
+    }
+
+    // Replies hang off a top-level update, so threads stay one level deep
+    if (parentId) {
+      const parent = report.updates.id(parentId);
+      if (!parent || parent.parent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Can only reply to a top-level update on this report',
+        });
+      }
+    }
+
+    report.updates.push({
+      author: req.user._id,
+      content,
+      isOfficial,
+      parent: parentId,
+      createdAt: new Date(),
+    });
+
+    // An official update is staff acting on the report
+    if (isOfficial) {
+      report.recordFirstAction(req.user._id);
+    }
+
+    await report.save();
+
+    const update = report.updates[report.updates.length - 1].toObject();
+    const author = report.isAnonymous && report.reporter?.toString() === req.user._id.toString()
+      ? null
+      : {
+        _id: req.user._id,
+        firstName: req.user.firstName,
+        lastName: req.user.lastName,
+        avatar: req.user.avatar,
+        role: req.user.role,
+      };
+    const data = { ...update, author };
+
+    const io = req.app.get('io');
+    if (io?.emitReportUpdate) {
+      io.emitReportUpdate(report, 'reportUpdatePosted', { update: data });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: isOfficial ? 'Official update posted' : 'Comment posted',
+      data,
+    });
+  } catch (error) {
+    console.error('Post report update error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/reports/:id/updates/:updateId
+ * @desc    Delete a comment or update, along with its replies
+ * @access  Private (author or admin role required)
+ */
+router.delete('/:id/updates/:updateId', protect, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    const update = report.updates.id(req.params.updateId);
+
+    if (!update) {
+      return res.status(404).json({
+        success: false,
+        message: 'Update not found',
+      });
+    }
+
+    const isAuthor = update.author.toString() === req.user._id.toString();
+    const isAdmin = [ROLES.ADMIN, ROLES.SUPER_ADMIN].includes(req.user.role);
+
+    if (!isAuthor && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments',
+      });
+    }
+
+    const updateId = update._id.toString();
+    const removedIds = report.updates
+      .filter((u) => u._id.toString() === updateId || u.parent?.toString() === updateId)
+      .map((u) => u._id.toString());
+
+    report.updates = report.updates.filter((u) => !removedIds.includes(u._id.toString()));
+    await report.save();
+
+    const io = req.app.get('io');
+    if (io?.emitReportUpdate) {
+      io.emitReportUpdate(report, 'reportUpdateDeleted', { updateIds: removedIds });
+    }
+
+    res.json({
+      success: true,
+      message: 'Update deleted successfully',
+      data: { updateIds: removedIds },
+    });
+  } catch (error) {
+    console.error('Delete report update error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Not found',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/reports/:id
+ * @desc    Reporter corrects the description, severity, location or media of their report.
+ *          Only pending reports can be edited; existing community votes are cleared.
+ * @access  Private (reporter only)
+ */
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select('+revisions');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    if (!report.reporter || report.reporter.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own reports',
+      });
+    }
+
+    if (report.status !== 'pending' || report.adminVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending reports can be edited',
+      });
+    }
+
+    const { description, severity, location, media } = req.body;
+    const fields = { description, severity };
+
+    if (location !== undefined) {
+      const parsedLocation = typeof location === 'string' ? JSON.parse(location) : location;
+
+      const coordinates = parseLocationCoordinates(parsedLocation);
+      if (!coordinates) {
+        return res.status(400).json({
+          success: false,
+          message: 'Location must include valid coordinates [longitude, latitude]',
+        });
+      }
+
+      fields.location = {
+        type: 'Point',
+        coordinates,
+        address: parsedLocation.address,
+        city: parsedLocation.city,
+        state: parsedLocation.state,
+        country: parsedLocation.country,
+      };
+    }
+
+    let removedMedia = [];
+    if (media !== undefined) {
+      const parsedMedia = (typeof media === 'string' ? JSON.parse(media) : media) || [];
+
+      if (parsedMedia.length > MAX_MEDIA_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          message: `A report can have at most ${MAX_MEDIA_ITEMS} attachments`,
+        });
+      }
+
+      // Keep attachments that are already on the report as they are
+      const existing = new Map(report.media.map((item) => [item.url, item]));
+      fields.media = parsedMedia.map((item) => existing.get(item.url) || {
+        url: item.url,
+        publicId: item.key,
+        type: item.type || 'image',
+      });
+
+      const keptUrls = new Set(parsedMedia.map((item) => item.url));
+      removedMedia = report.media.filter((item) => !keptUrls.has(item.url));
+    }
+
+    const changes = report.applyRevision(fields, req.user._id);
+
+    if (changes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No changes to save',
+      });
+    }
+
+    await report.save();
+
+    // Votes still waiting for review were cast on the old version - don't let them count later
+    await ReportVerification.deleteMany({ reportId: report._id, status: 'quarantined' });
+
+    // Clean up attachments the reporter removed
+    const fileKeys = removedMedia.filter((m) => m.publicId).map((m) => m.publicId);
+    if (fileKeys.length > 0) {
+      try {
+        await deleteFromUploadThing(fileKeys);
+      } catch (err) {
+        logger.error(`Error deleting media: ${err.message}`);
+      }
+    }
+
+    const revision = report.revisions[report.revisions.length - 1];
+    const io = req.app.get('io');
+
+    // A moved report may no longer match the reports and incident it was grouped with
+    if (changes.some((change) => change.field === 'location')) {
+      try {
+        await relinkDuplicates(report);
+      } catch (duplicateError) {
+        console.error('Duplicate detection error:', duplicateError);
+      }
+
+      if (!report.heldForReview) {
+        try {
+          const clustered = await reclusterMovedReport(report);
+          if (clustered && io?.emitIncidentUpdate) {
+            io.emitIncidentUpdate(clustered.incident, clustered.created ? 'created' : 'report_added');
+          }
+        } catch (clusterError) {
+          console.error('Incident clustering error:', clusterError);
+        }
+      }
+    }
+
+    if (io?.emitReportUpdate) {
+      io.emitReportUpdate(report, 'reportEdited', {
+        fields: changes.map((change) => change.field),
+        verificationReset: revision.verificationReset,
+        editedAt: revision.editedAt,
+      });
+    }
+
+    const data = report.toObject();
+    delete data.revisions;
+    delete data.sensitiveData;
+
+    res.json({
+      success: true,
+      message: revision.verificationReset
+        ? 'Report updated - community verification has been reset'
+        : 'Report updated successfully',
+      data,
+    });
+  } catch (error) {
+    console.error('Update report error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', '),
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid location or media format',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/reports/:id/revisions
+ * @desc    Edit history of a report, oldest first, for moderators to diff
+ * @access  Private (reporter or admin/responder role required)
+ */
+router.get('/:id/revisions', protect, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .select('+revisions reporter')
+      .populate('revisions.editedBy', 'firstName lastName');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    const isReporter = report.reporter?.toString() === req.user._id.toString();
+    if (!isReporter && !ASSIGNABLE_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this report\'s history',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report.revisions,
+    });
+  } catch (error) {
+    console.error('Get report revisions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/reports/:id
  * @desc    Delete report
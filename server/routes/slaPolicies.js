@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const SlaPolicy = require('../models/SlaPolicy');
+const { protect } = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/roleCheck');
+const { pickFields, createErrorHandler } = require('../utils/routeHelpers');
+
+/**
+ * ============================================
+ * SLA POLICY ROUTES (/api/sla-policies)
+ * ============================================
+ */
+
+// Fields a client may set on a policy
+const EDITABLE_FIELDS = ['name', 'category', 'severity', 'acknowledgeWithinMinutes', 'isActive'];
+
+// Empty category/severity means "any"
+const NULLABLE_FIELDS = ['category', 'severity'];
+
+const pickPolicyFields = (body) => pickFields(body, EDITABLE_FIELDS, NULLABLE_FIELDS);
+
+const handlePolicyError = createErrorHandler({
+  notFound: 'Policy not found',
+  duplicate: 'A policy for this category and severity already exists',
+});
+
+// Every SLA policy route is for admins only
+router.use(protect, authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN));
+
+/**
+ * @route   GET /api/sla-policies
+ * @desc    List policies, most specific first
+ * @access  Private (admin role required)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const policies = await SlaPolicy.find()
+      .sort({ category: -1, severity: -1, acknowledgeWithinMinutes: 1 })
+      .populate('createdBy', 'firstName lastName');
+
+    res.json({
+      success: true,
+      data: policies,
+    });
+  } catch (error) {
+    handlePolicyError(error, res, 'Get SLA policies');
+  }
+});
+
+/**
+ * @route   POST /api/sla-policies
+ * @desc    Create a policy
+ * @access  Private (admin role required)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const policy = await SlaPolicy.create({
+      ...pickPolicyFields(req.body),
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'SLA policy created successfully',
+      data: policy,
+    });
+  } catch (error) {
+    handlePolicyError(error, res, 'Create SLA policy');
+  }
+});
+
+/**
+ * @route   PUT /api/sla-policies/:id
+ * @desc    Update a policy
+ * @access  Private (admin role required)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Policy not found',
+      });
+    }
+
+    policy.set(pickPolicyFields(req.body));
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: 'SLA policy updated successfully',
+      data: policy,
+    });
+  } catch (error) {
+    handlePolicyError(error, res, 'Update SLA policy');
+  }
+});
+
+/**
+ * @route   DELETE /api/sla-policies/:id
+ * @desc    Delete a policy
+ * @access  Private (admin role required)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Policy not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'SLA policy deleted successfully',
+    });
+  } catch (error) {
+    handlePolicyError(error, res, 'Delete SLA policy');
+  }
+});
+
+module.exports = router;
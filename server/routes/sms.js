@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const User = require('../models/User');
+const { normalizePhone, parseSmsKeyword } = require('../utils/smsService');
+const { recordAlertSmsStatus } = require('../utils/alertBroadcast');
+
+/**
+ * ============================================
+ * SMS GATEWAY WEBHOOKS (/api/sms)
+ * ============================================
+ * Called by the SMS gateway, not by users - authenticated with SMS_WEBHOOK_TOKEN,
+ * passed as ?token= on the configured webhook URL or in the x-sms-webhook-token header.
+ * Accepts Twilio's form fields as well as plain JSON.
+ */
+
+const sameToken = (given, expected) => {
+  // Hash both sides so the comparison takes the same time whatever the lengths
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+};
+
+const requireWebhookToken = (req, res, next) => {
+  const expected = process.env.SMS_WEBHOOK_TOKEN;
+  if (!expected) {
+    return res.status(503).json({
+      success: false,
+      message: 'SMS webhooks are not configured',
+    });
+  }
+
+  const given = req.query.token || req.get('x-sms-webhook-token');
+  if (!given || !sameToken(given, expected)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid webhook token',
+    });
+  }
+
+  next();
+};
+
+router.use(requireWebhookToken);
+
+/**
+ * @route   POST /api/sms/inbound
+ * @desc    Handle a reply - STOP and similar turn SMS alerts off, START turns them back on
+ * @access  SMS gateway
+ */
+router.post('/inbound', async (req, res) => {
+  try {
+    const from = normalizePhone(req.body.From || req.body.from);
+    const text = req.body.Body ?? req.body.text ?? req.body.body;
+
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid sender number is required',
+      });
+    }
+
+    const keyword = parseSmsKeyword(text);
+    if (!keyword) {
+      return res.json({
+        success: true,
+        message: 'No action for this message',
+        data: { action: null, updated: 0 },
+      });
+    }
+
+    // Stored numbers may or may not carry the leading +
+    const digits = from.replace(/^\+/, '');
+    const owners = { phone: { $in: [digits, `+${digits}`] }, phoneVerified: true };
+
+    const result = keyword === 'opt_out'
+      ? await User.updateMany(owners, {
+        $set: {
+          'alertPreferences.smsEnabled': false,
+          'alertPreferences.smsOptedOutAt': new Date(),
+        },
+      })
+      // Only numbers that opted out by text are turned back on this way
+      : await User.updateMany(
+        { ...owners, 'alertPreferences.smsOptedOutAt': { $ne: null } },
+        {
+          $set: { 'alertPreferences.smsEnabled': true },
+          $unset: { 'alertPreferences.smsOptedOutAt': 1 },
+        }
+      );
+
+    res.json({
+      success: true,
+      message: keyword === 'opt_out' ? 'SMS alerts turned off' : 'SMS alerts turned back on',
+      data: { action: keyword, updated: result.modifiedCount },
+    });
+  } catch (error) {
+    console.error('SMS inbound error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/sms/status
+ * @desc    Delivery receipt for an alert text message
+ * @access  SMS gateway
+ */
+router.post('/status', async (req, res) => {
+  try {
+    const messageId = req.body.MessageSid || req.body.messageId;
+    const status = req.body.MessageStatus || req.body.status;
+
+    if (!messageId || !status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message id and status are required',
+      });
+    }
+
+    const updated = await recordAlertSmsStatus(String(messageId), String(status));
+
+    res.json({
+      success: true,
+      message: updated ? 'Delivery status recorded' : 'No matching message awaiting a receipt',
+      data: { updated },
+    });
+  } catch (error) {
+    console.error('SMS status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,465 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { protect } = require('../middleware/auth');
+const { authorize, ROLES, ROLE_HIERARCHY } = require('../middleware/roleCheck');
+const { logger } = require('../utils/logger');
+const { snapshot, recordAudit } = require('../utils/auditLog');
+
+/**
+ * ============================================
+ * USER MANAGEMENT ROUTES (/api/users)
+ * ============================================
+ */
+
+// Never sent to admins
+const PRIVATE_FIELDS = [
+  '-password',
+  '-passwordResetToken',
+  '-passwordResetExpires',
+  '-emailVerificationToken',
+  '-emailVerificationExpires',
+  '-deviceTokens',
+].join(' ');
+
+const SORT_FIELDS = ['createdAt', 'lastLogin', 'firstName', 'lastName', 'email', 'role'];
+
+// User fields kept in the audit log when an admin changes them
+const USER_AUDIT_FIELDS = ['role', 'isActive', 'isBanned', 'banReason'];
+
+const userTarget = (user) => ({ type: 'User', id: user._id, label: user.email });
+
+const roleLevel = (role) => ROLE_HIERARCHY.indexOf(role);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Load the target user for an admin action, with its action history
+ * Admins can only act on users below their own role, and never on themselves
+ * @returns {Promise<Object|null>} The user, or null after sending an error response
+ */
+const loadManageableUser = async (req, res) => {
+  const user = await User.findById(req.params.id).select(`${PRIVATE_FIELDS} +adminActions`);
+
+  if (!user || user.deletedAt) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+    return null;
+  }
+
+  if (user._id.equals(req.user._id)) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot perform this action on your own account',
+    });
+    return null;
+  }
+
+  if (roleLevel(user.role) >= roleLevel(req.user.role)) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only manage users below your own role',
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * End a user's sessions and drop their live sockets
+ */
+const disconnectUser = async (req, userId, reason) => {
+  await Session.endUserSessions(userId);
+
+  const io = req.app.get('io');
+  if (io) {
+    io.disconnectUser(userId.toString(), reason);
+  }
+};
+
+// Every user management route is for admins only
+router.use(protect, authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN));
+
+/**
+ * @route   GET /api/users
+ * @desc    List users (?search=&role=&isVerified=&status=active|inactive|banned&activeWithinDays=&page=&limit=&sort=)
+ * @access  Private (admin role required)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const {
+      search,
+      role,
+      isVerified,
+      status,
+      activeWithinDays,
+      page = 1,
+      limit = 20,
+      sort = '-createdAt',
+    } = req.query;
+
+    const query = { deletedAt: null };
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      query.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern },
+        { phone: pattern },
+      ];
+    }
+
+    if (role) {
+      query.role = { $in: role.split(',') };
+    }
+
+    if (isVerified === 'true' || isVerified === 'false') {
+      query.isVerified = isVerified === 'true';
+    }
+
+    if (status === 'banned') {
+      query.isBanned = true;
+    } else if (status === 'active') {
+      query.isActive = true;
+      query.isBanned = { $ne: true };
+    } else if (status === 'inactive') {
+      query.isActive = false;
+    }
+
+    if (activeWithinDays) {
+      query.lastLogin = { $gte: new Date(Date.now() - parseFloat(activeWithinDays) * 24 * 60 * 60 * 1000) };
+    }
+
+    const sortField = sort.replace(/^-/, '');
+    const sortBy = SORT_FIELDS.includes(sortField)
+      ? { [sortField]: sort.startsWith('-') ? -1 : 1 }
+      : { createdAt: -1 };
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [users, total] = await Promise.all([
+      User.find(query).select(PRIVATE_FIELDS).sort(sortBy).skip(skip).limit(limitNum),
+      User.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasMore: skip + users.length < total,
+      },
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/:id
+ * @desc    Get a user with their admin action history and active session count
+ * @access  Private (admin role required)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select(`${PRIVATE_FIELDS} +adminActions`)
+      .populate('adminActions.performedBy', 'firstName lastName email')
+      .populate('bannedBy', 'firstName lastName');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const activeSessions = await Session.countDocuments({ userId: user._id, isActive: true });
+
+    res.json({
+      success: true,
+      data: {
+        ...user.toJSON(),
+        activeSessions,
+      },
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/users/:id/role
+ * @desc    Change a user's role - never to one above your own
+ * @access  Private (admin role required)
+ */
+router.put('/:id/role', async (req, res) => {
+  try {
+    const { role, reason } = req.body;
+
+    if (!ROLE_HIERARCHY.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLE_HIERARCHY.join(', ')}`,
+      });
+    }
+
+    if (roleLevel(role) > roleLevel(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant a role above your own',
+      });
+    }
+
+    const user = await loadManageableUser(req, res);
+    if (!user) return;
+
+    if (user.role === role) {
+      return res.status(400).json({
+        success: false,
+        message: `User is already a ${role}`,
+      });
+    }
+
+    const before = snapshot(user, USER_AUDIT_FIELDS);
+    const fromRole = user.role;
+    user.role = role;
+    user.recordAdminAction('role_change', req.user._id, { fromRole, toRole: role, reason });
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      target: userTarget(user),
+      before,
+      after: snapshot(user, USER_AUDIT_FIELDS),
+      metadata: { reason },
+    });
+
+    logger.info(`User ${user._id} role changed from ${fromRole} to ${role} by ${req.user._id}`);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.notifyUser(user._id.toString(), 'roleChanged', { role, previousRole: fromRole });
+    }
+
+    res.json({
+      success: true,
+      message: `Role changed to ${role}`,
+      data: user,
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/users/:id/ban
+ * @desc    Ban a user - ends their sessions and disconnects their sockets
+ * @access  Private (admin role required)
+ */
+router.put('/:id/ban', async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const user = await loadManageableUser(req, res);
+    if (!user) return;
+
+    if (user.isBanned) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already banned',
+      });
+    }
+
+    const before = snapshot(user, USER_AUDIT_FIELDS);
+    user.isBanned = true;
+    user.banReason = reason;
+    user.bannedAt = new Date();
+    user.bannedBy = req.user._id;
+    user.recordAdminAction('ban', req.user._id, { reason });
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.ban',
+      target: userTarget(user),
+      before,
+      after: snapshot(user, USER_AUDIT_FIELDS),
+      metadata: { reason },
+    });
+
+    await disconnectUser(req, user._id, reason);
+
+    logger.info(`User ${user._id} banned by ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'User banned',
+      data: user,
+    });
+  } catch (error) {
+    console.error('Ban user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/users/:id/unban
+ * @desc    Lift a user's ban
+ * @access  Private (admin role required)
+ */
+router.put('/:id/unban', async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const user = await loadManageableUser(req, res);
+    if (!user) return;
+
+    if (!user.isBanned) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not banned',
+      });
+    }
+
+    const before = snapshot(user, USER_AUDIT_FIELDS);
+    user.isBanned = false;
+    user.banReason = undefined;
+    user.bannedAt = undefined;
+    user.bannedBy = undefined;
+    user.recordAdminAction('unban', req.user._id, { reason });
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.unban',
+      target: userTarget(user),
+      before,
+      after: snapshot(user, USER_AUDIT_FIELDS),
+      metadata: { reason },
+    });
+
+    logger.info(`User ${user._id} unbanned by ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'User unbanned',
+      data: user,
+    });
+  } catch (error) {
+    console.error('Unban user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/:id
+ * @desc    Delete a user - the account is deactivated and hidden, keeping its history
+ * @access  Private (admin role required)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    const user = await loadManageableUser(req, res);
+    if (!user) return;
+
+    const before = snapshot(user, USER_AUDIT_FIELDS);
+    user.isActive = false;
+    user.deletedAt = new Date();
+    user.recordAdminAction('delete', req.user._id, { reason });
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      target: userTarget(user),
+      before,
+      after: snapshot(user, USER_AUDIT_FIELDS),
+      metadata: { reason },
+    });
+
+    await disconnectUser(req, user._id, 'Account deleted');
+
+    logger.info(`User ${user._id} deleted by ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'User deleted',
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+module.exports = router;
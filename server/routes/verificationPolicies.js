@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const VerificationPolicy = require('../models/VerificationPolicy');
+const { protect } = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/roleCheck');
+const { pickFields, createErrorHandler } = require('../utils/routeHelpers');
+
+/**
+ * ============================================
+ * VERIFICATION POLICY ROUTES (/api/verification-policies)
+ * ============================================
+ */
+
+// Fields a client may set on a policy
+const EDITABLE_FIELDS = [
+  'name',
+  'category',
+  'severity',
+  'confirmThreshold',
+  'verificationRadiusKm',
+  'voteWindowHours',
+  'alertSeverity',
+  'alertDurationHours',
+  'isActive',
+];
+
+// Optional fields where an empty value means "any" or "use the default"
+const NULLABLE_FIELDS = ['category', 'severity', 'voteWindowHours', 'alertSeverity', 'alertDurationHours'];
+
+const pickPolicyFields = (body) => pickFields(body, EDITABLE_FIELDS, NULLABLE_FIELDS);
+
+const handlePolicyError = createErrorHandler({
+  notFound: 'Policy not found',
+  duplicate: 'A policy for this category and severity already exists',
+});
+
+// Every verification policy route is for admins only
+router.use(protect, authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN));
+
+/**
+ * @route   GET /api/verification-policies
+ * @desc    List policies, most specific first, with the defaults used when none applies
+ * @access  Private (admin role required)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const policies = await VerificationPolicy.find()
+      .sort({ category: -1, severity: -1, confirmThreshold: 1 })
+      .populate('createdBy', 'firstName lastName');
+
+    res.json({
+      success: true,
+      data: policies,
+      defaults: VerificationPolicy.DEFAULT_SETTINGS,
+    });
+  } catch (error) {
+    handlePolicyError(error, res, 'Get verification policies');
+  }
+});
+
+/**
+ * @route   POST /api/verification-policies
+ * @desc    Create a policy
+ * @access  Private (admin role required)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const policy = await VerificationPolicy.create({
+      ...pickPolicyFields(req.body),
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Verification policy created successfully',
+      data: policy,
+    });
+  } catch (error) {
+    handlePolicyError(error, res, 'Create verification policy');
+  }
+});
+
+/**
+ * @route   PUT /api/verification-policies/:id
+ * @desc    Update a policy
+ * @access  Private (admin role required)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const policy = await VerificationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Policy not found',
+      });
+    }
+
+    policy.set(pickPolicyFields(req.body));
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: 'Verification policy updated successfully',
+      data: policy,
+    });
+  } catch (error) {
+    handlePolicyError(error, res, 'Update verification policy');
+  }
+});
+
+/**
+ * @route   DELETE /api/verification-policies/:id
+ * @desc    Delete a policy
+ * @access  Private (admin role required)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const policy = await VerificationPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Policy not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification policy deleted successfully',
+    });
+  } catch (error) {
+    handlePolicyError(error, res, 'Delete verification policy');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,341 @@
+const express = require('express');
+const router = express.Router();
+const Verification = require('../models/Verification');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/roleCheck');
+const { logger } = require('../utils/logger');
+const { snapshot, recordAudit } = require('../utils/auditLog');
+const { sendResponderApplicationEmail } = require('../utils/emailService');
+
+/**
+ * ============================================
+ * VERIFICATION ROUTES (/api/verifications)
+ * ============================================
+ * Responder applications: users apply with their agency details and credential
+ * documents, admins approve or reject them from a review queue
+ */
+
+// Never sent back to anyone
+const HIDDEN_FIELDS = '-token -code';
+
+// Agency details an applicant can send
+const RESPONDER_FIELDS = [
+  'organization',
+  'organizationType',
+  'department',
+  'badge',
+  'employeeId',
+  'supervisorName',
+  'supervisorEmail',
+  'supervisorPhone',
+];
+
+const ORGANIZATION_TYPES = Verification.schema.path('data.organizationType').enumValues;
+
+const MAX_DOCUMENTS = 5;
+
+// User fields kept in the audit log when an application is approved
+const USER_AUDIT_FIELDS = ['role', 'responderInfo.organization', 'responderInfo.badge', 'responderInfo.department'];
+
+/**
+ * Validate the documents an applicant attached - files uploaded through /api/upload
+ * @returns {string|null} Error message, or null if they're fine
+ */
+const validateDocuments = (documents) => {
+  if (!Array.isArray(documents) || documents.length === 0) {
+    return 'At least one credential document is required';
+  }
+  if (documents.length > MAX_DOCUMENTS) {
+    return `No more than ${MAX_DOCUMENTS} documents can be attached`;
+  }
+  const invalid = documents.some((doc) => {
+    try {
+      return !['http:', 'https:'].includes(new URL(doc?.url).protocol);
+    } catch {
+      return true;
+    }
+  });
+  return invalid ? 'Each document needs a valid uploaded file URL' : null;
+};
+
+/**
+ * @route   POST /api/verifications/responder
+ * @desc    Apply for responder access (replaces any pending application)
+ * @access  Private
+ */
+router.post('/responder', protect, async (req, res) => {
+  try {
+    if (req.user.role !== ROLES.USER) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account already has responder access',
+      });
+    }
+
+    const { documents } = req.body;
+    const data = {};
+    RESPONDER_FIELDS.forEach((field) => {
+      if (typeof req.body[field] === 'string' && req.body[field].trim()) {
+        data[field] = req.body[field].trim();
+      }
+    });
+
+    if (!data.organization) {
+      return res.status(400).json({
+        success: false,
+        message: 'Agency name is required',
+      });
+    }
+
+    if (!ORGANIZATION_TYPES.includes(data.organizationType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Agency type must be one of: ${ORGANIZATION_TYPES.join(', ')}`,
+      });
+    }
+
+    const documentError = validateDocuments(documents);
+    if (documentError) {
+      return res.status(400).json({
+        success: false,
+        message: documentError,
+      });
+    }
+
+    data.documents = documents.map(({ url, key, name }) => ({ url, key, name }));
+
+    const verification = await Verification.createResponderVerification(req.user._id, data, req.ip);
+
+    logger.info(`Responder application ${verification._id} submitted by ${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted for review',
+      data: await Verification.findById(verification._id).select(HIDDEN_FIELDS),
+    });
+  } catch (error) {
+    console.error('Submit responder application error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/verifications/responder/me
+ * @desc    The current user's latest responder application, or null
+ * @access  Private
+ */
+router.get('/responder/me', protect, async (req, res) => {
+  try {
+    const verification = await Verification.findOne({
+      user: req.user._id,
+      type: 'responder',
+      status: { $ne: 'cancelled' },
+    })
+      .sort({ createdAt: -1 })
+      .select(`${HIDDEN_FIELDS} -reviewNotes -requestIp -verificationIp`);
+
+    res.json({
+      success: true,
+      data: verification,
+    });
+  } catch (error) {
+    console.error('Get responder application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/verifications/responder
+ * @desc    Responder applications for review, oldest first (?status=pending&page=&limit=)
+ * @access  Private (admin role required)
+ */
+router.get(
+  '/responder',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+      const query = { type: 'responder' };
+      if (status !== 'all') {
+        query.status = status;
+      }
+
+      const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+      const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+      const skip = (pageNum - 1) * limitNum;
+
+      const [applications, total] = await Promise.all([
+        Verification.find(query)
+          .sort({ createdAt: status === 'pending' ? 1 : -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .select(HIDDEN_FIELDS)
+          .populate('user', 'firstName lastName email phone role isVerified createdAt')
+          .populate('reviewedBy', 'firstName lastName'),
+        Verification.countDocuments(query),
+      ]);
+
+      res.json({
+        success: true,
+        count: applications.length,
+        data: applications,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+          hasMore: skip + applications.length < total,
+        },
+      });
+    } catch (error) {
+      console.error('Get responder applications error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PATCH /api/verifications/responder/:id
+ * @desc    Approve or reject a responder application - approval makes the applicant a responder
+ * @access  Private (admin role required)
+ */
+router.patch(
+  '/responder/:id',
+  protect,
+  authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      const { action, notes, rejectionReason } = req.body;
+
+      if (!['approve', 'reject'].includes(action)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Action must be approve or reject',
+        });
+      }
+
+      const verification = await Verification.findOne({ _id: req.params.id, type: 'responder' });
+
+      if (!verification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found',
+        });
+      }
+
+      if (verification.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `This application was already ${verification.status}`,
+        });
+      }
+
+      const applicant = await User.findById(verification.user).select('+adminActions');
+
+      if (!applicant || applicant.deletedAt || applicant.isBanned) {
+        return res.status(409).json({
+          success: false,
+          message: 'The applicant account is no longer active',
+        });
+      }
+
+      const approved = action === 'approve';
+      await verification.review(req.user._id, approved, notes, approved ? undefined : rejectionReason);
+
+      await recordAudit(req, {
+        action: approved ? 'verification.responder_approve' : 'verification.responder_reject',
+        target: { type: 'Verification', id: verification._id, label: applicant.email },
+        before: { status: 'pending' },
+        after: { status: verification.status },
+        metadata: { userId: applicant._id.toString(), organization: verification.data.organization, notes, rejectionReason },
+      });
+
+      // Applicants who were promoted some other way in the meantime keep their role
+      if (approved && applicant.role === ROLES.USER) {
+        const before = snapshot(applicant, USER_AUDIT_FIELDS);
+
+        applicant.role = ROLES.RESPONDER;
+        applicant.set('responderInfo.organization', verification.data.organization);
+        applicant.set('responderInfo.badge', verification.data.badge);
+        applicant.set('responderInfo.department', verification.data.department);
+        applicant.recordAdminAction('role_change', req.user._id, {
+          fromRole: ROLES.USER,
+          toRole: ROLES.RESPONDER,
+          reason: 'Responder application approved',
+        });
+        await applicant.save();
+
+        await recordAudit(req, {
+          action: 'user.role_change',
+          target: { type: 'User', id: applicant._id, label: applicant.email },
+          before,
+          after: snapshot(applicant, USER_AUDIT_FIELDS),
+          metadata: { verificationId: verification._id.toString() },
+        });
+
+        logger.info(`User ${applicant._id} promoted to responder by ${req.user._id}`);
+      }
+
+      const io = req.app.get('io');
+      if (io?.notifyUser) {
+        io.notifyUser(applicant._id.toString(), 'responderApplicationReviewed', {
+          verificationId: verification._id,
+          status: verification.status,
+          rejectionReason: verification.rejectionReason,
+          role: applicant.role,
+        });
+      }
+
+      try {
+        await sendResponderApplicationEmail(applicant.email, approved, verification, applicant.firstName);
+      } catch (emailError) {
+        logger.error('Failed to send responder application email', emailError);
+      }
+
+      res.json({
+        success: true,
+        message: approved ? 'Application approved' : 'Application rejected',
+        data: await Verification.findById(verification._id)
+          .select(HIDDEN_FIELDS)
+          .populate('user', 'firstName lastName email role'),
+      });
+    } catch (error) {
+      console.error('Review responder application error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -13,6 +13,7 @@ const { logger, requestLogger } = require('./utils/logger');
 const connectDB = require('./config/db');
 const { testUploadThingConnection } = require('./config/uploadthing');
 const { initializeTransporter } = require('./utils/emailService');
+const { initializeSmsTransport } = require('./utils/smsService');
 const { initializeFirebaseAdmin } = require('./config/firebase');
 
 // Import middleware
@@ -22,12 +23,28 @@ const { generalLimiter } = require('./middleware/rateLimiter');
 const authRoutes = require('./routes/auth');
 const reportRoutes = require('./routes/reports');
 const alertRoutes = require('./routes/alerts');
+const alertTemplateRoutes = require('./routes/alertTemplates');
+const incidentRoutes = require('./routes/incidents');
+const slaPolicyRoutes = require('./routes/slaPolicies');
+const categoryRoutes = require('./routes/categories');
+const verificationPolicyRoutes = require('./routes/verificationPolicies');
+const userRoutes = require('./routes/users');
+const auditRoutes = require('./routes/audit');
+const verificationRoutes = require('./routes/verifications');
+const smsRoutes = require('./routes/sms');
 const analyticsRoutes = require('./routes/analytics');
 const uploadRoutes = require('./routes/upload');
 
 // Import socket handler
 const socketHandler = require('./sockets/socketHandler');
 
+// Import models seeded at startup
+const Category = require('./models/Category');
+
+// Import background jobs
+const { startAlertScheduler } = require('./utils/alertScheduler');
+const { startSlaChecker } = require('./utils/slaChecker');
+
 // Initialize express app
 const app = express();
 
@@ -49,18 +66,32 @@ const io = new Server(server, {
 app.set('io', io);
 
 // Initialize socket handler
-socketHandler(io);
+socketHandler(io, app);
 logger.connection('Socket.IO', 'success', 'Initialized');
 
 // Connect to MongoDB
 connectDB();
 
+// Seed the built-in report categories on a fresh database
+Category.ensureDefaults()
+  .then((count) => count > 0 && logger.info(`Seeded ${count} report categories`))
+  .catch((error) => logger.error('Category seeding failed', error));
+
+// Activate scheduled alerts and expire old ones
+startAlertScheduler(io);
+
+// Escalate reports that breach their SLA policy
+startSlaChecker(io);
+
 // Test UploadThing connection
 testUploadThingConnection();
 
 // Initialize email service
 initializeTransporter();
 
+// Pick the SMS transport - an unknown SMS_TRANSPORT stops the server here
+initializeSmsTransport();
+
 // Initialize Firebase Admin (optional - for token verification)
 initializeFirebaseAdmin();
 
@@ -103,6 +134,15 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/alerts', alertRoutes);
+app.use('/api/alert-templates', alertTemplateRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/sla-policies', slaPolicyRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/verification-policies', verificationPolicyRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/verifications', verificationRoutes);
+app.use('/api/sms', smsRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/upload', uploadRoutes);
 
@@ -200,6 +240,15 @@ server.listen(PORT, () => {
   logger.info('  /api/auth      - Authentication endpoints');
   logger.info('  /api/reports   - Report management');
   logger.info('  /api/alerts    - Alert system');
+  logger.info('  /api/alert-templates - Reusable alert templates');
+  logger.info('  /api/incidents - Grouped incidents');
+  logger.info('  /api/sla-policies - Report SLA policies');
+  logger.info('  /api/categories - Report category management');
+  logger.info('  /api/verification-policies - Community verification policies');
+  logger.info('  /api/users - User management');
+  logger.info('  /api/audit - Audit log');
+  logger.info('  /api/verifications - Responder applications');
+  logger.info('  /api/sms - SMS gateway webhooks');
   logger.info('  /api/analytics - Analytics data');
   logger.info('  /api/upload    - File uploads (UploadThing)');
   logger.info('  /health        - Health check');
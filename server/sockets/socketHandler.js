@@ -1,7 +1,17 @@
 const jwt = require('jsonwebtoken');
+const proxyaddr = require('proxy-addr');
 const User = require('../models/User');
 const Session = require('../models/Session');
+const SocketLocation = require('../models/SocketLocation');
 const { logger } = require('../utils/logger');
+const { isPointInGeometry } = require('../utils/geoUtils');
+const { ROLES } = require('../middleware/roleCheck');
+const {
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  parseAcceptLanguage,
+  pickAlertTranslation,
+} = require('../utils/alertLocalization');
 
 /**
  * Socket.IO Real-Time Event Handler
@@ -9,7 +19,7 @@ const { logger } = require('../utils/logger');
  */
 
 // In-memory storage for active connections
-// Format: { socketId: { userId, location: {lat, lng}, connectedAt, lastPing } }
+// Format: { socketId: { userId, location: {lat, lng}, locale, connectedAt, lastPing } }
 const activeConnections = new Map();
 
 // User to socket mapping for quick lookups
@@ -68,6 +78,34 @@ const getSocketsInRadius = (lat, lng, radiusKm = 10) => {
   return socketIds;
 };
 
+/**
+ * Get socket IDs of users inside an alert's target area
+ * Returns null when the alert has no geo-fence (everyone is targeted)
+ */
+const getSocketsForAlert = (alert) => {
+  const geometry = alert.targetArea?.geometry;
+
+  // For polygon-based alerts - match the exact shape
+  if (geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon') {
+    const socketIds = [];
+    activeConnections.forEach((conn, socketId) => {
+      if (conn.location && isPointInGeometry([conn.location.lng, conn.location.lat], geometry)) {
+        socketIds.push(socketId);
+      }
+    });
+    return socketIds;
+  }
+
+  // For circle-based alerts
+  const coords = alert.targetArea?.coordinates || alert.geoFence?.coordinates;
+  if (Array.isArray(coords) && coords.length === 2) {
+    const [lng, lat] = coords;
+    return getSocketsInRadius(lat, lng, alert.targetArea?.radius || 10);
+  }
+
+  return null;
+};
+
 /**
  * Get users count in polygon
  */
@@ -102,10 +140,23 @@ const isPointInPolygon = (point, polygon) => {
   return inside;
 };
 
+/**
+ * Client IP for a socket - the same address Express gives as req.ip, honouring the
+ * app's trust proxy setting, so proxied clients aren't all seen as the proxy
+ * @param {Object} socket
+ * @param {Object} [app] - Express app whose trust proxy setting applies
+ */
+const getClientIp = (socket, app) => {
+  if (!app || !socket.request) return socket.handshake.address;
+  return proxyaddr(socket.request, app.get('trust proxy fn'));
+};
+
 /**
  * Main Socket.IO Handler
+ * @param {Object} io - Socket.IO server
+ * @param {Object} [app] - Express app, for its trust proxy setting
  */
-const socketHandler = (io) => {
+const socketHandler = (io, app) => {
   // Cleanup interval - remove stale connections every 5 minutes
   // Store interval ID on io object for cleanup in tests
   io._cleanupInterval = setInterval(() => {
@@ -146,7 +197,7 @@ const socketHandler = (io) => {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await User.findById(decoded.id).select('-password');
 
-        if (user && user.isActive) {
+        if (user && user.isActive && !user.isBanned) {
           socket.user = user;
           socket.userId = user._id.toString();
         }
@@ -170,6 +221,11 @@ const socketHandler = (io) => {
     activeConnections.set(socket.id, {
       userId: socket.userId || null,
       location: null,
+      // Profile language for signed-in users, otherwise what the client asked for
+      locale: socket.user?.preferredLanguage
+        || normalizeLocale(socket.handshake.auth?.lang)
+        || parseAcceptLanguage(socket.handshake.headers?.['accept-language'])[0]
+        || DEFAULT_LOCALE,
       connectedAt: Date.now(),
       lastPing: Date.now(),
     });
@@ -269,6 +325,23 @@ const socketHandler = (io) => {
             // Log but don't block - in-memory tracking is sufficient
             logger.debug('[Socket] DB location update skipped:', dbError.message);
           });
+
+          // The trail report verification checks claimed locations against
+          SocketLocation.findOneAndUpdate(
+            { socketId: socket.id },
+            {
+              $set: {
+                userId: socket.userId,
+                location: { type: 'Point', coordinates: [lng, lat] },
+                ipAddress: getClientIp(socket, app),
+                userAgent: socket.handshake.headers?.['user-agent'],
+                lastPing: new Date(),
+              },
+            },
+            { upsert: true, setDefaultsOnInsert: true }
+          ).catch((locationError) => {
+            logger.debug('[Socket] Socket location update skipped:', locationError.message);
+          });
         }
       } catch (error) {
         console.error('[Socket] joinLocation error:', error);
@@ -430,6 +503,78 @@ const socketHandler = (io) => {
       }
     });
 
+    /**
+     * @event joinIncident - Join incident room for updates
+     */
+    socket.on('joinIncident', (data) => {
+      const { incidentId } = data;
+      if (incidentId) {
+        socket.join(`incident:${incidentId}`);
+      }
+    });
+
+    /**
+     * @event leaveIncident - Leave incident room
+     */
+    socket.on('leaveIncident', (data) => {
+      const { incidentId } = data;
+      if (incidentId) {
+        socket.leave(`incident:${incidentId}`);
+      }
+    });
+
+    /**
+     * @event joinAlert - Join alert room for thread updates
+     */
+    socket.on('joinAlert', (data) => {
+      const { alertId } = data;
+      if (alertId) {
+        socket.join(`alert:${alertId}`);
+      }
+    });
+
+    /**
+     * @event leaveAlert - Leave alert room
+     */
+    socket.on('leaveAlert', (data) => {
+      const { alertId } = data;
+      if (alertId) {
+        socket.leave(`alert:${alertId}`);
+      }
+    });
+
+    /**
+     * @event setLanguage - Change the language alerts are delivered in
+     */
+    socket.on('setLanguage', (data) => {
+      const locale = normalizeLocale(data?.locale);
+      const conn = activeConnections.get(socket.id);
+      if (locale && conn) {
+        conn.locale = locale;
+      }
+    });
+
+    /**
+     * @event joinRollCall - Join an alert's live roll-call (responders and admins only)
+     */
+    socket.on('joinRollCall', (data) => {
+      const { alertId } = data;
+      const staffRoles = [ROLES.RESPONDER, ROLES.ADMIN, ROLES.SUPER_ADMIN];
+      if (alertId && staffRoles.includes(socket.user?.role)) {
+        socket.join(`rollcall:${alertId}`);
+      }
+    });
+
+    /**
+     * @event leaveRollCall - Leave an alert's roll-call room
+     */
+    socket.on('leaveRollCall', (data) => {
+      const { alertId } = data;
+      if (alertId) {
+        socket.leave(`rollcall:${alertId}`);
+      }
+    });
+
     /**
      * @event emergencySOS - Emergency help request
      */
@@ -585,48 +730,43 @@ const socketHandler = (io) => {
    * @trigger Alert role creates alert
    */
   io.emitOfficialAlert = (alert) => {
-    const payload = {
-      alertId: alert._id,
-      message: alert.message || alert.description,
-      title: alert.title,
-      severity: alert.severity,
-      geoFence: alert.geoFence || alert.targetArea,
-      createdAt: alert.createdAt,
-      expiresAt: alert.expiresAt,
+    // One payload per delivered translation, shared by everyone who gets it
+    const payloads = new Map();
+    const getPayload = (locale) => {
+      const translation = pickAlertTranslation(alert, locale);
+      if (!payloads.has(translation.locale)) {
+        payloads.set(translation.locale, {
+          alertId: alert._id,
+          message: translation.description,
+          title: translation.title,
+          locale: translation.locale,
+          severity: alert.severity,
+          geoFence: alert.geoFence || alert.targetArea,
+          createdAt: alert.createdAt,
+          expiresAt: alert.expiresAt,
+        });
+      }
+      return payloads.get(translation.locale);
     };
 
     // Get affected users based on geoFence
+    const socketIds = getSocketsForAlert(alert);
     let affectedCount = 0;
 
-    if (alert.targetArea?.coordinates || alert.geoFence?.coordinates) {
-      const coords = alert.targetArea?.coordinates || alert.geoFence?.coordinates;
-      const radius = alert.targetArea?.radius || 10;
-
-      // For circle-based alerts
-      if (Array.isArray(coords) && coords.length === 2) {
-        const [lng, lat] = coords;
-        const nearbySocketIds = getSocketsInRadius(lat, lng, radius);
-        
-        nearbySocketIds.forEach((socketId) => {
-          io.to(socketId).emit('officialAlert', payload);
-        });
-        
-        affectedCount = nearbySocketIds.length;
-      }
-      // For polygon-based alerts
-      else if (alert.geoFence?.type === 'Polygon') {
-        const polygon = alert.geoFence.coordinates[0]; // First ring of polygon
-        
-        activeConnections.forEach((conn, socketId) => {
-          if (conn.location && isPointInPolygon(conn.location, polygon)) {
-            io.to(socketId).emit('officialAlert', payload);
-            affectedCount++;
-          }
-        });
-      }
-    } else {
+    if (socketIds) {
+      socketIds.forEach((socketId) => {
+        io.to(socketId).emit('officialAlert', getPayload(activeConnections.get(socketId)?.locale));
+      });
+      affectedCount = socketIds.length;
+    } else if (!alert.translations?.length) {
       // Broadcast to all if no geo-fence
-      io.emit('officialAlert', payload);
+      io.emit('officialAlert', getPayload());
+      affectedCount = activeConnections.size;
+    } else {
+      // Broadcast to all, each in their own language
+      activeConnections.forEach((conn, socketId) => {
+        io.to(socketId).emit('officialAlert', getPayload(conn.locale));
+      });
       affectedCount = activeConnections.size;
     }
 
@@ -634,6 +774,76 @@ const socketHandler = (io) => {
     return affectedCount;
   };
 
+  /**
+   * @event alertThread events (alertUpdatePosted, alertSuperseded, alertAllClear)
+   * @desc Follow-ups for an alert, sent to everyone in its area and anyone viewing it
+   * @trigger Update, supersede or all-clear posted on an alert
+   */
+  io.emitAlertThreadEvent = (alert, event, data) => {
+    const payload = { alertId: alert._id, ...data };
+    const socketIds = getSocketsForAlert(alert);
+
+    if (!socketIds) {
+      io.emit(event, payload);
+      return activeConnections.size;
+    }
+
+    // Chain the rooms so a socket in both only gets one copy
+    let target = io.to(`alert:${alert._id}`);
+    socketIds.forEach((socketId) => {
+      target = target.to(socketId);
+    });
+    target.emit(event, payload);
+
+    console.log(`[Socket] ${event} emitted for alert: ${alert._id}`);
+    return socketIds.length;
+  };
+
+  /**
+   * @event alertCancelled / alertResolved
+   * @desc Retract an alert from banners, maps and notification centers
+   * @trigger Alert cancelled or resolved
+   */
+  io.emitAlertRetracted = (alert) => {
+    const event = alert.status === 'cancelled' ? 'alertCancelled' : 'alertResolved';
+    const payload = {
+      alertId: alert._id,
+      status: alert.status,
+      title: alert.title,
+      reason: alert.status === 'cancelled' ? alert.cancellationReason : alert.resolutionSummary,
+      retractedAt: alert.cancelledAt || alert.resolvedAt || new Date(),
+      alert,
+    };
+
+    // Everyone, not just the target area - recipients may have moved since
+    io.emit(event, payload);
+
+    console.log(`[Socket] ${event} emitted for alert: ${alert._id}`);
+  };
+
+  /**
+   * @event alertAcknowledged / alertCheckIn
+   * @desc Live roll-call feed for responders watching an alert
+   * @trigger User acknowledges or checks in on an alert
+   */
+  io.emitRollCallUpdate = (alertId, event, data) => {
+    io.to(`rollcall:${alertId}`).emit(event, { alertId, ...data });
+  };
+
+  /**
+   * @event alertExpired
+   * @desc Remove an expired alert from banners and maps
+   * @trigger Alert scheduler passes effectiveUntil
+   */
+  io.emitAlertExpired = (alert) => {
+    io.emit('alertExpired', {
+      alertId: alert._id,
+      expiredAt: alert.effectiveUntil || new Date(),
+    });
+
+    console.log(`[Socket] alertExpired emitted for alert: ${alert._id}`);
+  };
+
   /**
    * @event reportModerated
    * @desc Update report status on all maps
@@ -666,6 +876,80 @@ const socketHandler = (io) => {
     console.log(`[Socket] reportModerated emitted for report: ${report._id}, action: ${action}`);
   };
 
+  /**
+   * @event reportUpdate events (reportUpdatePosted, reportUpdateDeleted, reportEdited)
+   * @desc Keep the comment thread and details live for everyone viewing a report
+   * @trigger Comment or official update posted or deleted, or the reporter edits the report
+   */
+  io.emitReportUpdate = (report, event, data) => {
+    const payload = { reportId: report._id, ...data };
+
+    io.to(`report:${report._id}`).emit(event, payload);
+
+    console.log(`[Socket] ${event} emitted for report: ${report._id}`);
+  };
+
+  /**
+   * @event reportEscalated
+   * @desc Warn admins that a report breached its SLA without a first action
+   * @trigger SLA checker escalates an overdue report
+   */
+  io.emitReportEscalated = (report, policy) => {
+    const payload = {
+      reportId: report._id,
+      title: report.title,
+      category: report.category,
+      severity: report.severity,
+      newStatus: report.status,
+      policy: {
+        id: policy._id,
+        name: policy.name,
+        acknowledgeWithinMinutes: policy.acknowledgeWithinMinutes,
+      },
+      createdAt: report.createdAt,
+      breachedAt: report.sla?.breachedAt,
+    };
+
+    io.to(`report:${report._id}`).to('role:admin').to('role:super_admin').emit('reportEscalated', payload);
+
+    console.log(`[Socket] reportEscalated emitted for report: ${report._id}`);
+  };
+
+  /**
+   * @event incidentUpdated
+   * @desc Refresh an incident's circle on nearby maps and its detail view
+   * @trigger Report grouped into an incident, or incident edited by a responder
+   */
+  io.emitIncidentUpdate = (incident, action) => {
+    const [lng, lat] = incident.location?.coordinates || [];
+    const payload = {
+      incidentId: incident._id,
+      action, // 'created', 'report_added', 'report_removed', 'updated'
+      title: incident.title,
+      category: incident.category,
+      severity: incident.severity,
+      status: incident.status,
+      location: { lat, lng },
+      radius: incident.radius,
+      reportCount: incident.reports?.length || 0,
+      lastReportedAt: incident.lastReportedAt,
+    };
+
+    // Chain the rooms so a socket in several only gets one copy
+    let target = io.to(`incident:${incident._id}`)
+      .to('role:responder')
+      .to('role:admin')
+      .to('role:super_admin');
+    if (lat !== undefined && lng !== undefined) {
+      getSocketsInRadius(lat, lng, 10).forEach((socketId) => {
+        target = target.to(socketId);
+      });
+    }
+    target.emit('incidentUpdated', payload);
+
+    console.log(`[Socket] incidentUpdated emitted for incident: ${incident._id}, action: ${action}`);
+  };
+
   /**
    * @event userCountUpdate
    * @desc Live population estimate update
@@ -694,6 +978,14 @@ const socketHandler = (io) => {
     io.to(`role:${role}`).emit(event, data);
   };
 
+  /**
+   * Tell a user their account was suspended, then drop all their sockets
+   */
+  io.disconnectUser = (userId, reason) => {
+    io.to(`user:${userId}`).emit('accountSuspended', { reason });
+    io.in(`user:${userId}`).disconnectSockets(true);
+  };
+
   /**
    * Get active connections count
    */
@@ -0,0 +1,172 @@
+/**
+ * Alert Template Routes Tests
+ * Tests for /api/alert-templates endpoints
+ */
+
+require('./setup');
+const request = require('supertest');
+const createApp = require('./app');
+const AlertTemplate = require('../models/AlertTemplate');
+const {
+  createTestUser,
+  createAdminUser,
+  createResponderUser,
+} = require('./helpers');
+
+const app = createApp();
+
+const floodTemplate = {
+  name: 'Flash flood warning',
+  title: 'Flash flood warning for {{location}}',
+  description: 'Flooding is expected near {{location}} from {{time}}. Move to higher ground.',
+  type: 'weather',
+  severity: 'warning',
+  instructions: [{ text: 'Avoid low-lying roads', priority: 1 }],
+  channels: { push: true, email: true },
+  radius: 8,
+  durationHours: 12,
+};
+
+describe('Alert Template Routes', () => {
+
+  // ==========================================
+  // POST /api/alert-templates
+  // ==========================================
+  describe('POST /api/alert-templates', () => {
+
+    it('should allow a responder to create a template', async () => {
+      const { token, user } = await createResponderUser();
+
+      const res = await request(app)
+        .post('/api/alert-templates')
+        .set('Authorization', `Bearer ${token}`)
+        .send(floodTemplate);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.name).toBe(floodTemplate.name);
+      expect(res.body.data.createdBy).toBe(user._id.toString());
+      expect(res.body.data.placeholders).toEqual(['location', 'time']);
+      expect(res.body.data.channels.email).toBe(true);
+    });
+
+    it('should reject duplicate template names', async () => {
+      const { token } = await createAdminUser();
+
+      await request(app)
+        .post('/api/alert-templates')
+        .set('Authorization', `Bearer ${token}`)
+        .send(floodTemplate);
+
+      const res = await request(app)
+        .post('/api/alert-templates')
+        .set('Authorization', `Bearer ${token}`)
+        .send(floodTemplate);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should validate required fields', async () => {
+      const { token } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/alert-templates')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Incomplete' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should deny regular users', async () => {
+      const { token } = await createTestUser();
+
+      const res = await request(app)
+        .post('/api/alert-templates')
+        .set('Authorization', `Bearer ${token}`)
+        .send(floodTemplate);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  // ==========================================
+  // GET /api/alert-templates
+  // ==========================================
+  describe('GET /api/alert-templates', () => {
+
+    it('should list templates filtered by type', async () => {
+      const { token, user } = await createResponderUser();
+      await AlertTemplate.create({ ...floodTemplate, createdBy: user._id });
+      await AlertTemplate.create({
+        name: 'Road closure',
+        title: 'Road closed at {{location}}',
+        description: 'Expect delays',
+        type: 'traffic',
+        createdBy: user._id,
+      });
+
+      const res = await request(app)
+        .get('/api/alert-templates?type=traffic')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.length).toBe(1);
+      expect(res.body.data[0].name).toBe('Road closure');
+    });
+  });
+
+  // ==========================================
+  // PUT / DELETE /api/alert-templates/:id
+  // ==========================================
+  describe('PUT and DELETE /api/alert-templates/:id', () => {
+
+    it('should let the creator update a template', async () => {
+      const { token, user } = await createResponderUser();
+      const template = await AlertTemplate.create({ ...floodTemplate, createdBy: user._id });
+
+      const res = await request(app)
+        .put(`/api/alert-templates/${template._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ severity: 'critical', radius: 15 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.severity).toBe('critical');
+      expect(res.body.data.radius).toBe(15);
+    });
+
+    it('should not let another responder edit a template', async () => {
+      const { user: owner } = await createResponderUser();
+      const { token } = await createResponderUser();
+      const template = await AlertTemplate.create({ ...floodTemplate, createdBy: owner._id });
+
+      const res = await request(app)
+        .put(`/api/alert-templates/${template._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ severity: 'critical' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should let an admin delete any template', async () => {
+      const { user: owner } = await createResponderUser();
+      const { token } = await createAdminUser();
+      const template = await AlertTemplate.create({ ...floodTemplate, createdBy: owner._id });
+
+      const res = await request(app)
+        .delete(`/api/alert-templates/${template._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(await AlertTemplate.findById(template._id)).toBeNull();
+    });
+
+    it('should return 404 for a missing template', async () => {
+      const { token } = await createAdminUser();
+
+      const res = await request(app)
+        .delete('/api/alert-templates/507f1f77bcf86cd799439011')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -7,12 +7,21 @@ require('./setup');
 const request = require('supertest');
 const createApp = require('./app');
 const Alert = require('../models/Alert');
+const User = require('../models/User');
+const Report = require('../models/Report');
 const {
   createTestUser,
   createAdminUser,
   createResponderUser,
   createTestAlert,
+  createTestReport,
 } = require('./helpers');
+const { runAlertScheduler } = require('../utils/alertScheduler');
+const { sendAlertEmails, sendAlertSms } = require('../utils/alertBroadcast');
+const emailService = require('../utils/emailService');
+const { setSmsTransport } = require('../utils/smsService');
+const { createLoopbackTransport } = require('../utils/smsGateways');
+const { startSmtpStandIn } = require('./smtpStandIn');
 
 const app = createApp();
 
@@ -338,6 +347,49 @@ describe('Alerts Routes', () => {
       const updatedAlert = await Alert.findById(alert._id);
       expect(updatedAlert.interactions.views).toBe(initialViewCount + 1);
     });
+
+    it('should hide unpublished alerts from everyone but staff and the creator', async () => {
+      const { user: creator, token: creatorToken } = await createTestUser();
+      const { token: otherToken } = await createTestUser();
+      const { token: responderToken } = await createResponderUser();
+      const pending = await createTestAlert(creator._id, { status: 'pending_approval', isActive: false });
+      const scheduled = await createTestAlert(creator._id, { status: 'scheduled', isActive: false });
+
+      const anonymous = await request(app).get(`/api/alerts/${pending._id}`);
+      const other = await request(app)
+        .get(`/api/alerts/${scheduled._id}`)
+        .set('Authorization', `Bearer ${otherToken}`);
+      const own = await request(app)
+        .get(`/api/alerts/${pending._id}`)
+        .set('Authorization', `Bearer ${creatorToken}`);
+      const staff = await request(app)
+        .get(`/api/alerts/${scheduled._id}`)
+        .set('Authorization', `Bearer ${responderToken}`);
+
+      expect(anonymous.status).toBe(404);
+      expect(other.status).toBe(404);
+      expect(own.status).toBe(200);
+      expect(staff.status).toBe(200);
+    });
+
+    it('should leave pending follow-ups out of the public thread', async () => {
+      const { user: admin } = await createAdminUser();
+      const root = await createTestAlert(admin._id);
+      const pending = await createTestAlert(admin._id, {
+        parentAlert: root._id,
+        status: 'pending_approval',
+        isActive: false,
+      });
+      root.childAlerts.push(pending._id);
+      await root.save();
+
+      const publicThread = await request(app).get(`/api/alerts/${root._id}/thread`);
+      const hiddenThread = await request(app).get(`/api/alerts/${pending._id}/thread`);
+
+      expect(publicThread.status).toBe(200);
+      expect(publicThread.body.data.map((a) => a._id)).toEqual([root._id.toString()]);
+      expect(hiddenThread.status).toBe(404);
+    });
   });
 
   // ==========================================
@@ -435,4 +487,1418 @@ describe('Alerts Routes', () => {
       expect([200, 403]).toContain(res.status);
     });
   });
+  // ==========================================
+  // Polygon geo-fences
+  // ==========================================
+  describe('Polygon geo-fences', () => {
+    const polygon = {
+      type: 'Polygon',
+      coordinates: [[
+        [-74.02, 40.70],
+        [-73.98, 40.70],
+        [-73.98, 40.73],
+        [-74.02, 40.73],
+        [-74.02, 40.70],
+      ]],
+    };
+
+    it('should store a polygon target area as GeoJSON', async () => {
+      const { token: adminToken } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          title: 'Flood Zone Warning',
+          description: 'Flooding expected along the waterfront',
+          type: 'weather',
+          targetArea: { geometry: polygon },
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.targetArea.type).toBe('Polygon');
+      expect(res.body.data.targetArea.geometry).toEqual(polygon);
+      // Center derived from the polygon
+      expect(res.body.data.targetArea.coordinates[0]).toBeCloseTo(-74.0, 1);
+      expect(res.body.data.targetArea.coordinates[1]).toBeCloseTo(40.715, 1);
+    });
+
+    it('should store a multipolygon target area', async () => {
+      const { token: adminToken } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          title: 'Boil Water Notice',
+          description: 'Two districts affected',
+          type: 'health',
+          targetArea: {
+            geometry: {
+              type: 'MultiPolygon',
+              coordinates: [
+                polygon.coordinates,
+                [[[-73.95, 40.75], [-73.93, 40.75], [-73.93, 40.77], [-73.95, 40.75]]],
+              ],
+            },
+          },
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.targetArea.type).toBe('MultiPolygon');
+      expect(res.body.data.targetArea.geometry.coordinates.length).toBe(2);
+    });
+
+    it('should reject an invalid polygon', async () => {
+      const { token: adminToken } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          title: 'Bad Polygon Alert',
+          description: 'Only two points',
+          type: 'weather',
+          targetArea: {
+            geometry: { type: 'Polygon', coordinates: [[[-74.02, 40.70], [-73.98, 40.70]]] },
+          },
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should match nearby queries against the exact shape', async () => {
+      const { user: admin } = await createAdminUser();
+      const alert = await createTestAlert(admin._id, {
+        targetArea: {
+          type: 'Polygon',
+          coordinates: [-74.0, 40.715],
+          geometry: polygon,
+        },
+      });
+
+      const inside = await request(app)
+        .get('/api/alerts/nearby')
+        .query({ lat: 40.71, lng: -74.0, radius: 100 });
+
+      const outside = await request(app)
+        .get('/api/alerts/nearby')
+        .query({ lat: 40.80, lng: -74.0, radius: 100 });
+
+      expect(inside.status).toBe(200);
+      expect(inside.body.data.map((a) => a._id)).toContain(alert._id.toString());
+      expect(outside.body.data.map((a) => a._id)).not.toContain(alert._id.toString());
+    });
+
+    it('should find polygon alerts only for users inside the shape', async () => {
+      const { user: admin } = await createAdminUser();
+      await createTestAlert(admin._id, {
+        type: 'weather',
+        targetArea: {
+          type: 'Polygon',
+          coordinates: [-74.0, 40.715],
+          geometry: polygon,
+        },
+      });
+
+      const preferences = { alertTypes: ['weather'], alertRadius: 50 };
+      const insideUser = { location: { coordinates: [-74.0, 40.71] }, alertPreferences: preferences };
+      const outsideUser = { location: { coordinates: [-74.0, 40.80] }, alertPreferences: preferences };
+
+      expect((await Alert.findForUser(insideUser)).length).toBe(1);
+      expect((await Alert.findForUser(outsideUser)).length).toBe(0);
+    });
+  });
+  // ==========================================
+  // CAP import / export
+  // ==========================================
+  describe('CAP import and export', () => {
+    const buildCap = (overrides = {}) => {
+      const fields = {
+        identifier: 'county-2024-001',
+        msgType: 'Alert',
+        status: 'Actual',
+        references: '',
+        severity: 'Severe',
+        ...overrides,
+      };
+
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">
+  <identifier>${fields.identifier}</identifier>
+  <sender>county@example.gov</sender>
+  <sent>2024-01-01T12:00:00-05:00</sent>
+  <status>${fields.status}</status>
+  <msgType>${fields.msgType}</msgType>
+  <scope>Public</scope>
+  ${fields.references ? `<references>${fields.references}</references>` : ''}
+  <info>
+    <category>Met</category>
+    <event>Flash Flood Warning</event>
+    <urgency>Immediate</urgency>
+    <severity>${fields.severity}</severity>
+    <certainty>Observed</certainty>
+    <headline>Flash flood warning for the river district</headline>
+    <description>Heavy rain is causing flash flooding.</description>
+    <instruction>Move to higher ground</instruction>
+    <area>
+      <areaDesc>River District</areaDesc>
+      <polygon>40.70,-74.02 40.70,-73.98 40.73,-73.98 40.73,-74.02 40.70,-74.02</polygon>
+    </area>
+  </info>
+</alert>`;
+    };
+
+    it('should export an alert as CAP XML', async () => {
+      const { user: admin } = await createAdminUser();
+      const alert = await createTestAlert(admin._id, { severity: 'extreme' });
+
+      const res = await request(app).get(`/api/alerts/${alert._id}.cap`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/application\/cap\+xml/);
+      expect(res.text).toContain(`<identifier>quickalert:alert:${alert._id}</identifier>`);
+      expect(res.text).toContain('<severity>Extreme</severity>');
+    });
+
+    it('should return 404 CAP export for unknown alert', async () => {
+      const res = await request(app).get('/api/alerts/507f1f77bcf86cd799439011.cap');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should serve an Atom feed of active alerts', async () => {
+      const { user: admin } = await createAdminUser();
+      await createTestAlert(admin._id);
+      await createTestAlert(admin._id, { isActive: false, status: 'cancelled' });
+
+      const res = await request(app).get('/api/alerts/feed/cap');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/application\/atom\+xml/);
+      expect(res.text.match(/<entry>/g).length).toBe(1);
+    });
+
+    it('should import a CAP document as an external alert', async () => {
+      const { token: adminToken } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/alerts/import/cap')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'application/xml')
+        .send(buildCap());
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.source.type).toBe('external');
+      expect(res.body.data.source.externalId).toBe('county-2024-001');
+      expect(res.body.data.severity).toBe('critical');
+      expect(res.body.data.targetArea.geometry.type).toBe('Polygon');
+    });
+
+    it('should update the existing alert for a CAP Update message', async () => {
+      const { token: adminToken } = await createAdminUser();
+
+      await request(app)
+        .post('/api/alerts/import/cap')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'application/xml')
+        .send(buildCap());
+
+      const res = await request(app)
+        .post('/api/alerts/import/cap')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'application/xml')
+        .send(buildCap({
+          identifier: 'county-2024-002',
+          msgType: 'Update',
+          references: 'county@example.gov,county-2024-001,2024-01-01T12:00:00-05:00',
+          severity: 'Extreme',
+        }));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.severity).toBe('extreme');
+      expect(await Alert.countDocuments({ 'source.type': 'external' })).toBe(1);
+    });
+
+    it('should reject an invalid CAP document', async () => {
+      const { token: adminToken } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/alerts/import/cap')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'application/xml')
+        .send('<alert><identifier>1</identifier></alert>');
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors.length).toBeGreaterThan(0);
+    });
+
+    it('should hold a responder\'s severe CAP import for approval without broadcasting', async () => {
+      const { token: responderToken } = await createResponderUser();
+      const io = app.get('io');
+      io.emitOfficialAlert.mockClear();
+
+      const res = await request(app)
+        .post('/api/alerts/import/cap')
+        .set('Authorization', `Bearer ${responderToken}`)
+        .set('Content-Type', 'application/xml')
+        .send(buildCap({ severity: 'Extreme' }));
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.status).toBe('pending_approval');
+      expect(res.body.data.isActive).toBe(false);
+      expect(io.emitOfficialAlert).not.toHaveBeenCalled();
+    });
+
+    it('should deny regular users from importing CAP', async () => {
+      const { token } = await createTestUser();
+
+      const res = await request(app)
+        .post('/api/alerts/import/cap')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/xml')
+        .send(buildCap());
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  // ==========================================
+  // Two-person approval
+  // ==========================================
+  describe('Alert approval workflow', () => {
+    const criticalAlert = {
+      title: 'Chemical Spill',
+      description: 'Hazardous material spill near the industrial park',
+      type: 'emergency',
+      severity: 'critical',
+      targetArea: {
+        coordinates: [-74.0060, 40.7128],
+        radius: 5,
+      },
+    };
+
+    it('should hold a responder\'s critical alert for approval', async () => {
+      const { token: responderToken } = await createResponderUser();
+
+      const res = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${responderToken}`)
+        .send(criticalAlert);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.status).toBe('pending_approval');
+      expect(res.body.data.isActive).toBe(false);
+      expect(res.body.data.approval.required).toBe(true);
+    });
+
+    it('should not hold an admin\'s critical alert', async () => {
+      const { token: adminToken } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(criticalAlert);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.status).toBe('active');
+    });
+
+    it('should list pending alerts for admins', async () => {
+      const { user: responder } = await createResponderUser();
+      const { token: adminToken } = await createAdminUser();
+      await createTestAlert(responder._id, { status: 'pending_approval', isActive: false });
+      await createTestAlert(responder._id);
+
+      const res = await request(app)
+        .get('/api/alerts/pending-approval')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.length).toBe(1);
+      expect(res.body.data[0].status).toBe('pending_approval');
+    });
+
+    it('should let a different admin approve a pending alert', async () => {
+      const { user: responder } = await createResponderUser();
+      const { token: adminToken, user: admin } = await createAdminUser();
+      const alert = await createTestAlert(responder._id, { status: 'pending_approval', isActive: false });
+
+      const res = await request(app)
+        .put(`/api/alerts/${alert._id}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('active');
+      expect(res.body.data.isActive).toBe(true);
+      expect(res.body.data.approval.approvedBy).toBe(admin._id.toString());
+      expect(res.body.data.approval.approvedAt).toBeDefined();
+    });
+
+    it('should not let the creator approve their own alert', async () => {
+      const { token: adminToken, user: admin } = await createAdminUser();
+      const alert = await createTestAlert(admin._id, { status: 'pending_approval', isActive: false });
+
+      const res = await request(app)
+        .put(`/api/alerts/${alert._id}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(403);
+      const unchanged = await Alert.findById(alert._id);
+      expect(unchanged.status).toBe('pending_approval');
+    });
+
+    it('should deny responders from approving alerts', async () => {
+      const { user: creator } = await createResponderUser();
+      const { token: responderToken } = await createResponderUser();
+      const alert = await createTestAlert(creator._id, { status: 'pending_approval', isActive: false });
+
+      const res = await request(app)
+        .put(`/api/alerts/${alert._id}/approve`)
+        .set('Authorization', `Bearer ${responderToken}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should reject a pending alert with a reason', async () => {
+      const { user: responder } = await createResponderUser();
+      const { token: adminToken, user: admin } = await createAdminUser();
+      const alert = await createTestAlert(responder._id, { status: 'pending_approval', isActive: false });
+
+      const res = await request(app)
+        .put(`/api/alerts/${alert._id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Not confirmed by field teams' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('cancelled');
+      expect(res.body.data.approval.rejectedBy).toBe(admin._id.toString());
+      expect(res.body.data.approval.rejectionReason).toBe('Not confirmed by field teams');
+    });
+
+    it('should broadcast only once when two admins approve at the same time', async () => {
+      const { user: responder } = await createResponderUser();
+      const { token: firstToken } = await createAdminUser();
+      const { token: secondToken } = await createAdminUser();
+      const alert = await createTestAlert(responder._id, { status: 'pending_approval', isActive: false });
+      const io = app.get('io');
+      io.emitOfficialAlert.mockClear();
+
+      const responses = await Promise.all([firstToken, secondToken].map((token) =>
+        request(app)
+          .put(`/api/alerts/${alert._id}/approve`)
+          .set('Authorization', `Bearer ${token}`)
+      ));
+
+      // The loser sees either the already-approved alert (400) or loses the update race (409)
+      expect(responses.filter((r) => r.status === 200)).toHaveLength(1);
+      expect(io.emitOfficialAlert).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 when approving or rejecting an invalid id', async () => {
+      const { token: adminToken } = await createAdminUser();
+
+      const approve = await request(app)
+        .put('/api/alerts/not-an-id/approve')
+        .set('Authorization', `Bearer ${adminToken}`);
+      const reject = await request(app)
+        .put('/api/alerts/not-an-id/reject')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(approve.status).toBe(404);
+      expect(reject.status).toBe(404);
+    });
+
+    it('should not let a pending alert be activated through PUT /:id', async () => {
+      const { token: responderToken, user: responder } = await createResponderUser();
+      const alert = await createTestAlert(responder._id, { status: 'pending_approval', isActive: false });
+
+      const res = await request(app)
+        .put(`/api/alerts/${alert._id}`)
+        .set('Authorization', `Bearer ${responderToken}`)
+        .send({ status: 'active' });
+
+      expect(res.status).toBe(400);
+      const unchanged = await Alert.findById(alert._id);
+      expect(unchanged.status).toBe('pending_approval');
+    });
+
+    it('should send a responder\'s alert back for approval when raised to critical', async () => {
+      const { token: responderToken, user: responder } = await createResponderUser();
+      const alert = await createTestAlert(responder._id, { severity: 'warning' });
+
+      const res = await request(app)
+        .put(`/api/alerts/${alert._id}`)
+        .set('Authorization', `Bearer ${responderToken}`)
+        .send({ severity: 'critical' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.severity).toBe('critical');
+      expect(res.body.data.status).toBe('pending_approval');
+      expect(res.body.data.isActive).toBe(false);
+    });
+
+    it('should not approve an alert that is not pending', async () => {
+      const { user: responder } = await createResponderUser();
+      const { token: adminToken } = await createAdminUser();
+      const alert = await createTestAlert(responder._id);
+
+      const res = await request(app)
+        .put(`/api/alerts/${alert._id}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  // ==========================================
+  // Scheduled activation and expiry
+  // ==========================================
+  describe('Alert scheduler', () => {
+    const HOUR = 60 * 60 * 1000;
+    let io;
+
+    beforeEach(() => {
+      io = {
+        emitOfficialAlert: jest.fn(),
+        emitAlertExpired: jest.fn(),
+      };
+    });
+
+    it('should create future alerts as scheduled without broadcasting', async () => {
+      const { token: adminToken } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          title: 'Planned Water Outage',
+          description: 'Water will be shut off for maintenance',
+          type: 'infrastructure',
+          targetArea: { coordinates: [-74.0060, 40.7128], radius: 5 },
+          effectiveFrom: new Date(Date.now() + HOUR).toISOString(),
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.status).toBe('scheduled');
+      expect(res.body.data.isActive).toBe(false);
+      expect(app.get('io').emitOfficialAlert).not.toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Planned Water Outage' })
+      );
+    });
+
+    it('should activate due alerts exactly once', async () => {
+      const { user: admin } = await createAdminUser();
+      const alert = await createTestAlert(admin._id, {
+        status: 'scheduled',
+        isActive: false,
+        effectiveFrom: new Date(Date.now() - 1000),
+      });
+
+      const first = await runAlertScheduler(io);
+      const second = await runAlertScheduler(io);
+
+      expect(first.activated).toBe(1);
+      expect(second.activated).toBe(0);
+      expect(io.emitOfficialAlert).toHaveBeenCalledTimes(1);
+
+      const updated = await Alert.findById(alert._id);
+      expect(updated.status).toBe('active');
+      expect(updated.isActive).toBe(true);
+      expect(updated.delivery.broadcastAt).toBeDefined();
+    });
+
+    it('should leave alerts scheduled until effectiveFrom', async () => {
+      const { user: admin } = await createAdminUser();
+      const alert = await createTestAlert(admin._id, {
+        status: 'scheduled',
+        isActive: false,
+        effectiveFrom: new Date(Date.now() + HOUR),
+      });
+
+      await runAlertScheduler(io);
+
+      const unchanged = await Alert.findById(alert._id);
+      expect(unchanged.status).toBe('scheduled');
+      expect(io.emitOfficialAlert).not.toHaveBeenCalled();
+    });
+
+    it('should expire active alerts past effectiveUntil and notify clients', async () => {
+      const { user: admin } = await createAdminUser();
+      const alert = await createTestAlert(admin._id);
+      await Alert.updateOne({ _id: alert._id }, { effectiveUntil: new Date(Date.now() - 1000) });
+
+      const result = await runAlertScheduler(io);
+
+      expect(result.expired).toBe(1);
+      expect(io.emitAlertExpired).toHaveBeenCalledTimes(1);
+
+      const updated = await Alert.findById(alert._id);
+      expect(updated.status).toBe('expired');
+      expect(updated.isActive).toBe(false);
+    });
+
+    it('should expire missed scheduled alerts without broadcasting them', async () => {
+      const { user: admin } = await createAdminUser();
+      const alert = await createTestAlert(admin._id, {
+        status: 'scheduled',
+        isActive: false,
+        effectiveFrom: new Date(Date.now() - 2 * HOUR),
+        effectiveUntil: new Date(Date.now() - HOUR),
+      });
+
+      await runAlertScheduler(io);
+
+      const updated = await Alert.findById(alert._id);
+      expect(updated.status).toBe('expired');
+      expect(io.emitOfficialAlert).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==========================================
+  // Update threads
+  // ==========================================
+  describe('Alert update threads', () => {
+    it('should append a timestamped update to an active alert', async () => {
+      const { token: adminToken, user: admin } = await createAdminUser();
+      const alert = await createTestAlert(admin._id);
+
+      const res = await request(app)
+        .post(`/api/alerts/${alert._id}/updates`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ content: 'Road closures extended to Main St' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.content).toBe('Road closures extended to Main St');
+      expect(res.body.data.updatedAt).toBeDefined();
+      expect(app.get('io').emitAlertThreadEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: alert._id }),
+        'alertUpdatePosted',
+        expect.any(Object)
+      );
+
+      const updated = await Alert.findById(alert._id);
+      expect(updated.updates.length).toBe(1);
+    });
+
+    it('should reject empty updates', async () => {
+      const { token: adminToken, user: admin } = await createAdminUser();
+      const alert = await createTestAlert(admin._id);
+
+      const res = await request(app)
+        .post(`/api/alerts/${alert._id}/updates`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ content: '   ' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should deny regular users from posting updates', async () => {
+      const { user: admin } = await createAdminUser();
+      const { token } = await createTestUser();
+      const alert = await createTestAlert(admin._id);
+
+      const res = await request(app)
+        .post(`/api/alerts/${alert._id}/updates`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Hello' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should supersede an alert with a linked follow-up', async () => {
+      const { token: adminToken, user: admin } = await createAdminUser();
+      const parent = await createTestAlert(admin._id, { severity: 'warning' });
+
+      const res = await request(app)
+        .post(`/api/alerts/${parent._id}/supersede`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          title: 'Flood warning upgraded',
+          description: 'River levels continue to rise',
+          severity: 'critical',
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.parentAlert).toBe(parent._id.toString());
+      expect(res.body.data.status).toBe('active');
+      expect(res.body.data.targetArea.coordinates).toEqual(parent.targetArea.coordinates);
+
+      const updatedParent = await Alert.findById(parent._id);
+      expect(updatedParent.status).toBe('updated');
+      expect(updatedParent.isActive).toBe(false);
+      expect(updatedParent.childAlerts.map(String)).toContain(res.body.data._id);
+    });
+
+    it('should keep the parent live while a responder follow-up awaits approval', async () => {
+      const { token: responderToken, user: responder } = await createResponderUser();
+      const parent = await createTestAlert(responder._id, { severity: 'warning' });
+
+      const res = await request(app)
+        .post(`/api/alerts/${parent._id}/supersede`)
+        .set('Authorization', `Bearer ${responderToken}`)
+        .send({
+          title: 'Escalation',
+          description: 'Conditions worsening',
+          severity: 'extreme',
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.status).toBe('pending_approval');
+
+      const unchanged = await Alert.findById(parent._id);
+      expect(unchanged.status).toBe('active');
+    });
+
+    it('should issue an all-clear that closes the whole chain', async () => {
+      const { token: adminToken, user: admin } = await createAdminUser();
+      const root = await createTestAlert(admin._id, { status: 'updated', isActive: false });
+      const latest = await createTestAlert(admin._id, { parentAlert: root._id });
+      root.childAlerts.push(latest._id);
+      await root.save();
+
+      const res = await request(app)
+        .post(`/api/alerts/${latest._id}/all-clear`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ message: 'Water levels back to normal' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.type).toBe('all_clear');
+      expect(res.body.data.parentAlert).toBe(latest._id.toString());
+
+      const [closedRoot, closedLatest] = await Promise.all([
+        Alert.findById(root._id),
+        Alert.findById(latest._id),
+      ]);
+      expect(closedRoot.status).toBe('resolved');
+      expect(closedLatest.status).toBe('resolved');
+      expect(closedLatest.isActive).toBe(false);
+    });
+
+    it('should close source reports and retract every alert the all-clear closes', async () => {
+      const { token: adminToken, user: admin } = await createAdminUser();
+      const report = await createTestReport(admin._id, { status: 'verified' });
+      const root = await createTestAlert(admin._id, {
+        status: 'updated',
+        isActive: false,
+        source: { type: 'report', reportId: report._id },
+      });
+      const latest = await createTestAlert(admin._id, { parentAlert: root._id });
+      root.childAlerts.push(latest._id);
+      await root.save();
+
+      const io = app.get('io');
+      io.emitAlertRetracted.mockClear();
+
+      const res = await request(app)
+        .post(`/api/alerts/${latest._id}/all-clear`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(res.status).toBe(201);
+      const retracted = io.emitAlertRetracted.mock.calls.map(([a]) => a._id.toString());
+      expect(retracted).toEqual(expect.arrayContaining([root._id.toString(), latest._id.toString()]));
+      const closedReport = await Report.findById(report._id);
+      expect(closedReport.status).toBe('resolved');
+    });
+
+    it('should only let admins or the creator manage an alert\'s thread', async () => {
+      const { user: owner } = await createResponderUser();
+      const { token: otherToken } = await createResponderUser();
+      const alert = await createTestAlert(owner._id);
+
+      const update = await request(app)
+        .post(`/api/alerts/${alert._id}/updates`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ content: 'Roads reopening' });
+      const supersede = await request(app)
+        .post(`/api/alerts/${alert._id}/supersede`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ title: 'Follow-up', description: 'Conditions changed' });
+      const allClear = await request(app)
+        .post(`/api/alerts/${alert._id}/all-clear`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({});
+
+      expect(update.status).toBe(403);
+      expect(supersede.status).toBe(403);
+      expect(allClear.status).toBe(403);
+      const unchanged = await Alert.findById(alert._id);
+      expect(unchanged.status).toBe('active');
+      expect(unchanged.updates.length).toBe(0);
+    });
+
+    it('should return the full thread oldest first', async () => {
+      const { user: admin } = await createAdminUser();
+      const root = await createTestAlert(admin._id, { status: 'updated', isActive: false });
+      const child = await createTestAlert(admin._id, { parentAlert: root._id });
+      root.childAlerts.push(child._id);
+      await root.save();
+
+      const res = await request(app).get(`/api/alerts/${child._id}/thread`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((a) => a._id)).toEqual([
+        root._id.toString(),
+        child._id.toString(),
+      ]);
+    });
+  });
+
+  // ==========================================
+  // PUT /api/alerts/:id/cancel and /resolve
+  // ==========================================
+  describe('Cancel and resolve', () => {
+    it('should cancel an alert and record who and why', async () => {
+      const { token: adminToken, user: admin } = await createAdminUser();
+      const alert = await createTestAlert(admin._id);
+
+      const res = await request(app)
+        .put(`/api/alerts/${alert._id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Issued in error' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('cancelled');
+      expect(res.body.data.isActive).toBe(false);
+      expect(res.body.data.cancelledBy).toBe(admin._id.toString());
+      expect(res.body.data.cancellationReason).toBe('Issued in error');
+      expect(res.body.data.cancelledAt).toBeDefined();
+      expect(app.get('io').emitAlertRetracted).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'cancelled' })
+      );
+    });
+
+    it('should require a cancellation reason', async () => {
+      const { token: adminToken, user: admin } = await createAdminUser();
+      const alert = await createTestAlert(admin._id);
+
+      const res = await request(app)
+        .put(`/api/alerts/${alert._id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should not let a responder cancel someone else\'s alert', async () => {
+      const { user: admin } = await createAdminUser();
+      const { token: responderToken } = await createResponderUser();
+      const alert = await createTestAlert(admin._id);
+
+      const res = await request(app)
+        .put(`/api/alerts/${alert._id}/cancel`)
+        .set('Authorization', `Bearer ${responderToken}`)
+        .send({ reason: 'Not mine' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should resolve an alert with a summary', async () => {
+      const { token: adminToken, user: admin } = await createAdminUser();
+      const alert = await createTestAlert(admin._id);
+
+      const res = await request(app)
+        .put(`/api/alerts/${alert._id}/resolve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ summary: 'Fire contained, roads reopened' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('resolved');
+      expect(res.body.data.resolvedBy).toBe(admin._id.toString());
+      expect(res.body.data.resolutionSummary).toBe('Fire contained, roads reopened');
+    });
+
+    it('should not resolve an alert that is already cancelled', async () => {
+      const { token: adminToken, user: admin } = await createAdminUser();
+      const alert = await createTestAlert(admin._id, { status: 'cancelled', isActive: false });
+
+      const res = await request(app)
+        .put(`/api/alerts/${alert._id}/resolve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 404 for a missing alert', async () => {
+      const { token: adminToken } = await createAdminUser();
+
+      const res = await request(app)
+        .put('/api/alerts/507f1f77bcf86cd799439011/resolve')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  // ==========================================
+  // Acknowledgment, check-in and roll-call
+  // ==========================================
+  describe('Acknowledgment and roll-call', () => {
+    const center = [-74.0060, 40.7128];
+
+    const createAreaAlert = (userId) => createTestAlert(userId, {
+      targetArea: { type: 'Circle', coordinates: center, radius: 5 },
+    });
+
+    const createUserInArea = () => createTestUser({
+      location: { type: 'Point', coordinates: [-74.0050, 40.7130] },
+    });
+
+    it('should acknowledge an alert once per user', async () => {
+      const { user: admin } = await createAdminUser();
+      const { token } = await createTestUser();
+      const alert = await createAreaAlert(admin._id);
+
+      await request(app)
+        .post(`/api/alerts/${alert._id}/acknowledge`)
+        .set('Authorization', `Bearer ${token}`);
+      const res = await request(app)
+        .post(`/api/alerts/${alert._id}/acknowledge`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      const updated = await Alert.findById(alert._id);
+      expect(updated.interactions.acknowledgedBy.length).toBe(1);
+    });
+
+    it('should record a check-in with location', async () => {
+      const { user: admin } = await createAdminUser();
+      const { token } = await createTestUser();
+      const alert = await createAreaAlert(admin._id);
+
+      const res = await request(app)
+        .post(`/api/alerts/${alert._id}/check-in`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'need_help', message: 'Trapped on 2nd floor', location: { lat: 40.713, lng: -74.005 } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('need_help');
+      expect(res.body.data.location.coordinates).toEqual([-74.005, 40.713]);
+      expect(app.get('io').emitRollCallUpdate).toHaveBeenCalledWith(
+        alert._id,
+        'alertCheckIn',
+        expect.objectContaining({ counts: expect.objectContaining({ need_help: 1 }) })
+      );
+    });
+
+    it('should replace a user\'s earlier check-in', async () => {
+      const { user: admin } = await createAdminUser();
+      const { token } = await createTestUser();
+      const alert = await createAreaAlert(admin._id);
+
+      await request(app)
+        .post(`/api/alerts/${alert._id}/check-in`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'need_help' });
+      await request(app)
+        .post(`/api/alerts/${alert._id}/check-in`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'safe' });
+
+      const updated = await Alert.findById(alert._id);
+      expect(updated.interactions.safeCheckIns.length).toBe(1);
+      expect(updated.interactions.safeCheckIns[0].status).toBe('safe');
+    });
+
+    it('should keep one entry per user when check-ins arrive together', async () => {
+      const { user: admin } = await createAdminUser();
+      const { token } = await createTestUser();
+      const { token: otherToken } = await createTestUser();
+      const alert = await createAreaAlert(admin._id);
+
+      const responses = await Promise.all([
+        request(app).post(`/api/alerts/${alert._id}/check-in`).set('Authorization', `Bearer ${token}`).send({ status: 'need_help' }),
+        request(app).post(`/api/alerts/${alert._id}/check-in`).set('Authorization', `Bearer ${token}`).send({ status: 'safe' }),
+        request(app).post(`/api/alerts/${alert._id}/check-in`).set('Authorization', `Bearer ${otherToken}`).send({ status: 'safe' }),
+      ]);
+
+      responses.forEach((res) => expect(res.status).toBe(200));
+      const updated = await Alert.findById(alert._id);
+      expect(updated.interactions.safeCheckIns.length).toBe(2);
+    });
+
+    it('should not expose check-ins on the public alert and thread', async () => {
+      const { user: admin } = await createAdminUser();
+      const { token } = await createTestUser();
+      const alert = await createAreaAlert(admin._id);
+
+      await request(app)
+        .post(`/api/alerts/${alert._id}/check-in`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'need_help', location: { lat: 40.713, lng: -74.005 } });
+      await request(app)
+        .post(`/api/alerts/${alert._id}/acknowledge`)
+        .set('Authorization', `Bearer ${token}`);
+
+      const single = await request(app).get(`/api/alerts/${alert._id}`);
+      const thread = await request(app).get(`/api/alerts/${alert._id}/thread`);
+
+      expect(single.status).toBe(200);
+      expect(single.body.data.interactions.safeCheckIns).toBeUndefined();
+      expect(single.body.data.interactions.acknowledgedBy).toBeUndefined();
+      expect(thread.status).toBe(200);
+      expect(thread.body.data[0].interactions.safeCheckIns).toBeUndefined();
+      expect(thread.body.data[0].interactions.acknowledgedBy).toBeUndefined();
+    });
+
+    it('should reject an invalid check-in status', async () => {
+      const { user: admin } = await createAdminUser();
+      const { token } = await createTestUser();
+      const alert = await createAreaAlert(admin._id);
+
+      const res = await request(app)
+        .post(`/api/alerts/${alert._id}/check-in`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'fine' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should not accept check-ins on a cancelled alert', async () => {
+      const { user: admin } = await createAdminUser();
+      const { token } = await createTestUser();
+      const alert = await createTestAlert(admin._id, { status: 'cancelled', isActive: false });
+
+      const res = await request(app)
+        .post(`/api/alerts/${alert._id}/check-in`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'safe' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should build a roll-call with counts and non-responders', async () => {
+      const { user: admin } = await createAdminUser();
+      const { token: responderToken } = await createResponderUser({
+        location: { type: 'Point', coordinates: [-120, 35] },
+      });
+      const alert = await createAreaAlert(admin._id);
+
+      const { token: safeToken } = await createUserInArea();
+      const { token: helpToken } = await createUserInArea();
+      const { user: silent } = await createUserInArea();
+
+      await request(app)
+        .post(`/api/alerts/${alert._id}/check-in`)
+        .set('Authorization', `Bearer ${safeToken}`)
+        .send({ status: 'safe' });
+      await request(app)
+        .post(`/api/alerts/${alert._id}/check-in`)
+        .set('Authorization', `Bearer ${helpToken}`)
+        .send({ status: 'need_help', location: { lat: 40.713, lng: -74.005 } });
+
+      const res = await request(app)
+        .get(`/api/alerts/${alert._id}/roll-call`)
+        .set('Authorization', `Bearer ${responderToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.counts.safe).toBe(1);
+      expect(res.body.data.counts.need_help).toBe(1);
+      expect(res.body.data.needHelp.length).toBe(1);
+      expect(res.body.data.pending.users.map((u) => u._id)).toContain(silent._id.toString());
+    });
+
+    it('should deny regular users the roll-call', async () => {
+      const { user: admin } = await createAdminUser();
+      const { token } = await createTestUser();
+      const alert = await createAreaAlert(admin._id);
+
+      const res = await request(app)
+        .get(`/api/alerts/${alert._id}/roll-call`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('Multilingual alerts', () => {
+    const translations = [
+      { locale: 'es', title: 'Aviso de inundación', description: 'Evite las zonas bajas' },
+    ];
+
+    it('should create an alert with translations', async () => {
+      const { token } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          title: 'Flood advisory',
+          description: 'Avoid low-lying areas',
+          type: 'weather',
+          targetArea: { coordinates: [-74.006, 40.7128], radius: 5 },
+          translations,
+        });
+
+      expect(res.status).toBe(201);
+      const alert = await Alert.findById(res.body.data._id);
+      expect(alert.language).toBe('en');
+      expect(alert.translations[0].locale).toBe('es');
+    });
+
+    it('should reject a translation in the alert\'s own language', async () => {
+      const { token } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          title: 'Flood advisory',
+          description: 'Avoid low-lying areas',
+          type: 'weather',
+          targetArea: { coordinates: [-74.006, 40.7128], radius: 5 },
+          translations: [{ locale: 'en', title: 'Again', description: 'Duplicate' }],
+        });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should serve the translation matching ?lang or Accept-Language', async () => {
+      const { user: admin } = await createAdminUser();
+      const alert = await createTestAlert(admin._id, { translations });
+
+      const byQuery = await request(app).get(`/api/alerts/${alert._id}?lang=es`);
+      expect(byQuery.body.data.title).toBe('Aviso de inundación');
+      expect(byQuery.body.data.locale).toBe('es');
+
+      const byHeader = await request(app)
+        .get(`/api/alerts/${alert._id}`)
+        .set('Accept-Language', 'es-MX,es;q=0.9');
+      expect(byHeader.body.data.title).toBe('Aviso de inundación');
+    });
+
+    it('should use the reader\'s preferred language and fall back to the base text', async () => {
+      const { user: admin } = await createAdminUser();
+      const { token } = await createTestUser();
+      const alert = await createTestAlert(admin._id, { translations });
+
+      await request(app)
+        .put('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ preferredLanguage: 'es' });
+
+      const preferred = await request(app)
+        .get(`/api/alerts/${alert._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(preferred.body.data.locale).toBe('es');
+
+      const fallback = await request(app).get(`/api/alerts/${alert._id}?lang=fr`);
+      expect(fallback.body.data.title).toBe(alert.title);
+      expect(fallback.body.data.availableLocales).toEqual(['en', 'es']);
+    });
+  });
+
+  describe('Email delivery', () => {
+    const center = [-74.006, 40.7128];
+    let smtp;
+
+    beforeAll(async () => {
+      smtp = await startSmtpStandIn();
+      process.env.SMTP_HOST = '127.0.0.1';
+      process.env.SMTP_PORT = String(smtp.port);
+      await emailService.initializeTransporter();
+    });
+
+    afterAll(async () => {
+      delete process.env.SMTP_HOST;
+      delete process.env.SMTP_PORT;
+      await emailService.initializeTransporter();
+      await smtp.close();
+    });
+
+    // ~2km from the alert center
+    const createResident = (alertPreferences = {}) => createTestUser({
+      location: { type: 'Point', coordinates: [-74.006, 40.731] },
+      alertPreferences: { emailEnabled: true, alertTypes: ['weather'], alertRadius: 10, ...alertPreferences },
+    });
+
+    const createWeatherAlert = (userId) => createTestAlert(userId, {
+      type: 'weather',
+      targetArea: { type: 'Circle', coordinates: center, radius: 5 },
+      channels: { email: true },
+    });
+
+    it('should only email residents whose preferences match', async () => {
+      const { user: admin } = await createAdminUser();
+      const { user: resident } = await createResident();
+      await createResident({ emailEnabled: false });
+      await createResident({ alertTypes: ['traffic'] });
+      await createResident({ alertRadius: 1 });
+      const alert = await createWeatherAlert(admin._id);
+
+      const stats = await sendAlertEmails(alert);
+
+      expect(stats).toEqual({ sent: 1, delivered: 1, failed: 0 });
+      expect(smtp.messages.some((m) => m.to.includes(resident.email))).toBe(true);
+
+      const updated = await Alert.findById(alert._id);
+      expect(updated.delivery.email.sent).toBe(1);
+      expect(updated.delivery.email.delivered).toBe(1);
+      expect(updated.delivery.email.dispatchedAt).toBeDefined();
+    });
+
+    it('should not email anyone twice for the same alert', async () => {
+      const { user: admin } = await createAdminUser();
+      await createResident();
+      const alert = await createWeatherAlert(admin._id);
+
+      await sendAlertEmails(alert);
+      const before = smtp.messages.length;
+      const again = await sendAlertEmails(alert);
+
+      expect(again).toBeNull();
+      expect(smtp.messages.length).toBe(before);
+      const updated = await Alert.findById(alert._id);
+      expect(updated.delivery.email.sent).toBe(1);
+    });
+
+    it('should email life-safety alerts whatever alert types the resident picked', async () => {
+      const { user: admin } = await createAdminUser();
+      const { user: resident } = await createResident({ alertTypes: ['traffic'] });
+      const alert = await createTestAlert(admin._id, {
+        type: 'evacuation',
+        targetArea: { type: 'Circle', coordinates: center, radius: 5 },
+        channels: { email: true },
+      });
+
+      const stats = await sendAlertEmails(alert);
+
+      expect(stats.sent).toBe(1);
+      expect(smtp.messages.some((m) => m.to.includes(resident.email))).toBe(true);
+    });
+
+    it('should record permanent failures', async () => {
+      const { user: admin } = await createAdminUser();
+      await createResident();
+      const alert = await createWeatherAlert(admin._id);
+      smtp.rejectNext('550 Mailbox unavailable');
+
+      const stats = await sendAlertEmails(alert);
+
+      expect(stats).toEqual({ sent: 1, delivered: 0, failed: 1 });
+      const updated = await Alert.findById(alert._id);
+      expect(updated.delivery.email.failed).toBe(1);
+    });
+
+    it('should retry transient SMTP errors before counting a delivery', async () => {
+      const { user: admin } = await createAdminUser();
+      await createResident();
+      const alert = await createWeatherAlert(admin._id);
+      smtp.rejectNext('421 Service not available');
+
+      const stats = await sendAlertEmails(alert);
+
+      expect(stats).toEqual({ sent: 1, delivered: 1, failed: 0 });
+    });
+  });
+
+  // ==========================================
+  // SMS delivery
+  // ==========================================
+  describe('SMS delivery', () => {
+    const center = [-74.006, 40.7128];
+    const webhookToken = 'test-sms-webhook-token';
+    let loopback;
+
+    beforeAll(() => {
+      process.env.SMS_WEBHOOK_TOKEN = webhookToken;
+    });
+
+    afterAll(() => {
+      delete process.env.SMS_WEBHOOK_TOKEN;
+    });
+
+    beforeEach(() => {
+      loopback = createLoopbackTransport();
+      setSmsTransport(loopback);
+    });
+
+    afterEach(() => {
+      setSmsTransport(null);
+    });
+
+    // ~2km from the alert center
+    const createResident = ({ phoneVerified = true, ...alertPreferences } = {}) => createTestUser({
+      phoneVerified,
+      location: { type: 'Point', coordinates: [-74.006, 40.731] },
+      alertPreferences: { smsEnabled: true, alertTypes: ['weather'], alertRadius: 10, ...alertPreferences },
+    });
+
+    const createWeatherAlert = (userId) => createTestAlert(userId, {
+      type: 'weather',
+      severity: 'warning',
+      targetArea: { type: 'Circle', coordinates: center, radius: 5 },
+      channels: { sms: true },
+    });
+
+    const findWithRecipients = (alertId) => Alert.findById(alertId).select('+delivery.sms.recipients');
+
+    it('should text verified residents with SMS on and record each recipient', async () => {
+      const { user: admin } = await createAdminUser();
+      const { user: resident } = await createResident();
+      await createResident({ phoneVerified: false });
+      await createResident({ smsEnabled: false });
+      await createResident({ alertTypes: ['traffic'] });
+      const alert = await createWeatherAlert(admin._id);
+
+      const stats = await sendAlertSms(alert);
+
+      expect(stats).toEqual({ queued: 1, sent: 1, failed: 0, optedOut: 0 });
+      expect(loopback.messages).toHaveLength(1);
+      expect(loopback.messages[0].to).toBe(resident.phone);
+      expect(loopback.messages[0].body).toMatch(/^WARNING: .+ Reply STOP to opt out$/);
+      expect(loopback.messages[0].body.length).toBeLessThanOrEqual(160);
+
+      const updated = await findWithRecipients(alert._id);
+      expect(updated.delivery.sms.sent).toBe(1);
+      expect(updated.delivery.sms.recipients).toEqual([
+        expect.objectContaining({
+          phone: resident.phone,
+          status: 'sent',
+          messageId: loopback.messages[0].messageId,
+          attempts: 1,
+        }),
+      ]);
+    });
+
+    it('should keep recipients out of the public alert response', async () => {
+      const { user: admin } = await createAdminUser();
+      await createResident();
+      const alert = await createWeatherAlert(admin._id);
+      await sendAlertSms(alert);
+
+      const res = await request(app).get(`/api/alerts/${alert._id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.delivery.sms.sent).toBe(1);
+      expect(res.body.data.delivery.sms.recipients).toBeUndefined();
+    });
+
+    it('should only text an alert once', async () => {
+      const { user: admin } = await createAdminUser();
+      await createResident();
+      const alert = await createWeatherAlert(admin._id);
+
+      await sendAlertSms(alert);
+      const second = await sendAlertSms(alert);
+
+      expect(second).toBeNull();
+      expect(loopback.messages).toHaveLength(1);
+    });
+
+    it('should record failures and turn SMS off for numbers the gateway reports as opted out', async () => {
+      const { user: admin } = await createAdminUser();
+      const { user: optedOut } = await createResident();
+      const { user: invalid } = await createResident();
+      const alert = await createWeatherAlert(admin._id);
+      loopback.failNext(optedOut.phone, { optedOut: true });
+      loopback.failNext(invalid.phone, { message: 'Invalid number' });
+
+      const stats = await sendAlertSms(alert);
+
+      expect(stats).toEqual({ queued: 2, sent: 0, failed: 1, optedOut: 1 });
+
+      const updated = await findWithRecipients(alert._id);
+      const byPhone = Object.fromEntries(updated.delivery.sms.recipients.map((r) => [r.phone, r]));
+      expect(byPhone[optedOut.phone].status).toBe('opted_out');
+      expect(byPhone[invalid.phone]).toEqual(expect.objectContaining({ status: 'failed', error: 'Invalid number' }));
+      expect(updated.delivery.sms).toEqual(expect.objectContaining({ sent: 0, failed: 1, optedOut: 1 }));
+
+      const user = await User.findById(optedOut._id);
+      expect(user.alertPreferences.smsEnabled).toBe(false);
+      expect(user.alertPreferences.smsOptedOutAt).toBeInstanceOf(Date);
+    });
+
+    it('should apply delivery receipts from the status webhook once', async () => {
+      const { user: admin } = await createAdminUser();
+      await createResident();
+      const alert = await createWeatherAlert(admin._id);
+      await sendAlertSms(alert);
+      const { messageId } = loopback.messages[0];
+
+      const res = await request(app)
+        .post(`/api/sms/status?token=${webhookToken}`)
+        .type('form')
+        .send({ MessageSid: messageId, MessageStatus: 'delivered' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.updated).toBe(true);
+
+      const repeat = await request(app)
+        .post(`/api/sms/status?token=${webhookToken}`)
+        .send({ messageId, status: 'delivered' });
+      expect(repeat.body.data.updated).toBe(false);
+
+      const updated = await findWithRecipients(alert._id);
+      expect(updated.delivery.sms.delivered).toBe(1);
+      expect(updated.delivery.sms.recipients[0].status).toBe('delivered');
+    });
+
+    it('should count gateway acceptance as sent and settle it on the receipt', async () => {
+      const { user: admin } = await createAdminUser();
+      await createResident();
+      const alert = await createWeatherAlert(admin._id);
+      await sendAlertSms(alert);
+
+      let updated = await Alert.findById(alert._id);
+      expect(updated.delivery.sms).toEqual(expect.objectContaining({ sent: 1, delivered: 0, failed: 0 }));
+      expect(updated.delivery.delivered).toBe(0);
+
+      await request(app)
+        .post(`/api/sms/status?token=${webhookToken}`)
+        .send({ messageId: loopback.messages[0].messageId, status: 'undelivered' });
+
+      updated = await Alert.findById(alert._id);
+      expect(updated.delivery.sms).toEqual(expect.objectContaining({ delivered: 0, failed: 1 }));
+      expect(updated.delivery.delivered).toBe(0);
+    });
+
+    it('should turn SMS alerts off on STOP and back on on START', async () => {
+      const { user: resident } = await createResident();
+
+      const stop = await request(app)
+        .post('/api/sms/inbound')
+        .set('x-sms-webhook-token', webhookToken)
+        .type('form')
+        .send({ From: resident.phone, Body: 'Stop' });
+
+      expect(stop.status).toBe(200);
+      expect(stop.body.data).toEqual({ action: 'opt_out', updated: 1 });
+      let user = await User.findById(resident._id);
+      expect(user.alertPreferences.smsEnabled).toBe(false);
+
+      const start = await request(app)
+        .post('/api/sms/inbound')
+        .set('x-sms-webhook-token', webhookToken)
+        .send({ from: resident.phone, text: 'START' });
+
+      expect(start.body.data).toEqual({ action: 'opt_in', updated: 1 });
+      user = await User.findById(resident._id);
+      expect(user.alertPreferences.smsEnabled).toBe(true);
+      expect(user.alertPreferences.smsOptedOutAt).toBeUndefined();
+    });
+
+    it('should not turn SMS on for START from someone who never opted out by text', async () => {
+      const { user: resident } = await createResident({ smsEnabled: false });
+
+      const res = await request(app)
+        .post('/api/sms/inbound')
+        .set('x-sms-webhook-token', webhookToken)
+        .send({ from: resident.phone, text: 'start' });
+
+      expect(res.body.data.updated).toBe(0);
+    });
+
+    it('should reject webhook calls without the token', async () => {
+      const res = await request(app)
+        .post('/api/sms/inbound')
+        .send({ From: '+15551234567', Body: 'STOP' });
+
+      expect(res.status).toBe(401);
+    });
+  });
 });
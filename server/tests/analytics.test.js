@@ -210,6 +210,38 @@ describe('Analytics Routes', () => {
       expect(Array.isArray(res.body.data.overTime)).toBe(true);
     });
 
+    it('should include SLA breaches and time-to-first-action percentiles', async () => {
+      const { token: adminToken } = await createAdminUser();
+      const { user } = await createTestUser();
+      const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+      await createTestReport(user._id, {
+        severity: 'critical',
+        createdAt: minutesAgo(60),
+        sla: { breachedAt: minutesAgo(55), escalatedAt: minutesAgo(54) },
+      });
+      for (const minutes of [2, 4, 6, 8, 40]) {
+        await createTestReport(user._id, {
+          createdAt: minutesAgo(60),
+          firstActionAt: minutesAgo(60 - minutes),
+        });
+      }
+
+      const res = await request(app)
+        .get('/api/analytics/reports-stats')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.sla.breaches).toBe(1);
+      expect(res.body.data.sla.breachesBySeverity.critical).toBe(1);
+      expect(res.body.data.sla.timeToFirstActionMinutes).toMatchObject({
+        count: 5,
+        p50: 6,
+        p90: 40,
+        max: 40,
+      });
+    });
+
     it('should require authentication', async () => {
       const res = await request(app)
         .get('/api/analytics/reports-stats');
@@ -11,6 +11,15 @@ const helmet = require('helmet');
 const authRoutes = require('../routes/auth');
 const reportRoutes = require('../routes/reports');
 const alertRoutes = require('../routes/alerts');
+const alertTemplateRoutes = require('../routes/alertTemplates');
+const incidentRoutes = require('../routes/incidents');
+const slaPolicyRoutes = require('../routes/slaPolicies');
+const categoryRoutes = require('../routes/categories');
+const verificationPolicyRoutes = require('../routes/verificationPolicies');
+const userRoutes = require('../routes/users');
+const auditRoutes = require('../routes/audit');
+const verificationRoutes = require('../routes/verifications');
+const smsRoutes = require('../routes/sms');
 const analyticsRoutes = require('../routes/analytics');
 
 /**
@@ -32,8 +41,18 @@ const createApp = () => {
     emitNewReport: jest.fn(),
     emitReportVerified: jest.fn(),
     emitOfficialAlert: jest.fn(),
+    emitAlertExpired: jest.fn(),
+    emitAlertThreadEvent: jest.fn(),
+    emitAlertRetracted: jest.fn(),
+    emitRollCallUpdate: jest.fn(),
     emitReportModerated: jest.fn(),
+    emitIncidentUpdate: jest.fn(),
+    emitReportEscalated: jest.fn(),
+    emitReportUpdate: jest.fn(),
     emitUserCountUpdate: jest.fn(),
+    notifyUser: jest.fn(),
+    notifyRole: jest.fn(),
+    disconnectUser: jest.fn(),
   };
   app.set('io', mockIo);
 
@@ -41,6 +60,15 @@ const createApp = () => {
   app.use('/api/auth', authRoutes);
   app.use('/api/reports', reportRoutes);
   app.use('/api/alerts', alertRoutes);
+  app.use('/api/alert-templates', alertTemplateRoutes);
+  app.use('/api/incidents', incidentRoutes);
+  app.use('/api/sla-policies', slaPolicyRoutes);
+  app.use('/api/categories', categoryRoutes);
+  app.use('/api/verification-policies', verificationPolicyRoutes);
+  app.use('/api/users', userRoutes);
+  app.use('/api/audit', auditRoutes);
+  app.use('/api/verifications', verificationRoutes);
+  app.use('/api/sms', smsRoutes);
   app.use('/api/analytics', analyticsRoutes);
 
   // Health check
@@ -0,0 +1,193 @@
+/**
+ * Audit Log Tests
+ * Tests for the audit trail written by privileged routes and the /api/audit endpoints
+ */
+
+require('./setup');
+const request = require('supertest');
+const createApp = require('./app');
+const AuditLog = require('../models/AuditLog');
+const {
+  createTestUser,
+  createAdminUser,
+  createTestReport,
+} = require('./helpers');
+
+const app = createApp();
+
+describe('Audit Log', () => {
+  // ==========================================
+  // Entries written by privileged routes
+  // ==========================================
+  describe('Recording', () => {
+    it('should record report moderation with the changed fields', async () => {
+      const { user: admin, token } = await createAdminUser();
+      const { user: reporter } = await createTestUser();
+      const report = await createTestReport(reporter._id);
+
+      await request(app)
+        .patch(`/api/reports/${report._id}/moderate`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('User-Agent', 'audit-test')
+        .send({ action: 'reject', reason: 'Hoax' });
+
+      const entry = await AuditLog.findOne({ action: 'report.moderate' });
+      expect(entry.actor.toString()).toBe(admin._id.toString());
+      expect(entry.actorRole).toBe('admin');
+      expect(entry.target.id.toString()).toBe(report._id.toString());
+      expect(entry.changes).toEqual(expect.arrayContaining([
+        expect.objectContaining({ field: 'status', to: 'rejected' }),
+      ]));
+      expect(entry.metadata.reason).toBe('Hoax');
+      expect(entry.userAgent).toBe('audit-test');
+      expect(entry.ipAddress).toBeDefined();
+    });
+
+    it('should record alert creation and edits', async () => {
+      const { token } = await createAdminUser();
+
+      const created = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          title: 'Flood warning',
+          description: 'River levels rising',
+          type: 'weather',
+          severity: 'warning',
+          targetArea: { coordinates: [-74.0060, 40.7128], radius: 5 },
+        });
+
+      await request(app)
+        .put(`/api/alerts/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ severity: 'critical' });
+
+      const entries = await AuditLog.find({ 'target.id': created.body.data._id }).sort({ createdAt: 1 });
+      expect(entries.map((e) => e.action)).toEqual(['alert.create', 'alert.update']);
+      expect(entries[1].changes).toEqual([
+        expect.objectContaining({ field: 'severity', from: 'warning', to: 'critical' }),
+      ]);
+    });
+
+    it('should record role changes', async () => {
+      const { token } = await createAdminUser();
+      const { user } = await createTestUser();
+
+      await request(app)
+        .put(`/api/users/${user._id}/role`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'responder' });
+
+      const entry = await AuditLog.findOne({ action: 'user.role_change' });
+      expect(entry.changes).toEqual([{ field: 'role', from: 'user', to: 'responder' }]);
+    });
+
+    it('should record failed logins', async () => {
+      const { user } = await createTestUser();
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: 'WrongPassword1!' });
+
+      const entry = await AuditLog.findOne({ action: 'auth.login_failed' });
+      expect(entry.target.id.toString()).toBe(user._id.toString());
+    });
+  });
+
+  // ==========================================
+  // Immutability
+  // ==========================================
+  describe('Immutability', () => {
+    it('should refuse to update or delete entries', async () => {
+      const entry = await AuditLog.create({ action: 'test.action' });
+
+      entry.action = 'test.changed';
+      await expect(entry.save()).rejects.toThrow('cannot be modified');
+      await expect(AuditLog.updateOne({ _id: entry._id }, { action: 'x' })).rejects.toThrow();
+      await expect(AuditLog.findByIdAndUpdate(entry._id, { action: 'x' })).rejects.toThrow();
+      await expect(AuditLog.deleteOne({ _id: entry._id })).rejects.toThrow();
+      await expect(AuditLog.findByIdAndDelete(entry._id)).rejects.toThrow();
+
+      const stored = await AuditLog.findById(entry._id);
+      expect(stored.action).toBe('test.action');
+    });
+  });
+
+  // ==========================================
+  // /api/audit
+  // ==========================================
+  describe('GET /api/audit', () => {
+    it('should search and filter entries', async () => {
+      const { token } = await createAdminUser();
+      await AuditLog.create([
+        { action: 'report.moderate', target: { type: 'Report', label: 'Bridge collapse' } },
+        { action: 'alert.create', target: { type: 'Alert', label: 'Flood warning' } },
+        { action: 'alert.cancel', target: { type: 'Alert', label: 'Flood warning' } },
+      ]);
+
+      const [byPrefix, bySearch] = await Promise.all([
+        request(app).get('/api/audit?action=alert.').set('Authorization', `Bearer ${token}`),
+        request(app).get('/api/audit?search=bridge').set('Authorization', `Bearer ${token}`),
+      ]);
+
+      expect(byPrefix.body.data).toHaveLength(2);
+      expect(bySearch.body.data).toHaveLength(1);
+      expect(bySearch.body.data[0].action).toBe('report.moderate');
+    });
+
+    it('should reject invalid dates and repeated filters', async () => {
+      const { token } = await createAdminUser();
+
+      const responses = await Promise.all([
+        request(app).get('/api/audit?from=yesterday').set('Authorization', `Bearer ${token}`),
+        request(app).get('/api/audit/export?to=2026-13-45').set('Authorization', `Bearer ${token}`),
+        request(app).get('/api/audit?search=a&search=b').set('Authorization', `Bearer ${token}`),
+      ]);
+
+      responses.forEach((res) => expect(res.status).toBe(400));
+    });
+
+    it('should export entries as CSV', async () => {
+      const { token } = await createAdminUser();
+      await AuditLog.create({
+        action: 'alert.create',
+        actorLabel: 'admin@example.com',
+        target: { type: 'Alert', label: 'Flood, "severe"' },
+      });
+
+      const res = await request(app)
+        .get('/api/audit/export')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('text/csv');
+      const [header, row] = res.text.split('\r\n');
+      expect(header.split(',')[0]).toBe('time');
+      expect(row).toContain('admin@example.com');
+      expect(row).toContain('"Flood, ""severe"""');
+    });
+
+    it('should not be available to responders', async () => {
+      const { token } = await createTestUser({ role: 'responder' });
+
+      const res = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should have no routes to change entries', async () => {
+      const { token } = await createAdminUser();
+      const entry = await AuditLog.create({ action: 'test.action' });
+
+      const [put, del] = await Promise.all([
+        request(app).put(`/api/audit/${entry._id}`).set('Authorization', `Bearer ${token}`).send({ action: 'x' }),
+        request(app).delete(`/api/audit/${entry._id}`).set('Authorization', `Bearer ${token}`),
+      ]);
+
+      expect(put.status).toBe(404);
+      expect(del.status).toBe(404);
+    });
+  });
+});
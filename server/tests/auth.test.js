@@ -7,6 +7,8 @@ require('./setup');
 const request = require('supertest');
 const createApp = require('./app');
 const User = require('../models/User');
+const Verification = require('../models/Verification');
+const { setSmsTransport } = require('../utils/smsService');
 const { createTestUser, createAdminUser } = require('./helpers');
 
 const app = createApp();
@@ -296,4 +298,156 @@ describe('Auth Routes', () => {
       expect(res.status).toBe(400);
     });
   });
+
+  // ==========================================
+  // Phone verification
+  // ==========================================
+  describe('Phone verification', () => {
+    let sent;
+
+    beforeEach(() => {
+      sent = [];
+      setSmsTransport({
+        name: 'memory',
+        send: async (message) => {
+          sent.push(message);
+          return { messageId: `m-${sent.length}` };
+        },
+      });
+    });
+
+    afterAll(() => setSmsTransport(null));
+
+    const startPhone = (token, phone) => request(app)
+      .post('/api/auth/phone/start')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ phone });
+
+    const verifyPhone = (token, code) => request(app)
+      .post('/api/auth/phone/verify')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code });
+
+    const codeFrom = (message) => message.body.match(/\d{6}/)[0];
+
+    it('should text a code and verify the number', async () => {
+      const { user, token } = await createTestUser();
+
+      const start = await startPhone(token, '+1 (555) 123-4567');
+      expect(start.status).toBe(200);
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe('+15551234567');
+
+      const res = await verifyPhone(token, codeFrom(sent[0]));
+      expect(res.status).toBe(200);
+      expect(res.body.data.phoneVerified).toBe(true);
+
+      const updated = await User.findById(user._id);
+      expect(updated.phone).toBe('+15551234567');
+      expect(updated.phoneVerified).toBe(true);
+    });
+
+    it('should reject a wrong code and expire after the last attempt', async () => {
+      const { token } = await createTestUser();
+      await startPhone(token, '+15551234567');
+      const code = codeFrom(sent[0]);
+      const wrong = code === '000000' ? '111111' : '000000';
+
+      const first = await verifyPhone(token, wrong);
+      expect(first.status).toBe(400);
+      expect(first.body.attemptsRemaining).toBe(2);
+
+      await verifyPhone(token, wrong);
+      await verifyPhone(token, wrong);
+
+      const res = await verifyPhone(token, code);
+      expect(res.status).toBe(400);
+      expect(res.body.message).toContain('No phone verification in progress');
+    });
+
+    it('should not send codes more than once a minute', async () => {
+      const { token } = await createTestUser();
+
+      await startPhone(token, '+15551234567');
+      const res = await startPhone(token, '+15551234567');
+
+      expect(res.status).toBe(429);
+      expect(sent).toHaveLength(1);
+    });
+
+    it('should not verify a number already verified on another account', async () => {
+      await createTestUser({ phone: '+15551234567', phoneVerified: true });
+      const { token } = await createTestUser();
+
+      const res = await startPhone(token, '+15551234567');
+
+      expect(res.status).toBe(409);
+      expect(sent).toHaveLength(0);
+    });
+
+    it('should not verify a number another account verified after the code was sent', async () => {
+      const { token } = await createTestUser();
+      await startPhone(token, '+15551234567');
+      await createTestUser({ phone: '+15551234567', phoneVerified: true });
+
+      const res = await verifyPhone(token, codeFrom(sent[0]));
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should cancel the code if the SMS cannot be sent', async () => {
+      const { user, token } = await createTestUser();
+      setSmsTransport({
+        name: 'broken',
+        send: async () => {
+          throw new Error('Gateway down');
+        },
+      });
+
+      const res = await startPhone(token, '+15551234567');
+
+      expect(res.status).toBe(502);
+      const verification = await Verification.findOne({ user: user._id, type: 'phone' });
+      expect(verification.status).toBe('cancelled');
+    });
+
+    it('should require a verified phone to enable SMS alerts', async () => {
+      const { token } = await createTestUser();
+
+      const res = await request(app)
+        .put('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ alertPreferences: { smsEnabled: true } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toContain('Verify your phone');
+    });
+
+    it('should turn SMS alerts off when the phone number changes', async () => {
+      const { user, token } = await createTestUser({
+        phone: '+15551234567',
+        phoneVerified: true,
+        alertPreferences: { smsEnabled: true },
+      });
+
+      const enable = await request(app)
+        .put('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ phone: '+1 555 123 4567', alertPreferences: { smsEnabled: true } });
+      expect(enable.status).toBe(200);
+      expect(enable.body.data.phoneVerified).toBe(true);
+
+      const res = await request(app)
+        .put('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ phone: '+15559876543' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.phoneVerified).toBe(false);
+      expect(res.body.data.alertPreferences.smsEnabled).toBe(false);
+
+      const updated = await User.findById(user._id);
+      expect(updated.phoneVerified).toBe(false);
+    });
+  });
 });
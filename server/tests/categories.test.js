@@ -0,0 +1,190 @@
+/**
+ * Category Tests
+ * Tests for /api/categories, the public category list and category-driven alerts
+ */
+
+require('./setup');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const createApp = require('./app');
+const Alert = require('../models/Alert');
+const Category = require('../models/Category');
+const {
+  createTestUser,
+  createAdminUser,
+  createResponderUser,
+  createTestReport,
+} = require('./helpers');
+
+const app = createApp();
+
+const reportBody = (overrides = {}) => ({
+  title: 'Report title',
+  description: 'Something happened here',
+  location: { coordinates: [-74.0060, 40.7128] },
+  ...overrides,
+});
+
+describe('Categories', () => {
+  // ==========================================
+  // GET /api/reports/categories/list
+  // ==========================================
+  describe('GET /api/reports/categories/list', () => {
+    it('should seed and list the built-in categories', async () => {
+      const res = await request(app).get('/api/reports/categories/list');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(Category.DEFAULT_CATEGORIES.length);
+      expect(res.body.data[0]).toHaveProperty('icon');
+      expect(res.body.data[0]).not.toHaveProperty('alertType');
+    });
+
+    it('should leave out inactive categories', async () => {
+      await Category.ensureDefaults();
+      await Category.updateOne({ key: 'weather' }, { isActive: false });
+
+      const res = await request(app).get('/api/reports/categories/list');
+
+      expect(res.body.data.map((c) => c.key)).not.toContain('weather');
+    });
+  });
+
+  // ==========================================
+  // /api/categories
+  // ==========================================
+  describe('Category management', () => {
+    it('should let an admin create a category that reports can use', async () => {
+      const { token } = await createAdminUser();
+      const { token: userToken } = await createTestUser();
+
+      const created = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          key: 'gas_leak',
+          name: 'Gas Leak',
+          icon: '💨',
+          defaultSeverity: 'critical',
+          alertType: 'evacuation',
+          subcategories: [{ key: 'mains', name: 'Mains supply' }],
+        });
+
+      expect(created.status).toBe(201);
+
+      const report = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(reportBody({ category: 'gas_leak' }));
+
+      expect(report.status).toBe(201);
+      expect(report.body.data.severity).toBe('critical');
+    });
+
+    it('should reject reports in an inactive category', async () => {
+      const { token } = await createTestUser();
+      await Category.ensureDefaults();
+      await Category.updateOne({ key: 'fire' }, { isActive: false });
+
+      const res = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${token}`)
+        .send(reportBody({ category: 'fire' }));
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should not allow changing a category key', async () => {
+      const { token } = await createAdminUser();
+      await Category.ensureDefaults();
+      const fire = await Category.findOne({ key: 'fire' });
+
+      const res = await request(app)
+        .put(`/api/categories/${fire._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ key: 'blaze', name: 'Fire & Smoke' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.key).toBe('fire');
+      expect(res.body.data.name).toBe('Fire & Smoke');
+    });
+
+    it('should refuse to delete built-in or in-use categories', async () => {
+      const { user, token } = await createAdminUser();
+      await Category.ensureDefaults();
+      const fire = await Category.findOne({ key: 'fire' });
+      const custom = await Category.create({ key: 'gas_leak', name: 'Gas Leak' });
+      await createTestReport(user._id, { category: 'gas_leak' });
+
+      const builtIn = await request(app)
+        .delete(`/api/categories/${fire._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      const inUse = await request(app)
+        .delete(`/api/categories/${custom._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(builtIn.status).toBe(400);
+      expect(inUse.status).toBe(400);
+    });
+
+    it('should be admin only', async () => {
+      const { token } = await createResponderUser();
+
+      const res = await request(app)
+        .get('/api/categories')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  // ==========================================
+  // Category-driven alerts
+  // ==========================================
+  describe('Alerts from verified reports', () => {
+    // Three confirmations already in, so one more reaches the community threshold
+    const createNearlyVerifiedReport = async (category) => {
+      const { user } = await createTestUser();
+      return createTestReport(user._id, {
+        category,
+        location: { type: 'Point', coordinates: [-74.0060, 40.7128] },
+        votes: {
+          up: 3,
+          down: 0,
+          voters: [1, 2, 3].map(() => ({ user: new mongoose.Types.ObjectId(), vote: 'up' })),
+        },
+      });
+    };
+
+    const confirm = async (report) => {
+      const { token } = await createTestUser();
+      return request(app)
+        .post(`/api/reports/${report._id}/verify`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ vote: 'confirm', userLat: 40.7128, userLng: -74.0060 });
+    };
+
+    it('should use the category alert type, severity and radius', async () => {
+      await Category.ensureDefaults();
+      await Category.updateOne({ key: 'fire' }, { 'autoAlert.radiusKm': 2, alertSeverity: 'extreme' });
+      const report = await createNearlyVerifiedReport('fire');
+
+      await confirm(report);
+
+      const alert = await Alert.findOne({ 'source.reportId': report._id });
+      expect(alert.type).toBe('emergency');
+      expect(alert.severity).toBe('extreme');
+      expect(alert.targetArea.radius).toBe(2);
+    });
+
+    it('should not raise an alert when the category has auto alerts off', async () => {
+      await Category.ensureDefaults();
+      await Category.updateOne({ key: 'traffic' }, { 'autoAlert.enabled': false });
+      const report = await createNearlyVerifiedReport('traffic');
+
+      const res = await confirm(report);
+
+      expect(res.status).toBe(200);
+      expect(await Alert.countDocuments({ 'source.reportId': report._id })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Incident Routes Tests
+ * Tests for /api/incidents endpoints and automatic clustering of new reports
+ */
+
+require('./setup');
+const request = require('supertest');
+const createApp = require('./app');
+const Incident = require('../models/Incident');
+const Report = require('../models/Report');
+const {
+  createTestUser,
+  createResponderUser,
+  createTestReport,
+} = require('./helpers');
+
+const app = createApp();
+
+const at = (lng, lat) => ({ type: 'Point', coordinates: [lng, lat] });
+
+const gasLeak = {
+  title: 'Smell of gas on Elm Street',
+  description: 'Strong gas smell outside the bakery',
+  category: 'public_safety',
+  severity: 'medium',
+  location: { coordinates: [-74.0060, 40.7128] },
+};
+
+describe('Incident Routes', () => {
+  // ==========================================
+  // Automatic clustering
+  // ==========================================
+  describe('Automatic clustering', () => {
+    it('should open an incident when a second report comes in nearby', async () => {
+      const { user } = await createTestUser();
+      const first = await createTestReport(user._id, { location: at(-74.0062, 40.7130) });
+
+      const res = await request(app).post('/api/reports').send(gasLeak);
+
+      expect(res.status).toBe(201);
+
+      const incident = await Incident.findOne({ reports: first._id });
+      expect(incident).not.toBeNull();
+      expect(incident.autoCreated).toBe(true);
+      expect(incident.reports.map(String)).toContain(res.body.data._id);
+
+      const updatedFirst = await Report.findById(first._id);
+      expect(updatedFirst.incident.toString()).toBe(incident._id.toString());
+      expect(app.get('io').emitIncidentUpdate).toHaveBeenCalled();
+    });
+
+    it('should not cluster a report held for review', async () => {
+      const { user } = await createTestUser();
+      await createTestReport(user._id, { location: at(-74.0062, 40.7130) });
+      const { token } = await createTestUser({ reputation: { score: 10, tier: 'untrusted', calculatedAt: new Date() } });
+
+      const res = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${token}`)
+        .send(gasLeak);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.heldForReview).toBe(true);
+      expect(await Incident.countDocuments()).toBe(0);
+    });
+
+    it('should leave a lone report unclustered', async () => {
+      const { user } = await createTestUser();
+      await createTestReport(user._id, { location: at(-73.9000, 40.8000) });
+
+      const res = await request(app).post('/api/reports').send(gasLeak);
+
+      expect(res.status).toBe(201);
+      expect(await Incident.countDocuments()).toBe(0);
+    });
+
+    it('should add a new report to an open incident and roll severity up', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createResponderUser();
+      const a = await createTestReport(user._id, { severity: 'low', location: at(-74.0060, 40.7128) });
+      const b = await createTestReport(user._id, { severity: 'low', location: at(-74.0064, 40.7131) });
+
+      const created = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Elm Street gas leak', reportIds: [a._id, b._id] });
+      expect(created.body.data.severity).toBe('low');
+
+      const res = await request(app)
+        .post('/api/reports')
+        .send({ ...gasLeak, severity: 'critical' });
+
+      const incident = await Incident.findById(created.body.data._id);
+      expect(incident.reports.map(String)).toContain(res.body.data._id);
+      expect(incident.severity).toBe('critical');
+    });
+
+    it('should not put a removed report back into the same incident', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createResponderUser();
+      const a = await createTestReport(user._id, { location: at(-74.0060, 40.7128) });
+      const b = await createTestReport(user._id, { location: at(-74.0061, 40.7129) });
+
+      const created = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Elm Street', reportIds: [a._id, b._id] });
+      const incidentId = created.body.data._id;
+
+      const res = await request(app)
+        .delete(`/api/incidents/${incidentId}/reports/${b._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.reports.map(String)).not.toContain(b._id.toString());
+      expect(res.body.data.excludedReports.map(String)).toContain(b._id.toString());
+
+      const updatedB = await Report.findById(b._id);
+      expect(updatedB.incident).toBeUndefined();
+    });
+  });
+
+  // ==========================================
+  // GET /api/incidents
+  // ==========================================
+  describe('GET /api/incidents', () => {
+    it('should list open incidents near a point', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createResponderUser();
+      const a = await createTestReport(user._id, { location: at(-74.0060, 40.7128) });
+      const b = await createTestReport(user._id, { location: at(-74.0062, 40.7130) });
+      await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Elm Street', reportIds: [a._id, b._id] });
+
+      const near = await request(app).get('/api/incidents?lat=40.7128&lng=-74.0060&radius=5000');
+      const far = await request(app).get('/api/incidents?lat=34.0522&lng=-118.2437&radius=5000');
+
+      expect(near.status).toBe(200);
+      expect(near.body.data).toHaveLength(1);
+      expect(near.body.data[0].reportCount).toBe(2);
+      expect(far.body.data).toHaveLength(0);
+    });
+
+    it('should hide resolved incidents unless asked for', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createResponderUser();
+      const report = await createTestReport(user._id);
+      const created = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Resolved incident', reportIds: [report._id] });
+      await request(app)
+        .put(`/api/incidents/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'resolved' });
+
+      const open = await request(app).get('/api/incidents');
+      const resolved = await request(app).get('/api/incidents?status=resolved');
+
+      expect(open.body.data).toHaveLength(0);
+      expect(resolved.body.data).toHaveLength(1);
+    });
+  });
+
+  // ==========================================
+  // GET /api/incidents/:id
+  // ==========================================
+  describe('GET /api/incidents/:id', () => {
+    it('should return reports and a combined timeline', async () => {
+      const { user } = await createTestUser();
+      const { user: responder, token } = await createResponderUser();
+      const report = await createTestReport(user._id, {
+        updates: [{ author: responder._id, content: 'Crew on scene', isOfficial: true }],
+      });
+      const created = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Timeline', reportIds: [report._id] });
+
+      const res = await request(app).get(`/api/incidents/${created.body.data._id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.reports[0].title).toBe(report.title);
+      const types = res.body.data.timeline.map((entry) => entry.type);
+      expect(types).toEqual(expect.arrayContaining(['created', 'report_added', 'reported', 'official_update']));
+    });
+
+    it('should leave held reports out of the reports and timeline', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createResponderUser();
+      const visible = await createTestReport(user._id);
+      const held = await createTestReport(user._id, { heldForReview: true });
+      const created = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Held', reportIds: [visible._id, held._id] });
+
+      const res = await request(app).get(`/api/incidents/${created.body.data._id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.reports.map((r) => r._id)).toEqual([visible._id.toString()]);
+      expect(res.body.data.timeline.map((entry) => String(entry.report))).not.toContain(held._id.toString());
+    });
+
+    it('should return 404 for an unknown incident', async () => {
+      const res = await request(app).get('/api/incidents/507f1f77bcf86cd799439011');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  // ==========================================
+  // Manual edits
+  // ==========================================
+  describe('Manual edits', () => {
+    it('should require a responder or admin', async () => {
+      const { user, token } = await createTestUser();
+      const report = await createTestReport(user._id);
+
+      const res = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Not allowed', reportIds: [report._id] });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should accept any category key and reject unknown ones', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createResponderUser();
+      const report = await createTestReport(user._id);
+
+      const send = (category) => request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Categorised', category, reportIds: [report._id] });
+
+      expect((await send('public_safety')).status).toBe(201);
+      expect((await send('not_a_category')).status).toBe(400);
+    });
+
+    it('should reject an incident without reports', async () => {
+      const { token } = await createResponderUser();
+
+      const res = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Empty', reportIds: [] });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should record status changes in the timeline', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createResponderUser();
+      const report = await createTestReport(user._id);
+      const created = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Status', reportIds: [report._id] });
+
+      const res = await request(app)
+        .put(`/api/incidents/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'contained', title: 'Gas leak contained' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.title).toBe('Gas leak contained');
+      const events = res.body.data.events.map((event) => event.type);
+      expect(events).toEqual(expect.arrayContaining(['status_changed', 'edited']));
+    });
+
+    it('should move a report out of its previous incident', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createResponderUser();
+      const a = await createTestReport(user._id);
+      const b = await createTestReport(user._id);
+      const first = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'First', reportIds: [a._id, b._id] });
+      const second = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Second', reportIds: [a._id] });
+
+      const previous = await Incident.findById(first.body.data._id);
+      expect(previous.reports.map(String)).toEqual([b._id.toString()]);
+
+      const moved = await Report.findById(a._id);
+      expect(moved.incident.toString()).toBe(second.body.data._id);
+    });
+  });
+});
@@ -244,6 +244,29 @@ describe('Models', () => {
       expect(report.updates.length).toBe(1);
       expect(report.updates[0].content).toBe('First update');
     });
+
+    it('should keep vote weights when absorbing a duplicate', async () => {
+      const reportData = {
+        description: 'Test',
+        category: 'other',
+        location: {
+          type: 'Point',
+          coordinates: [-74.0060, 40.7128],
+        },
+        reporter: testUser._id,
+      };
+      const original = await Report.create({ ...reportData, title: 'Original' });
+      const duplicate = await Report.create({
+        ...reportData,
+        title: 'Duplicate',
+        votes: { up: 1, voters: [{ user: testUser._id, vote: 'up', weight: 2.5 }] },
+      });
+
+      original.absorbDuplicate(duplicate, testUser._id);
+
+      expect(original.votes.voters[0].weight).toBe(2.5);
+      expect(original.getWeightedVotes().up).toBe(2.5);
+    });
   });
 
   // ==========================================
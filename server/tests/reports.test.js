@@ -7,6 +7,11 @@ require('./setup');
 const request = require('supertest');
 const createApp = require('./app');
 const Report = require('../models/Report');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const Category = require('../models/Category');
+const SocketLocation = require('../models/SocketLocation');
+const ReportVerification = require('../models/ReportVerification');
 const {
   createTestUser,
   createAdminUser,
@@ -52,6 +57,27 @@ describe('Reports Routes', () => {
       expect(res.body.data.location.coordinates).toEqual([-74.0060, 40.7128]);
     });
 
+    it('should reject a subcategory the category does not have', async () => {
+      await Category.create({
+        key: 'utilities',
+        name: 'Utilities',
+        subcategories: [{ key: 'water', name: 'Water' }],
+      });
+      const report = {
+        title: 'Burst pipe',
+        description: 'Water pouring into the street',
+        category: 'utilities',
+        location: { coordinates: [-74.0060, 40.7128] },
+      };
+
+      const bad = await request(app).post('/api/reports').send({ ...report, subcategory: 'gas' });
+      const good = await request(app).post('/api/reports').send({ ...report, subcategory: 'water' });
+
+      expect(bad.status).toBe(400);
+      expect(good.status).toBe(201);
+      expect(good.body.data.subcategory).toBe('water');
+    });
+
     it('should allow anonymous report creation (optionalAuth)', async () => {
       const res = await request(app)
         .post('/api/reports')
@@ -651,4 +677,857 @@ describe('Reports Routes', () => {
       expect(res.status).toBe(401);
     });
   });
+
+  // ==========================================
+  // Duplicate detection and merging
+  // ==========================================
+  describe('Duplicate detection and merging', () => {
+    const carFire = {
+      title: 'Car on fire on Main Street',
+      description: 'A car is burning outside the grocery store on Main Street',
+      category: 'fire',
+      location: { coordinates: [-74.0060, 40.7128] },
+    };
+
+    it('should link a near-identical report as a likely duplicate', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createTestUser();
+      const original = await createTestReport(user._id, {
+        ...carFire,
+        location: { type: 'Point', coordinates: [-74.0061, 40.7129] },
+      });
+
+      const res = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...carFire, title: 'Burning car Main Street' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.possibleDuplicates.map((d) => d._id)).toContain(original._id.toString());
+
+      const updatedOriginal = await Report.findById(original._id);
+      expect(updatedOriginal.relatedReports.map(String)).toContain(res.body.data._id);
+    });
+
+    it('should not link unrelated reports nearby', async () => {
+      const { user } = await createTestUser();
+      await createTestReport(user._id, {
+        title: 'Pothole on the corner',
+        description: 'Deep pothole damaging tyres',
+        category: 'infrastructure',
+        location: { type: 'Point', coordinates: [-74.0090, 40.7150] },
+      });
+
+      const res = await request(app).post('/api/reports').send(carFire);
+
+      expect(res.status).toBe(201);
+      expect(res.body.possibleDuplicates).toEqual([]);
+    });
+
+    it('should list scored duplicate candidates for moderators', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createResponderUser();
+      const first = await createTestReport(user._id, { ...carFire, location: { type: 'Point', ...carFire.location } });
+      const second = await createTestReport(user._id, { ...carFire, location: { type: 'Point', ...carFire.location } });
+
+      const res = await request(app)
+        .get(`/api/reports/${second._id}/duplicates`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data[0].report._id).toBe(first._id.toString());
+      expect(res.body.data[0].score).toBeGreaterThan(0.8);
+    });
+
+    it('should merge media, votes and updates into the primary report', async () => {
+      const { user: reporter } = await createTestUser();
+      const { user: voter } = await createTestUser();
+      const { token } = await createAdminUser();
+      const location = { type: 'Point', ...carFire.location };
+
+      const primary = await createTestReport(reporter._id, {
+        ...carFire,
+        location,
+        media: [{ url: 'https://example.com/a.jpg', type: 'image' }],
+      });
+      const duplicate = await createTestReport(reporter._id, {
+        ...carFire,
+        location,
+        media: [{ url: 'https://example.com/b.jpg', type: 'image' }],
+        votes: { up: 1, down: 0, voters: [{ user: voter._id, vote: 'up' }] },
+        updates: [{ author: voter._id, content: 'Fire crews on scene' }],
+      });
+
+      const res = await request(app)
+        .post(`/api/reports/${primary._id}/merge`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ duplicateIds: [duplicate._id] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.media.length).toBe(2);
+      expect(res.body.data.votes.up).toBe(1);
+      expect(res.body.data.updates[0].content).toBe('Fire crews on scene');
+
+      const merged = await Report.findById(duplicate._id);
+      expect(merged.status).toBe('duplicate');
+      expect(merged.duplicateOf.toString()).toBe(primary._id.toString());
+      expect(app.get('io').emitReportModerated).toHaveBeenCalled();
+    });
+
+    it('should merge a duplicate listed twice once', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createAdminUser();
+      const location = { type: 'Point', ...carFire.location };
+      const primary = await createTestReport(user._id, { ...carFire, location });
+      const duplicate = await createTestReport(user._id, { ...carFire, location });
+
+      const res = await request(app)
+        .post(`/api/reports/${primary._id}/merge`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ duplicateIds: [duplicate._id, duplicate._id.toString()] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Merged 1 report(s)');
+    });
+
+    it('should verify the primary when absorbed votes reach the threshold', async () => {
+      const { user: reporter } = await createTestUser();
+      const { user: voter } = await createTestUser();
+      const { token } = await createAdminUser();
+      const location = { type: 'Point', ...carFire.location };
+      const primary = await createTestReport(reporter._id, { ...carFire, location });
+      const duplicate = await createTestReport(reporter._id, {
+        ...carFire,
+        location,
+        votes: { up: 1, down: 0, voters: [{ user: voter._id, vote: 'up', weight: 50 }] },
+      });
+
+      const res = await request(app)
+        .post(`/api/reports/${primary._id}/merge`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ duplicateIds: [duplicate._id] });
+
+      expect(res.status).toBe(200);
+      const updated = await Report.findById(primary._id);
+      expect(updated.verificationStatus).toBe('verified');
+      expect(updated.communityVerified).toBe(true);
+    });
+
+    it('should refuse to merge a report into itself', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createAdminUser();
+      const report = await createTestReport(user._id);
+
+      const res = await request(app)
+        .post(`/api/reports/${report._id}/merge`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ duplicateIds: [report._id] });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should not let regular users merge reports', async () => {
+      const { user, token } = await createTestUser();
+      const primary = await createTestReport(user._id);
+      const duplicate = await createTestReport(user._id);
+
+      const res = await request(app)
+        .post(`/api/reports/${primary._id}/merge`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ duplicateIds: [duplicate._id] });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  // ==========================================
+  // Assignment and work queue
+  // ==========================================
+  describe('Assignment and work queue', () => {
+    it('should let an admin assign a report and notify the assignee', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createAdminUser();
+      const { user: responder } = await createResponderUser();
+      const report = await createTestReport(user._id);
+
+      const res = await request(app)
+        .put(`/api/reports/${report._id}/assign`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ assigneeId: responder._id });
+
+      expect(res.status).toBe(200);
+
+      const updated = await Report.findById(report._id);
+      expect(updated.assignedTo.toString()).toBe(responder._id.toString());
+      expect(updated.assignedAt).toBeDefined();
+      expect(app.get('io').notifyUser).toHaveBeenCalledWith(
+        responder._id.toString(),
+        'reportAssigned',
+        expect.objectContaining({ reportId: report._id })
+      );
+    });
+
+    it('should not assign a report to a regular user', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createAdminUser();
+      const report = await createTestReport(user._id);
+
+      const res = await request(app)
+        .put(`/api/reports/${report._id}/assign`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ assigneeId: user._id });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should not let responders assign reports to others', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createResponderUser();
+      const { user: other } = await createResponderUser();
+      const report = await createTestReport(user._id);
+
+      const res = await request(app)
+        .put(`/api/reports/${report._id}/assign`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ assigneeId: other._id });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should let a responder claim an unassigned report', async () => {
+      const { user } = await createTestUser();
+      const { user: responder, token } = await createResponderUser();
+      const report = await createTestReport(user._id);
+
+      const res = await request(app)
+        .post(`/api/reports/${report._id}/claim`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      const updated = await Report.findById(report._id);
+      expect(updated.assignedTo.toString()).toBe(responder._id.toString());
+    });
+
+    it('should refuse to claim a report assigned to someone else', async () => {
+      const { user } = await createTestUser();
+      const { user: first } = await createResponderUser();
+      const { token } = await createResponderUser();
+      const report = await createTestReport(user._id, { assignedTo: first._id, assignedAt: new Date() });
+
+      const res = await request(app)
+        .post(`/api/reports/${report._id}/claim`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should let the assignee hand a report back', async () => {
+      const { user } = await createTestUser();
+      const { user: responder, token } = await createResponderUser();
+      const report = await createTestReport(user._id, { assignedTo: responder._id, assignedAt: new Date() });
+
+      const res = await request(app)
+        .delete(`/api/reports/${report._id}/assign`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      const updated = await Report.findById(report._id);
+      expect(updated.assignedTo).toBeUndefined();
+    });
+
+    it('should list the queue by priority, then oldest first', async () => {
+      const { user } = await createTestUser();
+      const { user: responder, token } = await createResponderUser();
+      const assigned = { assignedTo: responder._id, assignedAt: new Date() };
+      const low = await createTestReport(user._id, { ...assigned, severity: 'low' });
+      const olderCritical = await createTestReport(user._id, {
+        ...assigned,
+        severity: 'critical',
+        createdAt: new Date(Date.now() - 60 * 60 * 1000),
+      });
+      const newerCritical = await createTestReport(user._id, { ...assigned, severity: 'critical' });
+      await createTestReport(user._id, { ...assigned, severity: 'high', status: 'resolved' });
+      await createTestReport(user._id, { severity: 'critical' });
+
+      const res = await request(app)
+        .get('/api/reports/queue')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((r) => r._id)).toEqual([
+        olderCritical._id.toString(),
+        newerCritical._id.toString(),
+        low._id.toString(),
+      ]);
+    });
+  });
+
+  // ==========================================
+  // /api/reports/:id/updates
+  // ==========================================
+  describe('Comments and official updates', () => {
+    it('should let a user comment on a report', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createTestUser();
+      const report = await createTestReport(user._id);
+
+      const res = await request(app)
+        .post(`/api/reports/${report._id}/updates`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Road is still blocked at the junction' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.isOfficial).toBe(false);
+
+      const thread = await request(app).get(`/api/reports/${report._id}/updates`);
+      expect(thread.body.data).toHaveLength(1);
+      expect(thread.body.data[0].author.firstName).toBeDefined();
+    });
+
+    it('should not let a regular user post an official update', async () => {
+      const { user, token } = await createTestUser();
+      const report = await createTestReport(user._id);
+
+      const res = await request(app)
+        .post(`/api/reports/${report._id}/updates`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Crews are on the way', isOfficial: true });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should let a responder post an official update and count it as a first action', async () => {
+      const { user } = await createTestUser();
+      const { user: responder, token } = await createResponderUser();
+      const report = await createTestReport(user._id);
+
+      const res = await request(app)
+        .post(`/api/reports/${report._id}/updates`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Crews are on the way', isOfficial: true });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.isOfficial).toBe(true);
+
+      const updated = await Report.findById(report._id);
+      expect(updated.firstActionBy.toString()).toBe(responder._id.toString());
+    });
+
+    it('should reject profanity and over-long comments', async () => {
+      const { user, token } = await createTestUser();
+      const report = await createTestReport(user._id);
+
+      const rude = await request(app)
+        .post(`/api/reports/${report._id}/updates`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'What a sh1t show' });
+      const long = await request(app)
+        .post(`/api/reports/${report._id}/updates`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'a'.repeat(1001) });
+
+      expect(rude.status).toBe(400);
+      expect(long.status).toBe(400);
+    });
+
+    it('should only allow replies to top-level updates', async () => {
+      const { user, token } = await createTestUser();
+      const report = await createTestReport(user._id);
+
+      const top = await request(app)
+        .post(`/api/reports/${report._id}/updates`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Anyone hurt?' });
+      const reply = await request(app)
+        .post(`/api/reports/${report._id}/updates`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'No injuries reported', parent: top.body.data._id });
+      const nested = await request(app)
+        .post(`/api/reports/${report._id}/updates`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Good to hear', parent: reply.body.data._id });
+
+      expect(reply.status).toBe(201);
+      expect(nested.status).toBe(400);
+    });
+
+    it('should delete a comment with its replies, for the author only', async () => {
+      const { user, token } = await createTestUser();
+      const { token: otherToken } = await createTestUser();
+      const report = await createTestReport(user._id);
+
+      const top = await request(app)
+        .post(`/api/reports/${report._id}/updates`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Anyone hurt?' });
+      await request(app)
+        .post(`/api/reports/${report._id}/updates`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ content: 'Not that I saw', parent: top.body.data._id });
+
+      const forbidden = await request(app)
+        .delete(`/api/reports/${report._id}/updates/${top.body.data._id}`)
+        .set('Authorization', `Bearer ${otherToken}`);
+      expect(forbidden.status).toBe(403);
+
+      const res = await request(app)
+        .delete(`/api/reports/${report._id}/updates/${top.body.data._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.updateIds).toHaveLength(2);
+      const updated = await Report.findById(report._id);
+      expect(updated.updates).toHaveLength(0);
+    });
+
+    it('should hide the author of an anonymous reporter\'s comments', async () => {
+      const { user, token } = await createTestUser();
+      const report = await createTestReport(user._id, { isAnonymous: true });
+
+      await request(app)
+        .post(`/api/reports/${report._id}/updates`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Fire has spread to the next building' });
+
+      const res = await request(app).get(`/api/reports/${report._id}/updates`);
+      expect(res.body.data[0].author).toBeNull();
+    });
+  });
+
+  // ==========================================
+  // PUT /api/reports/:id
+  // ==========================================
+  describe('PUT /api/reports/:id', () => {
+    it('should let the reporter edit a pending report and record a revision', async () => {
+      const { user, token } = await createTestUser();
+      const report = await createTestReport(user._id, { description: 'Smoke from a house', severity: 'low' });
+
+      const res = await request(app)
+        .put(`/api/reports/${report._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Smoke and flames from a house', severity: 'critical' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.severity).toBe('critical');
+      expect(res.body.data.revisions).toBeUndefined();
+
+      const updated = await Report.findById(report._id).select('+revisions');
+      expect(updated.revisions).toHaveLength(1);
+      expect(updated.revisions[0].changes.map((c) => c.field).sort()).toEqual(['description', 'severity']);
+      expect(updated.revisions[0].changes.find((c) => c.field === 'description').from).toBe('Smoke from a house');
+    });
+
+    it('should reject edited coordinates that are not numbers or out of range', async () => {
+      const { user, token } = await createTestUser();
+      const report = await createTestReport(user._id);
+
+      for (const coordinates of [['east', 'north'], [-74.006, 140.7]]) {
+        const res = await request(app)
+          .put(`/api/reports/${report._id}`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ location: { coordinates } });
+
+        expect(res.status).toBe(400);
+      }
+    });
+
+    it('should take a moved report out of its incident and duplicate links', async () => {
+      const { user, token } = await createTestUser();
+      const near = { type: 'Point', coordinates: [-74.0060, 40.7128] };
+      const neighbour = await createTestReport(user._id, { location: near });
+      const report = await createTestReport(user._id, { location: near });
+      const incident = await Incident.create({
+        title: 'Nearby',
+        category: report.category,
+        location: near,
+        reports: [neighbour._id, report._id],
+      });
+      await Report.updateMany({ _id: { $in: [neighbour._id, report._id] } }, { incident: incident._id });
+      await Report.updateOne(
+        { _id: report._id },
+        { relatedReports: [neighbour._id], duplicateMatches: [{ report: neighbour._id, score: 0.9 }] }
+      );
+      await Report.updateOne({ _id: neighbour._id }, { relatedReports: [report._id] });
+
+      const res = await request(app)
+        .put(`/api/reports/${report._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ location: { coordinates: [-73.7, 40.9] } });
+
+      expect(res.status).toBe(200);
+      const [moved, left, updatedIncident] = await Promise.all([
+        Report.findById(report._id),
+        Report.findById(neighbour._id),
+        Incident.findById(incident._id),
+      ]);
+      expect(moved.incident).toBeFalsy();
+      expect(moved.duplicateMatches).toHaveLength(0);
+      expect(left.relatedReports.map(String)).not.toContain(report._id.toString());
+      expect(updatedIncident.reports.map(String)).toEqual([neighbour._id.toString()]);
+    });
+
+    it('should not let someone else edit the report', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createTestUser();
+      const report = await createTestReport(user._id);
+
+      const res = await request(app)
+        .put(`/api/reports/${report._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Something else entirely' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should block edits once the report is no longer pending', async () => {
+      const { user, token } = await createTestUser();
+      const report = await createTestReport(user._id, { status: 'verified' });
+
+      const res = await request(app)
+        .put(`/api/reports/${report._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Changed after verification' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reset community votes when the report changes', async () => {
+      const { user, token } = await createTestUser();
+      const { user: voter } = await createTestUser();
+      const report = await createTestReport(user._id, {
+        verificationStatus: 'pending_verification',
+        votes: { up: 1, down: 0, voters: [{ user: voter._id, vote: 'up' }] },
+      });
+
+      const res = await request(app)
+        .put(`/api/reports/${report._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ location: { coordinates: [-74.01, 40.72], address: '1 Corrected Ave' } });
+
+      expect(res.status).toBe(200);
+      const updated = await Report.findById(report._id).select('+revisions');
+      expect(updated.votes.up).toBe(0);
+      expect(updated.votes.voters).toHaveLength(0);
+      expect(updated.verificationStatus).toBe('unverified');
+      expect(updated.revisions[0].verificationReset).toBe(true);
+    });
+
+    it('should drop votes still waiting for review when the report changes', async () => {
+      const { user, token } = await createTestUser();
+      const { user: voter } = await createTestUser();
+      const { user: flagged } = await createTestUser();
+      const report = await createTestReport(user._id);
+      const userLocation = { type: 'Point', coordinates: report.location.coordinates };
+      await ReportVerification.create([
+        { reportId: report._id, userId: voter._id, vote: 'confirm', userLocation },
+        { reportId: report._id, userId: flagged._id, vote: 'confirm', userLocation, status: 'quarantined' },
+      ]);
+
+      const res = await request(app)
+        .put(`/api/reports/${report._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Corrected after the first votes came in' });
+
+      expect(res.status).toBe(200);
+      const records = await ReportVerification.find({ reportId: report._id });
+      expect(records.map((r) => r.userId.toString())).toEqual([voter._id.toString()]);
+    });
+
+    it('should let moderators read the revision history but not other users', async () => {
+      const { user, token } = await createTestUser();
+      const { token: responderToken } = await createResponderUser();
+      const { token: otherToken } = await createTestUser();
+      const report = await createTestReport(user._id, { severity: 'low' });
+
+      await request(app)
+        .put(`/api/reports/${report._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ severity: 'high' });
+
+      const res = await request(app)
+        .get(`/api/reports/${report._id}/revisions`)
+        .set('Authorization', `Bearer ${responderToken}`);
+      const forbidden = await request(app)
+        .get(`/api/reports/${report._id}/revisions`)
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data[0].changes[0]).toMatchObject({ field: 'severity', to: 'high' });
+      expect(forbidden.status).toBe(403);
+    });
+  });
+
+  // ==========================================
+  // Reporter reputation
+  // ==========================================
+  describe('Reporter reputation', () => {
+    const reportLocation = { type: 'Point', coordinates: [-74.0060, 40.7128] };
+
+    // A cached reputation fresh enough to be used as-is
+    const withReputation = (score, tier) => ({
+      reputation: { score, tier, calculatedAt: new Date() },
+    });
+
+    const confirm = (report, token) =>
+      request(app)
+        .post(`/api/reports/${report._id}/verify`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ vote: 'confirm', userLat: 40.7128, userLng: -74.0060 });
+
+    it('should count votes from highly trusted users double', async () => {
+      const { user: reporter } = await createTestUser();
+      const report = await createTestReport(reporter._id, { location: reportLocation });
+
+      for (let i = 0; i < 2; i++) {
+        const { token } = await createTestUser(withReputation(90, 'highly_trusted'));
+        await confirm(report, token);
+      }
+
+      const updated = await Report.findById(report._id);
+      expect(updated.votes.up).toBe(2);
+      expect(updated.verificationStatus).toBe('verified');
+    });
+
+    it('should need fewer confirmations for trusted reporters', async () => {
+      const { user: reporter } = await createTestUser(withReputation(75, 'trusted'));
+      const report = await createTestReport(reporter._id, { location: reportLocation });
+
+      let res;
+      for (let i = 0; i < 3; i++) {
+        const { token } = await createTestUser();
+        res = await confirm(report, token);
+      }
+
+      expect(res.body.data.confirmThreshold).toBe(3);
+      expect(res.body.data.verificationStatus).toBe('verified');
+    });
+
+    it('should hold back reports from untrusted reporters', async () => {
+      const { user, token } = await createTestUser(withReputation(10, 'untrusted'));
+      const io = app.get('io');
+      io.emitNewReport.mockClear();
+
+      const res = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          title: 'Held report',
+          description: 'Something happened here',
+          category: 'other',
+          location: { coordinates: reportLocation.coordinates },
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.heldForReview).toBe(true);
+      expect(io.emitNewReport).not.toHaveBeenCalled();
+
+      const publicList = await request(app).get('/api/reports');
+      const ownList = await request(app)
+        .get(`/api/reports?reporter=${user._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(publicList.body.data.map((r) => r._id)).not.toContain(res.body.data._id);
+      expect(ownList.body.data.map((r) => r._id)).toContain(res.body.data._id);
+    });
+
+    it('should keep held reports out of other users\' lists', async () => {
+      const { user } = await createTestUser(withReputation(10, 'untrusted'));
+      const { token: otherToken } = await createTestUser();
+      await createTestReport(user._id, { location: reportLocation, heldForReview: true });
+
+      const byReporter = await request(app).get(`/api/reports?reporter=${user._id}`);
+      const othersList = await request(app)
+        .get(`/api/reports?reporter=${user._id}`)
+        .set('Authorization', `Bearer ${otherToken}`);
+      const includeAll = await request(app).get('/api/reports?includeAll=true');
+
+      expect(byReporter.status).toBe(403);
+      expect(othersList.status).toBe(403);
+      expect(includeAll.status).toBe(403);
+    });
+
+    it('should update reputations when an admin marks a report false', async () => {
+      const { user: reporter } = await createTestUser();
+      const { user: voter, token: voterToken } = await createTestUser();
+      const { token: adminToken } = await createAdminUser();
+      const report = await createTestReport(reporter._id, { location: reportLocation });
+
+      await confirm(report, voterToken);
+      await request(app)
+        .post(`/api/reports/${report._id}/verify`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ vote: 'deny', userLat: 40.7128, userLng: -74.0060 });
+
+      const [updatedReporter, updatedVoter] = await Promise.all([
+        User.findById(reporter._id),
+        User.findById(voter._id),
+      ]);
+      expect(updatedReporter.reputation.reportsFalse).toBe(1);
+      expect(updatedReporter.reputation.score).toBeLessThan(50);
+      expect(updatedVoter.reputation.votesInaccurate).toBe(1);
+    });
+  });
+
+  // ==========================================
+  // Verification anti-abuse
+  // ==========================================
+  describe('Verification anti-abuse', () => {
+    const reportLocation = { type: 'Point', coordinates: [-74.0060, 40.7128] };
+
+    const confirm = (report, token, body = { userLat: 40.7128, userLng: -74.0060 }) =>
+      request(app)
+        .post(`/api/reports/${report._id}/verify`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ vote: 'confirm', ...body });
+
+    it('should quarantine reporters voting on their own reports', async () => {
+      const { user, token } = await createTestUser();
+      const report = await createTestReport(user._id, { location: reportLocation });
+
+      const res = await confirm(report, token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.quarantined).toBe(true);
+      expect(res.body.data.confirms).toBe(0);
+
+      const record = await ReportVerification.findOne({ reportId: report._id, userId: user._id });
+      expect(record.status).toBe('quarantined');
+      expect(record.flags).toContain('self_vote');
+    });
+
+    it('should quarantine votes claiming a location the user could not have reached', async () => {
+      const { user: reporter } = await createTestUser();
+      const { user: voter, token } = await createTestUser();
+      const report = await createTestReport(reporter._id, { location: reportLocation });
+
+      // Seen in Los Angeles ten minutes ago
+      await SocketLocation.create({
+        userId: voter._id,
+        socketId: 'socket-la',
+        location: { type: 'Point', coordinates: [-118.2437, 34.0522] },
+        lastPing: new Date(Date.now() - 10 * 60 * 1000),
+      });
+
+      const res = await confirm(report, token);
+
+      expect(res.body.data.quarantined).toBe(true);
+      const record = await ReportVerification.findOne({ reportId: report._id, userId: voter._id });
+      expect(record.flags).toContain('impossible_travel');
+    });
+
+    it('should reject non-numeric or out-of-range vote coordinates', async () => {
+      const { user: reporter } = await createTestUser();
+      const { token } = await createTestUser();
+      const report = await createTestReport(reporter._id, { location: reportLocation });
+
+      const nonNumeric = await confirm(report, token, { userLat: 'abc', userLng: 'def' });
+      const outOfRange = await confirm(report, token, { userLat: 95, userLng: -74.006 });
+
+      expect(nonNumeric.status).toBe(400);
+      expect(outOfRange.status).toBe(400);
+      expect(await ReportVerification.countDocuments({ reportId: report._id })).toBe(0);
+    });
+
+    it('should require a location when the server has none for the user', async () => {
+      const { user: reporter } = await createTestUser();
+      const { token } = await createTestUser();
+      const report = await createTestReport(reporter._id, { location: reportLocation });
+
+      const res = await confirm(report, token, {});
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should fall back to the last socket location', async () => {
+      const { user: reporter } = await createTestUser();
+      const { user: voter, token } = await createTestUser();
+      const report = await createTestReport(reporter._id, { location: reportLocation });
+      await SocketLocation.create({
+        userId: voter._id,
+        socketId: 'socket-nyc',
+        location: reportLocation,
+        lastPing: new Date(),
+      });
+
+      const res = await confirm(report, token, {});
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.confirms).toBe(1);
+    });
+
+    it('should let a moderator approve or reject quarantined votes', async () => {
+      const { user: reporter, token: reporterToken } = await createTestUser();
+      const { token: responderToken } = await createResponderUser();
+      const report = await createTestReport(reporter._id, { location: reportLocation });
+      await confirm(report, reporterToken);
+
+      const queue = await request(app)
+        .get('/api/reports/verifications/quarantined')
+        .set('Authorization', `Bearer ${responderToken}`);
+      expect(queue.status).toBe(200);
+      expect(queue.body.data).toHaveLength(1);
+
+      const approved = await request(app)
+        .patch(`/api/reports/${report._id}/verifications/${queue.body.data[0]._id}`)
+        .set('Authorization', `Bearer ${responderToken}`)
+        .send({ action: 'approve' });
+      expect(approved.status).toBe(200);
+      expect(approved.body.data.confirms).toBe(1);
+
+      const again = await request(app)
+        .patch(`/api/reports/${report._id}/verifications/${queue.body.data[0]._id}`)
+        .set('Authorization', `Bearer ${responderToken}`)
+        .send({ action: 'reject' });
+      expect(again.status).toBe(409);
+    });
+
+    it('should let only one moderator review a quarantined vote', async () => {
+      const { user: reporter, token: reporterToken } = await createTestUser();
+      const { token: responderToken } = await createResponderUser();
+      const { token: adminToken } = await createAdminUser();
+      const report = await createTestReport(reporter._id, { location: reportLocation });
+      await confirm(report, reporterToken);
+      const record = await ReportVerification.findOne({ reportId: report._id });
+
+      const responses = await Promise.all([
+        request(app)
+          .patch(`/api/reports/${report._id}/verifications/${record._id}`)
+          .set('Authorization', `Bearer ${responderToken}`)
+          .send({ action: 'approve' }),
+        request(app)
+          .patch(`/api/reports/${report._id}/verifications/${record._id}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ action: 'approve' }),
+      ]);
+
+      expect(responses.map((r) => r.status).sort()).toEqual([200, 409]);
+      const updated = await Report.findById(report._id);
+      expect(updated.votes.up).toBe(1);
+    });
+
+    it('should not let a user vote again after a moderator rejects their vote', async () => {
+      const { user: reporter, token: reporterToken } = await createTestUser();
+      const { token: adminToken } = await createAdminUser();
+      const report = await createTestReport(reporter._id, { location: reportLocation });
+      await confirm(report, reporterToken);
+      const record = await ReportVerification.findOne({ reportId: report._id });
+
+      await request(app)
+        .patch(`/api/reports/${report._id}/verifications/${record._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ action: 'reject' });
+      const res = await confirm(report, reporterToken);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should keep the review queue from regular users', async () => {
+      const { token } = await createTestUser();
+
+      const res = await request(app)
+        .get('/api/reports/verifications/quarantined')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
 });
@@ -0,0 +1,233 @@
+/**
+ * SLA Policy Tests
+ * Tests for /api/sla-policies endpoints and the escalation checker
+ */
+
+require('./setup');
+const request = require('supertest');
+const createApp = require('./app');
+const Report = require('../models/Report');
+const SlaPolicy = require('../models/SlaPolicy');
+const { escalateOverdueReports } = require('../utils/slaChecker');
+const {
+  createTestUser,
+  createAdminUser,
+  createResponderUser,
+  createTestReport,
+} = require('./helpers');
+
+const app = createApp();
+
+const MINUTE = 60 * 1000;
+
+describe('SLA Policies', () => {
+  // ==========================================
+  // /api/sla-policies
+  // ==========================================
+  describe('Policy routes', () => {
+    it('should let an admin create a policy', async () => {
+      const { token } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/sla-policies')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          name: 'Critical fire',
+          category: 'fire',
+          severity: 'critical',
+          acknowledgeWithinMinutes: 5,
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.acknowledgeWithinMinutes).toBe(5);
+    });
+
+    it('should treat an empty category as any category', async () => {
+      const { token } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/sla-policies')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Any critical', category: '', severity: 'critical', acknowledgeWithinMinutes: 15 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.category).toBeNull();
+    });
+
+    it('should reject a second policy for the same category and severity', async () => {
+      const { user, token } = await createAdminUser();
+      await SlaPolicy.init();
+      await SlaPolicy.create({
+        name: 'Critical fire',
+        category: 'fire',
+        severity: 'critical',
+        acknowledgeWithinMinutes: 5,
+        createdBy: user._id,
+      });
+
+      const res = await request(app)
+        .post('/api/sla-policies')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Another', category: 'fire', severity: 'critical', acknowledgeWithinMinutes: 10 });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject an invalid window', async () => {
+      const { token } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/sla-policies')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Too short', acknowledgeWithinMinutes: 0 });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should be admin only', async () => {
+      const { token } = await createResponderUser();
+
+      const res = await request(app)
+        .get('/api/sla-policies')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  // ==========================================
+  // Policy matching
+  // ==========================================
+  describe('Policy matching', () => {
+    it('should pick the most specific policy', async () => {
+      const catchAll = await SlaPolicy.create({ name: 'Default', acknowledgeWithinMinutes: 60 });
+      const critical = await SlaPolicy.create({ name: 'Critical', severity: 'critical', acknowledgeWithinMinutes: 15 });
+      const criticalFire = await SlaPolicy.create({
+        name: 'Critical fire',
+        category: 'fire',
+        severity: 'critical',
+        acknowledgeWithinMinutes: 5,
+      });
+
+      const pick = (report) => SlaPolicy.findForReport(report);
+
+      expect((await pick({ category: 'fire', severity: 'critical' }))._id).toEqual(criticalFire._id);
+      expect((await pick({ category: 'crime', severity: 'critical' }))._id).toEqual(critical._id);
+      expect((await pick({ category: 'crime', severity: 'low' }))._id).toEqual(catchAll._id);
+    });
+  });
+
+  // ==========================================
+  // Escalation checker
+  // ==========================================
+  describe('Escalation checker', () => {
+    let io;
+
+    beforeEach(async () => {
+      io = { emitReportEscalated: jest.fn() };
+      await SlaPolicy.create({
+        name: 'Critical fire',
+        category: 'fire',
+        severity: 'critical',
+        acknowledgeWithinMinutes: 5,
+        createdAt: new Date(Date.now() - 7 * 24 * 60 * MINUTE),
+      });
+    });
+
+    it('should escalate an overdue report exactly once', async () => {
+      const { user } = await createTestUser();
+      const report = await createTestReport(user._id, {
+        category: 'fire',
+        severity: 'critical',
+        createdAt: new Date(Date.now() - 10 * MINUTE),
+      });
+
+      const first = await escalateOverdueReports(io);
+      const second = await escalateOverdueReports(io);
+
+      expect(first).toBe(1);
+      expect(second).toBe(0);
+      expect(io.emitReportEscalated).toHaveBeenCalledTimes(1);
+
+      const updated = await Report.findById(report._id);
+      expect(updated.status).toBe('escalated');
+      expect(updated.sla.breachedAt).toBeDefined();
+    });
+
+    it('should leave reports that are still within their window', async () => {
+      const { user } = await createTestUser();
+      await createTestReport(user._id, {
+        category: 'fire',
+        severity: 'critical',
+        createdAt: new Date(Date.now() - 2 * MINUTE),
+      });
+
+      expect(await escalateOverdueReports(io)).toBe(0);
+    });
+
+    it('should not escalate a report staff already acted on', async () => {
+      const { user } = await createTestUser();
+      const { token } = await createResponderUser();
+      const report = await createTestReport(user._id, {
+        category: 'fire',
+        severity: 'critical',
+        createdAt: new Date(Date.now() - 10 * MINUTE),
+      });
+
+      await request(app)
+        .post(`/api/reports/${report._id}/claim`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(await escalateOverdueReports(io)).toBe(0);
+      const updated = await Report.findById(report._id);
+      expect(updated.firstActionAt).toBeDefined();
+    });
+
+    it('should ignore reports that came in before their policy existed', async () => {
+      const { user } = await createTestUser();
+      await createTestReport(user._id, {
+        category: 'crime',
+        severity: 'critical',
+        createdAt: new Date(Date.now() - 60 * MINUTE),
+      });
+      await SlaPolicy.create({ name: 'Critical', severity: 'critical', acknowledgeWithinMinutes: 5 });
+
+      expect(await escalateOverdueReports(io)).toBe(0);
+    });
+
+    it('should apply the most specific policy\'s window', async () => {
+      const { user } = await createTestUser();
+      await SlaPolicy.create({
+        name: 'Default',
+        acknowledgeWithinMinutes: 60,
+        createdAt: new Date(Date.now() - 7 * 24 * 60 * MINUTE),
+      });
+      // Overdue under the 5-minute policy, not yet under the catch-all
+      const fire = await createTestReport(user._id, {
+        category: 'fire',
+        severity: 'critical',
+        createdAt: new Date(Date.now() - 10 * MINUTE),
+      });
+      const other = await createTestReport(user._id, {
+        category: 'crime',
+        severity: 'low',
+        createdAt: new Date(Date.now() - 10 * MINUTE),
+      });
+
+      expect(await escalateOverdueReports(io)).toBe(1);
+      expect((await Report.findById(fire._id)).status).toBe('escalated');
+      expect((await Report.findById(other._id)).status).not.toBe('escalated');
+    });
+
+    it('should ignore reports no policy covers', async () => {
+      const { user } = await createTestUser();
+      await createTestReport(user._id, {
+        category: 'crime',
+        severity: 'low',
+        createdAt: new Date(Date.now() - 24 * 60 * MINUTE),
+      });
+
+      expect(await escalateOverdueReports(io)).toBe(0);
+    });
+  });
+});
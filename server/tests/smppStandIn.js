@@ -0,0 +1,131 @@
+/**
+ * Local SMPP Stand-in
+ * A minimal SMPP 3.4 server for tests. Binds transmitters, records submitted messages,
+ * and can be told to answer upcoming submits with a command_status (e.g. 0x58 throttled).
+ */
+
+const net = require('net');
+
+const BIND_TRANSMITTER = 0x00000002;
+const SUBMIT_SM = 0x00000004;
+const UNBIND = 0x00000006;
+
+const respond = (socket, pdu, status = 0, body = Buffer.alloc(0)) => {
+  const header = Buffer.alloc(16);
+  header.writeUInt32BE(16 + body.length, 0);
+  header.writeUInt32BE((pdu.commandId | 0x80000000) >>> 0, 4);
+  header.writeUInt32BE(status, 8);
+  header.writeUInt32BE(pdu.sequence, 12);
+  socket.write(Buffer.concat([header, body]));
+};
+
+// Read consecutive NUL-terminated strings from a PDU body
+const readCStrings = (body, count, offset = 0) => {
+  const values = [];
+  let position = offset;
+  for (let i = 0; i < count; i++) {
+    const end = body.indexOf(0, position);
+    values.push(body.toString('latin1', position, end));
+    position = end + 1;
+  }
+  return { values, position };
+};
+
+const parseSubmitSm = (body) => {
+  // service_type, then source TON/NPI and address, then destination TON/NPI and address
+  let { position } = readCStrings(body, 1);
+  const source = readCStrings(body, 1, position + 2);
+  const destination = readCStrings(body, 1, source.position + 2);
+  // esm_class, protocol_id, priority_flag, two empty times, registered_delivery ... sm_length
+  position = destination.position + 3;
+  position = readCStrings(body, 2, position).position;
+  const dataCoding = body[position + 2];
+  const length = body[position + 4];
+  let bytes = body.subarray(position + 5, position + 5 + length);
+
+  // Longer messages come in the message_payload TLV
+  for (let tlv = position + 5 + length; tlv + 4 <= body.length;) {
+    const tag = body.readUInt16BE(tlv);
+    const size = body.readUInt16BE(tlv + 2);
+    if (tag === 0x0424) bytes = body.subarray(tlv + 4, tlv + 4 + size);
+    tlv += 4 + size;
+  }
+
+  return {
+    from: source.values[0],
+    to: destination.values[0],
+    dataCoding,
+    body: dataCoding === 0x08 ? Buffer.from(bytes).swap16().toString('utf16le') : bytes.toString('latin1'),
+  };
+};
+
+const startSmppStandIn = ({ systemId = 'quickalert', password = 'secret' } = {}) => new Promise((resolve) => {
+  const messages = [];
+  const rejections = [];
+  const sockets = new Set();
+  const binds = [];
+  let nextId = 0;
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      while (buffer.length >= 16 && buffer.length >= buffer.readUInt32BE(0)) {
+        const length = buffer.readUInt32BE(0);
+        const pdu = {
+          commandId: buffer.readUInt32BE(4),
+          sequence: buffer.readUInt32BE(12),
+          body: buffer.subarray(16, length),
+        };
+        buffer = buffer.subarray(length);
+
+        if (pdu.commandId === BIND_TRANSMITTER) {
+          const [id, secret] = readCStrings(pdu.body, 2).values;
+          binds.push(id);
+          // ESME_RINVPASWD
+          respond(socket, pdu, id === systemId && secret === password ? 0 : 0x0e, Buffer.from('stand-in\0'));
+        } else if (pdu.commandId === SUBMIT_SM) {
+          const rejection = rejections.shift();
+          if (rejection) {
+            respond(socket, pdu, rejection);
+          } else {
+            nextId += 1;
+            const messageId = `smpp-${nextId}`;
+            messages.push({ messageId, ...parseSubmitSm(pdu.body) });
+            respond(socket, pdu, 0, Buffer.from(`${messageId}\0`));
+          }
+        } else if (pdu.commandId === UNBIND) {
+          respond(socket, pdu);
+          socket.end();
+        } else {
+          // ESME_RINVCMDID
+          respond(socket, { ...pdu, commandId: 0 }, 0x03);
+        }
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      port: server.address().port,
+      messages,
+      binds,
+      // Answer the next `count` submits with this command_status
+      rejectNext: (status, count = 1) => {
+        for (let i = 0; i < count; i++) rejections.push(status);
+      },
+      close: () => new Promise((done) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(done);
+      }),
+    });
+  });
+});
+
+module.exports = { startSmppStandIn };
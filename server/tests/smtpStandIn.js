@@ -0,0 +1,88 @@
+/**
+ * Local SMTP Stand-in
+ * A minimal SMTP server for tests. Accepts mail like a real server and records it,
+ * and can be told to reject upcoming messages with a given reply (e.g. "451 Try again later").
+ */
+
+const net = require('net');
+
+const startSmtpStandIn = () => new Promise((resolve) => {
+  const messages = [];
+  const rejections = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    socket.setEncoding('utf8');
+    socket.write('220 localhost ESMTP stand-in\r\n');
+
+    let buffer = '';
+    let inData = false;
+    let current = null;
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let lineEnd;
+
+      while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            const rejection = rejections.shift();
+            if (rejection) {
+              socket.write(`${rejection}\r\n`);
+            } else {
+              messages.push(current);
+              socket.write('250 OK queued\r\n');
+            }
+          } else {
+            current.data += `${line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'MAIL') {
+          current = { from: line.slice(10), to: [], data: '' };
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          current.to.push(line.slice(8).replace(/[<>]/g, ''));
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'RSET' || command === 'NOOP') {
+          socket.write('250 OK\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('502 Command not implemented\r\n');
+        }
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      port: server.address().port,
+      messages,
+      // Reject the next `count` messages with this reply
+      rejectNext: (reply, count = 1) => {
+        for (let i = 0; i < count; i++) rejections.push(reply);
+      },
+      close: () => new Promise((done) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(done);
+      }),
+    });
+  });
+});
+
+module.exports = { startSmtpStandIn };
@@ -0,0 +1,241 @@
+/**
+ * User Management Routes Tests
+ * Tests for /api/users endpoints
+ */
+
+require('./setup');
+const request = require('supertest');
+const createApp = require('./app');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const {
+  createTestUser,
+  createAdminUser,
+  createSuperAdminUser,
+  createResponderUser,
+} = require('./helpers');
+
+const app = createApp();
+
+describe('User Management Routes', () => {
+  // ==========================================
+  // GET /api/users
+  // ==========================================
+  describe('GET /api/users', () => {
+    it('should list users with pagination', async () => {
+      const { token } = await createAdminUser();
+      await createTestUser();
+      await createTestUser();
+
+      const res = await request(app)
+        .get('/api/users?limit=2')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(2);
+      expect(res.body.pagination.total).toBe(3);
+      expect(res.body.pagination.hasMore).toBe(true);
+      expect(res.body.data[0].password).toBeUndefined();
+    });
+
+    it('should search by name or email', async () => {
+      const { token } = await createAdminUser();
+      await createTestUser({ firstName: 'Zebediah', email: 'zeb@example.com' });
+      await createTestUser();
+
+      const res = await request(app)
+        .get('/api/users?search=zebed')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].email).toBe('zeb@example.com');
+    });
+
+    it('should filter by role, verification and status', async () => {
+      const { token } = await createAdminUser();
+      await createResponderUser();
+      await createTestUser({ isVerified: false });
+      await createTestUser({ isBanned: true });
+
+      const [responders, unverified, banned] = await Promise.all([
+        request(app).get('/api/users?role=responder').set('Authorization', `Bearer ${token}`),
+        request(app).get('/api/users?isVerified=false').set('Authorization', `Bearer ${token}`),
+        request(app).get('/api/users?status=banned').set('Authorization', `Bearer ${token}`),
+      ]);
+
+      expect(responders.body.data).toHaveLength(1);
+      expect(unverified.body.data).toHaveLength(1);
+      expect(banned.body.data).toHaveLength(1);
+    });
+
+    it('should not let regular users list users', async () => {
+      const { token } = await createTestUser();
+
+      const res = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  // ==========================================
+  // PUT /api/users/:id/role
+  // ==========================================
+  describe('PUT /api/users/:id/role', () => {
+    it('should let an admin promote a user to responder and record it', async () => {
+      const { user: admin, token } = await createAdminUser();
+      const { user } = await createTestUser();
+
+      const res = await request(app)
+        .put(`/api/users/${user._id}/role`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'responder', reason: 'Fire department volunteer' });
+
+      expect(res.status).toBe(200);
+
+      const updated = await User.findById(user._id).select('+adminActions');
+      expect(updated.role).toBe('responder');
+      expect(updated.adminActions).toHaveLength(1);
+      expect(updated.adminActions[0].action).toBe('role_change');
+      expect(updated.adminActions[0].toRole).toBe('responder');
+      expect(updated.adminActions[0].performedBy.toString()).toBe(admin._id.toString());
+    });
+
+    it('should not let an admin grant a role above their own', async () => {
+      const { token } = await createAdminUser();
+      const { user } = await createTestUser();
+
+      const res = await request(app)
+        .put(`/api/users/${user._id}/role`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'super_admin' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should not let an admin change another admin', async () => {
+      const { token } = await createAdminUser();
+      const { user: otherAdmin } = await createAdminUser();
+
+      const res = await request(app)
+        .put(`/api/users/${otherAdmin._id}/role`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'user' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should let a super admin demote an admin', async () => {
+      const { token } = await createSuperAdminUser();
+      const { user: admin } = await createAdminUser();
+
+      const res = await request(app)
+        .put(`/api/users/${admin._id}/role`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'user' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.role).toBe('user');
+    });
+
+    it('should reject unknown roles', async () => {
+      const { token } = await createAdminUser();
+      const { user } = await createTestUser();
+
+      const res = await request(app)
+        .put(`/api/users/${user._id}/role`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'alert' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  // ==========================================
+  // Bans
+  // ==========================================
+  describe('PUT /api/users/:id/ban', () => {
+    it('should ban a user, end their sessions and disconnect their sockets', async () => {
+      const { token: adminToken } = await createAdminUser();
+      const { user, token } = await createTestUser();
+      await Session.create({ userId: user._id, socketId: 'socket-1' });
+      const io = app.get('io');
+      io.disconnectUser.mockClear();
+
+      const res = await request(app)
+        .put(`/api/users/${user._id}/ban`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Spam reports' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.isBanned).toBe(true);
+      expect(io.disconnectUser).toHaveBeenCalledWith(user._id.toString(), 'Spam reports');
+      expect(await Session.countDocuments({ userId: user._id, isActive: true })).toBe(0);
+
+      // Their token stops working
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`);
+      expect(me.status).toBe(403);
+    });
+
+    it('should stop a banned user logging in', async () => {
+      const { user, plainPassword } = await createTestUser({ isBanned: true });
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: plainPassword });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should unban a user', async () => {
+      const { token } = await createAdminUser();
+      const { user } = await createTestUser({ isBanned: true, bannedAt: new Date() });
+
+      const res = await request(app)
+        .put(`/api/users/${user._id}/unban`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.isBanned).toBe(false);
+    });
+
+    it('should not let admins ban themselves', async () => {
+      const { user, token } = await createAdminUser();
+
+      const res = await request(app)
+        .put(`/api/users/${user._id}/ban`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  // ==========================================
+  // DELETE /api/users/:id
+  // ==========================================
+  describe('DELETE /api/users/:id', () => {
+    it('should deactivate and hide the user', async () => {
+      const { token } = await createAdminUser();
+      const { user } = await createTestUser();
+
+      const res = await request(app)
+        .delete(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+
+      const deleted = await User.findById(user._id).select('+adminActions');
+      expect(deleted.isActive).toBe(false);
+      expect(deleted.deletedAt).toBeDefined();
+      expect(deleted.adminActions[0].action).toBe('delete');
+
+      const list = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${token}`);
+      expect(list.body.data.map((u) => u._id)).not.toContain(user._id.toString());
+    });
+  });
+});
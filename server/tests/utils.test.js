@@ -417,6 +417,91 @@ describe('Utilities', () => {
       });
     });
 
+    describe('isPointInGeometry', () => {
+      const square = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+      const hole = [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]];
+
+      it('should detect points inside a Polygon', () => {
+        const geometry = { type: 'Polygon', coordinates: [square] };
+
+        expect(geoUtils.isPointInGeometry([5, 5], geometry)).toBe(true);
+        expect(geoUtils.isPointInGeometry([15, 5], geometry)).toBe(false);
+      });
+
+      it('should exclude points inside a hole', () => {
+        const geometry = { type: 'Polygon', coordinates: [square, hole] };
+
+        expect(geoUtils.isPointInGeometry([5, 5], geometry)).toBe(false);
+        expect(geoUtils.isPointInGeometry([2, 2], geometry)).toBe(true);
+      });
+
+      it('should detect points inside any part of a MultiPolygon', () => {
+        const other = [[20, 20], [30, 20], [30, 30], [20, 30], [20, 20]];
+        const geometry = { type: 'MultiPolygon', coordinates: [[square], [other]] };
+
+        expect(geoUtils.isPointInGeometry([25, 25], geometry)).toBe(true);
+        expect(geoUtils.isPointInGeometry([15, 15], geometry)).toBe(false);
+      });
+
+      it('should return false for unsupported geometries', () => {
+        expect(geoUtils.isPointInGeometry([0, 0], null)).toBe(false);
+        expect(geoUtils.isPointInGeometry([0, 0], { type: 'Point', coordinates: [0, 0] })).toBe(false);
+      });
+    });
+
+    describe('normalizePolygonGeometry', () => {
+      it('should close an open ring', () => {
+        const geometry = geoUtils.normalizePolygonGeometry([[0, 0], [1, 0], [1, 1]]);
+
+        expect(geometry.type).toBe('Polygon');
+        expect(geometry.coordinates[0]).toEqual([[0, 0], [1, 0], [1, 1], [0, 0]]);
+      });
+
+      it('should accept a MultiPolygon', () => {
+        const geometry = geoUtils.normalizePolygonGeometry({
+          type: 'MultiPolygon',
+          coordinates: [
+            [[[0, 0], [1, 0], [1, 1], [0, 0]]],
+            [[[5, 5], [6, 5], [6, 6], [5, 5]]],
+          ],
+        });
+
+        expect(geometry.type).toBe('MultiPolygon');
+        expect(geometry.coordinates.length).toBe(2);
+      });
+
+      it('should reject rings with too few points', () => {
+        expect(geoUtils.normalizePolygonGeometry([[0, 0], [1, 1]])).toBeNull();
+      });
+
+      it('should reject out of range coordinates', () => {
+        expect(geoUtils.normalizePolygonGeometry({
+          type: 'Polygon',
+          coordinates: [[[0, 0], [200, 0], [1, 1], [0, 0]]],
+        })).toBeNull();
+      });
+
+      it('should reject unsupported geometry types', () => {
+        expect(geoUtils.normalizePolygonGeometry({ type: 'Point', coordinates: [0, 0] })).toBeNull();
+      });
+    });
+
+    describe('calculateGeometryCentroid', () => {
+      it('should return the center of a Polygon', () => {
+        const centroid = geoUtils.calculateGeometryCentroid({
+          type: 'Polygon',
+          coordinates: [[[-1, -1], [1, -1], [1, 1], [-1, 1], [-1, -1]]],
+        });
+
+        expect(centroid[0]).toBeCloseTo(0, 5);
+        expect(centroid[1]).toBeCloseTo(0, 5);
+      });
+
+      it('should return null for missing geometry', () => {
+        expect(geoUtils.calculateGeometryCentroid(null)).toBeNull();
+      });
+    });
+
     describe('calculateBearing', () => {
       it('should calculate bearing between two points', () => {
         // NYC to LA should be roughly west-southwest
@@ -466,4 +551,855 @@ describe('Utilities', () => {
       });
     });
   });
+  // ==========================================
+  // CAP Utils
+  // ==========================================
+  describe('CAP Utils', () => {
+    const capUtils = require('../utils/capUtils');
+
+    const alert = {
+      _id: '65a000000000000000000001',
+      title: 'Flood Warning',
+      description: 'River levels rising & roads closed',
+      type: 'weather',
+      severity: 'critical',
+      status: 'active',
+      instructions: [
+        { text: 'Avoid low-lying roads', priority: 2 },
+        { text: 'Move to higher ground', priority: 1 },
+      ],
+      effectiveFrom: new Date('2024-01-01T00:00:00Z'),
+      effectiveUntil: new Date('2030-01-01T00:00:00Z'),
+      createdAt: new Date('2024-01-01T00:00:00Z'),
+      targetArea: { type: 'Circle', coordinates: [-74.006, 40.7128], radius: 5, city: 'New York' },
+    };
+
+    describe('alertToCap', () => {
+      it('should map alert fields onto CAP info and area blocks', () => {
+        const xml = capUtils.alertToCap(alert);
+
+        expect(xml).toContain('<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">');
+        expect(xml).toContain('<severity>Severe</severity>');
+        expect(xml).toContain('<category>Met</category>');
+        expect(xml).toContain('<expires>2030-01-01T00:00:00+00:00</expires>');
+        expect(xml).toContain('<circle>40.7128,-74.006 5</circle>');
+        expect(xml).toContain('<instruction>Avoid low-lying roads\nMove to higher ground</instruction>');
+      });
+
+      it('should escape XML special characters', () => {
+        const xml = capUtils.alertToCap(alert);
+
+        expect(xml).toContain('River levels rising &amp; roads closed');
+      });
+
+      it('should export polygons as CAP lat,lon pairs', () => {
+        const xml = capUtils.alertToCap({
+          ...alert,
+          targetArea: {
+            type: 'Polygon',
+            geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] },
+          },
+        });
+
+        expect(xml).toContain('<polygon>0,0 0,1 1,1 0,0</polygon>');
+      });
+
+      it('should mark cancelled alerts as Cancel messages', () => {
+        const xml = capUtils.alertToCap({ ...alert, status: 'cancelled' });
+
+        expect(xml).toContain('<msgType>Cancel</msgType>');
+      });
+    });
+
+    describe('alertsToAtomFeed', () => {
+      it('should build an Atom feed linking to CAP documents', () => {
+        const xml = capUtils.alertsToAtomFeed([alert], { baseUrl: 'http://localhost:5000' });
+
+        expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+        expect(xml).toContain('href="http://localhost:5000/api/alerts/65a000000000000000000001.cap"');
+        expect(xml.match(/<entry>/g).length).toBe(1);
+      });
+    });
+
+    describe('parseCap', () => {
+      it('should round-trip an exported alert', () => {
+        const { valid, cap, alertData } = capUtils.parseCap(capUtils.alertToCap(alert));
+
+        expect(valid).toBe(true);
+        expect(cap.identifier).toBe('quickalert:alert:65a000000000000000000001');
+        expect(alertData.severity).toBe('critical');
+        expect(alertData.type).toBe('weather');
+        expect(alertData.targetArea.coordinates).toEqual([-74.006, 40.7128]);
+        expect(alertData.targetArea.radius).toBe(5);
+        expect(alertData.instructions.length).toBe(2);
+      });
+
+      it('should keep instruction importance across a round trip', () => {
+        const { alertData } = capUtils.parseCap(capUtils.alertToCap(alert));
+
+        expect(alertData.instructions).toEqual([
+          { text: 'Avoid low-lying roads', priority: 1 },
+          { text: 'Move to higher ground', priority: 0 },
+        ]);
+      });
+
+      it('should parse polygons into GeoJSON', () => {
+        const { alertData } = capUtils.parseCap(capUtils.alertToCap({
+          ...alert,
+          targetArea: {
+            type: 'Polygon',
+            geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] },
+          },
+        }));
+
+        expect(alertData.targetArea.geometry).toEqual({
+          type: 'Polygon',
+          coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]],
+        });
+      });
+
+      it('should reject malformed XML', () => {
+        const { valid, errors } = capUtils.parseCap('<alert><identifier></alert>');
+
+        expect(valid).toBe(false);
+        expect(errors[0]).toMatch(/Malformed XML/);
+      });
+
+      it('should report missing required elements', () => {
+        const { valid, errors } = capUtils.parseCap(
+          '<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2"><identifier>1</identifier></alert>'
+        );
+
+        expect(valid).toBe(false);
+        expect(errors).toContain('Missing required element <sender>');
+        expect(errors).toContain('Missing required element <info>');
+      });
+    });
+  });
+
+  // ==========================================
+  // Alert Localization
+  // ==========================================
+  describe('Alert Localization', () => {
+    const localization = require('../utils/alertLocalization');
+
+    const alert = {
+      title: 'Flood warning',
+      description: 'River levels rising',
+      language: 'en',
+      instructions: [{ text: 'Move to higher ground', priority: 1 }],
+      translations: [
+        { locale: 'es', title: 'Alerta de inundación', description: 'El río está subiendo', instructions: [] },
+      ],
+    };
+
+    it('should normalize locale tags', () => {
+      expect(localization.normalizeLocale('es_mx')).toBe('es-MX');
+      expect(localization.normalizeLocale('EN')).toBe('en');
+      expect(localization.normalizeLocale('not a locale')).toBeNull();
+      expect(localization.normalizeLocale(undefined)).toBeNull();
+    });
+
+    it('should order Accept-Language entries by quality', () => {
+      expect(localization.parseAcceptLanguage('en;q=0.5,es-MX,es;q=0.9'))
+        .toEqual(['es-MX', 'es', 'en']);
+    });
+
+    it('should match a translation by language when the region differs', () => {
+      const picked = localization.pickAlertTranslation(alert, 'es-MX');
+      expect(picked.locale).toBe('es');
+      expect(picked.title).toBe('Alerta de inundación');
+      // No translated instructions - falls back to the base ones
+      expect(picked.instructions).toEqual(alert.instructions);
+    });
+
+    it('should fall back to the base text when no translation matches', () => {
+      const picked = localization.pickAlertTranslation(alert, ['fr', 'de']);
+      expect(picked.locale).toBe('en');
+      expect(picked.title).toBe('Flood warning');
+    });
+
+    it('should localize a copy of the alert', () => {
+      const localized = localization.localizeAlert(alert, 'es');
+      expect(localized.title).toBe('Alerta de inundación');
+      expect(localized.availableLocales).toEqual(['en', 'es']);
+      expect(alert.title).toBe('Flood warning');
+    });
+  });
+
+  // ==========================================
+  // Email Queue
+  // ==========================================
+  describe('Email Queue', () => {
+    const { createEmailQueue, isTransientEmailError } = require('../utils/emailQueue');
+    const emailService = require('../utils/emailService');
+    const { startSmtpStandIn } = require('./smtpStandIn');
+
+    const alert = { title: 'Flood warning', description: 'River rising', severity: 'warning', type: 'weather' };
+    let smtp;
+
+    beforeAll(async () => {
+      smtp = await startSmtpStandIn();
+      process.env.SMTP_HOST = '127.0.0.1';
+      process.env.SMTP_PORT = String(smtp.port);
+      await emailService.initializeTransporter();
+    });
+
+    afterAll(async () => {
+      delete process.env.SMTP_HOST;
+      delete process.env.SMTP_PORT;
+      await emailService.initializeTransporter();
+      await smtp.close();
+    });
+
+    it('should treat 4xx replies and dropped connections as transient', () => {
+      expect(isTransientEmailError({ responseCode: 451 })).toBe(true);
+      expect(isTransientEmailError({ code: 'ECONNECTION' })).toBe(true);
+      expect(isTransientEmailError({ responseCode: 550 })).toBe(false);
+      expect(isTransientEmailError(new Error('bad template'))).toBe(false);
+    });
+
+    it('should space sends out to the configured rate', async () => {
+      const queue = createEmailQueue({ ratePerSecond: 20 });
+      const sentAt = [];
+
+      await Promise.all([1, 2, 3].map(() => queue.enqueue(async () => sentAt.push(Date.now()))));
+
+      expect(sentAt[2] - sentAt[0]).toBeGreaterThanOrEqual(90);
+    });
+
+    it('should deliver alert emails to the SMTP server', async () => {
+      const queue = createEmailQueue({ ratePerSecond: 50 });
+
+      const result = await queue.enqueue(() =>
+        emailService.sendAlertNotificationEmail('resident@example.com', alert, 'Sam')
+      );
+
+      expect(result.status).toBe('delivered');
+      const message = smtp.messages[smtp.messages.length - 1];
+      expect(message.to).toEqual(['resident@example.com']);
+      expect(message.data).toContain('Flood warning');
+    });
+
+    it('should retry transient SMTP errors', async () => {
+      const queue = createEmailQueue({ ratePerSecond: 50, retryDelayMs: 10 });
+      smtp.rejectNext('451 Try again later');
+
+      const result = await queue.enqueue(() =>
+        emailService.sendAlertNotificationEmail('retry@example.com', alert)
+      );
+
+      expect(result).toEqual({ status: 'delivered', attempts: 2 });
+    });
+
+    it('should give up on permanent SMTP errors', async () => {
+      const queue = createEmailQueue({ ratePerSecond: 50, retryDelayMs: 10 });
+      smtp.rejectNext('550 Mailbox unavailable');
+
+      const result = await queue.enqueue(() =>
+        emailService.sendAlertNotificationEmail('nobody@example.com', alert)
+      );
+
+      expect(result.status).toBe('failed');
+      expect(result.attempts).toBe(1);
+      expect(result.error.responseCode).toBe(550);
+    });
+  });
+
+  // ==========================================
+  // Duplicate Detection
+  // ==========================================
+  describe('Duplicate Detection', () => {
+    const { textSimilarity, scoreDuplicate } = require('../utils/duplicateDetection');
+
+    const report = {
+      title: 'Car on fire',
+      description: 'A car is burning on Main Street',
+      category: 'fire',
+      location: { coordinates: [-74.0060, 40.7128] },
+      createdAt: new Date('2026-01-01T12:00:00Z'),
+    };
+
+    it('should compare texts by shared words', () => {
+      expect(textSimilarity('Car fire on Main Street', 'car FIRE main street')).toBe(1);
+      expect(textSimilarity('Car fire', 'Flooded basement')).toBe(0);
+    });
+
+    it('should score a nearby report about the same incident highly', () => {
+      const match = scoreDuplicate(report, {
+        ...report,
+        title: 'Burning car',
+        location: { coordinates: [-74.0062, 40.7129] },
+        createdAt: new Date('2026-01-01T12:20:00Z'),
+      });
+
+      expect(match.score).toBeGreaterThan(0.75);
+      expect(match.distanceMeters).toBeLessThan(50);
+    });
+
+    it('should score a different incident far away low', () => {
+      const match = scoreDuplicate(report, {
+        title: 'Pothole',
+        description: 'Deep pothole',
+        category: 'infrastructure',
+        location: { coordinates: [-74.0200, 40.7300] },
+        createdAt: new Date('2026-01-01T20:00:00Z'),
+      });
+
+      expect(match.score).toBe(0);
+    });
+  });
+
+  // ==========================================
+  // Content Filter
+  // ==========================================
+  describe('Content Filter', () => {
+    const { containsProfanity, findProfanity } = require('../utils/contentFilter');
+
+    it('should catch blocked words and common disguises', () => {
+      expect(containsProfanity('What a shit show')).toBe(true);
+      expect(containsProfanity('What a sh1t show')).toBe(true);
+      expect(findProfanity('f.u.c.k this')).toEqual(['fuck']);
+    });
+
+    it('should not flag words that only contain a blocked word', () => {
+      expect(containsProfanity('Class was cancelled after the scrap truck crashed')).toBe(false);
+      expect(containsProfanity('Pass the assessment')).toBe(false);
+    });
+  });
+
+  // ==========================================
+  // Reputation
+  // ==========================================
+  describe('Reputation', () => {
+    const {
+      NEUTRAL_SCORE,
+      scoreHistory,
+      getVoteWeight,
+      getConfirmThreshold,
+      isHeldBack,
+    } = require('../utils/reputation');
+
+    it('should start users with no history at neutral', () => {
+      expect(scoreHistory({})).toBe(NEUTRAL_SCORE);
+    });
+
+    it('should rise with confirmed reports and fall with false ones', () => {
+      expect(scoreHistory({ reportsConfirmed: 5, votesAccurate: 2 })).toBeGreaterThanOrEqual(85);
+      expect(scoreHistory({ reportsFalse: 3 })).toBeLessThan(25);
+      expect(scoreHistory({ reportsFalse: 1 })).toBeGreaterThan(scoreHistory({ reportsFalse: 3 }));
+    });
+
+    it('should weight votes and thresholds by tier', () => {
+      const user = { role: 'user' };
+      expect(getVoteWeight(user, { tier: 'highly_trusted' })).toBeGreaterThan(getVoteWeight(user, { tier: 'neutral' }));
+      expect(getVoteWeight(user, { tier: 'untrusted' })).toBeLessThan(1);
+      expect(getVoteWeight({ role: 'responder' }, { tier: 'untrusted' })).toBe(2);
+      expect(getConfirmThreshold({ tier: 'trusted' })).toBeLessThan(getConfirmThreshold(null));
+    });
+
+    it('should only hold back untrusted reporters', () => {
+      expect(isHeldBack({ tier: 'untrusted' })).toBe(true);
+      expect(isHeldBack({ tier: 'low' })).toBe(false);
+      expect(isHeldBack(null)).toBe(false);
+    });
+  });
+
+  // ==========================================
+  // Verification Guard
+  // ==========================================
+  describe('Verification Guard', () => {
+    const { findImpossibleTravel } = require('../utils/verificationGuard');
+
+    const now = new Date('2026-01-01T12:00:00Z');
+    const newYork = [-74.0060, 40.7128];
+    const losAngeles = [-118.2437, 34.0522];
+
+    it('should flag a location too far from a recent one to have travelled', () => {
+      const travel = findImpossibleTravel(newYork, [
+        { coordinates: losAngeles, at: new Date('2026-01-01T11:30:00Z'), source: 'socket' },
+      ], now);
+
+      expect(travel).not.toBeNull();
+      expect(travel.source).toBe('socket');
+      expect(travel.speedKmh).toBeGreaterThan(900);
+    });
+
+    it('should allow journeys that were possible in the time', () => {
+      expect(findImpossibleTravel(newYork, [
+        { coordinates: losAngeles, at: new Date('2026-01-01T04:00:00Z'), source: 'vote' },
+      ], now)).toBeNull();
+    });
+
+    it('should ignore short hops however quick', () => {
+      expect(findImpossibleTravel(newYork, [
+        { coordinates: [-74.0100, 40.7150], at: now, source: 'socket' },
+      ], now)).toBeNull();
+    });
+  });
+
+  // ==========================================
+  // Audit log helpers
+  // ==========================================
+  describe('Audit Log', () => {
+    const mongoose = require('mongoose');
+    const { snapshot, diffSnapshots } = require('../utils/auditLog');
+
+    it('should copy dotted fields and store ids and dates as strings', () => {
+      const id = new mongoose.Types.ObjectId();
+      const when = new Date('2026-01-01T00:00:00Z');
+
+      expect(snapshot({ status: 'pending', by: id, at: when, area: { radius: 5 } }, ['status', 'by', 'at', 'area.radius']))
+        .toEqual({ status: 'pending', by: id.toString(), at: '2026-01-01T00:00:00.000Z', 'area.radius': 5 });
+    });
+
+    it('should never copy secrets', () => {
+      expect(snapshot({ password: 'hunter2', role: 'user' }, ['password', 'role'])).toEqual({ role: 'user' });
+    });
+
+    it('should keep only the fields that changed', () => {
+      expect(diffSnapshots(
+        { status: 'pending', severity: 'high', tags: ['a'] },
+        { status: 'verified', severity: 'high', tags: ['a'] }
+      )).toEqual([{ field: 'status', from: 'pending', to: 'verified' }]);
+    });
+
+    it('should treat missing and null as the same', () => {
+      expect(diffSnapshots({}, { status: 'active', note: null }))
+        .toEqual([{ field: 'status', from: null, to: 'active' }]);
+    });
+  });
+
+  // ==========================================
+  // Route helpers
+  // ==========================================
+  describe('Route Helpers', () => {
+    const { pickFields, createErrorHandler } = require('../utils/routeHelpers');
+
+    const mockRes = () => {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    it('should pick only editable fields and null out empty optional ones', () => {
+      expect(pickFields(
+        { name: 'Fire', category: '', severity: 'high', createdBy: 'someone-else' },
+        ['name', 'category', 'severity'],
+        ['category']
+      )).toEqual({ name: 'Fire', category: null, severity: 'high' });
+    });
+
+    it('should map duplicate keys and bad ids to client errors', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const handle = createErrorHandler({ notFound: 'Policy not found', duplicate: 'Already exists' });
+
+      const duplicate = mockRes();
+      handle({ code: 11000 }, duplicate, 'Create policy');
+      const badId = mockRes();
+      handle({ name: 'CastError' }, badId, 'Get policy');
+
+      expect(duplicate.status).toHaveBeenCalledWith(400);
+      expect(duplicate.json).toHaveBeenCalledWith({ success: false, message: 'Already exists' });
+      expect(badId.status).toHaveBeenCalledWith(404);
+      expect(badId.json).toHaveBeenCalledWith({ success: false, message: 'Policy not found' });
+      console.error.mockRestore();
+    });
+
+    it('should treat duplicate keys as server errors when no message is given', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const res = mockRes();
+
+      createErrorHandler({ notFound: 'Incident not found' })({ code: 11000 }, res, 'Create incident');
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      console.error.mockRestore();
+    });
+  });
+
+  // ==========================================
+  // SLA Checker
+  // ==========================================
+  describe('SLA Checker', () => {
+    const SlaPolicy = require('../models/SlaPolicy');
+    const { buildPolicyQuery } = require('../utils/slaChecker');
+
+    const createdAt = new Date('2026-01-01T00:00:00Z');
+    const catchAll = new SlaPolicy({ name: 'Default', acknowledgeWithinMinutes: 60, createdAt });
+    const critical = new SlaPolicy({ name: 'Critical', severity: 'critical', acknowledgeWithinMinutes: 15, createdAt });
+    const fire = new SlaPolicy({ name: 'Fire', category: 'fire', acknowledgeWithinMinutes: 30, createdAt });
+    const policies = [catchAll, critical, fire];
+
+    it('should leave reports a more specific policy covers to that policy', () => {
+      expect(buildPolicyQuery(catchAll, policies)).toEqual({
+        createdAt: { $gte: createdAt },
+        $nor: [{ severity: 'critical' }, { category: 'fire' }],
+      });
+      // A critical fire report takes the fire policy, which has a category
+      expect(buildPolicyQuery(critical, policies)).toEqual({
+        createdAt: { $gte: createdAt },
+        severity: 'critical',
+        $nor: [{ category: 'fire' }],
+      });
+      expect(buildPolicyQuery(fire, policies)).toEqual({
+        createdAt: { $gte: createdAt },
+        category: 'fire',
+      });
+    });
+  });
+
+  // ==========================================
+  // SMS Service
+  // ==========================================
+  describe('SMS Service', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const smsService = require('../utils/smsService');
+    const { logger } = require('../utils/logger');
+
+    afterEach(() => {
+      smsService.setSmsTransport(null);
+      delete process.env.SMS_TRANSPORT;
+    });
+
+    it('should normalize phone numbers', () => {
+      expect(smsService.normalizePhone('+1 (555) 123-4567')).toBe('+15551234567');
+      expect(smsService.normalizePhone('555.123.4567')).toBe('5551234567');
+      expect(smsService.normalizePhone('12345')).toBeNull();
+      expect(smsService.normalizePhone('call me')).toBeNull();
+    });
+
+    it('should append messages to a file with the file transport', async () => {
+      const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sms-')), 'sms.log');
+      smsService.setSmsTransport(smsService.createSmsTransport('file', { filePath }));
+
+      const result = await smsService.sendVerificationSms('+15551234567', '123456');
+
+      expect(result).toEqual(expect.objectContaining({ success: true, transport: 'file' }));
+      const [line] = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+      expect(JSON.parse(line)).toEqual(expect.objectContaining({
+        messageId: result.messageId,
+        to: '+15551234567',
+        body: expect.stringContaining('123456'),
+      }));
+    });
+
+    it('should pick the transport from SMS_TRANSPORT, including registered ones', async () => {
+      const sent = [];
+      smsService.registerSmsTransport('memory', () => ({
+        name: 'memory',
+        send: async (message) => {
+          sent.push(message);
+          return { messageId: 'm-1' };
+        },
+      }));
+      process.env.SMS_TRANSPORT = 'memory';
+
+      await smsService.sendSms('+15551234567', 'Hello');
+
+      expect(sent).toEqual([{ to: '+15551234567', body: 'Hello' }]);
+    });
+
+    it('should reject unknown transports and surface send failures', async () => {
+      expect(() => smsService.createSmsTransport('pigeon')).toThrow('Unknown SMS transport');
+
+      smsService.setSmsTransport({
+        name: 'broken',
+        send: async () => {
+          throw new Error('Gateway down');
+        },
+      });
+      await expect(smsService.sendSms('+15551234567', 'Hello')).rejects.toThrow('Gateway down');
+    });
+
+    it('should only fall back to the console transport in development and test', async () => {
+      const nodeEnv = process.env.NODE_ENV;
+      const errorSpy = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      try {
+        expect(smsService.getSmsTransport().name).toBe('console');
+
+        smsService.setSmsTransport(null);
+        process.env.NODE_ENV = 'production';
+
+        expect(smsService.getSmsTransport()).toBeNull();
+        expect(smsService.isSmsEnabled()).toBe(false);
+        await expect(smsService.sendSms('+15551234567', 'Hello')).rejects.toThrow('SMS is not configured');
+        expect(errorSpy).toHaveBeenCalledTimes(1);
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+        errorSpy.mockRestore();
+      }
+    });
+
+    it('should count GSM extended characters twice and fall back to the Unicode limit', () => {
+      expect(smsService.measureSms('Flood at [Main St]')).toEqual({ length: 20, limit: 160 });
+      expect(smsService.measureSms('Inundación 🌊')).toEqual(expect.objectContaining({ limit: 70 }));
+    });
+
+    it('should measure GSM characters outside Latin-1 as UCS-2, as the gateways send them', () => {
+      expect(smsService.measureSms('Fine: €50')).toEqual({ length: 9, limit: 70 });
+      expect(smsService.measureSms('ΣΕΙΣΜΟΣ')).toEqual({ length: 7, limit: 70 });
+      expect(smsService.fitSms('€'.repeat(160))).toHaveLength(70);
+    });
+
+    it('should trim text to one segment with an ellipsis', () => {
+      expect(smsService.fitSms('Short message')).toBe('Short message');
+
+      const fitted = smsService.fitSms('x'.repeat(200), 20);
+      expect(fitted).toHaveLength(140);
+      expect(fitted.endsWith('...')).toBe(true);
+    });
+
+    it('should build a single-segment alert message with the opt-out footer', () => {
+      const alert = {
+        title: 'Flash flood warning',
+        description: 'Long description '.repeat(20),
+        shortDescription: 'Move to higher ground now. Avoid Riverside Dr and the underpasses on 5th Ave, which are already under water. '.repeat(2),
+        severity: 'critical',
+        language: 'en',
+        translations: [{ locale: 'es', title: 'Aviso de inundación', description: 'Busque terreno elevado.' }],
+      };
+
+      const english = smsService.buildAlertSms(alert, 'en');
+      expect(english.startsWith('CRITICAL: Flash flood warning. Move to higher ground')).toBe(true);
+      expect(english.endsWith('Reply STOP to opt out')).toBe(true);
+      expect(english.length).toBeLessThanOrEqual(smsService.SMS_MAX_LENGTH);
+
+      // "ó" is outside the GSM alphabet, so the Spanish text gets the 70-character Unicode segment
+      const spanish = smsService.buildAlertSms(alert, 'es');
+      expect(spanish).toBe('CRITICAL: Aviso de inundación. Busque terreno... Reply STOP to opt out');
+      expect(spanish.length).toBeLessThanOrEqual(70);
+    });
+
+    it('should recognize opt-out and opt-in replies', () => {
+      expect(smsService.parseSmsKeyword(' stop ')).toBe('opt_out');
+      expect(smsService.parseSmsKeyword('Unsubscribe.')).toBe('opt_out');
+      expect(smsService.parseSmsKeyword('START')).toBe('opt_in');
+      expect(smsService.parseSmsKeyword('stop sending me floods')).toBeNull();
+      expect(smsService.parseSmsKeyword(undefined)).toBeNull();
+    });
+  });
+
+  // ==========================================
+  // SMS Gateways
+  // ==========================================
+  describe('SMS Gateways', () => {
+    const http = require('http');
+    const {
+      createTwilioTransport,
+      createSmppTransport,
+      createLoopbackTransport,
+    } = require('../utils/smsGateways');
+    const { startSmppStandIn } = require('./smppStandIn');
+
+    describe('twilio', () => {
+      let server;
+      let requests;
+      let reply;
+      let baseUrl;
+
+      beforeAll((done) => {
+        server = http.createServer((req, res) => {
+          let body = '';
+          req.on('data', (chunk) => { body += chunk; });
+          req.on('end', () => {
+            requests.push({ url: req.url, authorization: req.headers.authorization, form: new URLSearchParams(body) });
+            res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(reply.body));
+          });
+        });
+        server.listen(0, '127.0.0.1', () => {
+          baseUrl = `http://127.0.0.1:${server.address().port}`;
+          done();
+        });
+      });
+
+      afterAll((done) => {
+        server.close(done);
+      });
+
+      beforeEach(() => {
+        requests = [];
+        reply = { status: 201, body: { sid: 'SM123' } };
+      });
+
+      const transport = () => createTwilioTransport({
+        accountSid: 'AC1',
+        authToken: 'token',
+        from: '+15550001111',
+        baseUrl,
+        statusCallback: 'https://example.com/api/sms/status?token=t',
+      });
+
+      it('should post the message to the Messages API', async () => {
+        const result = await transport().send({ to: '+15551234567', body: 'Hello' });
+
+        expect(result).toEqual({ messageId: 'SM123' });
+        expect(requests[0].url).toBe('/2010-04-01/Accounts/AC1/Messages.json');
+        expect(requests[0].authorization).toBe(`Basic ${Buffer.from('AC1:token').toString('base64')}`);
+        expect(Object.fromEntries(requests[0].form)).toEqual({
+          To: '+15551234567',
+          Body: 'Hello',
+          From: '+15550001111',
+          StatusCallback: 'https://example.com/api/sms/status?token=t',
+        });
+      });
+
+      it('should flag rate limits as transient and unsubscribed numbers as opted out', async () => {
+        reply = { status: 429, body: { code: 20429, message: 'Too Many Requests' } };
+        await expect(transport().send({ to: '+15551234567', body: 'Hi' }))
+          .rejects.toEqual(expect.objectContaining({ transient: true, optedOut: false }));
+
+        reply = { status: 400, body: { code: 21610, message: 'Attempt to send to unsubscribed recipient' } };
+        await expect(transport().send({ to: '+15551234567', body: 'Hi' }))
+          .rejects.toEqual(expect.objectContaining({ transient: false, optedOut: true }));
+      });
+
+      it('should refuse to start without credentials', () => {
+        expect(() => createTwilioTransport({ accountSid: '', authToken: '' })).toThrow('TWILIO_ACCOUNT_SID');
+      });
+    });
+
+    describe('smpp', () => {
+      let smsc;
+
+      beforeAll(async () => {
+        smsc = await startSmppStandIn();
+      });
+
+      afterAll(() => smsc.close());
+
+      const transport = (overrides) => createSmppTransport({
+        host: '127.0.0.1',
+        port: smsc.port,
+        systemId: 'quickalert',
+        password: 'secret',
+        from: 'QuickAlert',
+        ...overrides,
+      });
+
+      it('should bind once and submit a whole batch', async () => {
+        const before = smsc.binds.length;
+
+        const results = await transport().sendBatch([
+          { to: '+15551234567', body: 'First' },
+          { to: '+15557654321', body: 'Aviso de inundación ⚠' },
+        ]);
+
+        expect(smsc.binds.length - before).toBe(1);
+        expect(results.map((r) => r.messageId)).toEqual([expect.stringMatching(/^smpp-/), expect.stringMatching(/^smpp-/)]);
+        expect(smsc.messages.slice(-2)).toEqual([
+          expect.objectContaining({ from: 'QuickAlert', to: '15551234567', body: 'First', dataCoding: 0x03 }),
+          expect.objectContaining({ to: '15557654321', body: 'Aviso de inundación ⚠', dataCoding: 0x08 }),
+        ]);
+      });
+
+      it('should send messages too long for sm_length in message_payload', async () => {
+        const body = 'Δ'.repeat(200);
+
+        await transport().send({ to: '+15551234567', body });
+
+        expect(smsc.messages[smsc.messages.length - 1]).toEqual(
+          expect.objectContaining({ body, dataCoding: 0x08 })
+        );
+      });
+
+      it('should flag throttling as transient', async () => {
+        smsc.rejectNext(0x58);
+
+        await expect(transport().send({ to: '+15551234567', body: 'Hi' }))
+          .rejects.toEqual(expect.objectContaining({ transient: true, code: 0x58 }));
+      });
+
+      it('should fail every message when the bind is refused', async () => {
+        const results = await transport({ password: 'wrong' }).sendBatch([
+          { to: '+15551234567', body: 'A' },
+          { to: '+15557654321', body: 'B' },
+        ]);
+
+        expect(results).toHaveLength(2);
+        results.forEach((result) => expect(result.error.message).toContain('bind rejected'));
+      });
+    });
+
+    describe('loopback', () => {
+      it('should record messages and fail on request', async () => {
+        const loopback = createLoopbackTransport();
+        loopback.failNext('+15557654321', { optedOut: true });
+
+        await loopback.send({ to: '+15551234567', body: 'One' });
+        await expect(loopback.send({ to: '+15557654321', body: 'Two' }))
+          .rejects.toEqual(expect.objectContaining({ optedOut: true }));
+        await loopback.send({ to: '+15557654321', body: 'Three' });
+
+        expect(loopback.messages.map((m) => m.body)).toEqual(['One', 'Three']);
+      });
+    });
+  });
+
+  // ==========================================
+  // SMS Dispatcher
+  // ==========================================
+  describe('SMS Dispatcher', () => {
+    const { createSmsDispatcher } = require('../utils/smsDispatcher');
+    const { createLoopbackTransport } = require('../utils/smsGateways');
+
+    const messages = (count) => Array.from({ length: count }, (_, i) => ({
+      to: `+1555000000${i}`,
+      body: `Message ${i}`,
+      user: `u${i}`,
+    }));
+
+    it('should send in batches with a pause between them', async () => {
+      const transport = createLoopbackTransport();
+      const dispatcher = createSmsDispatcher({ batchSize: 2, batchIntervalMs: 40, transport });
+      const batches = [];
+      const started = Date.now();
+
+      const results = await dispatcher.dispatch(messages(5), {
+        onBatch: (settled) => batches.push(settled.map((r) => r.user)),
+      });
+
+      expect(batches).toEqual([['u0', 'u1'], ['u2', 'u3'], ['u4']]);
+      expect(Date.now() - started).toBeGreaterThanOrEqual(80);
+      expect(results.every((r) => r.status === 'sent' && r.messageId)).toBe(true);
+    });
+
+    it('should retry transient failures in a later batch', async () => {
+      const transport = createLoopbackTransport();
+      transport.failNext('+15550000000', { transient: true });
+      const dispatcher = createSmsDispatcher({ batchSize: 10, batchIntervalMs: 0, transport });
+
+      const results = await dispatcher.dispatch(messages(2));
+
+      expect(results.map((r) => [r.user, r.status, r.attempts])).toEqual([
+        ['u1', 'sent', 1],
+        ['u0', 'sent', 2],
+      ]);
+    });
+
+    it('should settle permanent failures, opt-outs and exhausted retries', async () => {
+      const transport = createLoopbackTransport();
+      transport.failNext('+15550000000', { message: 'Invalid number' });
+      transport.failNext('+15550000001', { optedOut: true });
+      const flaky = {
+        name: 'flaky',
+        send: async (message) => {
+          if (message.to === '+15550000002') throw Object.assign(new Error('Busy'), { transient: true });
+          return transport.send(message);
+        },
+      };
+
+      const results = await createSmsDispatcher({ batchSize: 10, batchIntervalMs: 0, maxAttempts: 2, transport: flaky })
+        .dispatch(messages(3));
+      const byUser = Object.fromEntries(results.map((r) => [r.user, r]));
+
+      expect(byUser.u0).toEqual(expect.objectContaining({ status: 'failed', error: 'Invalid number', attempts: 1 }));
+      expect(byUser.u1).toEqual(expect.objectContaining({ status: 'opted_out', attempts: 1 }));
+      expect(byUser.u2).toEqual(expect.objectContaining({ status: 'failed', error: 'Busy', attempts: 2 }));
+    });
+  });
 });
@@ -0,0 +1,199 @@
+/**
+ * Verification Policy Tests
+ * Tests for /api/verification-policies endpoints and how policies shape community verification
+ */
+
+require('./setup');
+const request = require('supertest');
+const createApp = require('./app');
+const Alert = require('../models/Alert');
+const Report = require('../models/Report');
+const VerificationPolicy = require('../models/VerificationPolicy');
+const {
+  createTestUser,
+  createAdminUser,
+  createTestReport,
+} = require('./helpers');
+
+const app = createApp();
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Verification Policies', () => {
+  // ==========================================
+  // /api/verification-policies
+  // ==========================================
+  describe('Policy routes', () => {
+    it('should let an admin create a policy', async () => {
+      const { token } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/verification-policies')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Fires', category: 'fire', confirmThreshold: 2, verificationRadiusKm: 10 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.confirmThreshold).toBe(2);
+      expect(res.body.data.severity).toBeNull();
+    });
+
+    it('should treat an empty category as any category', async () => {
+      const { token } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/verification-policies')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Any critical', category: '', severity: 'critical', voteWindowHours: '' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.category).toBeNull();
+      expect(res.body.data.voteWindowHours).toBeNull();
+    });
+
+    it('should reject a second policy for the same category and severity', async () => {
+      const { user, token } = await createAdminUser();
+      await VerificationPolicy.init();
+      await VerificationPolicy.create({ name: 'Fires', category: 'fire', createdBy: user._id });
+
+      const res = await request(app)
+        .post('/api/verification-policies')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'More fires', category: 'fire' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject an unknown category', async () => {
+      const { token } = await createAdminUser();
+
+      const res = await request(app)
+        .post('/api/verification-policies')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Nonsense', category: 'not_a_category' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should list policies with the defaults', async () => {
+      const { user, token } = await createAdminUser();
+      await VerificationPolicy.create({ name: 'Fires', category: 'fire', createdBy: user._id });
+
+      const res = await request(app)
+        .get('/api/verification-policies')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.defaults.confirmThreshold).toBe(4);
+    });
+
+    it('should not let regular users manage policies', async () => {
+      const { token } = await createTestUser();
+
+      const res = await request(app)
+        .get('/api/verification-policies')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  // ==========================================
+  // Policies applied to community votes
+  // ==========================================
+  describe('Community verification', () => {
+    const reportLocation = { type: 'Point', coordinates: [-74.0060, 40.7128] };
+
+    const confirm = (report, token, body = { userLat: 40.7128, userLng: -74.0060 }) =>
+      request(app)
+        .post(`/api/reports/${report._id}/verify`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ vote: 'confirm', ...body });
+
+    const createPolicy = async (fields) => {
+      const { user } = await createAdminUser();
+      return VerificationPolicy.create({ name: 'Test policy', createdBy: user._id, ...fields });
+    };
+
+    it('should verify at the policy threshold', async () => {
+      await createPolicy({ category: 'fire', confirmThreshold: 2 });
+      const { user: reporter } = await createTestUser();
+      const report = await createTestReport(reporter._id, { category: 'fire', location: reportLocation });
+
+      let res;
+      for (let i = 0; i < 2; i++) {
+        const { token } = await createTestUser();
+        res = await confirm(report, token);
+      }
+
+      expect(res.body.data.confirmThreshold).toBe(2);
+      expect(res.body.data.verificationStatus).toBe('verified');
+    });
+
+    it('should prefer the policy matching both category and severity', async () => {
+      await createPolicy({ category: 'fire', confirmThreshold: 6 });
+      await createPolicy({ category: 'fire', severity: 'critical', confirmThreshold: 2 });
+      const { user: reporter } = await createTestUser();
+      const report = await createTestReport(reporter._id, {
+        category: 'fire',
+        severity: 'critical',
+        location: reportLocation,
+      });
+
+      const { token } = await createTestUser();
+      const res = await confirm(report, token);
+
+      expect(res.body.data.confirmThreshold).toBe(2);
+    });
+
+    it('should enforce the policy radius', async () => {
+      await createPolicy({ category: 'fire', verificationRadiusKm: 1 });
+      const { user: reporter } = await createTestUser();
+      const report = await createTestReport(reporter._id, { category: 'fire', location: reportLocation });
+
+      // About 3km north of the report
+      const { token } = await createTestUser();
+      const res = await confirm(report, token, { userLat: 40.7400, userLng: -74.0060 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toContain('within 1km');
+    });
+
+    it('should close voting once the policy window has passed', async () => {
+      await createPolicy({ category: 'fire', voteWindowHours: 2 });
+      const { user: reporter } = await createTestUser();
+      const report = await createTestReport(reporter._id, { category: 'fire', location: reportLocation });
+      await Report.collection.updateOne(
+        { _id: report._id },
+        { $set: { createdAt: new Date(Date.now() - 3 * HOUR) } }
+      );
+
+      const { token } = await createTestUser();
+      const res = await confirm(report, token);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toContain('closed');
+    });
+
+    it('should raise the alert with the policy settings', async () => {
+      const policy = await createPolicy({
+        category: 'fire',
+        confirmThreshold: 1,
+        alertSeverity: 'extreme',
+        alertDurationHours: 6,
+      });
+      const { user: reporter } = await createTestUser();
+      const report = await createTestReport(reporter._id, { category: 'fire', location: reportLocation });
+
+      const { token } = await createTestUser();
+      await confirm(report, token);
+
+      const alert = await Alert.findOne({ 'source.reportId': report._id });
+      expect(alert).not.toBeNull();
+      expect(alert.severity).toBe('extreme');
+      expect(alert.metadata.verificationPolicy.name).toBe(policy.name);
+      expect(alert.metadata.verificationPolicy.confirmThreshold).toBe(1);
+      expect(alert.effectiveUntil - alert.effectiveFrom).toBeCloseTo(6 * HOUR, -4);
+    });
+  });
+});
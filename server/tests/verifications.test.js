@@ -0,0 +1,199 @@
+/**
+ * Verification Tests
+ * Tests for responder applications and their admin review
+ */
+
+require('./setup');
+const request = require('supertest');
+const createApp = require('./app');
+const User = require('../models/User');
+const Verification = require('../models/Verification');
+const AuditLog = require('../models/AuditLog');
+const {
+  createTestUser,
+  createAdminUser,
+  createResponderUser,
+} = require('./helpers');
+
+const app = createApp();
+
+const application = {
+  organization: 'Springfield Fire Department',
+  organizationType: 'fire_department',
+  department: 'Station 3',
+  badge: 'FD-1234',
+  documents: [
+    { url: 'https://utfs.io/f/badge.jpg', key: 'badge.jpg', name: 'badge.jpg' },
+  ],
+};
+
+const apply = (token, body = application) => request(app)
+  .post('/api/verifications/responder')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('Responder Verification', () => {
+  // ==========================================
+  // Applying
+  // ==========================================
+  describe('POST /api/verifications/responder', () => {
+    it('should submit an application with documents', async () => {
+      const { user, token } = await createTestUser();
+
+      const res = await apply(token);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.status).toBe('pending');
+      expect(res.body.data.data.organization).toBe(application.organization);
+      expect(res.body.data.data.documents).toHaveLength(1);
+      expect(res.body.data.token).toBeUndefined();
+
+      const stored = await Verification.findById(res.body.data._id);
+      expect(stored.user.toString()).toBe(user._id.toString());
+      expect(stored.type).toBe('responder');
+    });
+
+    it('should require a document and a valid agency type', async () => {
+      const { token } = await createTestUser();
+
+      const [noDocuments, badType] = await Promise.all([
+        apply(token, { ...application, documents: [] }),
+        apply(token, { ...application, organizationType: 'militia' }),
+      ]);
+
+      expect(noDocuments.status).toBe(400);
+      expect(noDocuments.body.message).toContain('document');
+      expect(badType.status).toBe(400);
+    });
+
+    it('should replace an earlier pending application', async () => {
+      const { token } = await createTestUser();
+
+      const first = await apply(token);
+      const second = await apply(token, { ...application, badge: 'FD-9999' });
+
+      const earlier = await Verification.findById(first.body.data._id);
+      expect(earlier.status).toBe('cancelled');
+
+      const mine = await request(app)
+        .get('/api/verifications/responder/me')
+        .set('Authorization', `Bearer ${token}`);
+      expect(mine.body.data._id).toBe(second.body.data._id);
+    });
+
+    it('should reject applications from responders', async () => {
+      const { token } = await createResponderUser();
+
+      const res = await apply(token);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  // ==========================================
+  // Review queue
+  // ==========================================
+  describe('GET /api/verifications/responder', () => {
+    it('should list pending applications for admins', async () => {
+      const { token: adminToken } = await createAdminUser();
+      const { token } = await createTestUser();
+      await apply(token);
+
+      const res = await request(app)
+        .get('/api/verifications/responder')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].user.email).toBeDefined();
+      expect(res.body.pagination.total).toBe(1);
+    });
+
+    it('should not be available to regular users', async () => {
+      const { token } = await createTestUser();
+
+      const res = await request(app)
+        .get('/api/verifications/responder')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  // ==========================================
+  // Review
+  // ==========================================
+  describe('PATCH /api/verifications/responder/:id', () => {
+    it('should promote the applicant on approval and notify them', async () => {
+      const { token: adminToken } = await createAdminUser();
+      const { user, token } = await createTestUser();
+      const submitted = await apply(token);
+
+      const res = await request(app)
+        .patch(`/api/verifications/responder/${submitted.body.data._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ action: 'approve', notes: 'Checked with the station chief' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('approved');
+      expect(res.body.data.reviewNotes).toBe('Checked with the station chief');
+
+      const promoted = await User.findById(user._id).select('+adminActions');
+      expect(promoted.role).toBe('responder');
+      expect(promoted.responderInfo.organization).toBe(application.organization);
+      expect(promoted.responderInfo.badge).toBe(application.badge);
+      expect(promoted.adminActions[0].toRole).toBe('responder');
+
+      expect(app.get('io').notifyUser).toHaveBeenCalledWith(
+        user._id.toString(),
+        'responderApplicationReviewed',
+        expect.objectContaining({ status: 'approved', role: 'responder' })
+      );
+
+      const actions = await AuditLog.distinct('action');
+      expect(actions).toEqual(expect.arrayContaining(['verification.responder_approve', 'user.role_change']));
+    });
+
+    it('should leave the role alone on rejection', async () => {
+      const { token: adminToken } = await createAdminUser();
+      const { user, token } = await createTestUser();
+      const submitted = await apply(token);
+
+      const res = await request(app)
+        .patch(`/api/verifications/responder/${submitted.body.data._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ action: 'reject', rejectionReason: 'Badge could not be confirmed' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('rejected');
+      expect(res.body.data.rejectionReason).toBe('Badge could not be confirmed');
+
+      const unchanged = await User.findById(user._id);
+      expect(unchanged.role).toBe('user');
+    });
+
+    it('should not review an application twice', async () => {
+      const { token: adminToken } = await createAdminUser();
+      const { token } = await createTestUser();
+      const submitted = await apply(token);
+      const url = `/api/verifications/responder/${submitted.body.data._id}`;
+
+      await request(app).patch(url).set('Authorization', `Bearer ${adminToken}`).send({ action: 'reject' });
+      const res = await request(app).patch(url).set('Authorization', `Bearer ${adminToken}`).send({ action: 'approve' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toContain('rejected');
+    });
+
+    it('should return 404 for an unknown application', async () => {
+      const { token: adminToken } = await createAdminUser();
+
+      const res = await request(app)
+        .patch('/api/verifications/responder/507f1f77bcf86cd799439011')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ action: 'approve' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
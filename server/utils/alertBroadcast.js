@@ -0,0 +1,342 @@
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const { isWithinRadius } = require('./geoUtils');
+const { sendAlertNotificationEmail } = require('./emailService');
+const { createEmailQueue } = require('./emailQueue');
+const { buildAlertSms, normalizePhone, isSmsEnabled } = require('./smsService');
+const { createSmsDispatcher } = require('./smsDispatcher');
+const { logger } = require('./logger');
+
+/**
+ * Alert Broadcast
+ * Pushes official alerts to connected clients and records delivery stats.
+ * Shared by the alerts routes and the alert scheduler.
+ */
+
+// Orders to act now reach everyone in the area, whatever alert types they picked
+const LIFE_SAFETY_ALERT_TYPES = ['evacuation', 'shelter_in_place', 'amber', 'all_clear'];
+
+// Shared by every alert broadcast so the mail server sees one steady stream
+const alertEmailQueue = createEmailQueue({
+  ratePerSecond: parseFloat(process.env.ALERT_EMAIL_RATE_PER_SECOND) || 10,
+  maxAttempts: parseInt(process.env.ALERT_EMAIL_MAX_ATTEMPTS, 10) || 3,
+  retryDelayMs: parseInt(process.env.ALERT_EMAIL_RETRY_DELAY_MS, 10) || 1000,
+});
+
+// Shared by every alert broadcast, paced to the SMS gateway's throughput
+const alertSmsDispatcher = createSmsDispatcher({
+  batchSize: parseInt(process.env.ALERT_SMS_BATCH_SIZE, 10) || 50,
+  batchIntervalMs: parseInt(process.env.ALERT_SMS_BATCH_INTERVAL_MS, 10) || 1000,
+  maxAttempts: parseInt(process.env.ALERT_SMS_MAX_ATTEMPTS, 10) || 3,
+});
+
+// Gateway delivery receipt statuses, Twilio's and SMPP's, that settle a message
+const SMS_RECEIPT_STATUSES = {
+  delivered: 'delivered',
+  delivrd: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed',
+  undeliv: 'failed',
+  rejectd: 'failed',
+  expired: 'failed',
+};
+
+/**
+ * Build the User query for everyone an alert targets
+ * @param {Object} alert - Alert document
+ * @param {string} preference - alertPreferences flag the users must have on
+ */
+const buildTargetUsersQuery = (alert, preference = 'pushEnabled') => {
+  const usersQuery = {
+    isActive: true,
+    [`alertPreferences.${preference}`]: true,
+  };
+
+  // Add geospatial filter - exact shape for polygons, center plus radius for circles
+  if (alert.targetArea?.geometry?.type) {
+    usersQuery['location.coordinates'] = {
+      $geoWithin: {
+        $geometry: {
+          type: alert.targetArea.geometry.type,
+          coordinates: alert.targetArea.geometry.coordinates,
+        },
+      },
+    };
+  } else if (alert.targetArea?.coordinates && alert.targetArea.coordinates.length === 2) {
+    const radiusKm = alert.targetArea.radius || 10;
+    usersQuery['location.coordinates'] = {
+      $geoWithin: {
+        $centerSphere: [alert.targetArea.coordinates, radiusKm / 6371],
+      },
+    };
+  }
+
+  return usersQuery;
+};
+
+/**
+ * Only filter by the user's chosen alert types when the alert isn't a life-safety one
+ */
+const alertTypeFilter = (alert) => (
+  LIFE_SAFETY_ALERT_TYPES.includes(alert.type) ? {} : { 'alertPreferences.alertTypes': alert.type }
+);
+
+/**
+ * Keep the users close enough to the alert for their own alert radius
+ */
+const filterByAlertRadius = (users, alert) => {
+  const center = alert.targetArea?.coordinates;
+  if (!Array.isArray(center) || center.length !== 2) return users;
+
+  return users.filter((user) =>
+    isWithinRadius(user.location.coordinates, center, user.alertPreferences?.alertRadius || 10)
+  );
+};
+
+/**
+ * Find the users who should get an alert by email: inside the target area, email on,
+ * subscribed to the alert's type (life-safety alerts go to everyone), and close enough
+ * to the alert for their own radius
+ */
+const findEmailRecipients = async (alert) => {
+  const users = await User.find({
+    ...buildTargetUsersQuery(alert, 'emailEnabled'),
+    ...alertTypeFilter(alert),
+  }).select('email firstName preferredLanguage location alertPreferences');
+
+  return filterByAlertRadius(users, alert);
+};
+
+/**
+ * Find the users who should get an alert by text message - as for email, but with
+ * SMS on and a verified phone number
+ */
+const findSmsRecipients = async (alert) => {
+  const users = await User.find({
+    ...buildTargetUsersQuery(alert, 'smsEnabled'),
+    ...alertTypeFilter(alert),
+    phoneVerified: true,
+  }).select('phone preferredLanguage location alertPreferences');
+
+  return filterByAlertRadius(users, alert).filter((user) => normalizePhone(user.phone));
+};
+
+/**
+ * Email an alert to everyone who wants it, through the rate-limited queue
+ * Counts go to alert.delivery.email: sent when queued, then delivered or failed once
+ * settled. Runs at most once per alert.
+ * @returns {Promise<Object|null>} { sent, delivered, failed }, or null if already sent
+ */
+const sendAlertEmails = async (alert) => {
+  // Claim the fan-out first so a second broadcast of the same alert can't email anyone again
+  const claim = await Alert.updateOne(
+    { _id: alert._id, 'delivery.email.dispatchedAt': null },
+    { $set: { 'delivery.email.dispatchedAt': new Date() } }
+  );
+  if (claim.modifiedCount === 0) return null;
+
+  const recipients = await findEmailRecipients(alert);
+  const stats = { sent: recipients.length, delivered: 0, failed: 0 };
+  if (recipients.length === 0) return stats;
+
+  await Alert.updateOne({ _id: alert._id }, { $inc: { 'delivery.email.sent': recipients.length } });
+
+  await Promise.all(recipients.map(async (user) => {
+    const result = await alertEmailQueue.enqueue(() =>
+      sendAlertNotificationEmail(user.email, alert, user.firstName, user.preferredLanguage)
+    );
+
+    if (result.status === 'delivered') {
+      stats.delivered += 1;
+    } else {
+      stats.failed += 1;
+      logger.warn(`Alert email to ${user.email} failed after ${result.attempts} attempt(s): ${result.error?.message}`);
+    }
+
+    await Alert.updateOne(
+      { _id: alert._id },
+      { $inc: { [result.status === 'delivered' ? 'delivery.email.delivered' : 'delivery.email.failed']: 1 } }
+    );
+  }));
+
+  logger.info(`Alert ${alert._id} emails: ${stats.delivered} delivered, ${stats.failed} failed`);
+  return stats;
+};
+
+/**
+ * Text an alert to everyone who wants it, in batches through the SMS dispatcher
+ * Each recipient is recorded in alert.delivery.sms.recipients as queued, then sent,
+ * failed or opted_out as their batch settles; numbers the gateway reports as
+ * unsubscribed have SMS alerts turned off. Runs at most once per alert.
+ * @returns {Promise<Object|null>} { queued, sent, failed, optedOut }, or null if already
+ * sent or SMS is off
+ */
+const sendAlertSms = async (alert) => {
+  if (!isSmsEnabled()) return null;
+
+  // Claim the fan-out first so a second broadcast of the same alert can't text anyone again
+  const claim = await Alert.updateOne(
+    { _id: alert._id, 'delivery.sms.dispatchedAt': null },
+    { $set: { 'delivery.sms.dispatchedAt': new Date() } }
+  );
+  if (claim.modifiedCount === 0) return null;
+
+  const recipients = await findSmsRecipients(alert);
+  const stats = { queued: recipients.length, sent: 0, failed: 0, optedOut: 0 };
+  if (recipients.length === 0) return stats;
+
+  const messages = recipients.map((user) => ({
+    user: user._id,
+    to: normalizePhone(user.phone),
+    body: buildAlertSms(alert, user.preferredLanguage),
+  }));
+
+  const queuedAt = new Date();
+  await Alert.updateOne(
+    { _id: alert._id },
+    {
+      $push: {
+        'delivery.sms.recipients': {
+          $each: messages.map(({ user, to }) => ({ user, phone: to, status: 'queued', updatedAt: queuedAt })),
+        },
+      },
+      $inc: { 'delivery.sms.queued': messages.length },
+    }
+  );
+
+  const recordBatch = async (results) => {
+    const now = new Date();
+    const counts = { sent: 0, failed: 0, optedOut: 0 };
+
+    const updates = results.map((result) => {
+      counts[result.status === 'opted_out' ? 'optedOut' : result.status] += 1;
+
+      const fields = { status: result.status, attempts: result.attempts, updatedAt: now };
+      if (result.messageId) fields.messageId = result.messageId;
+      if (result.error) fields.error = result.error;
+
+      return {
+        updateOne: {
+          filter: { _id: alert._id },
+          update: {
+            $set: Object.fromEntries(
+              Object.entries(fields).map(([key, value]) => [`delivery.sms.recipients.$[r].${key}`, value])
+            ),
+          },
+          arrayFilters: [{ 'r.user': result.user }],
+        },
+      };
+    });
+
+    updates.push({
+      updateOne: {
+        filter: { _id: alert._id },
+        update: {
+          $inc: {
+            // Accepted by the gateway - delivered or failed comes later, with the receipt
+            'delivery.sms.sent': counts.sent,
+            'delivery.sms.failed': counts.failed,
+            'delivery.sms.optedOut': counts.optedOut,
+          },
+        },
+      },
+    });
+    await Alert.bulkWrite(updates, { ordered: false });
+
+    // The carrier says they replied STOP - stop texting them until they opt back in
+    const optedOut = results.filter((result) => result.status === 'opted_out').map((result) => result.user);
+    if (optedOut.length > 0) {
+      await User.updateMany(
+        { _id: { $in: optedOut } },
+        { $set: { 'alertPreferences.smsEnabled': false, 'alertPreferences.smsOptedOutAt': now } }
+      );
+    }
+
+    stats.sent += counts.sent;
+    stats.failed += counts.failed;
+    stats.optedOut += counts.optedOut;
+  };
+
+  await alertSmsDispatcher.dispatch(messages, { onBatch: recordBatch });
+
+  logger.info(`Alert ${alert._id} SMS: ${stats.sent} sent, ${stats.failed} failed, ${stats.optedOut} opted out`);
+  return stats;
+};
+
+/**
+ * Apply a gateway delivery receipt to the alert recipient it belongs to
+ * Only messages still marked sent move on, so repeated receipts count once
+ * @param {string} messageId - Gateway message id
+ * @param {string} status - Gateway status, e.g. delivered, undelivered, DELIVRD
+ * @returns {Promise<boolean>} Whether a recipient was updated
+ */
+const recordAlertSmsStatus = async (messageId, status) => {
+  const next = SMS_RECEIPT_STATUSES[String(status || '').toLowerCase()];
+  if (!messageId || !next) return false;
+
+  const result = await Alert.updateOne(
+    { 'delivery.sms.recipients': { $elemMatch: { messageId, status: 'sent' } } },
+    {
+      $set: {
+        'delivery.sms.recipients.$[r].status': next,
+        'delivery.sms.recipients.$[r].updatedAt': new Date(),
+      },
+      $inc: { [`delivery.sms.${next}`]: 1 },
+    },
+    { arrayFilters: [{ 'r.messageId': messageId, 'r.status': 'sent' }] }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Broadcast alert to users in target area using Socket.IO geo-filtered emit
+ */
+async function broadcastAlert(alert, io) {
+  if (!io || !io.emitOfficialAlert) return;
+
+  try {
+    // Use the geo-filtered emit function from socketHandler
+    io.emitOfficialAlert(alert);
+
+    // Find users in the target area for delivery stats
+    const usersQuery = buildTargetUsersQuery(alert);
+
+    const users = await User.find(usersQuery).select('_id');
+
+    // Top-level counters are the in-app push; email and SMS keep their own
+    alert.delivery.totalTargeted = users.length;
+    alert.delivery.sent = users.length;
+    if (!alert.delivery.broadcastAt) {
+      alert.delivery.broadcastAt = new Date();
+    }
+    await alert.save();
+
+    // Email runs in the background - a big fan-out can take a while at the capped rate
+    if (alert.channels?.email) {
+      sendAlertEmails(alert).catch((error) => {
+        console.error('Alert email fan-out error:', error);
+      });
+    }
+
+    // SMS goes out in paced batches, also in the background
+    if (alert.channels?.sms) {
+      sendAlertSms(alert).catch((error) => {
+        console.error('Alert SMS fan-out error:', error);
+      });
+    }
+  } catch (error) {
+    console.error('Broadcast alert error:', error);
+  }
+}
+
+module.exports = {
+  LIFE_SAFETY_ALERT_TYPES,
+  buildTargetUsersQuery,
+  findEmailRecipients,
+  sendAlertEmails,
+  findSmsRecipients,
+  sendAlertSms,
+  recordAlertSmsStatus,
+  broadcastAlert,
+};
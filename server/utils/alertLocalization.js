@@ -0,0 +1,128 @@
+/**
+ * Alert Localization
+ * Picks the best-matching translation of an alert for a reader's language.
+ * Used by the socket broadcast, alert emails and the alert detail route.
+ */
+
+// Language of alerts and users that don't say otherwise
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+
+// Language with an optional region, e.g. "en" or "es-MX"
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+/**
+ * Normalize a locale tag ("es_mx" -> "es-MX")
+ * @param {string} locale - Locale tag
+ * @returns {string|null} Normalized tag, or null if it isn't a valid locale
+ */
+const normalizeLocale = (locale) => {
+  if (typeof locale !== 'string') return null;
+
+  const [language, region] = locale.trim().replace('_', '-').split('-');
+  const normalized = region
+    ? `${(language || '').toLowerCase()}-${region.toUpperCase()}`
+    : (language || '').toLowerCase();
+
+  return LOCALE_PATTERN.test(normalized) ? normalized : null;
+};
+
+/**
+ * Check whether a value is a valid locale tag
+ */
+const isValidLocale = (locale) => normalizeLocale(locale) === locale;
+
+/**
+ * Parse an Accept-Language header into locales ordered by preference
+ * @param {string} header - e.g. "es-MX,es;q=0.9,en;q=0.8"
+ * @returns {string[]} Normalized locales
+ */
+const parseAcceptLanguage = (header) => {
+  if (typeof header !== 'string' || !header) return [];
+
+  return header
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find((p) => p.trim().startsWith('q='));
+      const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { locale: normalizeLocale(tag), q: Number.isNaN(q) ? 0 : q };
+    })
+    .filter((entry) => entry.locale && entry.q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map((entry) => entry.locale);
+};
+
+/**
+ * Every version of an alert's text: the base fields followed by its translations
+ */
+const getAlertVersions = (alert) => [
+  {
+    locale: alert.language || DEFAULT_LOCALE,
+    title: alert.title,
+    description: alert.description,
+    instructions: alert.instructions,
+  },
+  ...(alert.translations || []).map((translation) => ({
+    locale: translation.locale,
+    title: translation.title,
+    description: translation.description,
+    // Translations without their own instructions fall back to the base ones
+    instructions: translation.instructions?.length ? translation.instructions : alert.instructions,
+  })),
+];
+
+/**
+ * Pick the version of an alert that best matches the reader's languages
+ * Tries each preferred locale exactly, then by language ("es-MX" matches "es"),
+ * then the default locale, and finally the alert's own base text
+ * @param {Object} alert - Alert document or plain object
+ * @param {string|string[]} preferred - Preferred locale(s), most preferred first
+ * @returns {Object} { locale, title, description, instructions }
+ */
+const pickAlertTranslation = (alert, preferred) => {
+  const versions = getAlertVersions(alert);
+  const wanted = (Array.isArray(preferred) ? preferred : [preferred])
+    .map(normalizeLocale)
+    .filter(Boolean);
+  wanted.push(DEFAULT_LOCALE);
+
+  for (const locale of wanted) {
+    const exact = versions.find((v) => v.locale === locale);
+    if (exact) return exact;
+
+    const language = locale.split('-')[0];
+    const sameLanguage = versions.find((v) => v.locale.split('-')[0] === language);
+    if (sameLanguage) return sameLanguage;
+  }
+
+  return versions[0];
+};
+
+/**
+ * Plain copy of an alert with its text swapped for the best-matching translation
+ * @param {Object} alert - Alert document or plain object
+ * @param {string|string[]} preferred - Preferred locale(s)
+ * @returns {Object} Alert with title/description/instructions localized, plus locale and availableLocales
+ */
+const localizeAlert = (alert, preferred) => {
+  const plain = typeof alert.toObject === 'function' ? alert.toObject({ virtuals: true }) : { ...alert };
+  const translation = pickAlertTranslation(plain, preferred);
+
+  return {
+    ...plain,
+    title: translation.title,
+    description: translation.description,
+    instructions: translation.instructions,
+    locale: translation.locale,
+    availableLocales: getAlertVersions(plain).map((v) => v.locale),
+  };
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  isValidLocale,
+  parseAcceptLanguage,
+  pickAlertTranslation,
+  localizeAlert,
+};
@@ -0,0 +1,135 @@
+const Alert = require('../models/Alert');
+const { broadcastAlert } = require('./alertBroadcast');
+const { logger } = require('./logger');
+
+/**
+ * Alert Scheduler
+ * Activates scheduled alerts at effectiveFrom and expires active alerts at effectiveUntil.
+ *
+ * State lives entirely in the database: an alert is claimed with a conditional update
+ * before it is broadcast, and `delivery.broadcastAt` marks it as sent. A restart (or a
+ * second server instance) can never claim the same alert twice.
+ */
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 100;
+
+/**
+ * Activate scheduled alerts whose effectiveFrom has passed and broadcast them
+ * @returns {Promise<number>} Number of alerts activated
+ */
+const activateDueAlerts = async (io, now = new Date()) => {
+  const due = await Alert.find({
+    status: 'scheduled',
+    effectiveFrom: { $lte: now },
+  })
+    .sort({ effectiveFrom: 1 })
+    .limit(BATCH_SIZE)
+    .select('_id effectiveUntil');
+
+  let activated = 0;
+
+  for (const { _id, effectiveUntil } of due) {
+    // Window already closed while we were down - never show it
+    if (effectiveUntil && effectiveUntil <= now) {
+      await Alert.updateOne(
+        { _id, status: 'scheduled' },
+        { $set: { status: 'expired', isActive: false } }
+      );
+      continue;
+    }
+
+    const alert = await Alert.findOneAndUpdate(
+      { _id, status: 'scheduled', 'delivery.broadcastAt': { $exists: false } },
+      { $set: { status: 'active', isActive: true, 'delivery.broadcastAt': now } },
+      { new: true }
+    );
+
+    // Another tick or instance got there first
+    if (!alert) continue;
+
+    await broadcastAlert(alert, io);
+    activated++;
+    logger.info(`Scheduled alert ${alert._id} activated`);
+  }
+
+  return activated;
+};
+
+/**
+ * Expire active alerts whose effectiveUntil has passed and tell clients to drop them
+ * @returns {Promise<number>} Number of alerts expired
+ */
+const expireDueAlerts = async (io, now = new Date()) => {
+  const due = await Alert.find({
+    status: 'active',
+    effectiveUntil: { $lte: now },
+  })
+    .limit(BATCH_SIZE)
+    .select('_id effectiveUntil');
+
+  let expired = 0;
+
+  for (const alert of due) {
+    const result = await Alert.updateOne(
+      { _id: alert._id, status: 'active' },
+      { $set: { status: 'expired', isActive: false } }
+    );
+
+    if (result.modifiedCount === 0) continue;
+
+    if (io?.emitAlertExpired) {
+      io.emitAlertExpired(alert);
+    }
+    expired++;
+  }
+
+  if (expired > 0) {
+    logger.info(`Expired ${expired} alert(s)`);
+  }
+
+  return expired;
+};
+
+/**
+ * Run one scheduler pass
+ */
+const runAlertScheduler = async (io, now = new Date()) => {
+  const activated = await activateDueAlerts(io, now);
+  const expired = await expireDueAlerts(io, now);
+  return { activated, expired };
+};
+
+/**
+ * Start the background scheduler. Runs once immediately to catch up after a restart.
+ * @returns {Function} Stops the scheduler
+ */
+const startAlertScheduler = (io, intervalMs = Number(process.env.ALERT_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    // Skip if the previous pass is still going
+    if (running) return;
+    running = true;
+    try {
+      await runAlertScheduler(io);
+    } catch (error) {
+      logger.error('Alert scheduler error', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  activateDueAlerts,
+  expireDueAlerts,
+  runAlertScheduler,
+  startAlertScheduler,
+};
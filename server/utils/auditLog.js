@@ -0,0 +1,102 @@
+const AuditLog = require('../models/AuditLog');
+const { logger } = require('./logger');
+
+/**
+ * Audit Log
+ * Shared helper for recording privileged actions. Routes take a snapshot of the
+ * fields they're about to change, make the change, then record the entry with the
+ * before and after snapshots - only the fields that differ are kept.
+ *
+ * Recording never fails the request it belongs to: errors are logged and swallowed.
+ */
+
+// Never copied into an entry, whatever a route passes in
+const REDACTED_FIELDS = ['password', 'passwordResetToken', 'emailVerificationToken', 'refreshToken', 'token'];
+
+const getPath = (obj, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+// ObjectIds and Dates compare and store as strings
+const normalize = (value) => {
+  if (value == null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return value.toString();
+  if (typeof value.toObject === 'function') return JSON.parse(JSON.stringify(value.toObject({ depopulate: true })));
+  if (typeof value === 'object') return JSON.parse(JSON.stringify(value));
+  return value;
+};
+
+/**
+ * Copy the given fields off a document, before it's changed
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {string[]} fields - Field paths, dotted paths allowed
+ * @returns {Object} Plain object keyed by path
+ */
+const snapshot = (doc, fields) => {
+  const result = {};
+  if (!doc) return result;
+
+  fields
+    .filter((field) => !REDACTED_FIELDS.includes(field))
+    .forEach((field) => {
+      const value = typeof doc.get === 'function' ? doc.get(field) : getPath(doc, field);
+      result[field] = normalize(value);
+    });
+  return result;
+};
+
+/**
+ * Fields that differ between two snapshots
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .filter((field) => !REDACTED_FIELDS.includes(field))
+    .map((field) => ({ field, from: normalize(before[field]), to: normalize(after[field]) }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+};
+
+/**
+ * Record a privileged action
+ * @param {Object} req - Express request, for the actor, IP and user agent
+ * @param {Object} entry
+ * @param {string} entry.action - Dotted action name, e.g. report.moderate
+ * @param {Object} [entry.target] - { type, id, label }
+ * @param {Object} [entry.before] - Snapshot from before the change
+ * @param {Object} [entry.after] - Snapshot from after the change
+ * @param {Object} [entry.metadata] - Anything else worth keeping
+ * @param {Object} [entry.actor] - Who did it, when it isn't req.user (e.g. logins)
+ * @returns {Promise<Object|null>} The entry, or null if it couldn't be written
+ */
+const recordAudit = async (req, { action, target, before, after, metadata, actor }) => {
+  const user = actor || req.user || null;
+
+  try {
+    return await AuditLog.create({
+      actor: user?._id || null,
+      actorRole: user?.role,
+      actorLabel: user?.email,
+      action,
+      target: target && {
+        type: target.type,
+        id: target.id,
+        label: target.label,
+      },
+      changes: before || after ? diffSnapshots(before, after) : [],
+      metadata,
+      ipAddress: req.ip,
+      userAgent: req.get?.('user-agent'),
+    });
+  } catch (error) {
+    logger.error(`Audit log write failed for ${action}`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  snapshot,
+  diffSnapshots,
+  recordAudit,
+};
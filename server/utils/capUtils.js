@@ -0,0 +1,471 @@
+/**
+ * Common Alerting Protocol (CAP 1.2) utilities
+ * Converts Alert documents to CAP XML / Atom and parses incoming CAP documents
+ * Spec: http://docs.oasis-open.org/emergency/cap/v1.2/CAP-v1.2-os.html
+ */
+
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { normalizePolygonGeometry, calculateGeometryCentroid } = require('./geoUtils');
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+
+// Default sender for exported messages
+const CAP_SENDER = process.env.CAP_SENDER_ID || 'quickalert';
+
+// Alert severity -> CAP severity / urgency
+const severityToCap = {
+  extreme: { severity: 'Extreme', urgency: 'Immediate' },
+  critical: { severity: 'Severe', urgency: 'Immediate' },
+  warning: { severity: 'Moderate', urgency: 'Expected' },
+  advisory: { severity: 'Minor', urgency: 'Future' },
+  info: { severity: 'Minor', urgency: 'Unknown' },
+};
+
+// CAP severity -> Alert severity
+const capToSeverity = {
+  Extreme: 'extreme',
+  Severe: 'critical',
+  Moderate: 'warning',
+  Minor: 'advisory',
+  Unknown: 'info',
+};
+
+// Alert type -> CAP category
+const typeToCategory = {
+  emergency: 'Safety',
+  weather: 'Met',
+  traffic: 'Transport',
+  crime: 'Security',
+  health: 'Health',
+  infrastructure: 'Infra',
+  community: 'Other',
+  government: 'Other',
+  amber: 'Rescue',
+  silver: 'Rescue',
+  blue: 'Security',
+  evacuation: 'Safety',
+  shelter_in_place: 'Safety',
+  all_clear: 'Safety',
+  other: 'Other',
+};
+
+// CAP category -> Alert type
+const categoryToType = {
+  Geo: 'emergency',
+  Met: 'weather',
+  Safety: 'emergency',
+  Security: 'crime',
+  Rescue: 'emergency',
+  Fire: 'emergency',
+  Health: 'health',
+  Env: 'other',
+  Transport: 'traffic',
+  Infra: 'infrastructure',
+  CBRNE: 'emergency',
+  Other: 'other',
+};
+
+const CAP_STATUSES = ['Actual', 'Exercise', 'System', 'Test', 'Draft'];
+const CAP_MSG_TYPES = ['Alert', 'Update', 'Cancel', 'Ack', 'Error'];
+const CAP_SCOPES = ['Public', 'Restricted', 'Private'];
+
+/**
+ * Escape text for inclusion in XML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+const escapeXml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Format a date as a CAP dateTime (no milliseconds, explicit offset)
+ * @param {Date|string} date - Date to format
+ * @returns {string} e.g. 2024-01-01T12:00:00+00:00
+ */
+const formatCapDate = (date) => {
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+};
+
+/**
+ * Build an XML element, skipping empty values
+ */
+const element = (name, value, indent) => {
+  if (value === undefined || value === null || value === '') return '';
+  return `${indent}<${name}>${escapeXml(value)}</${name}>\n`;
+};
+
+/**
+ * Convert a ring of [longitude, latitude] pairs to a CAP polygon string ("lat,lon lat,lon ...")
+ */
+const ringToCapPolygon = (ring) => ring.map(([lng, lat]) => `${lat},${lng}`).join(' ');
+
+/**
+ * Build the CAP <area> block for an alert's target area
+ * @param {Object} targetArea - Alert targetArea
+ * @returns {string} XML fragment
+ */
+const buildCapArea = (targetArea = {}) => {
+  const indent = '      ';
+  const areaDesc = targetArea.address
+    || [targetArea.city, targetArea.state, targetArea.country].filter(Boolean).join(', ')
+    || (targetArea.areas || []).map((a) => a.name).filter(Boolean).join(', ')
+    || 'Targeted area';
+
+  let xml = `    <area>\n${element('areaDesc', areaDesc, indent)}`;
+
+  const geometry = targetArea.geometry;
+  if (geometry?.type === 'Polygon') {
+    xml += element('polygon', ringToCapPolygon(geometry.coordinates[0]), indent);
+  } else if (geometry?.type === 'MultiPolygon') {
+    geometry.coordinates.forEach(([outer]) => {
+      xml += element('polygon', ringToCapPolygon(outer), indent);
+    });
+  } else if (targetArea.coordinates?.length === 2) {
+    const [lng, lat] = targetArea.coordinates;
+    xml += element('circle', `${lat},${lng} ${targetArea.radius || 10}`, indent);
+  }
+
+  return `${xml}    </area>\n`;
+};
+
+/**
+ * Determine CAP msgType for an alert
+ */
+const getMsgType = (alert) => {
+  if (alert.status === 'cancelled') return 'Cancel';
+  if (alert.parentAlert) return 'Update';
+  return 'Alert';
+};
+
+/**
+ * Get the CAP identifier for an alert (external alerts keep their original identifier)
+ */
+const getCapIdentifier = (alert) => {
+  if (alert.source?.type === 'external' && alert.source.externalId) {
+    return alert.source.externalId;
+  }
+  return `${CAP_SENDER}:alert:${alert._id}`;
+};
+
+/**
+ * Convert an Alert document to a CAP 1.2 XML document
+ * @param {Object} alert - Alert document
+ * @param {Object} options - { baseUrl, includeDeclaration }
+ * @returns {string} CAP XML
+ */
+const alertToCap = (alert, options = {}) => {
+  const { baseUrl = '', includeDeclaration = true } = options;
+  const capSeverity = severityToCap[alert.severity] || { severity: 'Unknown', urgency: 'Unknown' };
+  // Most important first - a higher priority number means more important
+  const instructions = [...(alert.instructions || [])]
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0))
+    .map((i) => i.text)
+    .join('\n');
+  const sent = alert.updatedAt || alert.createdAt || new Date();
+
+  let xml = includeDeclaration ? '<?xml version="1.0" encoding="UTF-8"?>\n' : '';
+  xml += `<alert xmlns="${CAP_NAMESPACE}">\n`;
+  xml += element('identifier', getCapIdentifier(alert), '  ');
+  xml += element('sender', CAP_SENDER, '  ');
+  xml += element('sent', formatCapDate(sent), '  ');
+  xml += element('status', 'Actual', '  ');
+  xml += element('msgType', getMsgType(alert), '  ');
+  xml += element('scope', 'Public', '  ');
+  if (alert.status === 'cancelled' && alert.cancellationReason) {
+    xml += element('note', alert.cancellationReason, '  ');
+  }
+  if (alert.parentAlert) {
+    const parentId = alert.parentAlert._id || alert.parentAlert;
+    xml += element('references', `${CAP_SENDER},${CAP_SENDER}:alert:${parentId},${formatCapDate(alert.createdAt || sent)}`, '  ');
+  }
+
+  xml += '  <info>\n';
+  xml += element('language', 'en-US', '    ');
+  xml += element('category', typeToCategory[alert.type] || 'Other', '    ');
+  xml += element('event', alert.title, '    ');
+  xml += element('urgency', capSeverity.urgency, '    ');
+  xml += element('severity', capSeverity.severity, '    ');
+  xml += element('certainty', alert.metadata?.communityVerified ? 'Likely' : 'Observed', '    ');
+  if (alert.effectiveFrom) {
+    xml += element('effective', formatCapDate(alert.effectiveFrom), '    ');
+    xml += element('onset', formatCapDate(alert.effectiveFrom), '    ');
+  }
+  if (alert.effectiveUntil) {
+    xml += element('expires', formatCapDate(alert.effectiveUntil), '    ');
+  }
+  xml += element('senderName', 'QuickAlert', '    ');
+  xml += element('headline', alert.shortDescription || alert.title, '    ');
+  xml += element('description', alert.description, '    ');
+  xml += element('instruction', instructions, '    ');
+  xml += element('web', alert.actionUrl || (baseUrl ? `${baseUrl}/api/alerts/${alert._id}` : ''), '    ');
+  xml += element('contact', alert.contactInfo?.phone || alert.contactInfo?.email, '    ');
+  xml += buildCapArea(alert.targetArea);
+  xml += '  </info>\n';
+  xml += '</alert>\n';
+
+  return xml;
+};
+
+/**
+ * Build a CAP Atom feed for a list of alerts
+ * @param {Object[]} alerts - Alert documents
+ * @param {Object} options - { baseUrl, title }
+ * @returns {string} Atom XML
+ */
+const alertsToAtomFeed = (alerts, options = {}) => {
+  const { baseUrl = '', title = 'QuickAlert Active Alerts' } = options;
+  const feedUrl = `${baseUrl}/api/alerts/feed/cap`;
+  const updated = alerts.reduce((latest, alert) => {
+    const date = new Date(alert.updatedAt || alert.createdAt || 0);
+    return date > latest ? date : latest;
+  }, new Date(0));
+
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += `<feed xmlns="${ATOM_NAMESPACE}">\n`;
+  xml += element('id', feedUrl, '  ');
+  xml += element('title', title, '  ');
+  xml += element('updated', formatCapDate(alerts.length ? updated : new Date()), '  ');
+  xml += `  <link rel="self" href="${escapeXml(feedUrl)}"/>\n`;
+  xml += '  <author>\n';
+  xml += element('name', 'QuickAlert', '    ');
+  xml += '  </author>\n';
+
+  alerts.forEach((alert) => {
+    const capUrl = `${baseUrl}/api/alerts/${alert._id}.cap`;
+    xml += '  <entry>\n';
+    xml += element('id', getCapIdentifier(alert), '    ');
+    xml += element('title', alert.title, '    ');
+    xml += element('updated', formatCapDate(alert.updatedAt || alert.createdAt || new Date()), '    ');
+    xml += element('summary', alert.shortDescription || alert.description, '    ');
+    xml += `    <link rel="alternate" type="application/cap+xml" href="${escapeXml(capUrl)}"/>\n`;
+    xml += '    <content type="application/cap+xml">\n';
+    xml += alertToCap(alert, { baseUrl, includeDeclaration: false })
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => `      ${line}`)
+      .join('\n');
+    xml += '\n    </content>\n';
+    xml += '  </entry>\n';
+  });
+
+  xml += '</feed>\n';
+  return xml;
+};
+
+/**
+ * Parse a CAP polygon string ("lat,lon lat,lon ...") to a ring of [longitude, latitude]
+ */
+const parseCapPolygon = (value) => {
+  return String(value)
+    .trim()
+    .split(/\s+/)
+    .map((pair) => {
+      const [lat, lng] = pair.split(',').map(Number);
+      return [lng, lat];
+    });
+};
+
+/**
+ * Parse a CAP circle string ("lat,lon radiusKm")
+ */
+const parseCapCircle = (value) => {
+  const [point, radius] = String(value).trim().split(/\s+/);
+  const [lat, lng] = (point || '').split(',').map(Number);
+  const radiusKm = Number(radius);
+
+  if ([lat, lng, radiusKm].some((n) => Number.isNaN(n))) return null;
+  return { coordinates: [lng, lat], radius: radiusKm };
+};
+
+const asArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Validate and parse a CAP 1.2 XML document into Alert fields
+ * @param {string} xml - CAP XML document
+ * @returns {Object} { valid, errors, cap, alertData }
+ */
+const parseCap = (xml) => {
+  const errors = [];
+
+  if (!xml || typeof xml !== 'string') {
+    return { valid: false, errors: ['CAP document is required'] };
+  }
+
+  const validation = XMLValidator.validate(xml);
+  if (validation !== true) {
+    return { valid: false, errors: [`Malformed XML: ${validation.err.msg}`] };
+  }
+
+  const parser = new XMLParser({
+    ignoreAttributes: true,
+    removeNSPrefix: true,
+    parseTagValue: false,
+    trimValues: true,
+    isArray: (name) => ['info', 'area', 'polygon', 'circle', 'category'].includes(name),
+  });
+
+  const doc = parser.parse(xml);
+  const cap = doc.alert;
+
+  if (!cap) {
+    return { valid: false, errors: ['Root element must be a CAP <alert>'] };
+  }
+
+  // Required <alert> elements
+  ['identifier', 'sender', 'sent', 'status', 'msgType', 'scope'].forEach((field) => {
+    if (!cap[field]) errors.push(`Missing required element <${field}>`);
+  });
+
+  if (cap.status && !CAP_STATUSES.includes(cap.status)) {
+    errors.push(`Invalid <status>: ${cap.status}`);
+  }
+  if (cap.msgType && !CAP_MSG_TYPES.includes(cap.msgType)) {
+    errors.push(`Invalid <msgType>: ${cap.msgType}`);
+  }
+  if (cap.scope && !CAP_SCOPES.includes(cap.scope)) {
+    errors.push(`Invalid <scope>: ${cap.scope}`);
+  }
+  if (cap.sent && Number.isNaN(new Date(cap.sent).getTime())) {
+    errors.push('Invalid <sent> date');
+  }
+
+  const infos = asArray(cap.info);
+  const info = infos[0];
+
+  // Cancel messages don't need an <info> block
+  if (!info && cap.msgType !== 'Cancel') {
+    errors.push('Missing required element <info>');
+  }
+
+  if (info) {
+    ['category', 'event', 'urgency', 'severity', 'certainty'].forEach((field) => {
+      if (!info[field] || (Array.isArray(info[field]) && info[field].length === 0)) {
+        errors.push(`Missing required element <info><${field}>`);
+      }
+    });
+
+    if (info.severity && !capToSeverity[info.severity]) {
+      errors.push(`Invalid <severity>: ${info.severity}`);
+    }
+
+    asArray(info.area).forEach((area) => {
+      if (!area.areaDesc) errors.push('Missing required element <area><areaDesc>');
+    });
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const references = String(cap.references || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((ref) => ref.split(',')[1])
+    .filter(Boolean);
+
+  const result = {
+    valid: true,
+    errors: [],
+    cap: {
+      identifier: cap.identifier,
+      sender: cap.sender,
+      sent: new Date(cap.sent),
+      status: cap.status,
+      msgType: cap.msgType,
+      note: cap.note,
+      references,
+    },
+    alertData: null,
+  };
+
+  if (!info) {
+    return result;
+  }
+
+  // Target area - polygons take precedence over circles
+  const areas = asArray(info.area);
+  const polygons = areas.flatMap((area) => asArray(area.polygon)).map(parseCapPolygon);
+  const circles = areas.flatMap((area) => asArray(area.circle)).map(parseCapCircle);
+  const areaDesc = areas.map((area) => area.areaDesc).filter(Boolean).join('; ');
+
+  let targetArea = null;
+
+  if (polygons.length > 0) {
+    const geometry = normalizePolygonGeometry(
+      polygons.length === 1
+        ? { type: 'Polygon', coordinates: [polygons[0]] }
+        : { type: 'MultiPolygon', coordinates: polygons.map((ring) => [ring]) }
+    );
+
+    if (!geometry) {
+      return { valid: false, errors: ['Invalid <polygon> in <area>'] };
+    }
+
+    targetArea = {
+      type: geometry.type,
+      coordinates: calculateGeometryCentroid(geometry),
+      geometry,
+      address: areaDesc,
+    };
+  } else if (circles.length > 0) {
+    if (!circles[0]) {
+      return { valid: false, errors: ['Invalid <circle> in <area>'] };
+    }
+
+    targetArea = {
+      type: 'Circle',
+      coordinates: circles[0].coordinates,
+      radius: circles[0].radius || 10,
+      address: areaDesc,
+    };
+  }
+
+  const categories = asArray(info.category);
+  // CAP lists the most important instruction first, so earlier lines rank higher
+  const instructionLines = String(info.instruction || '')
+    .split('\n')
+    .map((text) => text.trim())
+    .filter(Boolean);
+  const instructions = instructionLines.map((text, index) => ({
+    text,
+    priority: instructionLines.length - 1 - index,
+  }));
+
+  result.alertData = {
+    title: String(info.headline || info.event).substring(0, 200),
+    description: String(info.description || info.headline || info.event).substring(0, 2000),
+    type: categoryToType[categories[0]] || 'other',
+    severity: capToSeverity[info.severity] || 'advisory',
+    instructions,
+    effectiveFrom: info.effective || info.onset ? new Date(info.effective || info.onset) : new Date(cap.sent),
+    effectiveUntil: info.expires ? new Date(info.expires) : undefined,
+    actionUrl: info.web,
+    targetArea,
+  };
+
+  return result;
+};
+
+module.exports = {
+  CAP_NAMESPACE,
+  severityToCap,
+  capToSeverity,
+  typeToCategory,
+  categoryToType,
+  escapeXml,
+  formatCapDate,
+  alertToCap,
+  alertsToAtomFeed,
+  parseCap,
+};
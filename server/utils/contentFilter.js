@@ -0,0 +1,91 @@
+/**
+ * Content Filter
+ * Screens user-written text (report comments) for profanity before it is published.
+ *
+ * Matching is on whole words after undoing common character swaps ("sh1t", "f.u.c.k"),
+ * so ordinary words that merely contain a listed word ("class", "scrap") are not caught.
+ */
+
+// Words that are never allowed in public comments
+const BLOCKED_WORDS = [
+  'arse',
+  'arsehole',
+  'ass',
+  'asshole',
+  'bastard',
+  'bitch',
+  'bollocks',
+  'bullshit',
+  'cock',
+  'cunt',
+  'dick',
+  'dickhead',
+  'fag',
+  'faggot',
+  'fuck',
+  'fucked',
+  'fucker',
+  'fucking',
+  'motherfucker',
+  'nigger',
+  'piss',
+  'prick',
+  'pussy',
+  'retard',
+  'shit',
+  'shitty',
+  'slut',
+  'twat',
+  'wanker',
+  'whore',
+];
+
+const BLOCKED_SET = new Set(BLOCKED_WORDS);
+
+// Characters commonly swapped in for letters to get past filters
+const SUBSTITUTIONS = {
+  '0': 'o',
+  '1': 'i',
+  '3': 'e',
+  '4': 'a',
+  '5': 's',
+  '7': 't',
+  '@': 'a',
+  '$': 's',
+  '!': 'i',
+};
+
+/**
+ * Lower-case text, undo character swaps and strip separators inside words
+ * @param {string} text
+ * @returns {string[]} Normalized words
+ */
+const normalizeWords = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/[013457@$!]/g, (char) => SUBSTITUTIONS[char])
+    // Join letters split up with dots, dashes or asterisks ("f.u.c.k", "s-h-i-t")
+    .replace(/\b(?:[a-z][.\-*_]){2,}[a-z]\b/g, (match) => match.replace(/[.\-*_]/g, ''))
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+
+/**
+ * Find the blocked words used in a piece of text
+ * @param {string} text
+ * @returns {string[]} Distinct blocked words found
+ */
+const findProfanity = (text) => [...new Set(normalizeWords(text).filter((word) => BLOCKED_SET.has(word)))];
+
+/**
+ * Check whether text contains profanity
+ * @param {string} text
+ * @returns {boolean}
+ */
+const containsProfanity = (text) => findProfanity(text).length > 0;
+
+module.exports = {
+  BLOCKED_WORDS,
+  normalizeWords,
+  findProfanity,
+  containsProfanity,
+};
@@ -0,0 +1,205 @@
+const Report = require('../models/Report');
+const { distanceBetweenCoords } = require('./geoUtils');
+
+/**
+ * Duplicate Report Detection
+ * Scores a new report against recent reports nearby so the same incident
+ * doesn't end up as a dozen separate pins on the map.
+ */
+
+// Reports further apart than this are never duplicates
+const DUPLICATE_RADIUS_METERS = parseInt(process.env.DUPLICATE_RADIUS_METERS, 10) || 500;
+
+// Only reports created within this window of each other are compared
+const DUPLICATE_WINDOW_HOURS = parseFloat(process.env.DUPLICATE_WINDOW_HOURS) || 6;
+
+// Score (0-1) at or above which a report is linked as a likely duplicate
+const DUPLICATE_SCORE_THRESHOLD = parseFloat(process.env.DUPLICATE_SCORE_THRESHOLD) || 0.65;
+
+// How much each signal counts towards the score
+const WEIGHTS = {
+  distance: 0.35,
+  time: 0.2,
+  category: 0.25,
+  text: 0.2,
+};
+
+// Categories that often describe the same incident
+const RELATED_CATEGORIES = [
+  ['accident', 'traffic'],
+  ['fire', 'emergency'],
+  ['medical', 'emergency'],
+  ['natural_disaster', 'weather'],
+  ['crime', 'suspicious_activity'],
+];
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'there', 'near', 'from', 'are', 'was',
+  'has', 'have', 'had', 'been', 'is', 'at', 'on', 'in', 'of', 'to', 'a', 'an', 'it',
+]);
+
+/**
+ * Split text into a set of meaningful lowercase words
+ */
+const tokenize = (text) => new Set(
+  (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+);
+
+/**
+ * Jaccard similarity of the words in two texts (0-1)
+ */
+const textSimilarity = (a, b) => {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach((word) => {
+    if (wordsB.has(word)) shared++;
+  });
+
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+/**
+ * How closely two categories match (1 same, 0.5 related, 0 otherwise)
+ */
+const categorySimilarity = (a, b) => {
+  if (a === b) return 1;
+  const related = RELATED_CATEGORIES.some((pair) => pair.includes(a) && pair.includes(b));
+  return related ? 0.5 : 0;
+};
+
+/**
+ * Score how likely two reports describe the same incident
+ * @param {Object} report - Report being checked
+ * @param {Object} candidate - Earlier report nearby
+ * @returns {Object} { score, distanceMeters, breakdown: { distance, time, category, text } }
+ */
+const scoreDuplicate = (report, candidate) => {
+  const distanceMeters = distanceBetweenCoords(
+    report.location.coordinates,
+    candidate.location.coordinates
+  ) * 1000;
+  const hoursApart = Math.abs(
+    new Date(report.createdAt || Date.now()) - new Date(candidate.createdAt || Date.now())
+  ) / (60 * 60 * 1000);
+
+  const breakdown = {
+    distance: Math.max(0, 1 - distanceMeters / DUPLICATE_RADIUS_METERS),
+    time: Math.max(0, 1 - hoursApart / DUPLICATE_WINDOW_HOURS),
+    category: categorySimilarity(report.category, candidate.category),
+    text: textSimilarity(
+      `${report.title} ${report.description}`,
+      `${candidate.title} ${candidate.description}`
+    ),
+  };
+
+  const score = Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * breakdown[key], 0);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    distanceMeters: Math.round(distanceMeters),
+    breakdown,
+  };
+};
+
+/**
+ * Find recent reports nearby that are likely duplicates of a report
+ * @param {Object} report - Report document
+ * @param {Object} options
+ * @param {number} options.threshold - Minimum score to include
+ * @returns {Promise<Object[]>} [{ report, score, distanceMeters, breakdown }] best match first
+ */
+const findDuplicateCandidates = async (report, { threshold = DUPLICATE_SCORE_THRESHOLD } = {}) => {
+  const createdAt = new Date(report.createdAt || Date.now());
+  const windowMs = DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000;
+
+  const nearby = await Report.find({
+    _id: { $ne: report._id },
+    status: { $nin: ['rejected', 'duplicate'] },
+    createdAt: {
+      $gte: new Date(createdAt.getTime() - windowMs),
+      $lte: new Date(createdAt.getTime() + windowMs),
+    },
+    'location.coordinates': {
+      $geoWithin: {
+        $centerSphere: [report.location.coordinates, DUPLICATE_RADIUS_METERS / 1000 / 6371],
+      },
+    },
+  })
+    .select('title description category status location createdAt media votes reporter')
+    .limit(50);
+
+  return nearby
+    .map((candidate) => ({ report: candidate, ...scoreDuplicate(report, candidate) }))
+    .filter((match) => match.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Check a new report for duplicates and link it to any it matches
+ * Both sides get each other in relatedReports; the new report keeps the scores
+ * @param {Object} report - Newly created report document
+ * @returns {Promise<Object[]>} Matches found
+ */
+const linkLikelyDuplicates = async (report) => {
+  const matches = await findDuplicateCandidates(report);
+  if (matches.length === 0) return matches;
+
+  const matchIds = matches.map((match) => match.report._id);
+
+  report.relatedReports = [...new Set([...report.relatedReports, ...matchIds].map(String))];
+  report.duplicateMatches = matches.map((match) => ({
+    report: match.report._id,
+    score: match.score,
+  }));
+  await report.save();
+
+  await Report.updateMany(
+    { _id: { $in: matchIds } },
+    { $addToSet: { relatedReports: report._id } }
+  );
+
+  return matches;
+};
+
+/**
+ * Check a report for duplicates again after its location was edited
+ * Links made by duplicate detection - from this report or to it - are dropped first,
+ * so only matches at the new location remain; links from merges are kept
+ * @param {Object} report - Saved report document
+ * @returns {Promise<Object[]>} Matches found
+ */
+const relinkDuplicates = async (report) => {
+  const previous = report.duplicateMatches.map((match) => match.report.toString());
+  const matchedBy = await Report.find({ 'duplicateMatches.report': report._id }).distinct('_id');
+  const stale = [...new Set([...previous, ...matchedBy.map(String)])];
+
+  if (stale.length > 0) {
+    report.relatedReports = report.relatedReports.filter((id) => !stale.includes(id.toString()));
+    report.duplicateMatches = [];
+    await report.save();
+
+    await Report.updateMany(
+      { _id: { $in: stale } },
+      { $pull: { relatedReports: report._id, duplicateMatches: { report: report._id } } }
+    );
+  }
+
+  return linkLikelyDuplicates(report);
+};
+
+module.exports = {
+  DUPLICATE_RADIUS_METERS,
+  DUPLICATE_WINDOW_HOURS,
+  DUPLICATE_SCORE_THRESHOLD,
+  textSimilarity,
+  scoreDuplicate,
+  findDuplicateCandidates,
+  linkLikelyDuplicates,
+  relinkDuplicates,
+};
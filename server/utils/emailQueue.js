@@ -0,0 +1,93 @@
+/**
+ * Email Queue
+ * Sends emails one at a time at a capped rate and retries transient SMTP failures,
+ * so a large alert fan-out doesn't flood the mail server.
+ */
+
+// Socket-level errors from nodemailer that are worth another try
+const TRANSIENT_ERROR_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'ECONNRESET', 'EDNS'];
+
+/**
+ * Check whether a send failure is temporary
+ * SMTP 4xx replies (e.g. 421 service unavailable, 451 try again later) and dropped
+ * connections are transient; 5xx replies are permanent
+ * @param {Error} error - Error thrown by the transport
+ * @returns {boolean}
+ */
+const isTransientEmailError = (error) => {
+  if (!error) return false;
+  if (error.responseCode) {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create a rate-limited email queue
+ * @param {Object} options
+ * @param {number} options.ratePerSecond - Most sends started per second
+ * @param {number} options.maxAttempts - Attempts per email, including the first
+ * @param {number} options.retryDelayMs - Delay before the first retry; doubles on each further retry
+ * @returns {Object} { enqueue(send) -> Promise<{status, attempts, error}>, size() }
+ */
+const createEmailQueue = ({ ratePerSecond = 10, maxAttempts = 3, retryDelayMs = 1000 } = {}) => {
+  const pending = [];
+  const interval = 1000 / ratePerSecond;
+  let running = false;
+  let lastSentAt = 0;
+
+  const processQueue = async () => {
+    if (running) return;
+    running = true;
+
+    while (pending.length > 0) {
+      const job = pending.shift();
+
+      // Keep sends spaced out to stay under the rate limit
+      const gap = lastSentAt + interval - Date.now();
+      if (gap > 0) await wait(gap);
+      lastSentAt = Date.now();
+
+      job.attempts += 1;
+      try {
+        await job.send();
+        job.resolve({ status: 'delivered', attempts: job.attempts });
+      } catch (error) {
+        if (job.attempts < maxAttempts && isTransientEmailError(error)) {
+          // Back off, then rejoin the end of the queue
+          const delay = retryDelayMs * 2 ** (job.attempts - 1);
+          setTimeout(() => {
+            pending.push(job);
+            processQueue();
+          }, delay);
+        } else {
+          job.resolve({ status: 'failed', attempts: job.attempts, error });
+        }
+      }
+    }
+
+    running = false;
+  };
+
+  /**
+   * Queue an email
+   * @param {Function} send - Sends the email, throwing on failure
+   * @returns {Promise<Object>} Settles once the email is delivered or has finally failed
+   */
+  const enqueue = (send) => new Promise((resolve) => {
+    pending.push({ send, attempts: 0, resolve });
+    processQueue();
+  });
+
+  return {
+    enqueue,
+    size: () => pending.length,
+  };
+};
+
+module.exports = {
+  isTransientEmailError,
+  createEmailQueue,
+};
@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { pickAlertTranslation } = require('./alertLocalization');
 
 /**
  * Email Service for QuickAlert
@@ -7,6 +8,18 @@ const nodemailer = require('nodemailer');
 
 // Create transporter based on environment
 const createTransporter = () => {
+  // Any SMTP server, e.g. a relay or a local stand-in for testing
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+
   // For development, use Ethereal (fake SMTP) if no Gmail credentials
   if (process.env.NODE_ENV === 'development' && !process.env.EMAIL_USER) {
     console.log('[Email] No EMAIL_USER configured. Emails will be logged to console.');
@@ -69,7 +82,7 @@ const sendEmail = async ({ to, subject, text, html }) => {
 
   try {
     const mailOptions = {
-      from: `"QuickAlert" <${process.env.EMAIL_USER}>`,
+      from: `"QuickAlert" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
       to,
       subject,
       text,
@@ -217,8 +230,12 @@ The QuickAlert Team
  * Send alert notification email
  * @param {string} to - Recipient email
  * @param {Object} alert - Alert details
+ * @param {string} firstName - Recipient first name
+ * @param {string} locale - Recipient's preferred language; the closest translation is sent
  */
-const sendAlertNotificationEmail = async (to, alert, firstName = 'User') => {
+const sendAlertNotificationEmail = async (to, alert, firstName = 'User', locale) => {
+  const { title, description } = pickAlertTranslation(alert, locale);
+
   const severityColors = {
     critical: '#dc2626',
     high: '#ea580c',
@@ -226,17 +243,17 @@ const sendAlertNotificationEmail = async (to, alert, firstName = 'User') => {
     low: '#16a34a',
   };
 
-  const subject = `🚨 [${alert.severity.toUpperCase()}] ${alert.title}`;
+  const subject = `🚨 [${alert.severity.toUpperCase()}] ${title}`;
   
   const text = `
 EMERGENCY ALERT
 
-Title: ${alert.title}
+Title: ${title}
 Severity: ${alert.severity.toUpperCase()}
 Type: ${alert.type}
 
 Description:
-${alert.description}
+${description}
 
 Location: ${alert.location?.address || 'Not specified'}
 
@@ -259,10 +276,10 @@ Stay safe and follow local emergency guidelines.
   </div>
   
   <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb; border-top: none;">
-    <h2 style="color: #1f2937; margin-top: 0;">${alert.title}</h2>
+    <h2 style="color: #1f2937; margin-top: 0;">${title}</h2>
     
     <div style="background: white; border-left: 4px solid ${severityColors[alert.severity] || '#dc2626'}; padding: 15px; margin: 20px 0;">
-      <p style="margin: 0; color: #4b5563;">${alert.description}</p>
+      <p style="margin: 0; color: #4b5563;">${description}</p>
     </div>
     
     <p style="color: #6b7280;"><strong>Type:</strong> ${alert.type}</p>
@@ -283,10 +300,152 @@ Stay safe and follow local emergency guidelines.
   return sendEmail({ to, subject, text, html });
 };
 
+/**
+ * Send SLA escalation email to an admin
+ * @param {string} to - Recipient email
+ * @param {Object} report - Escalated report
+ * @param {Object} policy - SLA policy that was breached
+ * @param {string} firstName - Recipient first name
+ */
+const sendReportEscalationEmail = async (to, report, policy, firstName = 'Admin') => {
+  const minutesWaiting = Math.round((Date.now() - new Date(report.createdAt)) / 60000);
+  const reportUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/reports/${report._id}`;
+
+  const subject = `⏱️ [ESCALATED] ${report.severity.toUpperCase()} ${report.category} report unacknowledged`;
+
+  const text = `
+Hi ${firstName},
+
+A report has breached its SLA and was escalated.
+
+Title: ${report.title}
+Category: ${report.category}
+Severity: ${report.severity.toUpperCase()}
+Policy: ${policy.name} (acknowledge within ${policy.acknowledgeWithinMinutes} min)
+Waiting: ${minutesWaiting} min with no staff action
+
+Location: ${report.location?.address || 'Not specified'}
+
+Review it here: ${reportUrl}
+
+- QuickAlert Team
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: #b91c1c; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <h1 style="color: white; margin: 0; font-size: 24px;">⏱️ SLA Breached</h1>
+    <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0;">Report escalated after ${minutesWaiting} minutes without action</p>
+  </div>
+  
+  <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb; border-top: none;">
+    <p>Hi ${firstName},</p>
+    <h2 style="color: #1f2937;">${report.title}</h2>
+    
+    <p style="color: #6b7280;"><strong>Category:</strong> ${report.category}</p>
+    <p style="color: #6b7280;"><strong>Severity:</strong> ${report.severity.toUpperCase()}</p>
+    <p style="color: #6b7280;"><strong>Policy:</strong> ${policy.name} (acknowledge within ${policy.acknowledgeWithinMinutes} min)</p>
+    <p style="color: #6b7280;"><strong>Location:</strong> ${report.location?.address || 'Check app for details'}</p>
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${reportUrl}" style="background: #b91c1c; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">Review Report</a>
+    </div>
+    
+    <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 25px 0;">
+    
+    <p style="color: #9ca3af; font-size: 12px; margin-bottom: 0;">
+      © 2025 QuickAlert. All rights reserved.
+    </p>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  return sendEmail({ to, subject, text, html });
+};
+
+/**
+ * Send the outcome of a responder application to the applicant
+ * @param {string} to - Recipient email
+ * @param {boolean} approved - Whether the application was approved
+ * @param {Object} verification - Reviewed responder verification
+ * @param {string} firstName - Recipient first name
+ */
+const sendResponderApplicationEmail = async (to, approved, verification, firstName = 'User') => {
+  const dashboardUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/dashboard`;
+  const organization = verification.data?.organization || 'your agency';
+
+  const subject = approved
+    ? '✅ Your QuickAlert responder application was approved'
+    : 'Your QuickAlert responder application was not approved';
+
+  const outcome = approved
+    ? `Your application to join QuickAlert as a responder for ${organization} was approved. Your account now has responder access.`
+    : `Your application to join QuickAlert as a responder for ${organization} was not approved.`;
+
+  const reason = !approved && verification.rejectionReason
+    ? `Reason: ${verification.rejectionReason}`
+    : '';
+
+  const text = `
+Hi ${firstName},
+
+${outcome}
+${reason}
+
+${approved ? `Sign in to get started: ${dashboardUrl}` : 'You can update your details and apply again from your profile.'}
+
+- QuickAlert Team
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: ${approved ? '#15803d' : '#4b5563'}; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <h1 style="color: white; margin: 0; font-size: 24px;">${approved ? '✅ Application Approved' : 'Application Not Approved'}</h1>
+  </div>
+  
+  <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb; border-top: none;">
+    <p>Hi ${firstName},</p>
+    <p>${outcome}</p>
+    ${reason ? `<p style="color: #6b7280;"><strong>${reason}</strong></p>` : ''}
+    
+    ${approved ? `
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${dashboardUrl}" style="background: #15803d; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">Open Dashboard</a>
+    </div>
+    ` : '<p style="color: #6b7280;">You can update your details and apply again from your profile.</p>'}
+    
+    <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 25px 0;">
+    
+    <p style="color: #9ca3af; font-size: 12px; margin-bottom: 0;">
+      © 2025 QuickAlert. All rights reserved.
+    </p>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  return sendEmail({ to, subject, text, html });
+};
+
 module.exports = {
   initializeTransporter,
   sendEmail,
   sendVerificationEmail,
   sendPasswordResetEmail,
   sendAlertNotificationEmail,
+  sendReportEscalationEmail,
+  sendResponderApplicationEmail,
 };
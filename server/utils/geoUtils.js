@@ -218,6 +218,114 @@ const isPointInPolygon = (point, polygon) => {
   return inside;
 };
 
+/**
+ * Check if a point is inside a GeoJSON Polygon or MultiPolygon (holes excluded)
+ * @param {number[]} point - [longitude, latitude]
+ * @param {Object} geometry - GeoJSON geometry { type, coordinates }
+ * @returns {boolean} True if point is inside the geometry
+ */
+const isPointInGeometry = (point, geometry) => {
+  if (!geometry || !Array.isArray(geometry.coordinates)) {
+    return false;
+  }
+
+  const isInPolygonRings = ([outer, ...holes] = []) =>
+    Array.isArray(outer) &&
+    isPointInPolygon(point, outer) && !holes.some((hole) => isPointInPolygon(point, hole));
+
+  if (geometry.type === 'Polygon') {
+    return isInPolygonRings(geometry.coordinates);
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(isInPolygonRings);
+  }
+
+  return false;
+};
+
+/**
+ * Validate and normalize a linear ring, closing it if needed
+ * @param {number[][]} ring - Array of [longitude, latitude] pairs
+ * @returns {number[][]|null} Closed ring or null if invalid
+ */
+const normalizeRing = (ring) => {
+  if (!Array.isArray(ring)) {
+    return null;
+  }
+
+  const points = ring.map((pair) => (Array.isArray(pair) ? pair.map(Number) : []));
+  const isValid = points.every(
+    (pair) => pair.length === 2 && validateCoordinates(pair[1], pair[0])
+  );
+
+  if (!isValid) {
+    return null;
+  }
+
+  const [first] = points;
+  const last = points[points.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    points.push([...first]);
+  }
+
+  // A closed ring needs at least three distinct positions plus the closing one
+  return points.length >= 4 ? points : null;
+};
+
+/**
+ * Normalize a polygon target area into a valid GeoJSON geometry
+ * Accepts a GeoJSON Polygon/MultiPolygon or a single ring of [longitude, latitude] pairs
+ * @param {Object|number[][]} input - Geometry or ring
+ * @returns {Object|null} GeoJSON { type, coordinates } or null if invalid
+ */
+const normalizePolygonGeometry = (input) => {
+  if (!input) {
+    return null;
+  }
+
+  const normalizePolygon = (rings) => {
+    if (!Array.isArray(rings) || rings.length === 0) return null;
+    const normalized = rings.map(normalizeRing);
+    return normalized.every(Boolean) ? normalized : null;
+  };
+
+  if (Array.isArray(input)) {
+    const ring = normalizeRing(input);
+    return ring ? { type: 'Polygon', coordinates: [ring] } : null;
+  }
+
+  if (input.type === 'Polygon') {
+    const coordinates = normalizePolygon(input.coordinates);
+    return coordinates ? { type: 'Polygon', coordinates } : null;
+  }
+
+  if (input.type === 'MultiPolygon' && Array.isArray(input.coordinates) && input.coordinates.length > 0) {
+    const coordinates = input.coordinates.map(normalizePolygon);
+    return coordinates.every(Boolean) ? { type: 'MultiPolygon', coordinates } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Calculate the center point of a GeoJSON Polygon or MultiPolygon from its outer rings
+ * @param {Object} geometry - GeoJSON geometry { type, coordinates }
+ * @returns {number[]|null} Center point [longitude, latitude]
+ */
+const calculateGeometryCentroid = (geometry) => {
+  if (!geometry || !Array.isArray(geometry.coordinates)) {
+    return null;
+  }
+
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+  // Drop the closing position so it isn't counted twice
+  const vertices = polygons.flatMap(([outer = []]) => outer.slice(0, -1));
+
+  return calculateCentroid(vertices);
+};
+
 /**
  * Generate points around a center for area coverage
  * @param {number[]} center - [longitude, latitude]
@@ -347,6 +455,9 @@ module.exports = {
   getCardinalDirection,
   calculateDestination,
   isPointInPolygon,
+  isPointInGeometry,
+  normalizePolygonGeometry,
+  calculateGeometryCentroid,
   generateCirclePoints,
   formatCoordinates,
   parseCoordinates,
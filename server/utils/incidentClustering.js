@@ -0,0 +1,218 @@
+const Incident = require('../models/Incident');
+const Report = require('../models/Report');
+const { distanceBetweenCoords } = require('./geoUtils');
+
+/**
+ * Incident Clustering
+ * Groups reports that are close in space and time under one Incident, so
+ * responders work a single incident instead of a cluster of separate pins.
+ */
+
+// Reports within this distance of an incident's centroid (or of each other) are grouped
+const CLUSTER_RADIUS_METERS = parseInt(process.env.INCIDENT_CLUSTER_RADIUS_METERS, 10) || 1000;
+
+// A report joins an incident only if the incident had a report within this window
+const CLUSTER_WINDOW_HOURS = parseFloat(process.env.INCIDENT_CLUSTER_WINDOW_HOURS) || 12;
+
+// Reports needed nearby before a new incident is opened automatically
+const MIN_CLUSTER_SIZE = parseInt(process.env.INCIDENT_MIN_CLUSTER_SIZE, 10) || 2;
+
+// Reports that never join an incident automatically
+const UNCLUSTERED_STATUSES = ['rejected', 'duplicate'];
+
+const toRadians = (meters) => meters / 1000 / 6371;
+
+/**
+ * Build a default title for an automatically created incident
+ */
+const buildIncidentTitle = (report) => {
+  const category = (report.category || 'other').replace(/_/g, ' ');
+  const label = category.charAt(0).toUpperCase() + category.slice(1);
+  const place = report.location?.address || report.location?.city;
+  return place ? `${label} incident near ${place}` : `${label} incident`;
+};
+
+/**
+ * Find the nearest open incident a report belongs to
+ * Skips incidents the report was manually taken out of
+ * @param {Object} report - Report document
+ * @returns {Promise<Object|null>} Incident document
+ */
+const findIncidentForReport = async (report) => {
+  const createdAt = new Date(report.createdAt || Date.now());
+  const windowMs = CLUSTER_WINDOW_HOURS * 60 * 60 * 1000;
+
+  const incidents = await Incident.find({
+    status: { $in: ['active', 'contained'] },
+    excludedReports: { $ne: report._id },
+    lastReportedAt: { $gte: new Date(createdAt.getTime() - windowMs) },
+    'location.coordinates': {
+      $geoWithin: {
+        $centerSphere: [report.location.coordinates, toRadians(CLUSTER_RADIUS_METERS)],
+      },
+    },
+  }).limit(20);
+
+  if (incidents.length === 0) return null;
+
+  const distanceTo = (incident) =>
+    distanceBetweenCoords(report.location.coordinates, incident.location.coordinates);
+  return incidents.sort((a, b) => distanceTo(a) - distanceTo(b))[0];
+};
+
+/**
+ * Add reports to an incident and roll its location and severity up again
+ * Reports already in another incident are moved; that incident is recalculated too.
+ * @param {Object} incident - Incident document
+ * @param {Object[]} reports - Report documents
+ * @param {Object} options
+ * @param {ObjectId} options.author - User making the change, if manual
+ * @returns {Promise<Object>} Saved incident
+ */
+const addReportsToIncident = async (incident, reports, { author } = {}) => {
+  const memberIds = new Set(incident.reports.map(String));
+  const added = reports.filter((report) => !memberIds.has(report._id.toString()));
+  if (added.length === 0) return incident;
+
+  const addedIds = added.map((report) => report._id.toString());
+  const previousIncidentIds = [...new Set(
+    added
+      .map((report) => report.incident && report.incident.toString())
+      .filter((id) => id && id !== incident._id.toString())
+  )];
+
+  added.forEach((report) => {
+    incident.reports.push(report._id);
+    incident.addEvent('report_added', report.title, { report: report._id, author });
+  });
+  // Adding a report back by hand overrides an earlier removal
+  incident.excludedReports = incident.excludedReports.filter((id) => !addedIds.includes(id.toString()));
+
+  await incident.recalculate();
+  await incident.save();
+
+  await Report.updateMany({ _id: { $in: addedIds } }, { $set: { incident: incident._id } });
+
+  for (const previousId of previousIncidentIds) {
+    const previous = await Incident.findById(previousId);
+    if (previous) {
+      previous.reports = previous.reports.filter((id) => !addedIds.includes(id.toString()));
+      addedIds.forEach((id) => {
+        previous.addEvent('report_removed', 'Moved to another incident', { report: id, author });
+      });
+      await previous.recalculate();
+      await previous.save();
+    }
+  }
+
+  return incident;
+};
+
+/**
+ * Take a report out of an incident and keep it out of automatic clustering
+ * @param {Object} incident - Incident document
+ * @param {Object} report - Report document
+ * @param {Object} options
+ * @param {ObjectId} options.author - User making the change
+ * @param {boolean} [options.exclude] - Keep it from rejoining this incident automatically
+ * @param {string} [options.message] - Timeline message, the report title by default
+ * @returns {Promise<Object>} Saved incident
+ */
+const removeReportFromIncident = async (incident, report, { author, exclude = true, message } = {}) => {
+  const reportId = report._id.toString();
+
+  incident.reports = incident.reports.filter((id) => id.toString() !== reportId);
+  if (exclude && !incident.excludedReports.some((id) => id.toString() === reportId)) {
+    incident.excludedReports.push(report._id);
+  }
+  incident.addEvent('report_removed', message || report.title, { report: report._id, author });
+
+  await incident.recalculate();
+  await incident.save();
+
+  if (report.incident && report.incident.toString() === incident._id.toString()) {
+    await Report.updateOne({ _id: report._id }, { $unset: { incident: 1 } });
+  }
+
+  return incident;
+};
+
+/**
+ * Group a new report into an incident
+ * Joins the nearest open incident if there is one; otherwise opens a new incident
+ * when enough unclustered reports are nearby
+ * @param {Object} report - Newly created report document
+ * @returns {Promise<Object|null>} { incident, created } or null if the report stays on its own
+ */
+const assignReportToIncident = async (report) => {
+  if (UNCLUSTERED_STATUSES.includes(report.status) || report.incident) return null;
+
+  const existing = await findIncidentForReport(report);
+  if (existing) {
+    await addReportsToIncident(existing, [report]);
+    report.incident = existing._id;
+    return { incident: existing, created: false };
+  }
+
+  const createdAt = new Date(report.createdAt || Date.now());
+  const windowMs = CLUSTER_WINDOW_HOURS * 60 * 60 * 1000;
+
+  const neighbours = await Report.find({
+    _id: { $ne: report._id },
+    incident: null,
+    status: { $nin: UNCLUSTERED_STATUSES },
+    createdAt: { $gte: new Date(createdAt.getTime() - windowMs) },
+    'location.coordinates': {
+      $geoWithin: {
+        $centerSphere: [report.location.coordinates, toRadians(CLUSTER_RADIUS_METERS)],
+      },
+    },
+  })
+    .select('title category severity location createdAt incident')
+    .limit(50);
+
+  if (neighbours.length + 1 < MIN_CLUSTER_SIZE) return null;
+
+  const incident = new Incident({
+    title: buildIncidentTitle(report),
+    category: report.category,
+    location: { type: 'Point', coordinates: [...report.location.coordinates] },
+    autoCreated: true,
+  });
+  incident.addEvent('created', `Grouped ${neighbours.length + 1} nearby reports`);
+
+  await addReportsToIncident(incident, [...neighbours, report]);
+  report.incident = incident._id;
+  return { incident, created: true };
+};
+
+/**
+ * Group a report again after its location was edited
+ * It leaves its current incident, free to rejoin if it's still close, then is
+ * clustered from the new location like a new report
+ * @param {Object} report - Saved report document
+ * @returns {Promise<Object|null>} { incident, created } or null if the report stays on its own
+ */
+const reclusterMovedReport = async (report) => {
+  if (report.incident) {
+    const incident = await Incident.findById(report.incident);
+    if (incident) {
+      await removeReportFromIncident(incident, report, { exclude: false, message: 'Location edited' });
+    }
+    report.incident = undefined;
+  }
+
+  return assignReportToIncident(report);
+};
+
+module.exports = {
+  CLUSTER_RADIUS_METERS,
+  CLUSTER_WINDOW_HOURS,
+  MIN_CLUSTER_SIZE,
+  buildIncidentTitle,
+  findIncidentForReport,
+  addReportsToIncident,
+  removeReportFromIncident,
+  assignReportToIncident,
+  reclusterMovedReport,
+};
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const ReportVerification = require('../models/ReportVerification');
+
+/**
+ * Reporter Reputation
+ * A 0-100 trust score built from a user's history - how many of their reports
+ * were confirmed or marked false, and how often their verification votes agreed
+ * with the way a report was finally settled. The score is cached on the user
+ * and recomputed when it goes stale or when a report they touched is settled.
+ */
+
+// Score for a user with no settled history
+const NEUTRAL_SCORE = 50;
+
+// Cached scores older than this are recomputed on read
+const REPUTATION_TTL_MINUTES = parseInt(process.env.REPUTATION_TTL_MINUTES, 10) || 60;
+
+// Settled outcomes assumed up front, half good and half bad, so one report can't swing the score
+const PRIOR_OUTCOMES = 4;
+
+// A settled report says more about a user than a single vote does
+const REPORT_OUTCOME_WEIGHT = 2;
+
+// Ordered by minimum score - a user gets the last tier they reach
+const REPUTATION_TIERS = [
+  { tier: 'untrusted', minScore: 0, voteWeight: 0.25, confirmThreshold: 6 },
+  { tier: 'low', minScore: 25, voteWeight: 0.5, confirmThreshold: 5 },
+  { tier: 'neutral', minScore: 40, voteWeight: 1, confirmThreshold: 4 },
+  { tier: 'trusted', minScore: 70, voteWeight: 1.5, confirmThreshold: 3 },
+  { tier: 'highly_trusted', minScore: 85, voteWeight: 2, confirmThreshold: 2 },
+];
+
+// Responders vote with the top weight whatever their history
+const RESPONDER_VOTE_WEIGHT = 2;
+
+/**
+ * Look up the tier settings for a score
+ */
+const getTier = (score) =>
+  REPUTATION_TIERS.reduce((match, tier) => (score >= tier.minScore ? tier : match), REPUTATION_TIERS[0]);
+
+const getTierSettings = (reputation) =>
+  REPUTATION_TIERS.find((t) => t.tier === reputation?.tier) || getTier(NEUTRAL_SCORE);
+
+/**
+ * Score a history of settled reports and votes
+ * @returns {number} 0-100
+ */
+const scoreHistory = ({ reportsConfirmed = 0, reportsFalse = 0, votesAccurate = 0, votesInaccurate = 0 }) => {
+  const good = reportsConfirmed * REPORT_OUTCOME_WEIGHT + votesAccurate;
+  const bad = reportsFalse * REPORT_OUTCOME_WEIGHT + votesInaccurate;
+  const ratio = (good + PRIOR_OUTCOMES / 2) / (good + bad + PRIOR_OUTCOMES);
+  return Math.round(ratio * 100);
+};
+
+/**
+ * Count a user's settled reports and votes, and score them
+ */
+const calculateReputation = async (userId) => {
+  const id = new mongoose.Types.ObjectId(userId);
+
+  const [reportCounts, voteCounts] = await Promise.all([
+    Report.aggregate([
+      { $match: { reporter: id, verificationStatus: { $in: ['verified', 'false_report'] } } },
+      { $group: { _id: '$verificationStatus', count: { $sum: 1 } } },
+    ]),
+    ReportVerification.aggregate([
+      { $match: { userId: id, status: { $ne: 'quarantined' } } },
+      {
+        $lookup: {
+          from: Report.collection.name,
+          let: { reportId: '$reportId' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$reportId'] } } },
+            { $project: { verificationStatus: 1 } },
+          ],
+          as: 'report',
+        },
+      },
+      { $unwind: '$report' },
+      { $match: { 'report.verificationStatus': { $in: ['verified', 'false_report'] } } },
+      // A vote a moderator rejected as abuse counts against the voter whatever the outcome
+      {
+        $group: {
+          _id: {
+            $and: [
+              { $ne: ['$status', 'rejected'] },
+              {
+                $eq: [
+                  '$vote',
+                  { $cond: [{ $eq: ['$report.verificationStatus', 'verified'] }, 'confirm', 'deny'] },
+                ],
+              },
+            ],
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  const history = {
+    reportsConfirmed: reportCounts.find((c) => c._id === 'verified')?.count || 0,
+    reportsFalse: reportCounts.find((c) => c._id === 'false_report')?.count || 0,
+    votesAccurate: voteCounts.find((c) => c._id === true)?.count || 0,
+    votesInaccurate: voteCounts.find((c) => c._id === false)?.count || 0,
+  };
+  const score = scoreHistory(history);
+
+  return {
+    score,
+    tier: getTier(score).tier,
+    ...history,
+  };
+};
+
+/**
+ * Recompute a user's reputation and cache it on their account
+ */
+const refreshReputation = async (userId) => {
+  const reputation = {
+    ...(await calculateReputation(userId)),
+    calculatedAt: new Date(),
+  };
+  await User.updateOne({ _id: userId }, { $set: { reputation } });
+  return reputation;
+};
+
+/**
+ * Get a user's reputation, recomputing it if the cached copy is stale
+ * @param {Object|string} user - User document (with reputation) or ID
+ */
+const getReputation = async (user) => {
+  let doc = user;
+  if (!user?.reputation) {
+    doc = await User.findById(user?._id || user).select('reputation');
+    if (!doc) return null;
+  }
+
+  const calculatedAt = doc.reputation?.calculatedAt;
+  const isFresh = calculatedAt && Date.now() - calculatedAt.getTime() < REPUTATION_TTL_MINUTES * 60 * 1000;
+
+  return isFresh ? doc.reputation : refreshReputation(doc._id);
+};
+
+/**
+ * Weight of a user's verification vote
+ */
+const getVoteWeight = (user, reputation) => {
+  if (user?.role === 'responder') return RESPONDER_VOTE_WEIGHT;
+  return getTierSettings(reputation).voteWeight;
+};
+
+/**
+ * Weighted confirmations a report needs for community verification
+ * The reporter's tier moves the base threshold (a neutral reporter's) up or down;
+ * anonymous reports (no reputation) need the base amount
+ */
+const getConfirmThreshold = (reputation, baseThreshold = getTier(NEUTRAL_SCORE).confirmThreshold) => {
+  const offset = getTierSettings(reputation).confirmThreshold - getTier(NEUTRAL_SCORE).confirmThreshold;
+  return Math.max(1, baseThreshold + offset);
+};
+
+/**
+ * Whether a reporter's reports should be kept from public broadcast until verified
+ */
+const isHeldBack = (reputation) => reputation?.tier === 'untrusted';
+
+/**
+ * Recompute reputations for everyone a settled report says something about -
+ * its reporter and everyone who voted on it
+ */
+const refreshReportReputations = async (report) => {
+  const userIds = new Set((report.votes?.voters || []).map((voter) => voter.user.toString()));
+  if (report.reporter) {
+    userIds.add((report.reporter._id || report.reporter).toString());
+  }
+
+  await Promise.all([...userIds].map((userId) => refreshReputation(userId)));
+};
+
+module.exports = {
+  NEUTRAL_SCORE,
+  REPUTATION_TTL_MINUTES,
+  REPUTATION_TIERS,
+  scoreHistory,
+  calculateReputation,
+  refreshReputation,
+  getReputation,
+  getVoteWeight,
+  getConfirmThreshold,
+  isHeldBack,
+  refreshReportReputations,
+};
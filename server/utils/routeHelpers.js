@@ -0,0 +1,69 @@
+/**
+ * Route Helpers
+ * Request-body picking and error-to-response mapping shared by the admin
+ * CRUD routers (categories, SLA and verification policies, alert templates, incidents).
+ */
+
+/**
+ * Pick the fields a client may set from a request body
+ * @param {Object} body - Request body
+ * @param {string[]} editableFields - Fields a client may set
+ * @param {string[]} [nullableFields] - Fields where an empty string means "any" or "use the default"
+ * @returns {Object} Only the editable fields present in the body
+ */
+const pickFields = (body, editableFields, nullableFields = []) => {
+  const fields = {};
+  editableFields.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  nullableFields.forEach((field) => {
+    if (fields[field] === '') fields[field] = null;
+  });
+  return fields;
+};
+
+/**
+ * Build a router's error handler - validation and duplicate-key errors are 400s,
+ * bad ids are 404s, anything else is a 500
+ * @param {Object} messages
+ * @param {string} messages.notFound - Message for a malformed id
+ * @param {string} [messages.duplicate] - Message for a unique index clash
+ * @returns {Function} (error, res, label) => response
+ */
+const createErrorHandler = ({ notFound, duplicate }) => (error, res, label) => {
+  console.error(`${label} error:`, error);
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map((err) => err.message);
+    return res.status(400).json({
+      success: false,
+      message: messages.join(', '),
+    });
+  }
+
+  if (duplicate && error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: duplicate,
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(404).json({
+      success: false,
+      message: notFound,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+  });
+};
+
+module.exports = {
+  pickFields,
+  createErrorHandler,
+};
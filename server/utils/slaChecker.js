@@ -0,0 +1,176 @@
+const Report = require('../models/Report');
+const SlaPolicy = require('../models/SlaPolicy');
+const User = require('../models/User');
+const { sendReportEscalationEmail } = require('./emailService');
+const { createEmailQueue } = require('./emailQueue');
+const { logger } = require('./logger');
+
+/**
+ * SLA Checker
+ * Escalates reports that have gone longer than their SLA policy allows without a
+ * first staff action, and tells admins over sockets and email.
+ *
+ * Like the alert scheduler, state lives in the database: a report is escalated with a
+ * conditional update, so a restart or a second instance never escalates it twice.
+ */
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 200;
+
+// Statuses a report can be in while still waiting for staff
+const UNHANDLED_STATUSES = ['pending', 'verified'];
+
+// Escalation emails share one queue so a burst of breaches doesn't flood the mail server
+const escalationEmailQueue = createEmailQueue({
+  ratePerSecond: parseInt(process.env.ALERT_EMAIL_RATE_PER_SECOND, 10) || 10,
+});
+
+/**
+ * When a report's first action is due under a policy
+ */
+const getDueAt = (report, policy) =>
+  new Date(new Date(report.createdAt).getTime() + policy.acknowledgeWithinMinutes * 60 * 1000);
+
+/**
+ * Email every active admin about an escalated report
+ * Runs in the background - failures are logged, not thrown
+ */
+const emailAdmins = async (report, policy) => {
+  const admins = await User.find({
+    role: { $in: ['admin', 'super_admin'] },
+    isActive: true,
+  }).select('email firstName');
+
+  const results = await Promise.all(admins.map((admin) =>
+    escalationEmailQueue.enqueue(() =>
+      sendReportEscalationEmail(admin.email, report, policy, admin.firstName))));
+
+  const failed = results.filter((result) => result.status === 'failed').length;
+  if (failed > 0) {
+    logger.warn(`${failed} escalation email(s) failed for report ${report._id}`);
+  }
+};
+
+/**
+ * Query for the reports a policy governs: the ones it covers that no more specific
+ * active policy covers, and that came in after the policy was created
+ */
+const buildPolicyQuery = (policy, policies) => {
+  const query = { createdAt: { $gte: policy.createdAt } };
+  if (policy.category) query.category = policy.category;
+  if (policy.severity) query.severity = policy.severity;
+
+  // Reports a more specific policy also covers follow that policy's window instead
+  const narrower = policies
+    .filter((other) => other.specificity > policy.specificity
+      && (!policy.category || !other.category || other.category === policy.category)
+      && (!policy.severity || !other.severity || other.severity === policy.severity))
+    .map((other) => ({
+      ...(other.category && { category: other.category }),
+      ...(other.severity && { severity: other.severity }),
+    }));
+  if (narrower.length > 0) query.$nor = narrower;
+
+  return query;
+};
+
+/**
+ * Escalate reports that have breached their SLA
+ * Each policy gets its own query and batch, so reports under a long window can't
+ * crowd out overdue ones under a shorter window.
+ * @param {Object} io - Socket.IO server
+ * @param {Date} now
+ * @returns {Promise<number>} Number of reports escalated
+ */
+const escalateOverdueReports = async (io, now = new Date()) => {
+  const policies = await SlaPolicy.find({ isActive: true });
+  let escalated = 0;
+
+  for (const policy of policies) {
+    const query = buildPolicyQuery(policy, policies);
+    const cutoff = new Date(now.getTime() - policy.acknowledgeWithinMinutes * 60 * 1000);
+    query.createdAt.$lte = cutoff;
+
+    const candidates = await Report.find({
+      ...query,
+      status: { $in: UNHANDLED_STATUSES },
+      firstActionAt: null,
+      'sla.escalatedAt': null,
+    })
+      .sort({ createdAt: 1 })
+      .limit(BATCH_SIZE)
+      .select('createdAt');
+
+    for (const candidate of candidates) {
+      const dueAt = getDueAt(candidate, policy);
+
+      const report = await Report.findOneAndUpdate(
+        {
+          _id: candidate._id,
+          status: { $in: UNHANDLED_STATUSES },
+          firstActionAt: null,
+          'sla.escalatedAt': null,
+        },
+        {
+          $set: {
+            status: 'escalated',
+            'sla.policy': policy._id,
+            'sla.dueAt': dueAt,
+            'sla.breachedAt': dueAt,
+            'sla.escalatedAt': now,
+          },
+        },
+        { new: true }
+      );
+
+      // Handled or escalated elsewhere in the meantime
+      if (!report) continue;
+
+      if (io?.emitReportEscalated) {
+        io.emitReportEscalated(report, policy);
+      }
+      emailAdmins(report, policy).catch((error) => {
+        logger.error(`Escalation emails for report ${report._id} failed`, error);
+      });
+
+      escalated++;
+      logger.warn(`Report ${report._id} escalated - breached SLA policy "${policy.name}"`);
+    }
+  }
+
+  return escalated;
+};
+
+/**
+ * Start the background SLA checker. Runs once immediately to catch up after a restart.
+ * @returns {Function} Stops the checker
+ */
+const startSlaChecker = (io, intervalMs = Number(process.env.SLA_CHECK_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    // Skip if the previous pass is still going
+    if (running) return;
+    running = true;
+    try {
+      await escalateOverdueReports(io);
+    } catch (error) {
+      logger.error('SLA checker error', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  getDueAt,
+  buildPolicyQuery,
+  escalateOverdueReports,
+  startSlaChecker,
+};
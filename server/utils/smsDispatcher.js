@@ -0,0 +1,99 @@
+const { getSmsTransport } = require('./smsService');
+
+/**
+ * SMS Dispatcher
+ * Sends text messages in fixed-size batches with a pause between them, so a large
+ * alert fan-out stays inside the gateway's throughput limits. Transient failures
+ * go back on the queue for a later batch.
+ */
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Send one batch, through the transport's sendBatch when it has one
+ * @returns {Promise<Array<{messageId}|{error}>>} One result per message, in order
+ */
+const sendThrough = async (transport, messages) => {
+  if (typeof transport.sendBatch === 'function') {
+    return transport.sendBatch(messages.map(({ to, body }) => ({ to, body })));
+  }
+  return Promise.all(messages.map(({ to, body }) =>
+    transport.send({ to, body }).catch((error) => ({ error }))
+  ));
+};
+
+/**
+ * Create a batching SMS dispatcher
+ * @param {Object} options
+ * @param {number} options.batchSize - Messages handed to the gateway at once
+ * @param {number} options.batchIntervalMs - Pause between batches
+ * @param {number} options.maxAttempts - Attempts per message, including the first
+ * @param {Object} [options.transport] - Transport to use; defaults to the SMS service's
+ * @returns {Object} { dispatch(messages, { onBatch }) -> Promise<results> }
+ */
+const createSmsDispatcher = ({
+  batchSize = 50,
+  batchIntervalMs = 1000,
+  maxAttempts = 3,
+  transport,
+} = {}) => {
+  /**
+   * Send messages in batches
+   * Each result is { ...message, status: 'sent'|'failed'|'opted_out', messageId, error, attempts }
+   * @param {Array<Object>} messages - { to, body } plus anything the caller wants back
+   * @param {Object} [options]
+   * @param {Function} [options.onBatch] - Called with each batch's settled results
+   * @returns {Promise<Array<Object>>} Settled results, in the order they settled
+   */
+  const dispatch = async (messages, { onBatch } = {}) => {
+    const gateway = transport || getSmsTransport();
+    if (!gateway) {
+      throw new Error('SMS is not configured');
+    }
+    const pending = messages.map((message) => ({ message, attempts: 0 }));
+    const results = [];
+    let batches = 0;
+
+    while (pending.length > 0) {
+      if (batches > 0) await wait(batchIntervalMs);
+      batches += 1;
+
+      const batch = pending.splice(0, batchSize);
+      batch.forEach((job) => { job.attempts += 1; });
+
+      const outcomes = await sendThrough(gateway, batch.map((job) => job.message));
+      const settled = [];
+
+      batch.forEach((job, index) => {
+        const outcome = outcomes[index] || { error: new Error('No result from SMS transport') };
+
+        if (!outcome.error) {
+          settled.push({ ...job.message, status: 'sent', messageId: outcome.messageId, attempts: job.attempts });
+        } else if (outcome.error.transient && !outcome.error.optedOut && job.attempts < maxAttempts) {
+          // Rejoin the end of the queue for a later batch
+          pending.push(job);
+        } else {
+          settled.push({
+            ...job.message,
+            status: outcome.error.optedOut ? 'opted_out' : 'failed',
+            error: outcome.error.message,
+            attempts: job.attempts,
+          });
+        }
+      });
+
+      if (settled.length > 0) {
+        results.push(...settled);
+        if (onBatch) await onBatch(settled);
+      }
+    }
+
+    return results;
+  };
+
+  return { dispatch };
+};
+
+module.exports = {
+  createSmsDispatcher,
+};
@@ -0,0 +1,351 @@
+const net = require('net');
+
+/**
+ * SMS Gateway Adapters
+ * Transports for utils/smsService that talk to real gateways, plus a loopback one
+ * for tests. Each has `send({ to, body })` resolving to `{ messageId }`; failures
+ * carry `transient` when a retry may succeed and `optedOut` when the recipient
+ * has unsubscribed at the carrier.
+ *
+ *   twilio   - Twilio-style REST API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER)
+ *   smpp     - SMPP 3.4 transmitter session (SMPP_HOST, SMPP_PORT, SMPP_SYSTEM_ID, SMPP_PASSWORD)
+ *   loopback - keeps messages in memory and can be told to fail
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Error from a gateway
+ * @param {string} message
+ * @param {Object} [flags] - { transient, optedOut, code }
+ */
+const gatewayError = (message, { transient = false, optedOut = false, code } = {}) => {
+  const error = new Error(message);
+  error.transient = transient;
+  error.optedOut = optedOut;
+  if (code !== undefined) error.code = code;
+  return error;
+};
+
+// ==========================================
+// Twilio-style HTTP
+// ==========================================
+
+// Twilio's "unsubscribed recipient" error - the number replied STOP
+const TWILIO_OPTED_OUT_CODE = 21610;
+
+const createTwilioTransport = ({
+  accountSid = process.env.TWILIO_ACCOUNT_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  from = process.env.TWILIO_FROM_NUMBER,
+  messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID,
+  baseUrl = process.env.TWILIO_API_URL || 'https://api.twilio.com',
+  statusCallback = process.env.SMS_STATUS_CALLBACK_URL,
+} = {}) => {
+  if (!accountSid || !authToken || !(from || messagingServiceSid)) {
+    throw new Error('Twilio transport needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER');
+  }
+
+  const url = `${baseUrl.replace(/\/$/, '')}/2010-04-01/Accounts/${accountSid}/Messages.json`;
+  const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+
+  return {
+    name: 'twilio',
+    send: async ({ to, body }) => {
+      const params = new URLSearchParams({ To: to, Body: body });
+      if (messagingServiceSid) {
+        params.set('MessagingServiceSid', messagingServiceSid);
+      } else {
+        params.set('From', from);
+      }
+      if (statusCallback) params.set('StatusCallback', statusCallback);
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            Authorization: authorization,
+            'Content-Type': 'application/x-www-form-urlencoded',
+          },
+          body: params,
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+      } catch (error) {
+        // Never reached the gateway - timeouts, refused connections, DNS
+        throw gatewayError(`Twilio request failed: ${error.message}`, { transient: true });
+      }
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw gatewayError(data.message || `Twilio responded with ${response.status}`, {
+          transient: response.status === 429 || response.status >= 500,
+          optedOut: data.code === TWILIO_OPTED_OUT_CODE,
+          code: data.code,
+        });
+      }
+
+      return { messageId: data.sid };
+    },
+  };
+};
+
+// ==========================================
+// SMPP 3.4
+// ==========================================
+
+const SMPP = {
+  BIND_TRANSMITTER: 0x00000002,
+  BIND_TRANSMITTER_RESP: 0x80000002,
+  SUBMIT_SM: 0x00000004,
+  SUBMIT_SM_RESP: 0x80000004,
+  UNBIND: 0x00000006,
+  UNBIND_RESP: 0x80000006,
+  ENQUIRE_LINK: 0x00000015,
+  ENQUIRE_LINK_RESP: 0x80000015,
+  GENERIC_NACK: 0x80000000,
+};
+
+// command_status values worth another try: message queue full, throttled
+const SMPP_TRANSIENT_STATUSES = [0x14, 0x58];
+
+const cString = (value = '') => Buffer.concat([Buffer.from(String(value), 'latin1'), Buffer.from([0])]);
+
+const encodePdu = (commandId, sequence, body = Buffer.alloc(0), status = 0) => {
+  const header = Buffer.alloc(16);
+  header.writeUInt32BE(16 + body.length, 0);
+  header.writeUInt32BE(commandId, 4);
+  header.writeUInt32BE(status, 8);
+  header.writeUInt32BE(sequence, 12);
+  return Buffer.concat([header, body]);
+};
+
+// Whether every character of the text fits in Latin-1
+const isLatin1 = (text) => /^[\x00-\xff]*$/.test(text);
+
+// Latin-1 (data_coding 3) when every character fits, otherwise UCS-2 (data_coding 8)
+const encodeShortMessage = (text) => {
+  if (isLatin1(text)) {
+    return { dataCoding: 0x03, bytes: Buffer.from(text, 'latin1') };
+  }
+  return { dataCoding: 0x08, bytes: Buffer.from(text, 'utf16le').swap16() };
+};
+
+// sm_length is a single byte; anything longer goes in the message_payload TLV instead
+const SHORT_MESSAGE_MAX_BYTES = 254;
+const TAG_MESSAGE_PAYLOAD = 0x0424;
+
+const submitSmBody = ({ from, to, body }) => {
+  const { dataCoding, bytes } = encodeShortMessage(body);
+  const international = to.startsWith('+');
+  const inline = bytes.length <= SHORT_MESSAGE_MAX_BYTES;
+
+  let payload = Buffer.alloc(0);
+  if (!inline) {
+    payload = Buffer.alloc(4);
+    payload.writeUInt16BE(TAG_MESSAGE_PAYLOAD, 0);
+    payload.writeUInt16BE(bytes.length, 2);
+    payload = Buffer.concat([payload, bytes]);
+  }
+
+  return Buffer.concat([
+    cString(''), // service_type
+    Buffer.from([0x05, 0x00]), // source TON alphanumeric, NPI unknown
+    cString(from),
+    Buffer.from([international ? 0x01 : 0x00, 0x01]), // destination TON, NPI E.164
+    cString(international ? to.slice(1) : to),
+    Buffer.from([0x00, 0x00, 0x00]), // esm_class, protocol_id, priority_flag
+    cString(''), // schedule_delivery_time
+    cString(''), // validity_period
+    Buffer.from([0x01, 0x00, dataCoding, 0x00, inline ? bytes.length : 0]), // registered_delivery ... sm_length
+    inline ? bytes : payload,
+  ]);
+};
+
+/**
+ * One SMPP transmitter session: connect, bind, send, unbind
+ */
+const openSmppSession = ({ host, port, systemId, password, systemType }) => new Promise((resolve, reject) => {
+  const socket = net.connect({ host, port });
+  const waiting = new Map();
+  let sequence = 0;
+  let buffer = Buffer.alloc(0);
+
+  const fail = (error) => {
+    waiting.forEach(({ reject: rejectPdu }) => rejectPdu(error));
+    waiting.clear();
+  };
+
+  const request = (commandId, body) => new Promise((resolvePdu, rejectPdu) => {
+    sequence += 1;
+    waiting.set(sequence, { resolve: resolvePdu, reject: rejectPdu });
+    socket.write(encodePdu(commandId, sequence, body));
+  });
+
+  socket.setTimeout(REQUEST_TIMEOUT_MS, () => {
+    const error = gatewayError('SMPP connection timed out', { transient: true });
+    fail(error);
+    socket.destroy();
+    reject(error);
+  });
+
+  socket.on('error', (error) => {
+    const wrapped = gatewayError(`SMPP connection failed: ${error.message}`, { transient: true });
+    fail(wrapped);
+    reject(wrapped);
+  });
+
+  socket.on('close', () => fail(gatewayError('SMPP connection closed', { transient: true })));
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (buffer.length >= 16 && buffer.length >= buffer.readUInt32BE(0)) {
+      const length = buffer.readUInt32BE(0);
+      const pdu = {
+        commandId: buffer.readUInt32BE(4),
+        status: buffer.readUInt32BE(8),
+        sequence: buffer.readUInt32BE(12),
+        body: buffer.subarray(16, length),
+      };
+      buffer = buffer.subarray(length);
+
+      // The gateway checking we're still there
+      if (pdu.commandId === SMPP.ENQUIRE_LINK) {
+        socket.write(encodePdu(SMPP.ENQUIRE_LINK_RESP, pdu.sequence));
+        continue;
+      }
+
+      const pending = waiting.get(pdu.sequence);
+      if (pending) {
+        waiting.delete(pdu.sequence);
+        pending.resolve(pdu);
+      }
+    }
+  });
+
+  socket.on('connect', async () => {
+    try {
+      const bind = await request(SMPP.BIND_TRANSMITTER, Buffer.concat([
+        cString(systemId),
+        cString(password),
+        cString(systemType),
+        Buffer.from([0x34, 0x00, 0x00]), // interface_version 3.4, addr_ton, addr_npi
+        cString(''), // address_range
+      ]));
+
+      if (bind.status !== 0) {
+        socket.destroy();
+        reject(gatewayError(`SMPP bind rejected with status 0x${bind.status.toString(16)}`, { code: bind.status }));
+        return;
+      }
+
+      resolve({
+        submit: async (message) => {
+          const resp = await request(SMPP.SUBMIT_SM, submitSmBody(message));
+          if (resp.status !== 0) {
+            throw gatewayError(`SMPP submit rejected with status 0x${resp.status.toString(16)}`, {
+              transient: SMPP_TRANSIENT_STATUSES.includes(resp.status),
+              code: resp.status,
+            });
+          }
+          return { messageId: resp.body.toString('latin1').replace(/\0.*$/s, '') };
+        },
+        close: async () => {
+          await request(SMPP.UNBIND).catch(() => {});
+          socket.end();
+        },
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+});
+
+const createSmppTransport = ({
+  host = process.env.SMPP_HOST,
+  port = parseInt(process.env.SMPP_PORT, 10) || 2775,
+  systemId = process.env.SMPP_SYSTEM_ID,
+  password = process.env.SMPP_PASSWORD,
+  systemType = process.env.SMPP_SYSTEM_TYPE || '',
+  from = process.env.SMPP_SOURCE_ADDR || 'QuickAlert',
+} = {}) => {
+  if (!host || !systemId) {
+    throw new Error('SMPP transport needs SMPP_HOST and SMPP_SYSTEM_ID');
+  }
+
+  /**
+   * Send a batch over one bound session
+   * @returns {Promise<Array<{messageId}|{error}>>} One result per message, in order
+   */
+  const sendBatch = async (messages) => {
+    let session;
+    try {
+      session = await openSmppSession({ host, port, systemId, password, systemType });
+    } catch (error) {
+      return messages.map(() => ({ error }));
+    }
+
+    const results = await Promise.all(messages.map((message) =>
+      session.submit({ ...message, from }).catch((error) => ({ error }))
+    ));
+    await session.close();
+    return results;
+  };
+
+  return {
+    name: 'smpp',
+    sendBatch,
+    send: async (message) => {
+      const [result] = await sendBatch([message]);
+      if (result.error) throw result.error;
+      return result;
+    },
+  };
+};
+
+// ==========================================
+// Loopback
+// ==========================================
+
+/**
+ * In-memory transport for tests and local runs
+ * `messages` holds everything sent; failNext(to, flags) makes the next send to
+ * that number fail with the given error flags
+ */
+const createLoopbackTransport = () => {
+  const failures = new Map();
+  let count = 0;
+
+  return {
+    name: 'loopback',
+    messages: [],
+    failNext(to, { message = 'Loopback failure', ...flags } = {}) {
+      failures.set(to, gatewayError(message, flags));
+    },
+    reset() {
+      this.messages.length = 0;
+      failures.clear();
+    },
+    async send({ to, body }) {
+      if (failures.has(to)) {
+        const error = failures.get(to);
+        failures.delete(to);
+        throw error;
+      }
+      count += 1;
+      const messageId = `loopback-${count}`;
+      this.messages.push({ messageId, to, body });
+      return { messageId };
+    },
+  };
+};
+
+module.exports = {
+  gatewayError,
+  createTwilioTransport,
+  createSmppTransport,
+  createLoopbackTransport,
+  isLatin1,
+};
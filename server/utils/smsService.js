@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { DEFAULT_LOCALE, pickAlertTranslation } = require('./alertLocalization');
+const {
+  createTwilioTransport,
+  createSmppTransport,
+  createLoopbackTransport,
+  isLatin1,
+} = require('./smsGateways');
+
+/**
+ * SMS Service
+ * Sends text messages through a pluggable transport, chosen with SMS_TRANSPORT.
+ *
+ * A transport is an object with a `name` and an async `send({ to, body })` that
+ * resolves to `{ messageId }` or throws. Built in:
+ *   console - prints messages to the server log (default in development and test only;
+ *             elsewhere SMS stays off until SMS_TRANSPORT is set)
+ *   file    - appends messages as JSON lines to SMS_FILE_PATH (default logs/sms.log)
+ *   twilio, smpp, loopback - gateway adapters from utils/smsGateways
+ *
+ * Transports may also offer `sendBatch(messages)`, and flag failed sends with
+ * `error.transient` (worth retrying) or `error.optedOut` (recipient replied STOP).
+ *
+ * Providers are added with registerSmsTransport(name, factory).
+ */
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'logs', 'sms.log');
+
+const newMessageId = () => crypto.randomUUID();
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async ({ to, body }) => {
+    const messageId = newMessageId();
+    console.log('\n========== SMS (Console Transport) ==========');
+    console.log(`To: ${to}`);
+    console.log(`Message: ${body}`);
+    console.log('=============================================\n');
+    return { messageId };
+  },
+});
+
+const createFileTransport = ({ filePath = process.env.SMS_FILE_PATH || DEFAULT_FILE_PATH } = {}) => ({
+  name: 'file',
+  filePath,
+  send: async ({ to, body }) => {
+    const messageId = newMessageId();
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(
+      filePath,
+      `${JSON.stringify({ messageId, to, body, sentAt: new Date().toISOString() })}\n`
+    );
+    return { messageId };
+  },
+});
+
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  twilio: createTwilioTransport,
+  smpp: createSmppTransport,
+  loopback: createLoopbackTransport,
+};
+
+// Environments that get the console transport when SMS_TRANSPORT isn't set
+const CONSOLE_FALLBACK_ENVS = ['development', 'test'];
+
+// One SMS segment: 160 characters of the GSM 7-bit alphabet, or 70 UCS-2 characters
+const SMS_MAX_LENGTH = 160;
+const SMS_UNICODE_MAX_LENGTH = 70;
+
+const GSM_BASIC_CHARS = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+// Sent as an escape plus the character, so they take two of the 160
+const GSM_EXTENDED_CHARS = new Set('^{}\\[~]|€\f');
+
+// Replies that unsubscribe or resubscribe a number, as carriers recognize them
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'YES'];
+
+const OPT_OUT_FOOTER = ' Reply STOP to opt out';
+
+let activeTransport = null;
+// Set once SMS_TRANSPORT turned out to be missing where there's no fallback
+let smsDisabled = false;
+
+/**
+ * Make a transport available by name for SMS_TRANSPORT
+ * @param {string} name - Value of SMS_TRANSPORT that selects it
+ * @param {Function} factory - (options) => transport
+ */
+const registerSmsTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+/**
+ * Build a transport by name
+ * @param {string} name - Registered transport name
+ * @param {Object} [options] - Passed to the transport factory
+ */
+const createSmsTransport = (name, options) => {
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown SMS transport "${name}". Available: ${Object.keys(transportFactories).join(', ')}`);
+  }
+  return factory(options);
+};
+
+/**
+ * The transport in use, created from SMS_TRANSPORT on first use
+ * Without SMS_TRANSPORT only development and test fall back to the console; anywhere
+ * else SMS is turned off, with a single error in the log.
+ * @returns {Object|null} The transport, or null when SMS is off
+ */
+const getSmsTransport = () => {
+  if (activeTransport || smsDisabled) return activeTransport;
+
+  const name = process.env.SMS_TRANSPORT
+    || (CONSOLE_FALLBACK_ENVS.includes(process.env.NODE_ENV) ? 'console' : null);
+
+  if (!name) {
+    smsDisabled = true;
+    logger.error('SMS_TRANSPORT is not set - SMS alerts and phone verification are disabled');
+    return null;
+  }
+
+  activeTransport = createSmsTransport(name);
+  return activeTransport;
+};
+
+/**
+ * Whether text messages can be sent
+ */
+const isSmsEnabled = () => getSmsTransport() !== null;
+
+/**
+ * Pick the SMS transport at startup, so a bad SMS_TRANSPORT stops the server
+ * before any alert needs it
+ * @throws If SMS_TRANSPORT names an unknown transport or its settings are missing
+ */
+const initializeSmsTransport = () => {
+  const transport = getSmsTransport();
+  if (transport) {
+    logger.info(`SMS transport: ${transport.name}`);
+  }
+  return transport;
+};
+
+/**
+ * Replace the transport in use - pass null to go back to SMS_TRANSPORT
+ * @param {Object|null} transport
+ */
+const setSmsTransport = (transport) => {
+  activeTransport = transport;
+  smsDisabled = false;
+};
+
+/**
+ * Normalize a phone number for sending and comparison
+ * Drops spaces, dashes, dots and brackets; a leading + is kept
+ * @param {string} phone
+ * @returns {string|null} The number, or null if it isn't a plausible phone number
+ */
+const normalizePhone = (phone) => {
+  if (typeof phone !== 'string') return null;
+  const normalized = phone.trim().replace(/[\s\-.()]/g, '');
+  return /^\+?\d{10,15}$/.test(normalized) ? normalized : null;
+};
+
+/**
+ * Length of a message in SMS characters, and the most that fit in one segment
+ * Follows the gateways' encoding: text is only counted as GSM when it is also Latin-1,
+ * since anything outside Latin-1 (the euro sign, Greek capitals) goes out as UCS-2.
+ * @param {string} text
+ * @returns {{length: number, limit: number}}
+ */
+const measureSms = (text) => {
+  const chars = [...text];
+  const gsm = isLatin1(text)
+    && chars.every((c) => GSM_BASIC_CHARS.has(c) || GSM_EXTENDED_CHARS.has(c));
+
+  if (!gsm) {
+    // UCS-2 counts UTF-16 code units, so an emoji takes two
+    return { length: text.length, limit: SMS_UNICODE_MAX_LENGTH };
+  }
+  return {
+    length: chars.reduce((total, c) => total + (GSM_EXTENDED_CHARS.has(c) ? 2 : 1), 0),
+    limit: SMS_MAX_LENGTH,
+  };
+};
+
+/**
+ * Trim text to fit in a single SMS segment, ending in "..." if it was cut
+ * @param {string} text
+ * @param {number} [reserved] - Characters to leave free, e.g. for a footer
+ * @returns {string}
+ */
+const fitSms = (text, reserved = 0) => {
+  const { length, limit } = measureSms(text);
+  if (length + reserved <= limit) return text;
+
+  let chars = [...text];
+  const room = limit - reserved - 3;
+  while (chars.length > 0 && measureSms(chars.join('')).length > room) {
+    chars = chars.slice(0, Math.min(chars.length - 1, room));
+  }
+  return `${chars.join('').trimEnd()}...`;
+};
+
+/**
+ * Build the single-segment text message for an alert, in the reader's language when
+ * there's a translation: severity, title and short description, plus the STOP footer
+ * @param {Object} alert - Alert document
+ * @param {string} [locale] - Recipient's preferred language
+ * @returns {string}
+ */
+const buildAlertSms = (alert, locale) => {
+  const version = pickAlertTranslation(alert, locale);
+  // Translations have no short description of their own
+  const summary = version.locale === (alert.language || DEFAULT_LOCALE) && alert.shortDescription
+    ? alert.shortDescription
+    : version.description;
+
+  const text = `${alert.severity.toUpperCase()}: ${version.title}. ${summary || ''}`
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return `${fitSms(text, OPT_OUT_FOOTER.length)}${OPT_OUT_FOOTER}`;
+};
+
+/**
+ * Recognize an opt-out or opt-in reply
+ * @param {string} text - Inbound message body
+ * @returns {'opt_out'|'opt_in'|null}
+ */
+const parseSmsKeyword = (text) => {
+  const keyword = String(text || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+  if (OPT_OUT_KEYWORDS.includes(keyword)) return 'opt_out';
+  if (OPT_IN_KEYWORDS.includes(keyword)) return 'opt_in';
+  return null;
+};
+
+/**
+ * Send a text message
+ * @param {string} to - Recipient phone number
+ * @param {string} body - Message text
+ * @returns {Promise<{success: boolean, messageId: string, transport: string}>}
+ * @throws If SMS is off or the transport fails to send
+ */
+const sendSms = async (to, body) => {
+  const transport = getSmsTransport();
+  if (!transport) {
+    throw new Error('SMS is not configured');
+  }
+
+  try {
+    const { messageId } = await transport.send({ to, body });
+    return { success: true, messageId, transport: transport.name };
+  } catch (error) {
+    logger.error(`SMS send via ${transport.name} failed`, error);
+    throw error;
+  }
+};
+
+/**
+ * Send a phone verification code
+ * @param {string} to - Phone number being verified
+ * @param {string} code - 6-digit verification code
+ */
+const sendVerificationSms = async (to, code) => {
+  return sendSms(to, `Your QuickAlert verification code is ${code}. It expires in 10 minutes.`);
+};
+
+module.exports = {
+  SMS_MAX_LENGTH,
+  OPT_OUT_KEYWORDS,
+  OPT_IN_KEYWORDS,
+  registerSmsTransport,
+  createSmsTransport,
+  getSmsTransport,
+  isSmsEnabled,
+  initializeSmsTransport,
+  setSmsTransport,
+  normalizePhone,
+  measureSms,
+  fitSms,
+  buildAlertSms,
+  parseSmsKeyword,
+  sendSms,
+  sendVerificationSms,
+};
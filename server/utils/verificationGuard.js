@@ -0,0 +1,163 @@
+const User = require('../models/User');
+const SocketLocation = require('../models/SocketLocation');
+const ReportVerification = require('../models/ReportVerification');
+const { distanceBetweenCoords } = require('./geoUtils');
+
+/**
+ * Report Verification Guard
+ * Checks a community verification vote for signs of abuse before it counts.
+ * Votes that trip any check are quarantined for a moderator instead of
+ * moving the report towards verification and its auto-alert.
+ */
+
+// Faster than an airliner between two known locations is impossible travel
+const MAX_TRAVEL_SPEED_KMH = parseFloat(process.env.MAX_TRAVEL_SPEED_KMH) || 900;
+
+// Moves shorter than this are GPS noise, however quickly they happen
+const MIN_TRAVEL_DISTANCE_KM = 2;
+
+// How far back socket and vote locations are compared against
+const LOCATION_HISTORY_HOURS = parseFloat(process.env.LOCATION_HISTORY_HOURS) || 6;
+
+// Accounts younger than this count as new
+const NEW_ACCOUNT_DAYS = parseInt(process.env.NEW_ACCOUNT_DAYS, 10) || 7;
+
+// Votes on one report within this window are looked at together
+const BURST_WINDOW_MINUTES = parseInt(process.env.BURST_WINDOW_MINUTES, 10) || 15;
+
+// Votes from new accounts on one report within the window, including this one, that make a burst
+const NEW_ACCOUNT_BURST_SIZE = parseInt(process.env.NEW_ACCOUNT_BURST_SIZE, 10) || 5;
+
+// Other users already voting on a report from the same IP before it's flagged
+const SHARED_IP_LIMIT = parseInt(process.env.SHARED_IP_LIMIT, 10) || 3;
+
+/**
+ * Where a user has recently been, from their sockets' reported locations and earlier votes
+ * @returns {Array<{coordinates: number[], at: Date, source: string}>}
+ */
+const getRecentLocations = async (userId, since) => {
+  const [sockets, votes] = await Promise.all([
+    SocketLocation.find({ userId, lastPing: { $gte: since } }).select('location lastPing'),
+    ReportVerification.find({ userId, verifiedAt: { $gte: since } }).select('userLocation verifiedAt'),
+  ]);
+
+  return [
+    ...sockets.map((s) => ({ coordinates: s.location?.coordinates, at: s.lastPing, source: 'socket' })),
+    ...votes.map((v) => ({ coordinates: v.userLocation?.coordinates, at: v.verifiedAt, source: 'vote' })),
+  ].filter((point) => {
+    const coords = point.coordinates;
+    // [0, 0] is a placeholder some clients send before they have a fix
+    return coords?.length === 2 && !(coords[0] === 0 && coords[1] === 0);
+  });
+};
+
+/**
+ * Find a known location the claimed one couldn't have been reached from in time
+ * @returns {Object|null} The offending location with distanceKm and speedKmh
+ */
+const findImpossibleTravel = (claimed, locations, now = new Date()) => {
+  for (const point of locations) {
+    const distanceKm = distanceBetweenCoords(point.coordinates, claimed);
+    if (distanceKm < MIN_TRAVEL_DISTANCE_KM) continue;
+
+    // A location from the same moment counts as a minute ago
+    const hours = Math.max(Math.abs(now - new Date(point.at)) / 3600000, 1 / 60);
+    const speedKmh = distanceKm / hours;
+
+    if (speedKmh > MAX_TRAVEL_SPEED_KMH) {
+      return { ...point, distanceKm, speedKmh };
+    }
+  }
+  return null;
+};
+
+const isNewAccount = (user, now = new Date()) =>
+  !!user.createdAt && now - new Date(user.createdAt) < NEW_ACCOUNT_DAYS * 24 * 3600000;
+
+/**
+ * Check a vote for signs of abuse
+ * @param {Object} options
+ * @param {Object} options.report - Report being voted on
+ * @param {Object} options.user - User voting
+ * @param {number[]} options.coordinates - Claimed [lng, lat]
+ * @param {string} options.ipAddress - Request IP
+ * @returns {Promise<{flags: string[], details: Object}>}
+ */
+const assessVote = async ({ report, user, coordinates, ipAddress, now = new Date() }) => {
+  const flags = [];
+  const details = {};
+
+  // Reporters can't vouch for their own reports
+  const reporterId = report.reporter?._id || report.reporter;
+  if (reporterId && reporterId.toString() === user._id.toString()) {
+    flags.push('self_vote');
+  }
+
+  const locations = await getRecentLocations(user._id, new Date(now - LOCATION_HISTORY_HOURS * 3600000));
+  const travel = findImpossibleTravel(coordinates, locations, now);
+  if (travel) {
+    flags.push('impossible_travel');
+    details.impossibleTravel = {
+      from: travel.coordinates,
+      source: travel.source,
+      distanceKm: Math.round(travel.distanceKm),
+      speedKmh: Math.round(travel.speedKmh),
+    };
+  }
+
+  // Other votes on this report in the burst window
+  const windowStart = new Date(now - BURST_WINDOW_MINUTES * 60000);
+  const recentVotes = await ReportVerification.find({
+    reportId: report._id,
+    userId: { $ne: user._id },
+    verifiedAt: { $gte: windowStart },
+  }).select('userId metadata.ipAddress');
+
+  if (isNewAccount(user, now) && recentVotes.length >= NEW_ACCOUNT_BURST_SIZE - 1) {
+    const newAccountVotes = await User.countDocuments({
+      _id: { $in: recentVotes.map((v) => v.userId) },
+      createdAt: { $gte: new Date(now - NEW_ACCOUNT_DAYS * 24 * 3600000) },
+    });
+    if (newAccountVotes + 1 >= NEW_ACCOUNT_BURST_SIZE) {
+      flags.push('new_account_burst');
+      details.newAccountVotes = newAccountVotes + 1;
+    }
+  }
+
+  if (ipAddress) {
+    const sameIpUsers = new Set(
+      recentVotes.filter((v) => v.metadata?.ipAddress === ipAddress).map((v) => v.userId.toString())
+    );
+    if (sameIpUsers.size >= SHARED_IP_LIMIT) {
+      flags.push('shared_ip');
+      details.sharedIpVoters = sameIpUsers.size;
+    }
+  }
+
+  return { flags, details };
+};
+
+/**
+ * The most recent location the server has for a user, for votes sent without one
+ * @returns {Promise<number[]|null>} [lng, lat]
+ */
+const getLastKnownLocation = async (userId, now = new Date()) => {
+  const locations = await getRecentLocations(userId, new Date(now - LOCATION_HISTORY_HOURS * 3600000));
+  if (locations.length === 0) return null;
+
+  locations.sort((a, b) => new Date(b.at) - new Date(a.at));
+  return locations[0].coordinates;
+};
+
+module.exports = {
+  MAX_TRAVEL_SPEED_KMH,
+  LOCATION_HISTORY_HOURS,
+  NEW_ACCOUNT_DAYS,
+  BURST_WINDOW_MINUTES,
+  NEW_ACCOUNT_BURST_SIZE,
+  SHARED_IP_LIMIT,
+  getRecentLocations,
+  findImpossibleTravel,
+  assessVote,
+  getLastKnownLocation,
+};